@@ -0,0 +1,87 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import RoleSelect from './RoleSelect';
+
+/**
+ * Top bar shared by the signed-in pages: section navigation, role switcher,
+ * the signed-in user (links to /account) and logout.
+ * Pages pass their route as `active`; a page with its own tabs (the dashboard)
+ * passes them as `tabs`, shown in place of its chip. `children` go in the right
+ * cluster after the role switcher (e.g. the dashboard's timer).
+ */
+
+// Routes in the order they appear; `roles` limits who sees a chip and
+// `onlyWhenActive` keeps pages reached from elsewhere out of the bar
+const NAV_ITEMS = [
+  { path: '/', label: 'My Timesheet' },
+  { path: '/import', label: 'Import', onlyWhenActive: true },
+  { path: '/manager', label: 'Team', roles: ['manager', 'admin'] },
+  { path: '/admin/projects', label: 'Projects', roles: ['admin'] },
+  { path: '/admin/periods', label: 'Periods', roles: ['admin'] },
+  { path: '/admin/leave', label: 'Leave', roles: ['admin'] },
+  { path: '/admin/calendar', label: 'Calendar', roles: ['admin'] },
+  { path: '/settings', label: 'Settings' },
+  { path: '/account', label: 'Account', onlyWhenActive: true },
+];
+
+// PUBLIC_INTERFACE
+export default function AppHeader({ active, tabs = null, badge = null, children = null }) {
+  const { user, profile, signOut, hasRole } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    try {
+      await signOut();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('Logout failed', e);
+    }
+  };
+
+  const visible = NAV_ITEMS.filter(
+    (item) => (!item.roles || hasRole(item.roles)) && (!item.onlyWhenActive || item.path === active)
+  );
+
+  return (
+    <div className="headerbar">
+      <div className="cluster" aria-label="Section navigation">
+        {visible.map((item) => {
+          if (item.path !== active) {
+            return (
+              <button key={item.path} className="chip" type="button" onClick={() => navigate(item.path)}>
+                {item.label}
+              </button>
+            );
+          }
+          if (tabs) return <React.Fragment key={item.path}>{tabs}</React.Fragment>;
+          return (
+            <button key={item.path} className="chip chip--filled-primary" type="button" aria-current="page">
+              {item.label}
+            </button>
+          );
+        })}
+        {badge}
+      </div>
+
+      <div className="cluster" style={{ flexWrap: 'wrap' }}>
+        {/* Role dropdown (enabled when the user holds several roles) */}
+        <RoleSelect />
+        {children}
+        <div style={{ width: 8 }} />
+        <button type="button" onClick={() => navigate('/account')} title="Account: email and password" className="link-btn">
+          {profile?.display_name || user?.email}
+        </button>
+        <button
+          className="btn btn--outline"
+          style={{ height: 32, padding: '0 12px', borderRadius: 8 }}
+          onClick={handleLogout}
+          type="button"
+          aria-label="Log out"
+        >
+          Logout
+        </button>
+      </div>
+    </div>
+  );
+}
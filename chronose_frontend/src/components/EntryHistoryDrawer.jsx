@@ -0,0 +1,175 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { listTimeEntryHistory } from '../services/timeEntries';
+import { findProjectTask } from '../services/projects';
+import { HISTORY_ACTION_LABELS, formatHistoryValue, historyChanges } from '../utils/entryHistory';
+
+/**
+ * EntryHistoryDrawer
+ * Side drawer with the change history of one time entry: who changed it, when,
+ * and a field-level diff of each change (old value struck through, new value
+ * after it). Deleted entries keep their history. Escape or the backdrop closes it.
+ */
+
+// PUBLIC_INTERFACE
+export default function EntryHistoryDrawer({ entry, currentUserId, projects, onClose }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const closeRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+  const entryId = entry?.id;
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!entryId) return;
+      setLoading(true);
+      setLoadError('');
+      const { data, error } = await listTimeEntryHistory(entryId);
+      if (!mounted) return;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'History not available yet'
+          : (error.message || 'Failed to load history'));
+      }
+      setRecords(data || []);
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [entryId]);
+
+  useEffect(() => {
+    if (!entryId) return undefined;
+    if (closeRef.current) closeRef.current.focus();
+    const onKey = (e) => {
+      if (e.key === 'Escape') onCloseRef.current();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [entryId]);
+
+  if (!entry) return null;
+
+  const lookup = {
+    projectName: (id) => findProjectTask(projects, id).project?.name,
+    taskName: (id) => (projects || []).flatMap((p) => p.tasks || []).find((t) => t.id === id)?.name,
+  };
+  const who = (id) => (!id ? 'System' : id === currentUserId ? 'You' : 'Manager');
+  const actionLabel = (r) => {
+    if (r.action === 'status' && r.new_values?.status) {
+      return `${HISTORY_ACTION_LABELS.status}: ${formatHistoryValue('status', r.new_values.status)}`;
+    }
+    return HISTORY_ACTION_LABELS[r.action] || r.action;
+  };
+
+  return (
+    <div style={styles.backdrop} onClick={onClose}>
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-label={`History of the entry on ${entry.date}`}
+        style={styles.drawer}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="card--header-dark" style={{ gap: 8 }}>
+          <div>
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+              Entry history
+            </div>
+            <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+              {entry.date} • {entry.hours}h{entry.deleted_at ? ' • deleted' : ''}
+            </div>
+          </div>
+          <button ref={closeRef} className="btn btn--outline btn--sm" type="button" onClick={onClose} style={{ height: 28 }}>
+            Close
+          </button>
+        </div>
+        <div style={{ padding: 12, display: 'grid', gap: 8, overflow: 'auto' }}>
+          {loading && <div style={styles.notice}>Loading history…</div>}
+          {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+          {!loading && !loadError && records.length === 0 && (
+            <div style={styles.notice}>No changes recorded for this entry.</div>
+          )}
+          {!loading && records.map((r) => {
+            const changes = historyChanges(r);
+            return (
+              <div key={r.id} style={styles.record}>
+                <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>{actionLabel(r)}</div>
+                <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                  {who(r.changed_by)} • {r.changed_at ? new Date(r.changed_at).toLocaleString() : ''}
+                </div>
+                {r.action !== 'delete' && changes.length > 0 && (
+                  <dl style={styles.diff}>
+                    {changes.map((c) => (
+                      <React.Fragment key={c.field}>
+                        <dt style={{ color: 'var(--text-secondary)' }}>{c.label}</dt>
+                        <dd style={{ margin: 0 }}>
+                          {r.action !== 'create' && (
+                            <>
+                              <del style={{ color: 'var(--text-tertiary)' }}>{formatHistoryValue(c.field, c.from, lookup)}</del>
+                              {' → '}
+                            </>
+                          )}
+                          <span style={{ color: 'var(--text-strong)' }}>{formatHistoryValue(c.field, c.to, lookup)}</span>
+                        </dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.25)',
+    display: 'flex',
+    justifyContent: 'flex-end',
+    zIndex: 50,
+  },
+  drawer: {
+    width: 'min(420px, 100%)',
+    height: '100%',
+    background: 'var(--surface-soft)',
+    boxShadow: 'var(--shadow-lg)',
+    display: 'grid',
+    gridTemplateRows: 'auto 1fr',
+  },
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  record: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+  diff: {
+    display: 'grid',
+    gridTemplateColumns: 'auto 1fr',
+    gap: '4px 12px',
+    margin: '8px 0 0',
+    fontSize: 13,
+  },
+};
@@ -1,15 +1,17 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 /**
  * ProtectedRoute ensures only authenticated users can access the children.
- * Redirects to /login if not authenticated.
+ * Redirects to /login if not authenticated, remembering the page in
+ * location.state.from so sign-in can return to it.
  */
 
 // PUBLIC_INTERFACE
 export default function ProtectedRoute({ children }) {
   const { user, initializing } = useAuth();
+  const location = useLocation();
 
   if (initializing) {
     return (
@@ -20,7 +22,7 @@ export default function ProtectedRoute({ children }) {
   }
 
   if (!user) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
   return children;
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { listPendingTimeEntries, reviewTimeEntry, subscribeToTimeEntries } from '../services/timeEntries';
+import { listPendingLeaveRequests, reviewLeaveRequest } from '../services/leaveRequests';
+import { listDirectReports } from '../services/profiles';
+import { isMultiDayLeave, leaveDaysOf } from '../utils/leaveRange';
+import { mergeRowEvent } from '../utils/realtimeMerge';
+
+/**
+ * ReviewQueue lists submitted (pending) time entries and leave requests of the
+ * reviewer's direct reports and lets the reviewer approve or reject each one
+ * with a comment. Rows leave the queue optimistically once decided.
+ * New submissions (and decisions made elsewhere) arrive in realtime.
+ * A multi-day leave request is one row and is approved or rejected as a whole.
+ */
+
+// PUBLIC_INTERFACE
+export default function ReviewQueue({ reviewerId }) {
+  const [kind, setKind] = useState('work'); // 'work' | 'leave'
+  const [entries, setEntries] = useState([]);
+  const [leaves, setLeaves] = useState([]);
+  const [reportsById, setReportsById] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [comments, setComments] = useState({}); // { [id]: string }
+  const [rowErrors, setRowErrors] = useState({}); // { [id]: string }
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!reviewerId) return;
+      setLoading(true);
+      setLoadError('');
+      const [entriesRes, leavesRes, reportsRes] = await Promise.all([
+        listPendingTimeEntries(reviewerId),
+        listPendingLeaveRequests(reviewerId),
+        listDirectReports(reviewerId),
+      ]);
+      if (!mounted) return;
+      const error = entriesRes.error || leavesRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load review queue'));
+      }
+      setEntries(entriesRes.data || []);
+      setLeaves(leavesRes.data || []);
+      setReportsById(Object.fromEntries((reportsRes.data || []).map((p) => [p.id, p])));
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [reviewerId]);
+
+  const reportIds = Object.keys(reportsById).sort().join(',');
+  useEffect(() => {
+    if (!reportIds) return undefined;
+    const { data: unsubscribe } = subscribeToTimeEntries(reportIds.split(','), (event) => {
+      setEntries((prev) => mergeRowEvent(prev, event, (row) => row.status === 'pending'));
+    });
+    return unsubscribe;
+  }, [reportIds]);
+
+  const decide = async (item, decision) => {
+    const comment = comments[item.id] || '';
+    if (decision === 'rejected' && !comment.trim()) {
+      setRowErrors((prev) => ({ ...prev, [item.id]: 'Please provide a reason for the rejection.' }));
+      return;
+    }
+    const isWork = kind === 'work';
+    const setList = isWork ? setEntries : setLeaves;
+    const backup = isWork ? entries : leaves;
+    // optimistic removal
+    setList((prev) => prev.filter((x) => x.id !== item.id));
+    setRowErrors((prev) => ({ ...prev, [item.id]: '' }));
+    const review = isWork ? reviewTimeEntry : reviewLeaveRequest;
+    const { error } = await review(item.id, { decision, comment, reviewerId });
+    if (error) {
+      // rollback
+      setList(backup);
+      setRowErrors((prev) => ({ ...prev, [item.id]: error.message || 'Failed to save decision' }));
+    }
+  };
+
+  const who = (userId) => reportsById[userId]?.email || userId;
+  const list = kind === 'work' ? entries : leaves;
+
+  return (
+    <section className="card" aria-label="Review Queue">
+      <div className="card--header-dark" style={{ gap: 8 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+            Review Queue
+          </div>
+          <div style={{ fontSize: 12, color: 'var(--on-dark-muted)' }}>
+            Approve or reject your team&apos;s submissions
+          </div>
+        </div>
+        <div className="tabs" role="tablist" aria-label="Review Type">
+          <button
+            className={`tab ${kind === 'work' ? 'tab--active' : ''}`}
+            role="tab"
+            aria-selected={kind === 'work'}
+            type="button"
+            onClick={() => setKind('work')}
+          >
+            Time Entries ({entries.length})
+          </button>
+          <button
+            className={`tab ${kind === 'leave' ? 'tab--active' : ''}`}
+            role="tab"
+            aria-selected={kind === 'leave'}
+            type="button"
+            onClick={() => setKind('leave')}
+          >
+            Leave ({leaves.length})
+          </button>
+        </div>
+      </div>
+      <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 8 }}>
+        {loading && <div style={styles.notice}>Loading submissions…</div>}
+        {!loading && loadError && (
+          <div role="alert" style={styles.alert}>{loadError}</div>
+        )}
+        {!loading && !loadError && list.length === 0 && (
+          <div style={styles.notice}>Nothing waiting for review.</div>
+        )}
+        {!loading && !loadError && list.length > 0 && (
+          <div style={{ display: 'grid', gap: 8, maxHeight: 420, overflow: 'auto' }}>
+            {list.map((item) => (
+              <div key={item.id} style={styles.row}>
+                <div>
+                  <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                    {who(item.user_id)} • {kind === 'leave' && isMultiDayLeave(item)
+                      ? `${item.date} – ${item.end_date} (${leaveDaysOf(item).length} working days)`
+                      : item.date} • {item.hours}h
+                  </div>
+                  <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                    {kind === 'work'
+                      ? [item.project, item.task].filter(Boolean).join(' / ') || '—'
+                      : `${item.type} • ${item.duration === 'full' ? 'Full day' : 'Partial'}${item.reason ? ` • ${item.reason}` : ''}`}
+                  </div>
+                  {kind === 'work' && item.notes && (
+                    <div style={{ fontSize: 12, color: 'var(--text-tertiary)' }}>{item.notes}</div>
+                  )}
+                </div>
+                <input
+                  className="input"
+                  aria-label={`Review comment for ${item.id}`}
+                  placeholder="Comment (required to reject)"
+                  value={comments[item.id] || ''}
+                  onChange={(e) => {
+                    const v = e.target.value;
+                    setComments((prev) => ({ ...prev, [item.id]: v }));
+                    setRowErrors((prev) => ({ ...prev, [item.id]: '' }));
+                  }}
+                  style={{ height: 30, minWidth: 200 }}
+                />
+                <button
+                  className="btn btn--primary btn--sm"
+                  type="button"
+                  onClick={() => decide(item, 'approved')}
+                  aria-label={`Approve ${item.id}`}
+                >
+                  Approve
+                </button>
+                <button
+                  className="btn btn--outline btn--sm"
+                  type="button"
+                  onClick={() => decide(item, 'rejected')}
+                  aria-label={`Reject ${item.id}`}
+                >
+                  Reject
+                </button>
+                {rowErrors[item.id] && (
+                  <div role="alert" className="helper" style={{ gridColumn: '1 / -1', color: 'var(--error)' }}>
+                    {rowErrors[item.id]}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  row: {
+    display: 'grid',
+    gridTemplateColumns: '1fr auto auto auto',
+    gap: 8,
+    alignItems: 'center',
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    padding: '10px 12px',
+    boxShadow: 'var(--shadow-sm)',
+  },
+};
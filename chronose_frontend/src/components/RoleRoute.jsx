@@ -0,0 +1,55 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import ProtectedRoute from './ProtectedRoute';
+
+/**
+ * RoleRoute is the role-guarded variant of ProtectedRoute.
+ * Unauthenticated users go to /login; authenticated users without any of the
+ * allowed roles are sent back to the employee dashboard.
+ */
+
+// PUBLIC_INTERFACE
+export default function RoleRoute({ roles, children }) {
+  return (
+    <ProtectedRoute>
+      <RoleGate roles={roles}>{children}</RoleGate>
+    </ProtectedRoute>
+  );
+}
+
+function RoleGate({ roles, children }) {
+  const { hasRole, rolesLoading } = useAuth();
+
+  if (rolesLoading) {
+    return (
+      <div style={styles.splash}>
+        <div style={styles.spinner} aria-busy="true" aria-label="Loading" />
+      </div>
+    );
+  }
+
+  if (!hasRole(roles)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+}
+
+const styles = {
+  splash: {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: '#F9FAFB',
+  },
+  spinner: {
+    width: 36,
+    height: 36,
+    borderRadius: '50%',
+    border: '3px solid #E5E7EB',
+    borderTopColor: '#374151',
+    animation: 'spin 1s linear infinite',
+  },
+};
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Header dropdown for switching the active role.
+ * Disabled when the user holds a single role; switching routes to the
+ * matching home (/ for employees, /manager for managers and admins).
+ */
+
+const ROLE_LABELS = {
+  employee: 'Employee',
+  manager: 'Manager',
+  admin: 'Admin',
+};
+
+// PUBLIC_INTERFACE
+export const homeForRole = (role) => (role === 'manager' || role === 'admin' ? '/manager' : '/');
+
+// PUBLIC_INTERFACE
+export default function RoleSelect() {
+  const { roles, activeRole, setActiveRole } = useAuth();
+  const navigate = useNavigate();
+  const single = roles.length <= 1;
+
+  const onChange = (e) => {
+    const next = e.target.value;
+    setActiveRole(next);
+    navigate(homeForRole(next));
+  };
+
+  return (
+    <>
+      <label style={{ fontSize: 13, color: 'var(--text-secondary)' }} htmlFor="role">
+        Role:
+      </label>
+      <select
+        id="role"
+        className="select"
+        aria-label="Role"
+        value={activeRole}
+        disabled={single}
+        onChange={onChange}
+        style={{ cursor: single ? 'not-allowed' : 'pointer' }}
+      >
+        {roles.map((r) => (
+          <option key={r} value={r}>{ROLE_LABELS[r] || r}</option>
+        ))}
+      </select>
+    </>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+
+/**
+ * SearchableSelect
+ * A combobox: type to filter the options, pick with the mouse or with
+ * ArrowUp/ArrowDown + Enter, Escape closes. Options are { value, label }.
+ */
+
+// PUBLIC_INTERFACE
+export default function SearchableSelect({
+  id,
+  value,
+  options,
+  onChange,
+  placeholder = 'Search…',
+  emptyText = 'No matches',
+  disabled = false,
+  ...rest
+}) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const selected = options.find((o) => o.value === value) || null;
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return q ? options.filter((o) => o.label.toLowerCase().includes(q)) : options;
+  }, [options, query]);
+
+  const listId = `${id}-listbox`;
+
+  const choose = (opt) => {
+    onChange(opt.value);
+    setQuery('');
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((i) => Math.min(filtered.length - 1, i + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(0, i - 1));
+    } else if (e.key === 'Enter') {
+      if (open && filtered[activeIndex]) {
+        e.preventDefault();
+        choose(filtered[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      setQuery('');
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={styles.wrap}>
+      <input
+        {...rest}
+        id={id}
+        className="input"
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={open && filtered[activeIndex] ? `${id}-opt-${activeIndex}` : undefined}
+        autoComplete="off"
+        disabled={disabled}
+        placeholder={selected ? selected.label : placeholder}
+        value={open ? query : selected?.label || ''}
+        onFocus={() => {
+          setOpen(true);
+          setActiveIndex(0);
+        }}
+        onBlur={() => {
+          setOpen(false);
+          setQuery('');
+        }}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+      />
+      {open && !disabled && (
+        <ul id={listId} role="listbox" style={styles.list}>
+          {filtered.length === 0 ? (
+            <li style={styles.empty}>{emptyText}</li>
+          ) : (
+            filtered.map((o, i) => (
+              <li
+                key={o.value}
+                id={`${id}-opt-${i}`}
+                role="option"
+                aria-selected={o.value === value}
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  choose(o);
+                }}
+                onMouseEnter={() => setActiveIndex(i)}
+                style={{
+                  ...styles.option,
+                  ...(i === activeIndex ? styles.optionActive : {}),
+                  ...(o.value === value ? { fontWeight: 700 } : {}),
+                }}
+              >
+                {o.label}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { position: 'relative' },
+  list: {
+    position: 'absolute',
+    zIndex: 10,
+    top: 'calc(100% + 4px)',
+    left: 0,
+    right: 0,
+    maxHeight: 220,
+    overflow: 'auto',
+    margin: 0,
+    padding: 4,
+    listStyle: 'none',
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+  },
+  option: {
+    padding: '6px 8px',
+    borderRadius: 6,
+    cursor: 'pointer',
+    color: 'var(--text-strong)',
+    fontSize: 14,
+  },
+  optionActive: { background: 'var(--surface-elev)' },
+  empty: { padding: '6px 8px', color: 'var(--text-secondary)', fontSize: 13 },
+};
@@ -0,0 +1,362 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import SearchableSelect from './SearchableSelect';
+import { findProjectTask } from '../services/projects';
+import { DEFAULT_ENTRY_RULES } from '../utils/entryRules';
+import {
+  buildWeekGrid,
+  checkWeekGridChanges,
+  copyWeekIntoGrid,
+  diffWeekGrid,
+  gridRowKey,
+  gridTotals,
+  validateWeekGrid,
+} from '../utils/weekGrid';
+
+/**
+ * WeekGrid
+ * Timesheet grid for one week: a row per project/task, a column per day, hour
+ * cells with row/day/week totals. Arrow keys and Enter move between cells.
+ * Edits stay local until Save, which hands onSave the minimal
+ * { creates, updates, deletes } against `entries` (see utils/weekGrid).
+ * Cells holding submitted or approved entries are read-only, and so are whole
+ * days in `lockedDates` (closed pay periods): they are neither copied into nor
+ * saved. Save is refused while a day holds more than `rules.maxHoursPerDay` or a
+ * created or changed cell breaks the other entry rules as of `today` (future
+ * window, required project/task); with `rules.requireTask` rows need a task.
+ */
+
+// PUBLIC_INTERFACE
+export default function WeekGrid({
+  weekDates,
+  weekISOs,
+  previousWeekISOs,
+  entries,
+  projects,
+  isEditable,
+  lockedDates = [],
+  rules = DEFAULT_ENTRY_RULES,
+  today,
+  onSave,
+  saving = false,
+}) {
+  const weekKey = weekISOs.join(',');
+  const [grid, setGrid] = useState(() => buildWeekGrid(entries, weekISOs, isEditable));
+  const [dirty, setDirty] = useState(false);
+  const [newProjectId, setNewProjectId] = useState('');
+  const [newTaskId, setNewTaskId] = useState('');
+  const [saveError, setSaveError] = useState('');
+  const [showErrors, setShowErrors] = useState(false);
+  const bodyRef = useRef(null);
+  const lastWeekKey = useRef(weekKey);
+
+  // Follow the saved entries while nothing is being edited; a new week always starts fresh
+  useEffect(() => {
+    const weekChanged = lastWeekKey.current !== weekKey;
+    lastWeekKey.current = weekKey;
+    if (weekChanged || !dirty) {
+      setGrid(buildWeekGrid(entries, weekISOs, isEditable));
+      setDirty(false);
+      setShowErrors(false);
+      setSaveError('');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weekKey, entries]);
+
+  const lockedKey = lockedDates.join(',');
+  const openISOs = useMemo(
+    () => weekISOs.filter((iso) => !lockedDates.includes(iso)),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [weekKey, lockedKey]
+  );
+  const totals = useMemo(() => gridTotals(grid, weekISOs), [grid, weekISOs]);
+  const changes = useMemo(() => diffWeekGrid(grid, entries, openISOs, isEditable), [grid, entries, openISOs, isEditable]);
+  const validation = useMemo(() => {
+    const checked = validateWeekGrid(grid, weekISOs, { maxHoursPerDay: rules.maxHoursPerDay });
+    const ruleErrors = checkWeekGridChanges(changes, entries, { rules, today });
+    return {
+      ...checked,
+      cells: { ...ruleErrors, ...checked.cells },
+      valid: checked.valid && Object.keys(ruleErrors).length === 0,
+    };
+  }, [grid, weekISOs, changes, entries, rules, today]);
+  const changeCount = changes.creates.length + changes.updates.length + changes.deletes.length;
+
+  const activeProjects = projects.filter((p) => !p.archived);
+  const projectOptions = activeProjects.map((p) => ({ value: p.id, label: p.name }));
+  const taskOptions = (activeProjects.find((p) => p.id === newProjectId)?.tasks || [])
+    .filter((t) => !t.archived)
+    .map((t) => ({ value: t.id, label: t.name }));
+
+  const rowLabel = (row) => {
+    const { project, task } = findProjectTask(projects, row.project_id, row.task_id);
+    if (!row.project_id) return 'No project';
+    return [project?.name || 'Unknown project', task?.name].filter(Boolean).join(' · ');
+  };
+
+  const editCell = (key, iso, value) => {
+    setGrid((prev) => prev.map((r) => (r.key === key ? { ...r, cells: { ...r.cells, [iso]: value } } : r)));
+    setDirty(true);
+  };
+
+  const addRow = () => {
+    if (!newProjectId || (rules.requireTask && !newTaskId)) return;
+    const key = gridRowKey(newProjectId, newTaskId);
+    if (!grid.some((r) => r.key === key)) {
+      setGrid((prev) => [...prev, { key, project_id: newProjectId, task_id: newTaskId || null, cells: {}, locked: {} }]);
+      setDirty(true);
+    }
+    setNewProjectId('');
+    setNewTaskId('');
+  };
+
+  const removeRow = (key) => {
+    setGrid((prev) => prev.filter((r) => r.key !== key));
+    setDirty(true);
+  };
+
+  const copyLastWeek = () => {
+    const pairs = weekISOs.map((iso, i) => [previousWeekISOs[i], iso]).filter(([, iso]) => openISOs.includes(iso));
+    setGrid((prev) => copyWeekIntoGrid(prev, entries, pairs.map(([from]) => from), pairs.map(([, to]) => to), isEditable));
+    setDirty(true);
+  };
+
+  const reset = () => {
+    setGrid(buildWeekGrid(entries, weekISOs, isEditable));
+    setDirty(false);
+    setShowErrors(false);
+    setSaveError('');
+  };
+
+  const save = async () => {
+    setShowErrors(true);
+    setSaveError('');
+    if (!validation.valid || changeCount === 0) return;
+    const { error } = await onSave(changes);
+    if (error) {
+      setSaveError(error.message || 'Some changes could not be saved.');
+      return;
+    }
+    setDirty(false);
+    setShowErrors(false);
+  };
+
+  // Arrow keys / Enter move focus between hour cells
+  const onCellKeyDown = (e, rowIndex, colIndex) => {
+    const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], Enter: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    const move = moves[e.key];
+    if (!move) return;
+    const input = e.currentTarget;
+    if (e.key === 'ArrowLeft' && input.selectionStart > 0) return;
+    if (e.key === 'ArrowRight' && input.selectionEnd < input.value.length) return;
+    const target = bodyRef.current?.querySelector(
+      `[data-cell="${rowIndex + move[0]}:${colIndex + move[1]}"]:not([disabled])`
+    );
+    if (!target) return;
+    e.preventDefault();
+    target.focus();
+    target.select();
+  };
+
+  const hoursText = (n) => `${n}h`;
+
+  return (
+    <div style={styles.wrap} aria-label="Weekly timesheet grid">
+      <div role="grid" aria-label="Hours per project and day" ref={bodyRef} style={{ display: 'grid', gap: 4, overflowX: 'auto' }}>
+        <div role="row" style={{ ...styles.row, ...styles.head }}>
+          <div role="columnheader">Project / Task</div>
+          {weekDates.map((d, i) => (
+            <div key={weekISOs[i]} role="columnheader" style={{ textAlign: 'center' }}>
+              {d.toLocaleDateString(undefined, { weekday: 'short' })}
+              {!openISOs.includes(weekISOs[i]) && <span title="Closed pay period"> 🔒</span>}
+              <div style={{ fontWeight: 500 }}>{d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</div>
+            </div>
+          ))}
+          <div role="columnheader" style={{ textAlign: 'right' }}>Total</div>
+          <div role="columnheader" aria-label="Row actions" />
+        </div>
+
+        {grid.length === 0 && (
+          <div style={styles.empty}>No hours this week yet. Add a row or copy last week.</div>
+        )}
+
+        {grid.map((row, r) => (
+          <div key={row.key} role="row" style={styles.row}>
+            <div role="rowheader" style={styles.label} title={rowLabel(row)}>{rowLabel(row)}</div>
+            {weekISOs.map((iso, c) => {
+              const dayLocked = !openISOs.includes(iso);
+              const locked = dayLocked || !!row.locked[iso];
+              const error = showErrors ? validation.cells[`${row.key}@${iso}`] : '';
+              return (
+                <div key={iso} role="gridcell">
+                  <input
+                    className="input"
+                    data-cell={`${r}:${c}`}
+                    inputMode="decimal"
+                    value={row.cells[iso] || ''}
+                    onChange={(e) => editCell(row.key, iso, e.target.value)}
+                    onKeyDown={(e) => onCellKeyDown(e, r, c)}
+                    onFocus={(e) => e.target.select()}
+                    disabled={locked || saving}
+                    title={
+                      dayLocked
+                        ? 'Closed pay period — no changes'
+                        : locked
+                          ? 'Submitted or approved — edit from the Status view'
+                          : error || undefined
+                    }
+                    aria-label={`${rowLabel(row)}, ${weekDates[c].toDateString()} hours`}
+                    aria-invalid={!!error}
+                    style={{
+                      ...styles.cell,
+                      ...(locked ? styles.cellLocked : {}),
+                      ...(error ? { borderColor: 'var(--error)' } : {}),
+                    }}
+                  />
+                </div>
+              );
+            })}
+            <div style={styles.total}>{hoursText(totals.rows[row.key] || 0)}</div>
+            <div>
+              {!Object.keys(row.locked).length && !weekISOs.some((iso) => row.cells[iso] && !openISOs.includes(iso)) && (
+                <button
+                  className="btn btn--outline btn--sm"
+                  type="button"
+                  onClick={() => removeRow(row.key)}
+                  disabled={saving}
+                  aria-label={`Remove row ${rowLabel(row)}`}
+                  style={{ height: 28 }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <div role="row" style={{ ...styles.row, ...styles.head }}>
+          <div role="rowheader">Day total</div>
+          {weekISOs.map((iso) => (
+            <div
+              key={iso}
+              role="gridcell"
+              style={{ textAlign: 'center', color: validation.days[iso] ? 'var(--error)' : undefined }}
+              title={validation.days[iso] || undefined}
+            >
+              {hoursText(totals.days[iso])}
+            </div>
+          ))}
+          <div role="gridcell" style={styles.total}>{hoursText(totals.week)}</div>
+          <div />
+        </div>
+      </div>
+
+      <div className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <div style={{ minWidth: 180 }}>
+          <label className="label" htmlFor="grid-new-project">Add row</label>
+          <SearchableSelect
+            id="grid-new-project"
+            value={newProjectId}
+            options={projectOptions}
+            onChange={(v) => {
+              setNewProjectId(v);
+              setNewTaskId('');
+            }}
+            placeholder="Project"
+            emptyText="No active projects"
+            disabled={saving}
+          />
+        </div>
+        <div style={{ minWidth: 160 }}>
+          <SearchableSelect
+            id="grid-new-task"
+            value={newTaskId}
+            options={taskOptions}
+            onChange={setNewTaskId}
+            placeholder={rules.requireTask ? 'Task' : 'Task (optional)'}
+            emptyText="No tasks"
+            disabled={saving || !newProjectId}
+            aria-label="Task for the new row"
+          />
+        </div>
+        <button
+          className="btn btn--outline btn--sm"
+          type="button"
+          onClick={addRow}
+          disabled={!newProjectId || (rules.requireTask && !newTaskId) || saving}
+        >
+          Add
+        </button>
+        <div style={{ flex: 1 }} />
+        <button className="btn btn--outline btn--sm" type="button" onClick={copyLastWeek} disabled={saving}>
+          Copy last week
+        </button>
+        <button className="btn btn--outline btn--sm" type="button" onClick={reset} disabled={!dirty || saving}>
+          Reset
+        </button>
+        <button className="btn btn--primary btn--sm" type="button" onClick={save} disabled={!dirty || saving}>
+          {saving ? 'Saving…' : `Save${changeCount ? ` (${changeCount} change${changeCount === 1 ? '' : 's'})` : ''}`}
+        </button>
+      </div>
+
+      {showErrors && !validation.valid && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)' }}>
+          {Object.values(validation.days)[0] || Object.values(validation.cells)[0]} Fix the highlighted cells to save.
+        </div>
+      )}
+      {saveError && (
+        <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{saveError}</div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    display: 'grid',
+    gap: 12,
+    padding: 12,
+    background: 'var(--surface)',
+  },
+  row: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(140px, 1.6fr) repeat(7, minmax(52px, 1fr)) 64px 36px',
+    gap: 6,
+    alignItems: 'center',
+    minWidth: 640,
+  },
+  head: {
+    fontSize: 12,
+    fontWeight: 700,
+    color: 'var(--text-secondary)',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: 'var(--text-strong)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  cell: {
+    width: '100%',
+    height: 32,
+    padding: '0 6px',
+    textAlign: 'center',
+  },
+  cellLocked: {
+    background: 'var(--surface-soft)',
+    color: 'var(--text-secondary)',
+  },
+  total: {
+    textAlign: 'right',
+    fontWeight: 700,
+    color: 'var(--text-strong)',
+  },
+  empty: {
+    padding: 12,
+    border: '1px dashed var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+    fontSize: 13,
+  },
+};
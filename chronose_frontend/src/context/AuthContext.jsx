@@ -1,15 +1,76 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
-import { authApi } from '../lib/supabaseClient';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { authApi, isMockBackend, supabase } from '../lib/supabaseClient';
+import { getMyProfile, updateProfile as saveProfile } from '../services/profiles';
+import { parseTenants } from '../utils/authRedirect';
+import { normalizePreferences, resolveTheme } from '../utils/preferences';
 
 /**
  * Auth context for managing Supabase session and user across the app.
  * Listens to auth state changes and provides helper methods.
- * Gracefully handles missing Supabase envs by initializing with null session
- * and exposing auth methods that return friendly errors from authApi stubs.
+ * All auth goes through authApi (lib/supabaseClient), backed by Supabase or the
+ * local mock backend; with neither configured the session stays null and the
+ * auth methods resolve with a friendly error. `backend` says which one is in use.
+ *
+ * Roles (employee | manager | admin) come from the JWT claims
+ * (app_metadata.roles / app_metadata.role) merged with profiles.roles.
+ * Users holding several roles pick an active one, persisted per browser.
+ *
+ * Microsoft SSO (Supabase's azure provider) is on when REACT_APP_ENABLE_MICROSOFT_SSO
+ * is true; REACT_APP_MICROSOFT_TENANT_ID lists the tenants allowed to sign in
+ * (empty or "common" for any), checked again on /auth/callback.
+ * Passwordless email sign-in links are offered when REACT_APP_ENABLE_MAGIC_LINK is true.
+ *
+ * `preferences` are the user's display settings from profiles.preferences
+ * (utils/preferences), cached per browser so the theme applies before the
+ * profile loads; the theme is set as data-theme on <html>.
  */
 
 const AuthContext = createContext(null);
 
+// PUBLIC_INTERFACE
+export const ROLES = ['employee', 'manager', 'admin'];
+
+const ACTIVE_ROLE_KEY = 'chronose_active_role_v1';
+const PREFERENCES_KEY = 'chronose_preferences_v1';
+
+const rolesFromClaims = (user) => {
+  const meta = user?.app_metadata || {};
+  const raw = Array.isArray(meta.roles) ? meta.roles : meta.role ? [meta.role] : [];
+  return raw.filter((r) => ROLES.includes(r));
+};
+
+const loadActiveRole = () => {
+  try {
+    return localStorage.getItem(ACTIVE_ROLE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const saveActiveRole = (role) => {
+  try {
+    localStorage.setItem(ACTIVE_ROLE_KEY, role);
+  } catch {
+    // ignore storage errors
+  }
+};
+
+const loadCachedPreferences = () => {
+  try {
+    return normalizePreferences(JSON.parse(localStorage.getItem(PREFERENCES_KEY) || 'null'));
+  } catch {
+    return normalizePreferences(null);
+  }
+};
+
+const cachePreferences = (prefs) => {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(prefs));
+  } catch {
+    // ignore storage errors
+  }
+};
+
 // PUBLIC_INTERFACE
 export const useAuth = () => {
   /** Hook to access auth context */
@@ -27,6 +88,11 @@ export function AuthProvider({ children }) {
   const [session, setSession] = useState(null);
   const [user, setUser] = useState(null);
   const [initializing, setInitializing] = useState(true);
+  const [profile, setProfile] = useState(null);
+  const [roles, setRoles] = useState(['employee']);
+  const [activeRole, setActiveRoleState] = useState('employee');
+  const [rolesLoading, setRolesLoading] = useState(true);
+  const [cachedPreferences, setCachedPreferences] = useState(loadCachedPreferences);
 
   useEffect(() => {
     let isMounted = true;
@@ -54,20 +120,120 @@ export function AuthProvider({ children }) {
     };
   }, []);
 
+  // Resolve roles whenever the signed-in user changes
+  useEffect(() => {
+    let isMounted = true;
+    if (!user) {
+      setProfile(null);
+      setRoles(['employee']);
+      setActiveRoleState('employee');
+      setRolesLoading(false);
+      return undefined;
+    }
+    setRolesLoading(true);
+    getMyProfile(user.id).then(({ data }) => {
+      if (!isMounted) return;
+      const merged = Array.from(new Set([...rolesFromClaims(user), ...(data?.roles || [])]))
+        .filter((r) => ROLES.includes(r));
+      const next = merged.length > 0 ? ROLES.filter((r) => merged.includes(r)) : ['employee'];
+      const stored = loadActiveRole();
+      setProfile(data);
+      if (data) {
+        cachePreferences(data.preferences);
+        setCachedPreferences(data.preferences);
+      }
+      setRoles(next);
+      setActiveRoleState(next.includes(stored) ? stored : next[0]);
+      setRolesLoading(false);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, [user]);
+
+  // PUBLIC_INTERFACE
+  const setActiveRole = useCallback(
+    (role) => {
+      /** Switch the active role; ignored when the user does not hold it. */
+      if (!roles.includes(role)) return;
+      saveActiveRole(role);
+      setActiveRoleState(role);
+    },
+    [roles]
+  );
+
+  const preferences = profile?.preferences || cachedPreferences;
+
+  // Apply the theme; 'system' follows the OS setting while it is chosen
+  useEffect(() => {
+    const media = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    const apply = () => {
+      document.documentElement.dataset.theme = resolveTheme(preferences.theme, !!media?.matches);
+    };
+    apply();
+    if (preferences.theme !== 'system' || !media?.addEventListener) return undefined;
+    media.addEventListener('change', apply);
+    return () => media.removeEventListener('change', apply);
+  }, [preferences.theme]);
+
+  // PUBLIC_INTERFACE
+  const updateProfile = useCallback(
+    async (fields) => {
+      /** Save the signed-in user's settings (services/profiles updateProfile) and use them right away. */
+      if (!user) return { data: null, error: new Error('Not signed in') };
+      const res = await saveProfile(user.id, fields);
+      if (res.data) {
+        setProfile(res.data);
+        cachePreferences(res.data.preferences);
+        setCachedPreferences(res.data.preferences);
+      }
+      return res;
+    },
+    [user]
+  );
+
+  // PUBLIC_INTERFACE
+  const hasRole = useCallback(
+    (wanted) => {
+      /** True when the user holds the role (or any of an array of roles). */
+      const list = Array.isArray(wanted) ? wanted : [wanted];
+      return list.some((r) => roles.includes(r));
+    },
+    [roles]
+  );
+
   const value = useMemo(
     () => ({
       session,
       user,
       initializing,
+      profile,
+      preferences,
+      updateProfile,
+      roles,
+      rolesLoading,
+      activeRole,
+      setActiveRole,
+      hasRole,
       signIn: authApi.signInWithPassword,
       signUp: authApi.signUpWithPassword,
       signOut: authApi.signOut,
+      resetPassword: authApi.resetPassword,
+      sendMagicLink: authApi.sendMagicLink,
+      updatePassword: authApi.updatePassword,
+      updateEmail: authApi.updateEmail,
+      signInWithOAuth: authApi.signInWithOAuth,
+      exchangeCodeForSession: authApi.exchangeCodeForSession,
+      linkIdentity: authApi.linkIdentity,
+      backend: isMockBackend ? 'mock' : supabase ? 'supabase' : null,
       featureFlags: {
         enableMicrosoftSSO:
           (process.env.REACT_APP_ENABLE_MICROSOFT_SSO || 'false').toLowerCase() === 'true',
+        microsoftTenants: parseTenants(process.env.REACT_APP_MICROSOFT_TENANT_ID),
+        enableMagicLink: (process.env.REACT_APP_ENABLE_MAGIC_LINK || 'false').toLowerCase() === 'true',
       },
     }),
-    [session, user, initializing]
+    [session, user, initializing, profile, preferences, updateProfile, roles, rolesLoading, activeRole, setActiveRole, hasRole]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -4,8 +4,19 @@ import './index.css';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
+import RoleRoute from './components/RoleRoute';
 import Login from './pages/Login';
+import AuthCallback from './pages/AuthCallback';
+import ResetPassword from './pages/ResetPassword';
+import Account from './pages/Account';
+import Settings from './pages/Settings';
 import Dashboard from './pages/Dashboard';
+import ManagerDashboard from './pages/ManagerDashboard';
+import AdminProjects from './pages/AdminProjects';
+import AdminPeriods from './pages/AdminPeriods';
+import AdminLeave from './pages/AdminLeave';
+import AdminCalendar from './pages/AdminCalendar';
+import ImportEntries from './pages/ImportEntries';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -21,7 +32,73 @@ root.render(
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/manager"
+            element={
+              <RoleRoute roles={['manager', 'admin']}>
+                <ManagerDashboard />
+              </RoleRoute>
+            }
+          />
+          <Route
+            path="/admin/projects"
+            element={
+              <RoleRoute roles={['admin']}>
+                <AdminProjects />
+              </RoleRoute>
+            }
+          />
+          <Route
+            path="/admin/periods"
+            element={
+              <RoleRoute roles={['admin']}>
+                <AdminPeriods />
+              </RoleRoute>
+            }
+          />
+          <Route
+            path="/admin/leave"
+            element={
+              <RoleRoute roles={['admin']}>
+                <AdminLeave />
+              </RoleRoute>
+            }
+          />
+          <Route
+            path="/admin/calendar"
+            element={
+              <RoleRoute roles={['admin']}>
+                <AdminCalendar />
+              </RoleRoute>
+            }
+          />
+          <Route
+            path="/import"
+            element={
+              <ProtectedRoute>
+                <ImportEntries />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute>
+                <Settings />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/account"
+            element={
+              <ProtectedRoute>
+                <Account />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/login" element={<Login />} />
+          <Route path="/auth/callback" element={<AuthCallback />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </BrowserRouter>
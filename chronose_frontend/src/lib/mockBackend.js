@@ -0,0 +1,581 @@
+/**
+ * Local stand-in for a Supabase project, selected with REACT_APP_USE_MOCK_BACKEND=true.
+ * createMockClient() returns an object shaped like the supabase-js client for
+ * the parts the app uses, so services and AuthContext run unchanged:
+ * - auth: password sign-in/up, sign-out, password/email changes, password reset
+ *   and magic links (no email is sent; magic links sign in at once) and
+ *   OAuth (signs in the login_hint address, or a local user for the provider,
+ *   instead of redirecting, linking the identity to an existing account)
+ * - from(table): select / insert / update / upsert / delete with the filters,
+ *   ordering, limits and one level of embedded relations the services use
+ * - rpc(): lock_period, unlock_period and adjust_leave_balance
+ * - channel(): realtime events for writes made in this tab
+ * Tables are created on first use and persisted in localStorage. Database
+ * triggers, check constraints and RLS are not emulated: rows are stored as written.
+ * A demo account (demo@chronose.local / chronose) holding every role is seeded.
+ */
+
+const DB_KEY = 'chronose_mock_db_v1';
+const AUTH_KEY = 'chronose_mock_auth_v1';
+
+// PUBLIC_INTERFACE
+export const MOCK_DEMO_USER = { email: 'demo@chronose.local', password: 'chronose' };
+
+const memoryStore = {};
+
+const load = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return memoryStore[key] || fallback;
+  }
+};
+
+const save = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    memoryStore[key] = value;
+  }
+};
+
+const uuid = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+};
+
+const now = () => new Date().toISOString();
+
+const pgError = (message, code) => ({ message, code, details: null, hint: null });
+
+// Postgres compares ids, dates and numbers; the UI sends them as strings or numbers
+const same = (a, b) => (a === null || a === undefined ? b === null || b === undefined : String(a) === String(b));
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// "a, b, alias:table(*, child(*))" -> [{ name, alias, columns }] for the embedded parts
+const parseEmbeds = (columns = '*') => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  String(columns).split('').forEach((ch) => {
+    if (ch === '(') depth += 1;
+    if (ch === ')') depth -= 1;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  });
+  if (current.trim()) parts.push(current.trim());
+  return parts
+    .filter((p) => p.includes('('))
+    .map((p) => {
+      const head = p.slice(0, p.indexOf('('));
+      const [alias, name] = head.includes(':') ? head.split(':') : [head, head];
+      return { alias: alias.trim(), name: name.trim(), columns: p.slice(p.indexOf('(') + 1, p.lastIndexOf(')')) };
+    });
+};
+
+const singular = (table) => table.replace(/s$/, '');
+
+/**
+ * Internal: in-memory tables persisted to localStorage, plus realtime listeners.
+ */
+function createDatabase() {
+  const state = load(DB_KEY, { tables: {} });
+  const channels = new Set();
+
+  const table = (name) => {
+    if (!state.tables[name]) state.tables[name] = [];
+    return state.tables[name];
+  };
+
+  // Read-only views computed from tables
+  const views = {
+    leave_balances: () => {
+      const sums = new Map();
+      table('leave_balance_ledger').forEach((r) => {
+        const key = `${r.user_id}:${r.type}`;
+        const prev = sums.get(key) || { user_id: r.user_id, type: r.type, balance: 0 };
+        sums.set(key, { ...prev, balance: prev.balance + (Number(r.hours) || 0) });
+      });
+      return [...sums.values()];
+    },
+  };
+
+  const rows = (name) => (views[name] ? views[name]() : table(name));
+
+  const persist = () => save(DB_KEY, state);
+
+  const emit = (name, eventType, next, old) => {
+    channels.forEach((ch) => {
+      ch.listeners.forEach(({ opts, callback }) => {
+        if (opts.table && opts.table !== name) return;
+        if (opts.event && opts.event !== '*' && opts.event !== eventType) return;
+        const row = next || old;
+        if (opts.filter) {
+          const [, column, op, value] = opts.filter.match(/^(\w+)=(eq|in)\.\(?([^)]*)\)?$/) || [];
+          if (column && op === 'eq' && !same(row[column], value)) return;
+          if (column && op === 'in' && !value.split(',').some((v) => same(row[column], v))) return;
+        }
+        setTimeout(() => callback({ eventType, table: name, schema: 'public', new: next || {}, old: old || {} }), 0);
+      });
+    });
+  };
+
+  const embed = (name, row, columns) => {
+    const out = { ...row };
+    parseEmbeds(columns).forEach(({ alias, name: target, columns: inner }) => {
+      const fk = `${singular(alias)}_id`;
+      if (row[fk] !== undefined) {
+        const parent = rows(target).find((r) => same(r.id, row[fk]));
+        out[alias] = parent ? embed(target, parent, inner) : null;
+      } else {
+        const back = `${singular(name)}_id`;
+        out[alias] = rows(target).filter((r) => same(r[back], row.id)).map((r) => embed(target, r, inner));
+      }
+    });
+    return out;
+  };
+
+  return { state, channels, table, rows, persist, emit, embed, isView: (name) => !!views[name] };
+}
+
+/**
+ * Internal: a thenable query on one table, mirroring the supabase-js builder.
+ */
+class MockQuery {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.op = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.max = null;
+    this.mode = 'many';
+  }
+
+  select(columns = '*') {
+    if (this.op === 'select') this.columns = columns;
+    else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.op = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(patch) {
+    this.op = 'update';
+    this.patch = patch;
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.op = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflict = onConflict.split(',').map((c) => c.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) { return this.where((r) => same(r[column], value)); }
+
+  neq(column, value) { return this.where((r) => !same(r[column], value)); }
+
+  in(column, values) { return this.where((r) => values.some((v) => same(r[column], v))); }
+
+  is(column, value) { return this.where((r) => (value === null ? r[column] === null || r[column] === undefined : r[column] === value)); }
+
+  not(column, operator, value) {
+    if (operator === 'is' && value === null) return this.where((r) => r[column] !== null && r[column] !== undefined);
+    return this.where((r) => !same(r[column], value));
+  }
+
+  gte(column, value) { return this.where((r) => compare(r[column], value) >= 0); }
+
+  lte(column, value) { return this.where((r) => compare(r[column], value) <= 0); }
+
+  gt(column, value) { return this.where((r) => compare(r[column], value) > 0); }
+
+  lt(column, value) { return this.where((r) => compare(r[column], value) < 0); }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybe';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every((test) => test(row));
+  }
+
+  write() {
+    const { db, name } = this;
+    if (db.isView(name)) throw pgError(`cannot change view "${name}"`, '55000');
+    const list = db.table(name);
+    const fill = (v) => ({ id: uuid(), created_at: now(), updated_at: now(), ...v });
+    const changed = [];
+    if (this.op === 'insert') {
+      this.values.map(fill).forEach((row) => {
+        list.push(row);
+        changed.push(row);
+        db.emit(name, 'INSERT', row, null);
+      });
+    } else if (this.op === 'upsert') {
+      this.values.forEach((v) => {
+        const index = list.findIndex((r) => this.conflict.every((c) => same(r[c], v[c])));
+        if (index < 0) {
+          const row = fill(v);
+          list.push(row);
+          changed.push(row);
+          db.emit(name, 'INSERT', row, null);
+        } else if (!this.ignoreDuplicates) {
+          const old = list[index];
+          list[index] = { ...old, ...v, updated_at: now() };
+          changed.push(list[index]);
+          db.emit(name, 'UPDATE', list[index], old);
+        }
+      });
+    } else if (this.op === 'update') {
+      list.forEach((old, index) => {
+        if (!this.matches(old)) return;
+        list[index] = { ...old, ...this.patch, updated_at: now() };
+        changed.push(list[index]);
+        db.emit(name, 'UPDATE', list[index], old);
+      });
+    } else if (this.op === 'delete') {
+      const kept = list.filter((row) => {
+        if (!this.matches(row)) return true;
+        changed.push(row);
+        db.emit(name, 'DELETE', null, row);
+        return false;
+      });
+      db.state.tables[name] = kept;
+    }
+    db.persist();
+    return changed;
+  }
+
+  run() {
+    try {
+      let result;
+      if (this.op === 'select') {
+        result = this.db.rows(this.name).filter((r) => this.matches(r));
+        if (this.orders.length > 0) {
+          result = [...result].sort((a, b) => {
+            for (let i = 0; i < this.orders.length; i += 1) {
+              const { column, ascending } = this.orders[i];
+              const c = compare(a[column], b[column]);
+              if (c !== 0) return ascending ? c : -c;
+            }
+            return 0;
+          });
+        }
+        if (this.max !== null) result = result.slice(0, this.max);
+      } else {
+        result = this.write();
+        if (!this.returning) return { data: null, error: null };
+      }
+      result = result.map((r) => this.db.embed(this.name, r, this.columns));
+      if (this.mode === 'single' && result.length !== 1) {
+        return { data: null, error: pgError('JSON object requested, multiple (or no) rows returned', 'PGRST116') };
+      }
+      if (this.mode === 'maybe' && result.length > 1) {
+        return { data: null, error: pgError('JSON object requested, multiple rows returned', 'PGRST116') };
+      }
+      return { data: this.mode === 'many' ? result : result[0] || null, error: null };
+    } catch (e) {
+      return { data: null, error: e?.code ? e : pgError(e?.message || 'Mock query failed', 'XX000') };
+    }
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+/**
+ * Internal: the database functions the services call, as in assets/supabase.md.
+ */
+const RPCS = {
+  lock_period(db, uid, { p_start, p_end, p_type }) {
+    if (db.table('locked_periods').some((l) => l.start_date <= p_end && l.end_date >= p_start)) {
+      throw pgError('This period overlaps one that is already closed.', '23514');
+    }
+    const [period] = new MockQuery(db, 'locked_periods')
+      .insert({ start_date: p_start, end_date: p_end, period_type: p_type, locked_by: uid })
+      .write();
+    new MockQuery(db, 'period_lock_audit').insert({
+      action: 'lock', period_id: period.id, period_type: period.period_type,
+      start_date: period.start_date, end_date: period.end_date, actor_id: uid,
+    }).write();
+    return period;
+  },
+  unlock_period(db, uid, { p_id, p_reason }) {
+    if (!String(p_reason || '').trim()) throw pgError('A reason is required to unlock a period.', '23514');
+    const [period] = new MockQuery(db, 'locked_periods').delete().eq('id', p_id).write();
+    if (!period) throw pgError('This period is not closed.', 'P0002');
+    new MockQuery(db, 'period_lock_audit').insert({
+      action: 'unlock', period_id: period.id, period_type: period.period_type,
+      start_date: period.start_date, end_date: period.end_date, reason: p_reason.trim(), actor_id: uid,
+    }).write();
+    return period;
+  },
+  adjust_leave_balance(db, uid, { p_user, p_type, p_hours, p_reason }) {
+    if (!String(p_reason || '').trim()) throw pgError('A reason is required to adjust a balance.', '23514');
+    const [row] = new MockQuery(db, 'leave_balance_ledger').insert({
+      user_id: p_user, type: p_type, kind: 'adjustment', hours: Number(p_hours),
+      reason: p_reason.trim(), leave_request_id: null, created_by: uid,
+    }).write();
+    return row;
+  },
+};
+
+/**
+ * Internal: password and OAuth accounts kept in localStorage, with a current session.
+ */
+function createAuth(db) {
+  const state = load(AUTH_KEY, { users: [], session: null });
+  const listeners = new Set();
+
+  const persist = () => save(AUTH_KEY, state);
+  const publicUser = (user) => {
+    const copy = { ...user };
+    delete copy.password;
+    return copy;
+  };
+  const findUser = (email) => state.users.find((u) => u.email.toLowerCase() === String(email || '').trim().toLowerCase());
+  const emit = (event) => listeners.forEach((cb) => setTimeout(() => cb(event, state.session), 0));
+
+  const addUser = ({ email, password = null, roles = ['employee'], provider = 'email' }) => {
+    const user = {
+      id: uuid(),
+      aud: 'authenticated',
+      email: String(email).trim().toLowerCase(),
+      password,
+      app_metadata: { provider, providers: [provider], roles },
+      user_metadata: {},
+      identities: [{ provider }],
+      created_at: now(),
+    };
+    state.users.push(user);
+    new MockQuery(db, 'profiles').upsert({ id: user.id, email: user.email, roles }).write();
+    persist();
+    return user;
+  };
+
+  const startSession = (user) => {
+    state.session = {
+      access_token: `mock.${uuid()}`,
+      token_type: 'bearer',
+      expires_at: Math.floor(Date.now() / 1000) + 3600,
+      user: publicUser(user),
+    };
+    persist();
+    emit('SIGNED_IN');
+    return { user: publicUser(user), session: state.session };
+  };
+
+  const linkProvider = (user, provider) => {
+    if (!user.identities.some((i) => i.provider === provider)) user.identities.push({ provider });
+    if (!user.app_metadata.providers.includes(provider)) user.app_metadata.providers.push(provider);
+    if (provider === 'azure') {
+      // Mock Microsoft accounts come from the configured tenant, as if Supabase enforced it
+      const tid = (process.env.REACT_APP_MICROSOFT_TENANT_ID || '').split(',')[0].trim() || 'mock-tenant';
+      user.user_metadata = { ...user.user_metadata, custom_claims: { tid } };
+    }
+    persist();
+  };
+
+  if (state.users.length === 0) {
+    addUser({ ...MOCK_DEMO_USER, roles: ['employee', 'manager', 'admin'] });
+  }
+
+  return {
+    uid: () => state.session?.user?.id || null,
+    async getSession() {
+      return { data: { session: state.session }, error: null };
+    },
+    async getUser() {
+      return { data: { user: state.session?.user || null }, error: null };
+    },
+    onAuthStateChange(callback) {
+      listeners.add(callback);
+      return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+    },
+    async signInWithPassword({ email, password }) {
+      const user = findUser(email);
+      if (!user || !user.password || user.password !== password) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid login credentials', status: 400 } };
+      }
+      return { data: startSession(user), error: null };
+    },
+    async signUp({ email, password }) {
+      if (!/^[^@\s]+@[^@\s]+$/.test(String(email || '').trim())) {
+        return { data: { user: null, session: null }, error: { message: 'Unable to validate email address: invalid format', status: 400 } };
+      }
+      if (String(password || '').length < 6) {
+        return { data: { user: null, session: null }, error: { message: 'Password should be at least 6 characters.', status: 422 } };
+      }
+      if (findUser(email)) {
+        return { data: { user: null, session: null }, error: { message: 'User already registered', status: 422 } };
+      }
+      return { data: startSession(addUser({ email, password })), error: null };
+    },
+    async signOut() {
+      state.session = null;
+      persist();
+      emit('SIGNED_OUT');
+      return { error: null };
+    },
+    async resetPasswordForEmail() {
+      // No mail goes out locally; like Supabase, unknown addresses are not revealed
+      return { data: {}, error: null };
+    },
+    async signInWithOtp({ email }) {
+      // Stands in for following the emailed link straight away
+      const user = findUser(email);
+      if (!user) return { data: { user: null, session: null }, error: { message: 'Signups not allowed for otp', status: 422 } };
+      startSession(user);
+      return { data: { user: null, session: null }, error: null };
+    },
+    async updateUser({ email, password }) {
+      const user = state.session && state.users.find((u) => u.id === state.session.user.id);
+      if (!user) return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+      if (password !== undefined) {
+        if (String(password).length < 6) return { data: { user: null }, error: { message: 'Password should be at least 6 characters.', status: 422 } };
+        if (password === user.password) {
+          return { data: { user: null }, error: { message: 'New password should be different from the old password.', status: 422 } };
+        }
+        user.password = password;
+        linkProvider(user, 'email');
+      }
+      if (email !== undefined) {
+        const other = findUser(email);
+        if (other && other.id !== user.id) return { data: { user: null }, error: { message: 'A user with this email address has already been registered', status: 422 } };
+        // Confirmation links are not sent locally: the change applies at once
+        user.email = String(email).trim().toLowerCase();
+        new MockQuery(db, 'profiles').update({ email: user.email }).eq('id', user.id).write();
+      }
+      state.session = { ...state.session, user: publicUser(user) };
+      persist();
+      emit('USER_UPDATED');
+      return { data: { user: publicUser(user) }, error: null };
+    },
+    async signInWithOAuth({ provider, options = {} }) {
+      // No provider round trip: login_hint picks the account, and an existing account
+      // with that address gets the identity linked, as Supabase does for verified emails
+      const email = options.queryParams?.login_hint || `${provider}.user@mock.local`;
+      const user = findUser(email) || addUser({ email, provider });
+      linkProvider(user, provider);
+      startSession(user);
+      return { data: { provider, url: null }, error: null };
+    },
+    async exchangeCodeForSession() {
+      if (!state.session) return { data: { user: null, session: null }, error: { message: 'invalid flow state, no valid flow state found', status: 404 } };
+      return { data: { user: state.session.user, session: state.session }, error: null };
+    },
+    async linkIdentity({ provider }) {
+      const user = state.session && state.users.find((u) => u.id === state.session.user.id);
+      if (!user) return { data: null, error: { message: 'Auth session missing!', status: 401 } };
+      linkProvider(user, provider);
+      state.session = { ...state.session, user: publicUser(user) };
+      persist();
+      emit('USER_UPDATED');
+      return { data: { provider, url: null }, error: null };
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function createMockClient() {
+  /** A supabase-js shaped client backed by localStorage (see the module comment for what it covers). */
+  const db = createDatabase();
+  const auth = createAuth(db);
+  return {
+    auth,
+    from: (table) => new MockQuery(db, table),
+    rpc(name, args = {}) {
+      const call = RPCS[name];
+      const query = new MockQuery(db, name);
+      query.run = () => {
+        if (!call) return { data: null, error: pgError(`function public.${name} does not exist`, '42883') };
+        try {
+          const data = call(db, auth.uid(), args);
+          return { data, error: null };
+        } catch (e) {
+          return { data: null, error: e?.code ? e : pgError(e?.message || 'Mock function failed', 'XX000') };
+        }
+      };
+      return query;
+    },
+    channel(name) {
+      const channel = {
+        name,
+        listeners: [],
+        on(type, opts, callback) {
+          channel.listeners.push({ opts: opts || {}, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          db.channels.add(channel);
+          if (callback) setTimeout(() => callback('SUBSCRIBED'), 0);
+          return channel;
+        },
+        unsubscribe() {
+          db.channels.delete(channel);
+          return Promise.resolve('ok');
+        },
+      };
+      return channel;
+    },
+    removeChannel(channel) {
+      db.channels.delete(channel);
+      return Promise.resolve('ok');
+    },
+  };
+}
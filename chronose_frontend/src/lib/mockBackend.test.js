@@ -0,0 +1,123 @@
+import { MOCK_DEMO_USER, createMockClient } from './mockBackend';
+
+beforeEach(() => localStorage.clear());
+
+test('signs the demo user and new accounts in and out', async () => {
+  const client = createMockClient();
+  const events = [];
+  client.auth.onAuthStateChange((event) => events.push(event));
+
+  const bad = await client.auth.signInWithPassword({ email: MOCK_DEMO_USER.email, password: 'nope' });
+  expect(bad.error.message).toBe('Invalid login credentials');
+  const { data } = await client.auth.signInWithPassword(MOCK_DEMO_USER);
+  expect(data.user.app_metadata.roles).toEqual(['employee', 'manager', 'admin']);
+  expect(data.user.password).toBeUndefined();
+
+  expect((await client.auth.signUp({ email: 'demo@chronose.local', password: 'secret1' })).error.message)
+    .toBe('User already registered');
+  const created = await client.auth.signUp({ email: 'Sam@Example.com', password: 'secret1' });
+  expect(created.data.session.user.email).toBe('sam@example.com');
+  const { data: profile } = await client.from('profiles').select('*').eq('id', created.data.user.id).maybeSingle();
+  expect(profile.roles).toEqual(['employee']);
+
+  await client.auth.signOut();
+  expect((await client.auth.getSession()).data.session).toBeNull();
+  // a new client (page reload) reads the same accounts
+  expect((await createMockClient().auth.signInWithPassword({ email: 'sam@example.com', password: 'secret1' })).error)
+    .toBeNull();
+  await new Promise((r) => setTimeout(r, 0));
+  expect(events).toEqual(['SIGNED_IN', 'SIGNED_IN', 'SIGNED_OUT']);
+});
+
+test('stores rows and answers the queries the services make', async () => {
+  const client = createMockClient();
+  const changes = [];
+  const channel = client
+    .channel('t')
+    .on('postgres_changes', { event: '*', table: 'time_entries', filter: 'user_id=eq.u1' }, (p) => changes.push(p.eventType))
+    .subscribe();
+
+  const { data: a } = await client.from('time_entries').insert({ user_id: 'u1', date: '2024-05-07', hours: 2 }).select().single();
+  await client.from('time_entries').insert([
+    { user_id: 'u1', date: '2024-05-06', hours: 3 },
+    { user_id: 'u2', date: '2024-05-06', hours: 5 },
+  ]);
+  const { data: mine } = await client
+    .from('time_entries').select('*').eq('user_id', 'u1').gte('date', '2024-05-01').order('date', { ascending: true });
+  expect(mine.map((r) => r.hours)).toEqual([3, 2]);
+
+  const { data: updated } = await client.from('time_entries').update({ deleted_at: 'now' }).eq('id', a.id).select();
+  expect(updated).toHaveLength(1);
+  expect((await client.from('time_entries').select('*').is('deleted_at', null)).data).toHaveLength(2);
+  expect((await client.from('time_entries').select('*').not('deleted_at', 'is', null)).data[0].id).toBe(a.id);
+  expect((await client.from('time_entries').select('*').eq('id', 'missing').single()).error.code).toBe('PGRST116');
+
+  const { data: project } = await client.from('projects').insert({ code: 'gen', name: 'General' }).select().single();
+  await client.from('tasks').insert({ project_id: project.id, name: 'Admin' });
+  await client.from('project_assignments').upsert({ project_id: project.id, user_id: 'u1' }, { onConflict: 'project_id,user_id' });
+  await client.from('project_assignments').upsert({ project_id: project.id, user_id: 'u1' }, { onConflict: 'project_id,user_id' });
+  const { data: assigned } = await client.from('project_assignments').select('project:projects(*, tasks(*))').eq('user_id', 'u1');
+  expect(assigned).toHaveLength(1);
+  expect(assigned[0].project.tasks.map((t) => t.name)).toEqual(['Admin']);
+
+  await client.from('time_entries').delete().eq('user_id', 'u2');
+  await new Promise((r) => setTimeout(r, 0));
+  expect(changes).toEqual(['INSERT', 'INSERT', 'UPDATE']);
+  client.removeChannel(channel);
+});
+
+test('runs the database functions and the balances view', async () => {
+  const client = createMockClient();
+  await client.auth.signInWithPassword(MOCK_DEMO_USER);
+  const { data: period } = await client.rpc('lock_period', { p_start: '2024-05-01', p_end: '2024-05-31', p_type: 'monthly' }).single();
+  expect((await client.rpc('lock_period', { p_start: '2024-05-10', p_end: '2024-05-12', p_type: 'weekly' })).error.code)
+    .toBe('23514');
+  expect((await client.rpc('unlock_period', { p_id: period.id, p_reason: ' ' })).error.message)
+    .toBe('A reason is required to unlock a period.');
+  await client.rpc('unlock_period', { p_id: period.id, p_reason: 'Correction' });
+  expect((await client.from('period_lock_audit').select('*')).data.map((r) => r.action)).toEqual(['lock', 'unlock']);
+
+  await client.rpc('adjust_leave_balance', { p_user: 'u1', p_type: 'vacation', p_hours: 8, p_reason: 'Welcome' });
+  await client.rpc('adjust_leave_balance', { p_user: 'u1', p_type: 'vacation', p_hours: -2, p_reason: 'Fix' });
+  expect((await client.from('leave_balances').select('*').eq('user_id', 'u1')).data).toEqual([
+    { user_id: 'u1', type: 'vacation', balance: 6 },
+  ]);
+  expect((await client.rpc('nope')).error.code).toBe('42883');
+});
+
+test('links OAuth sign-ins to the account with the same address', async () => {
+  const client = createMockClient();
+  const { data } = await client.auth.signUp({ email: 'sam@example.com', password: 'secret1' });
+  await client.auth.signOut();
+
+  await client.auth.signInWithOAuth({ provider: 'azure', options: { queryParams: { login_hint: 'Sam@example.com' } } });
+  const { data: { session } } = await client.auth.getSession();
+  expect(session.user.id).toBe(data.user.id);
+  expect(session.user.identities.map((i) => i.provider)).toEqual(['email', 'azure']);
+  expect(session.user.user_metadata.custom_claims.tid).toBe('mock-tenant');
+  expect((await client.auth.exchangeCodeForSession('code')).data.session).toBe(session);
+
+  await client.auth.signOut();
+  await client.auth.signInWithOAuth({ provider: 'azure' });
+  expect((await client.auth.getSession()).data.session.user.email).toBe('azure.user@mock.local');
+});
+
+test('sends magic links to existing accounts and changes email and password', async () => {
+  const client = createMockClient();
+  expect((await client.auth.signInWithOtp({ email: 'nobody@example.com' })).error.message).toBe('Signups not allowed for otp');
+  expect((await client.auth.updateUser({ password: 'another' })).error.message).toBe('Auth session missing!');
+
+  await client.auth.signInWithOtp({ email: MOCK_DEMO_USER.email });
+  const { data: { session } } = await client.auth.getSession();
+  expect(session.user.email).toBe(MOCK_DEMO_USER.email);
+
+  expect((await client.auth.updateUser({ password: MOCK_DEMO_USER.password })).error.message).toMatch(/different/);
+  await client.auth.updateUser({ password: 'another' });
+  const { data } = await client.auth.updateUser({ email: 'Boss@Example.com' });
+  expect(data.user.email).toBe('boss@example.com');
+  const { data: profile } = await client.from('profiles').select('*').eq('id', session.user.id).single();
+  expect(profile.email).toBe('boss@example.com');
+
+  await client.auth.signOut();
+  expect((await client.auth.signInWithPassword({ email: 'boss@example.com', password: 'another' })).error).toBeNull();
+});
@@ -0,0 +1,122 @@
+import { createClient } from '@supabase/supabase-js';
+import { createMockClient } from './mockBackend';
+
+/**
+ * The app's one Supabase client, shared by AuthContext (through authApi) and
+ * the service layer (services/client.js).
+ *
+ * Backends:
+ * - Supabase: REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_KEY are set
+ * - Local mock: REACT_APP_USE_MOCK_BACKEND=true; auth and data live in
+ *   localStorage (lib/mockBackend), so the app runs without a Supabase project
+ * - Neither: supabase is null, services report 'feature_disabled' and authApi
+ *   resolves with a "not configured" error
+ *
+ * authApi methods never throw; they resolve to { data, error } like supabase-js.
+ */
+
+const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
+const SUPABASE_KEY = process.env.REACT_APP_SUPABASE_KEY;
+
+// PUBLIC_INTERFACE
+export const isMockBackend = (process.env.REACT_APP_USE_MOCK_BACKEND || 'false').toLowerCase() === 'true';
+
+let supabase = null;
+if (isMockBackend) {
+  supabase = createMockClient();
+} else if (SUPABASE_URL && SUPABASE_KEY) {
+  try {
+    supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+  } catch {
+    supabase = null;
+  }
+}
+
+export { supabase };
+
+const notConfigured = () => {
+  const e = new Error('Sign-in is not configured. Set the Supabase env vars or REACT_APP_USE_MOCK_BACKEND=true.');
+  e.code = 'client_unavailable';
+  return e;
+};
+
+// Run an auth call, turning a missing client or a thrown error into { data, error }
+const call = async (fn, fallback = null) => {
+  if (!supabase) return { data: fallback, error: notConfigured() };
+  try {
+    const res = await fn(supabase.auth);
+    return { data: res?.data ?? fallback, error: res?.error ?? null };
+  } catch (e) {
+    return { data: fallback, error: e instanceof Error ? e : new Error(String(e)) };
+  }
+};
+
+// PUBLIC_INTERFACE
+export const authApi = {
+  getSession() {
+    /** The current session: { data: { session } } (session is null when signed out). */
+    if (!supabase) return Promise.resolve({ data: { session: null }, error: null });
+    return call((auth) => auth.getSession(), { session: null });
+  },
+
+  onAuthStateChange(callback) {
+    /** Subscribe to sign-in/out and token events; returns { data: { subscription } } (unsubscribe()). */
+    if (!supabase) return { data: { subscription: { unsubscribe: () => {} } } };
+    return supabase.auth.onAuthStateChange(callback);
+  },
+
+  signInWithPassword(email, password) {
+    /** Email/password sign-in; data is { user, session }. */
+    return call((auth) => auth.signInWithPassword({ email, password }));
+  },
+
+  signUpWithPassword(email, password, { redirectTo } = {}) {
+    /** Create an email/password account; session is null until the email is confirmed (when required). */
+    return call((auth) => auth.signUp({ email, password, options: redirectTo ? { emailRedirectTo: redirectTo } : undefined }));
+  },
+
+  signOut() {
+    /** End the session on this device. */
+    return call((auth) => auth.signOut());
+  },
+
+  resetPassword(email, { redirectTo } = {}) {
+    /** Send a password reset email that links back to redirectTo. */
+    return call((auth) => auth.resetPasswordForEmail(email, redirectTo ? { redirectTo } : undefined));
+  },
+
+  sendMagicLink(email, { redirectTo } = {}) {
+    /** Email a one-time sign-in link to an existing account (no new accounts are created). */
+    return call((auth) =>
+      auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo, shouldCreateUser: false } })
+    );
+  },
+
+  updatePassword(password) {
+    /** Set a new password for the signed-in user (also after following a reset link). */
+    return call((auth) => auth.updateUser({ password }));
+  },
+
+  updateEmail(email, { redirectTo } = {}) {
+    /** Start an email change; it takes effect once confirmed from the link(s) Supabase sends. */
+    return call((auth) => auth.updateUser({ email }, redirectTo ? { emailRedirectTo: redirectTo } : undefined));
+  },
+
+  signInWithOAuth(provider, { redirectTo, scopes, queryParams } = {}) {
+    /**
+     * Start an OAuth sign-in (e.g. 'azure'); Supabase redirects the browser to the provider
+     * and back to redirectTo. data.url is null when the mock backend signs in on the spot.
+     */
+    return call((auth) => auth.signInWithOAuth({ provider, options: { redirectTo, scopes, queryParams } }));
+  },
+
+  exchangeCodeForSession(code) {
+    /** Finish a PKCE redirect whose ?code= was not already picked up when the client loaded. */
+    return call((auth) => auth.exchangeCodeForSession(code));
+  },
+
+  linkIdentity(provider, { redirectTo, scopes, queryParams } = {}) {
+    /** Add an OAuth identity to the signed-in account (needs manual linking enabled in Supabase). */
+    return call((auth) => auth.linkIdentity({ provider, options: { redirectTo, scopes, queryParams } }));
+  },
+};
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import AppHeader from '../components/AppHeader';
+import { authCallbackPath } from '../utils/authRedirect';
+import { MIN_PASSWORD_LENGTH, emailError, newPasswordError } from '../utils/credentials';
+
+/**
+ * Account (/account): the signed-in user's sign-in details.
+ * - Email: changes go through Supabase's confirmation emails (links return to
+ *   /auth/callback?next=/account); a pending address is shown until confirmed
+ * - Password: set a new one (also adds password sign-in to SSO-only accounts)
+ * - Sign-in methods: linked identities, and linking Microsoft when SSO is enabled
+ */
+
+const PROVIDER_LABELS = { email: 'Email and password', azure: 'Microsoft' };
+
+// PUBLIC_INTERFACE
+export default function Account() {
+  const { user, updateEmail, updatePassword, linkIdentity, featureFlags } = useAuth();
+
+  const [newEmail, setNewEmail] = useState('');
+  const [emailMessage, setEmailMessage] = useState(null); // { kind: 'error' | 'ok', text }
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState(null);
+  const [linkMessage, setLinkMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const providers = [...new Set((user?.identities || []).map((i) => i.provider))];
+  const hasPassword = providers.includes('email');
+  const callbackUrl = `${window.location.origin}${authCallbackPath('/account')}`;
+
+  const onChangeEmail = async (e) => {
+    e.preventDefault();
+    const invalid = emailError(newEmail);
+    if (invalid || newEmail.trim().toLowerCase() === user?.email) {
+      setEmailMessage({ kind: 'error', text: invalid || 'That is already your email address.' });
+      return;
+    }
+    setBusy(true);
+    const { data, error } = await updateEmail(newEmail.trim(), { redirectTo: callbackUrl });
+    setBusy(false);
+    if (error) {
+      setEmailMessage({ kind: 'error', text: error.message || 'Could not change your email.' });
+      return;
+    }
+    setNewEmail('');
+    setEmailMessage({
+      kind: 'ok',
+      text: data?.user?.new_email
+        ? `We sent confirmation links to ${data.user.new_email} (and your current address, if the project asks for both). Your email changes once they are opened.`
+        : `Your email is now ${data?.user?.email || newEmail.trim()}.`,
+    });
+  };
+
+  const onChangePassword = async (e) => {
+    e.preventDefault();
+    const invalid = newPasswordError(password, confirm);
+    if (invalid) {
+      setPasswordMessage({ kind: 'error', text: invalid });
+      return;
+    }
+    setBusy(true);
+    const { error } = await updatePassword(password);
+    setBusy(false);
+    if (error) {
+      setPasswordMessage({ kind: 'error', text: error.message || 'Could not change your password.' });
+      return;
+    }
+    setPassword('');
+    setConfirm('');
+    setPasswordMessage({ kind: 'ok', text: hasPassword ? 'Password changed.' : 'Password set. You can now also sign in with your email.' });
+  };
+
+  const onLinkMicrosoft = async () => {
+    setBusy(true);
+    const { data, error } = await linkIdentity('azure', { redirectTo: callbackUrl, scopes: 'openid profile email' });
+    setBusy(false);
+    if (error) {
+      setLinkMessage({ kind: 'error', text: error.message || 'Could not link your Microsoft account.' });
+      return;
+    }
+    // Supabase is taking the browser to Microsoft; the mock backend links on the spot
+    if (!data?.url) setLinkMessage({ kind: 'ok', text: 'Microsoft account linked.' });
+  };
+
+  const message = (m) =>
+    m && (
+      <div role={m.kind === 'error' ? 'alert' : 'status'} style={m.kind === 'error' ? styles.alert : styles.ok}>
+        {m.text}
+      </div>
+    );
+
+  return (
+    <div>
+      <AppHeader active="/account" />
+
+      <div className="page" style={{ display: 'grid', gap: 16, maxWidth: 720 }}>
+        <section className="card" aria-label="Email">
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>Email</div>
+          </div>
+          <div className="card--body" style={{ display: 'grid', gap: 12 }}>
+            <div>
+              Signed in as <strong>{user?.email}</strong>
+            </div>
+            {user?.new_email && (
+              <div style={styles.notice}>
+                Waiting for confirmation of {user.new_email}. Open the link we sent to finish the change.
+              </div>
+            )}
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }} onSubmit={onChangeEmail} aria-label="Change email">
+              <div style={{ flex: 1, minWidth: 240 }}>
+                <label className="label" htmlFor="account-email">New email</label>
+                <input
+                  id="account-email"
+                  className="input"
+                  type="email"
+                  autoComplete="email"
+                  value={newEmail}
+                  onChange={(e) => setNewEmail(e.target.value)}
+                />
+              </div>
+              <button className="btn btn--primary btn--sm" type="submit" disabled={busy || !newEmail.trim()}>
+                Change email
+              </button>
+            </form>
+            {message(emailMessage)}
+          </div>
+        </section>
+
+        <section className="card" aria-label="Password">
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>Password</div>
+          </div>
+          <div className="card--body" style={{ display: 'grid', gap: 12 }}>
+            {!hasPassword && (
+              <div className="helper" style={{ marginTop: 0 }}>
+                You sign in with {providers.map((p) => PROVIDER_LABELS[p] || p).join(', ') || 'a link'}. Setting a password
+                lets you sign in with your email too.
+              </div>
+            )}
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }} onSubmit={onChangePassword} aria-label="Change password">
+              <div>
+                <label className="label" htmlFor="account-password">New password</label>
+                <input
+                  id="account-password"
+                  className="input"
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={MIN_PASSWORD_LENGTH}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  style={{ width: 220 }}
+                />
+              </div>
+              <div>
+                <label className="label" htmlFor="account-password-confirm">Confirm</label>
+                <input
+                  id="account-password-confirm"
+                  className="input"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirm}
+                  onChange={(e) => setConfirm(e.target.value)}
+                  style={{ width: 220 }}
+                />
+              </div>
+              <button className="btn btn--primary btn--sm" type="submit" disabled={busy || !password}>
+                {hasPassword ? 'Change password' : 'Set password'}
+              </button>
+            </form>
+            {message(passwordMessage)}
+          </div>
+        </section>
+
+        <section className="card" aria-label="Sign-in methods">
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>Sign-in methods</div>
+          </div>
+          <div className="card--body" style={{ display: 'grid', gap: 8 }}>
+            {providers.length === 0 && <div style={styles.notice}>No sign-in methods are listed for this account.</div>}
+            {providers.map((p) => (
+              <div key={p} style={styles.row}>
+                {PROVIDER_LABELS[p] || p}
+              </div>
+            ))}
+            {featureFlags.enableMicrosoftSSO && !providers.includes('azure') && (
+              <div>
+                <button className="btn btn--outline btn--sm" type="button" onClick={onLinkMicrosoft} disabled={busy}>
+                  Link Microsoft account
+                </button>
+              </div>
+            )}
+            {message(linkMessage)}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  ok: {
+    padding: 12,
+    background: '#ECFDF5',
+    border: '1px solid #A7F3D0',
+    borderRadius: 'var(--radius-md)',
+    color: '#065F46',
+  },
+  row: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+};
@@ -0,0 +1,389 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { deleteHoliday, listHolidays, saveHolidays } from '../services/holidays';
+import { listWorkSchedules, saveWorkSchedule } from '../services/workSchedules';
+import { listProfiles } from '../services/profiles';
+import AppHeader from '../components/AppHeader';
+import { parseICS } from '../utils/icsCalendar';
+import { DEFAULT_REGION, WEEKDAY_LABELS, defaultSchedule, describeSchedule } from '../utils/workSchedule';
+import { readWorkStandard } from '../utils/timesheetStats';
+
+/**
+ * Admin: Holidays and work schedules (/admin/calendar)
+ * - A holiday calendar per region: add holidays or import them from an .ics file
+ * - Each person's work schedule (hours per weekday) and the region whose holidays they follow
+ * Together they set the hours expected of everyone on each day (see utils/workSchedule).
+ */
+
+// PUBLIC_INTERFACE
+export default function AdminCalendar() {
+  const { user } = useAuth();
+
+  const [holidays, setHolidays] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [holidayDate, setHolidayDate] = useState('');
+  const [holidayName, setHolidayName] = useState('');
+  const [imported, setImported] = useState(null); // { fileName, holidays, recurring } awaiting confirmation
+
+  const [editing, setEditing] = useState(null); // { userId, region, hours: [7 strings] }
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLoading(true);
+      setLoadError('');
+      const [holidaysRes, schedulesRes, peopleRes] = await Promise.all([
+        listHolidays(),
+        listWorkSchedules(),
+        listProfiles(),
+      ]);
+      if (!mounted) return;
+      const error = holidaysRes.error || schedulesRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load holidays and schedules'));
+      }
+      setHolidays(holidaysRes.data || []);
+      setSchedules(schedulesRes.data || []);
+      setPeople(peopleRes.data || []);
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const regions = [...new Set([DEFAULT_REGION, ...holidays.map((h) => h.region), ...schedules.map((s) => s.region)])].sort();
+  const regionHolidays = holidays.filter((h) => h.region === region);
+  const fallback = defaultSchedule(readWorkStandard());
+  const scheduleOf = (userId) => schedules.find((s) => s.user_id === userId) || null;
+
+  const mergeHolidays = (saved) => {
+    setHolidays((prev) => {
+      const key = (h) => `${h.region}:${h.date}`;
+      const replaced = new Set(saved.map(key));
+      return [...prev.filter((h) => !replaced.has(key(h))), ...saved].sort((a, b) => a.date.localeCompare(b.date));
+    });
+  };
+
+  const onAddHoliday = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await saveHolidays({ region, holidays: [{ date: holidayDate, name: holidayName }] });
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to add the holiday');
+      return;
+    }
+    mergeHolidays(data);
+    setHolidayDate('');
+    setHolidayName('');
+  };
+
+  const onPickFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setActionError('');
+    try {
+      const parsed = parseICS(await file.text());
+      if (parsed.holidays.length === 0) {
+        setImported(null);
+        setActionError(`No events with dates were found in ${file.name}.`);
+        return;
+      }
+      setImported({ fileName: file.name, ...parsed });
+    } catch (err) {
+      setImported(null);
+      setActionError(err?.message || 'Failed to read the file');
+    }
+  };
+
+  const onImport = async () => {
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await saveHolidays({ region, holidays: imported.holidays });
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to import the holidays');
+      return;
+    }
+    mergeHolidays(data);
+    setImported(null);
+  };
+
+  const onDeleteHoliday = async (id) => {
+    setActionError('');
+    const backup = holidays;
+    setHolidays((prev) => prev.filter((h) => h.id !== id));
+    const { error } = await deleteHoliday(id);
+    if (error) {
+      setHolidays(backup);
+      setActionError(error.message || 'Failed to delete the holiday');
+    }
+  };
+
+  const onEditSchedule = (userId) => {
+    const current = scheduleOf(userId) || fallback;
+    setActionError('');
+    setEditing({ userId, region: current.region, hours: current.hours.map(String) });
+  };
+
+  const onSaveSchedule = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await saveWorkSchedule(editing);
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to save the schedule');
+      return;
+    }
+    setSchedules((prev) => [...prev.filter((s) => s.user_id !== data.user_id), data]);
+    setEditing(null);
+  };
+
+  return (
+    <div>
+      <AppHeader active="/admin/calendar" />
+
+      <div className="page">
+        {actionError && <div role="alert" style={{ ...styles.alert, marginBottom: 16 }}>{actionError}</div>}
+
+        <section className="card" aria-label="Holiday calendar">
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Holiday calendar
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                No hours are expected on holidays, and leave ranges skip them. Each person follows their schedule&apos;s region.
+              </div>
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 12 }}>
+            <div className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+              <div>
+                <label className="label" htmlFor="holiday-region">Region</label>
+                <input
+                  id="holiday-region"
+                  className="input"
+                  list="holiday-regions"
+                  value={region}
+                  onChange={(e) => { setRegion(e.target.value); setImported(null); }}
+                  placeholder="e.g. de-by"
+                  style={{ width: 160 }}
+                />
+                <datalist id="holiday-regions">
+                  {regions.map((r) => <option key={r} value={r} />)}
+                </datalist>
+              </div>
+              <div>
+                <label className="label" htmlFor="holiday-import">Import .ics</label>
+                <input
+                  id="holiday-import"
+                  className="input"
+                  type="file"
+                  accept=".ics,text/calendar"
+                  onChange={onPickFile}
+                  style={{ width: 240 }}
+                />
+              </div>
+            </div>
+
+            {imported && (
+              <div style={styles.row} aria-live="polite">
+                <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                  {imported.holidays.length} holidays in {imported.fileName} ({imported.holidays[0].date} –{' '}
+                  {imported.holidays[imported.holidays.length - 1].date})
+                </div>
+                {imported.recurring > 0 && (
+                  <div className="helper" style={{ color: 'var(--accent-warn)' }}>
+                    {imported.recurring} recurring {imported.recurring === 1 ? 'event is' : 'events are'} imported for the first date only.
+                  </div>
+                )}
+                <div className="cluster" style={{ gap: 8, marginTop: 8 }}>
+                  <button className="btn btn--primary btn--sm" type="button" onClick={onImport} disabled={busy || !region.trim()}>
+                    Import into {region || '—'}
+                  </button>
+                  <button className="btn btn--outline btn--sm" type="button" onClick={() => setImported(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }} onSubmit={onAddHoliday} aria-label="Add a holiday">
+              <div>
+                <label className="label" htmlFor="holiday-date">Date</label>
+                <input
+                  id="holiday-date"
+                  className="input"
+                  type="date"
+                  value={holidayDate}
+                  onChange={(e) => setHolidayDate(e.target.value)}
+                  style={{ width: 160 }}
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: 200 }}>
+                <label className="label" htmlFor="holiday-name">Name</label>
+                <input
+                  id="holiday-name"
+                  className="input"
+                  placeholder="e.g. Labour Day"
+                  value={holidayName}
+                  onChange={(e) => setHolidayName(e.target.value)}
+                  maxLength={120}
+                />
+              </div>
+              <button
+                className="btn btn--primary btn--sm"
+                type="submit"
+                disabled={busy || !region.trim() || !holidayDate || !holidayName.trim()}
+              >
+                Add holiday
+              </button>
+            </form>
+
+            {loading && <div style={styles.notice}>Loading holidays…</div>}
+            {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+            {!loading && !loadError && regionHolidays.length === 0 && (
+              <div style={styles.notice}>No holidays in {region || 'this region'} yet.</div>
+            )}
+            {!loading && !loadError && regionHolidays.length > 0 && (
+              <div style={{ display: 'grid', gap: 6, maxHeight: 320, overflow: 'auto' }}>
+                {regionHolidays.map((h) => (
+                  <div key={h.id} style={{ ...styles.row, display: 'flex', alignItems: 'center', gap: 12 }}>
+                    <span style={{ fontWeight: 700, color: 'var(--text-strong)', minWidth: 100 }}>{h.date}</span>
+                    <span style={{ flex: 1 }}>{h.name}</span>
+                    <button
+                      className="btn btn--outline btn--sm"
+                      type="button"
+                      onClick={() => onDeleteHoliday(h.id)}
+                      aria-label={`Delete ${h.name} on ${h.date}`}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </section>
+
+        <section className="card" aria-label="Work schedules" style={{ marginTop: 16 }}>
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Work schedules
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                Hours expected on each weekday. Without a schedule: {describeSchedule(fallback.hours)}, {DEFAULT_REGION} holidays.
+              </div>
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 8 }}>
+            {!loading && people.length === 0 && <div style={styles.notice}>No people yet.</div>}
+            {people.map((person) => {
+              const saved = scheduleOf(person.id);
+              const isEditing = editing?.userId === person.id;
+              return (
+                <div key={person.id} style={styles.row}>
+                  <div className="cluster" style={{ justifyContent: 'space-between', gap: 8 }}>
+                    <div>
+                      <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>{person.email || person.id}</div>
+                      <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                        {saved ? `${describeSchedule(saved.hours)} · ${saved.region} holidays` : 'Default schedule'}
+                      </div>
+                    </div>
+                    {!isEditing && (
+                      <button className="btn btn--outline btn--sm" type="button" onClick={() => onEditSchedule(person.id)}>
+                        Edit
+                      </button>
+                    )}
+                  </div>
+                  {isEditing && (
+                    <form onSubmit={onSaveSchedule} aria-label={`Schedule of ${person.email || person.id}`} style={{ marginTop: 8 }}>
+                      <div className="cluster" style={{ gap: 6, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                        {WEEKDAY_LABELS.map((label, i) => (
+                          <div key={label}>
+                            <label className="label" htmlFor={`schedule-${i}`}>{label}</label>
+                            <input
+                              id={`schedule-${i}`}
+                              className="input"
+                              type="number"
+                              inputMode="decimal"
+                              min="0"
+                              max="24"
+                              step="0.25"
+                              value={editing.hours[i]}
+                              onChange={(e) => {
+                                const v = e.target.value;
+                                setEditing((prev) => ({ ...prev, hours: prev.hours.map((h, j) => (j === i ? v : h)) }));
+                              }}
+                              style={{ width: 64 }}
+                            />
+                          </div>
+                        ))}
+                        <div>
+                          <label className="label" htmlFor="schedule-region">Holidays of</label>
+                          <input
+                            id="schedule-region"
+                            className="input"
+                            list="holiday-regions"
+                            value={editing.region}
+                            onChange={(e) => setEditing((prev) => ({ ...prev, region: e.target.value }))}
+                            style={{ width: 120 }}
+                          />
+                        </div>
+                        <button className="btn btn--primary btn--sm" type="submit" disabled={busy}>
+                          Save
+                        </button>
+                        <button className="btn btn--outline btn--sm" type="button" onClick={() => setEditing(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  row: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+};
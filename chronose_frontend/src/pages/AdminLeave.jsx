@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { adjustLeaveBalance, listLeaveBalances, listLeaveLedger, listLeavePolicies } from '../services/leaveBalances';
+import { listProfiles } from '../services/profiles';
+import AppHeader from '../components/AppHeader';
+import { formatHours } from '../utils/preferences';
+import { LEAVE_TYPE_LABELS, LEDGER_KIND_LABELS, balanceFor, describeLeavePolicy } from '../utils/leaveBalances';
+
+/**
+ * Admin: Leave balances (/admin/leave)
+ * - Everyone's balance per tracked leave type, with the accrual policy of each type
+ * - Adjust a balance up or down with a required reason
+ * - Latest adjustments
+ */
+
+// PUBLIC_INTERFACE
+export default function AdminLeave() {
+  const { user, preferences } = useAuth();
+  const fmtHours = (h) => formatHours(h, preferences.hourFormat);
+
+  const [policies, setPolicies] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [adjustments, setAdjustments] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [personId, setPersonId] = useState('');
+  const [leaveType, setLeaveType] = useState('');
+  const [hours, setHours] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLoading(true);
+      setLoadError('');
+      const [policiesRes, balancesRes, ledgerRes, peopleRes] = await Promise.all([
+        listLeavePolicies(),
+        listLeaveBalances(),
+        listLeaveLedger({ kinds: ['adjustment'] }),
+        listProfiles(),
+      ]);
+      if (!mounted) return;
+      const error = policiesRes.error || balancesRes.error || ledgerRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load leave balances'));
+      }
+      setPolicies(policiesRes.data || []);
+      setBalances(balancesRes.data || []);
+      setAdjustments(ledgerRes.data || []);
+      setPeople(peopleRes.data || []);
+      setLeaveType((prev) => prev || policiesRes.data?.[0]?.type || '');
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const personLabel = (id) => people.find((p) => p.id === id)?.email || id || '—';
+  const typeLabel = (t) => LEAVE_TYPE_LABELS[t] || t;
+  const balanceOf = (userId, type) => balanceFor(balances.filter((b) => b.user_id === userId), type, policies);
+
+  const onAdjust = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await adjustLeaveBalance({ userId: personId, type: leaveType, hours, reason });
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to adjust the balance');
+      return;
+    }
+    setBalances((prev) => {
+      const found = prev.some((b) => b.user_id === data.user_id && b.type === data.type);
+      return found
+        ? prev.map((b) => (b.user_id === data.user_id && b.type === data.type ? { ...b, balance: b.balance + data.hours } : b))
+        : [...prev, { user_id: data.user_id, type: data.type, balance: data.hours }];
+    });
+    setAdjustments((prev) => [data, ...prev]);
+    setHours('');
+    setReason('');
+  };
+
+  return (
+    <div>
+      <AppHeader active="/admin/leave" />
+
+      <div className="page">
+        <section className="card" aria-label="Leave balances">
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Leave balances
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                Balances accrue by policy and drop when leave is approved. Adjustments need a reason.
+              </div>
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 12 }}>
+            {policies.length > 0 && (
+              <div style={{ display: 'grid', gap: 4, fontSize: 13 }}>
+                {policies.map((p) => (
+                  <div key={p.type}>
+                    <strong>{typeLabel(p.type)}</strong>
+                    <span style={{ color: 'var(--text-secondary)' }}> — {describeLeavePolicy(p)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }} onSubmit={onAdjust} aria-label="Adjust a balance">
+              <div>
+                <label className="label" htmlFor="adjust-person">Person</label>
+                <select id="adjust-person" className="select" value={personId} onChange={(e) => setPersonId(e.target.value)}>
+                  <option value="">Choose…</option>
+                  {people.map((p) => (
+                    <option key={p.id} value={p.id}>{p.email || p.id}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label" htmlFor="adjust-type">Leave type</label>
+                <select id="adjust-type" className="select" value={leaveType} onChange={(e) => setLeaveType(e.target.value)}>
+                  {policies.map((p) => (
+                    <option key={p.type} value={p.type}>{typeLabel(p.type)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label" htmlFor="adjust-hours">Hours (+/−)</label>
+                <input
+                  id="adjust-hours"
+                  className="input"
+                  type="number"
+                  inputMode="decimal"
+                  step="0.25"
+                  placeholder="e.g. 8 or -4"
+                  value={hours}
+                  onChange={(e) => setHours(e.target.value)}
+                  style={{ width: 120 }}
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: 200 }}>
+                <label className="label" htmlFor="adjust-reason">Reason</label>
+                <input
+                  id="adjust-reason"
+                  className="input"
+                  placeholder="Required, kept with the adjustment"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={300}
+                />
+              </div>
+              <button
+                className="btn btn--primary btn--sm"
+                type="submit"
+                disabled={busy || !personId || !leaveType || !Number(hours) || !reason.trim()}
+              >
+                Adjust
+              </button>
+            </form>
+            {personId && leaveType && (
+              <div className="helper">
+                Current {typeLabel(leaveType).toLowerCase()} balance of {personLabel(personId)}:{' '}
+                {fmtHours(balanceOf(personId, leaveType) || 0)}
+              </div>
+            )}
+
+            {actionError && <div role="alert" style={styles.alert}>{actionError}</div>}
+            {loading && <div style={styles.notice}>Loading balances…</div>}
+            {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+            {!loading && !loadError && policies.length === 0 && (
+              <div style={styles.notice}>No leave policies yet. Add rows to leave_policies to track balances.</div>
+            )}
+
+            {!loading && !loadError && policies.length > 0 && (
+              <div style={{ overflow: 'auto' }}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Person</th>
+                      {policies.map((p) => (
+                        <th key={p.type} style={{ ...styles.th, textAlign: 'right' }}>{typeLabel(p.type)}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {people.map((person) => (
+                      <tr key={person.id}>
+                        <td style={styles.td}>{person.email || person.id}</td>
+                        {policies.map((p) => {
+                          const value = balanceOf(person.id, p.type) || 0;
+                          return (
+                            <td
+                              key={p.type}
+                              style={{ ...styles.td, textAlign: 'right', color: value < 0 ? 'var(--error)' : undefined }}
+                            >
+                              {fmtHours(value)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </section>
+
+        <section className="card" aria-label="Balance adjustments" style={{ marginTop: 16 }}>
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+              Adjustments
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 8 }}>
+            {adjustments.length === 0 && <div style={styles.notice}>No adjustments yet.</div>}
+            {adjustments.map((a) => (
+              <div key={a.id} style={styles.row}>
+                <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                  {a.hours > 0 ? '+' : ''}{fmtHours(a.hours)} {typeLabel(a.type).toLowerCase()} for {personLabel(a.user_id)}
+                  <span style={{ fontSize: 12, color: 'var(--text-secondary)', fontWeight: 500, marginLeft: 8 }}>
+                    {LEDGER_KIND_LABELS[a.kind] || a.kind}
+                  </span>
+                </div>
+                <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                  {personLabel(a.created_by)} • {a.created_at ? new Date(a.created_at).toLocaleString() : ''}
+                </div>
+                {a.reason && <div style={{ fontSize: 13, marginTop: 4 }}>Reason: {a.reason}</div>}
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  row: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    fontSize: 13,
+  },
+  th: {
+    textAlign: 'left',
+    padding: '8px 12px',
+    borderBottom: '1px solid var(--border)',
+    color: 'var(--text-secondary)',
+    fontWeight: 700,
+  },
+  td: {
+    padding: '8px 12px',
+    borderBottom: '1px solid var(--divider)',
+  },
+};
@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { listLockedPeriods, listPeriodAudit, lockPeriod, unlockPeriod } from '../services/periods';
+import { listProfiles } from '../services/profiles';
+import AppHeader from '../components/AppHeader';
+import { toISO } from '../utils/dates';
+import { PERIOD_TYPE_LABELS, payPeriodFor, previousPayPeriod, readPayPeriodAnchor } from '../utils/payPeriods';
+
+/**
+ * Admin: Pay periods (/admin/periods)
+ * - Close a weekly, bi-weekly or monthly pay period once payroll has run;
+ *   time entries dated inside it can then no longer be added, changed or deleted
+ * - Reopen a closed period with a required reason
+ * - Audit log of every close and reopen
+ */
+
+const ANCHOR = readPayPeriodAnchor();
+
+// PUBLIC_INTERFACE
+export default function AdminPeriods() {
+  const { user } = useAuth();
+
+  const [periods, setPeriods] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [periodType, setPeriodType] = useState('monthly');
+  const [dayInPeriod, setDayInPeriod] = useState(() => previousPayPeriod('monthly', toISO(new Date()), ANCHOR).start_date);
+  const [unlockingId, setUnlockingId] = useState(null);
+  const [unlockReason, setUnlockReason] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLoading(true);
+      setLoadError('');
+      const [periodsRes, auditRes, peopleRes] = await Promise.all([listLockedPeriods(), listPeriodAudit(), listProfiles()]);
+      if (!mounted) return;
+      const error = periodsRes.error || auditRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load pay periods'));
+      }
+      setPeriods(periodsRes.data || []);
+      setAudit(auditRes.data || []);
+      setPeople(peopleRes.data || []);
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const selected = dayInPeriod ? payPeriodFor(periodType, dayInPeriod, ANCHOR) : null;
+  const overlaps = selected
+    ? periods.some((p) => p.start_date <= selected.end_date && p.end_date >= selected.start_date)
+    : false;
+
+  const personLabel = (id) => people.find((p) => p.id === id)?.email || id || '—';
+  const rangeLabel = (p) => `${p.start_date} – ${p.end_date}`;
+
+  const refreshAudit = async () => {
+    const { data } = await listPeriodAudit();
+    if (data) setAudit(data);
+  };
+
+  const onChangeType = (type) => {
+    setPeriodType(type);
+    setDayInPeriod(previousPayPeriod(type, toISO(new Date()), ANCHOR).start_date);
+  };
+
+  const onLock = async (e) => {
+    e.preventDefault();
+    if (!selected || overlaps) return;
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await lockPeriod(selected);
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to close the period');
+      return;
+    }
+    setPeriods((prev) => [...prev, data].sort((a, b) => a.start_date.localeCompare(b.start_date)));
+    refreshAudit();
+  };
+
+  const onUnlock = async (e, period) => {
+    e.preventDefault();
+    setBusy(true);
+    setActionError('');
+    const { error } = await unlockPeriod(period.id, unlockReason);
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'Failed to reopen the period');
+      return;
+    }
+    setPeriods((prev) => prev.filter((p) => p.id !== period.id));
+    setUnlockingId(null);
+    setUnlockReason('');
+    refreshAudit();
+  };
+
+  return (
+    <div>
+      <AppHeader active="/admin/periods" />
+
+      <div className="page">
+        <section className="card" aria-label="Pay periods">
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Pay periods
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                Close a period once payroll has run. Nobody can add, change or delete time entries inside it.
+              </div>
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 12 }}>
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }} onSubmit={onLock} aria-label="Close a period">
+              <div>
+                <label className="label" htmlFor="period-type">Period</label>
+                <select
+                  id="period-type"
+                  className="select"
+                  value={periodType}
+                  onChange={(e) => onChangeType(e.target.value)}
+                >
+                  {Object.entries(PERIOD_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label" htmlFor="period-day">Any day in the period</label>
+                <input
+                  id="period-day"
+                  className="input"
+                  type="date"
+                  value={dayInPeriod}
+                  onChange={(e) => setDayInPeriod(e.target.value)}
+                />
+              </div>
+              <button className="btn btn--primary btn--sm" type="submit" disabled={busy || !selected || overlaps}>
+                {selected ? `Close ${rangeLabel(selected)}` : 'Close period'}
+              </button>
+              {overlaps && <span className="helper">This period overlaps one that is already closed.</span>}
+            </form>
+
+            {actionError && <div role="alert" style={styles.alert}>{actionError}</div>}
+            {loading && <div style={styles.notice}>Loading pay periods…</div>}
+            {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+            {!loading && !loadError && periods.length === 0 && <div style={styles.notice}>No closed periods yet.</div>}
+
+            {!loading && !loadError && periods.map((p) => (
+              <div key={p.id} style={styles.row}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+                  <div>
+                    <span style={{ fontWeight: 700, color: 'var(--text-strong)' }}>🔒 {rangeLabel(p)}</span>
+                    <span style={{ fontSize: 12, color: 'var(--text-secondary)', marginLeft: 8 }}>
+                      {PERIOD_TYPE_LABELS[p.period_type] || p.period_type} • closed by {personLabel(p.locked_by)}
+                    </span>
+                  </div>
+                  {unlockingId !== p.id && (
+                    <button
+                      className="btn btn--outline btn--sm"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => {
+                        setUnlockingId(p.id);
+                        setUnlockReason('');
+                      }}
+                    >
+                      Reopen…
+                    </button>
+                  )}
+                </div>
+                {unlockingId === p.id && (
+                  <form
+                    className="cluster"
+                    style={{ gap: 8, marginTop: 8 }}
+                    onSubmit={(e) => onUnlock(e, p)}
+                    aria-label={`Reopen ${rangeLabel(p)}`}
+                  >
+                    <input
+                      className="input"
+                      placeholder="Reason (required, kept in the audit log)"
+                      aria-label="Reason for reopening"
+                      value={unlockReason}
+                      onChange={(e) => setUnlockReason(e.target.value)}
+                      maxLength={300}
+                      autoFocus
+                    />
+                    <button className="btn btn--primary btn--sm" type="submit" disabled={busy || !unlockReason.trim()}>
+                      Reopen
+                    </button>
+                    <button className="btn btn--outline btn--sm" type="button" disabled={busy} onClick={() => setUnlockingId(null)}>
+                      Cancel
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <section className="card" aria-label="Pay period audit log" style={{ marginTop: 16 }}>
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+              Audit log
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 8 }}>
+            {audit.length === 0 && <div style={styles.notice}>Nothing recorded yet.</div>}
+            {audit.map((a) => (
+              <div key={a.id} style={styles.row}>
+                <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                  {a.action === 'unlock' ? 'Reopened' : 'Closed'} {rangeLabel(a)}
+                  <span style={{ fontSize: 12, color: 'var(--text-secondary)', fontWeight: 500, marginLeft: 8 }}>
+                    {PERIOD_TYPE_LABELS[a.period_type] || a.period_type}
+                  </span>
+                </div>
+                <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                  {personLabel(a.actor_id)} • {a.created_at ? new Date(a.created_at).toLocaleString() : ''}
+                </div>
+                {a.reason && <div style={{ fontSize: 13, marginTop: 4 }}>Reason: {a.reason}</div>}
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  row: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+};
@@ -0,0 +1,296 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  listProjects,
+  createProject,
+  setProjectArchived,
+  createTask,
+  setTaskArchived,
+  assignProject,
+  unassignProject,
+} from '../services/projects';
+import { listProfiles } from '../services/profiles';
+import AppHeader from '../components/AppHeader';
+
+/**
+ * Admin: Projects (/admin/projects)
+ * - Create projects and their tasks
+ * - Archive/restore projects and tasks (archived ones disappear from entry pickers)
+ * - Assign projects to users; employees only see projects assigned to them
+ */
+
+// PUBLIC_INTERFACE
+export default function AdminProjects() {
+  const { user } = useAuth();
+
+  const [projects, setProjects] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const [newProject, setNewProject] = useState({ code: '', name: '' });
+  const [newTask, setNewTask] = useState({ code: '', name: '' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLoading(true);
+      setLoadError('');
+      const [projectsRes, peopleRes] = await Promise.all([listProjects(), listProfiles()]);
+      if (!mounted) return;
+      const error = projectsRes.error || peopleRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load projects'));
+      }
+      setProjects(projectsRes.data || []);
+      setPeople(peopleRes.data || []);
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const replaceProject = (id, updater) => setProjects((prev) => prev.map((p) => (p.id === id ? updater(p) : p)));
+
+  // Runs a service call and surfaces its error; resolves to data or null
+  const run = async (fn) => {
+    setBusy(true);
+    setActionError('');
+    const { data, error } = await fn();
+    setBusy(false);
+    if (error) {
+      setActionError(error.code === '23505' ? 'That code is already in use.' : (error.message || 'Action failed'));
+      return null;
+    }
+    return data;
+  };
+
+  const onCreateProject = async (e) => {
+    e.preventDefault();
+    const data = await run(() => createProject(newProject));
+    if (!data) return;
+    setProjects((prev) => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+    setNewProject({ code: '', name: '' });
+    setExpandedId(data.id);
+  };
+
+  const onToggleProject = async (p) => {
+    const data = await run(() => setProjectArchived(p.id, !p.archived));
+    if (data) replaceProject(p.id, () => data);
+  };
+
+  const onCreateTask = async (e, p) => {
+    e.preventDefault();
+    const data = await run(() => createTask(p.id, newTask));
+    if (!data) return;
+    replaceProject(p.id, (x) => ({ ...x, tasks: [...x.tasks, data].sort((a, b) => a.name.localeCompare(b.name)) }));
+    setNewTask({ code: '', name: '' });
+  };
+
+  const onToggleTask = async (p, t) => {
+    const data = await run(() => setTaskArchived(t.id, !t.archived));
+    if (data) replaceProject(p.id, (x) => ({ ...x, tasks: x.tasks.map((y) => (y.id === t.id ? data : y)) }));
+  };
+
+  const onToggleAssignee = async (p, personId) => {
+    const assigned = p.assignees.includes(personId);
+    const data = await run(() => (assigned ? unassignProject(p.id, personId) : assignProject(p.id, personId)));
+    if (!data) return;
+    replaceProject(p.id, (x) => ({
+      ...x,
+      assignees: assigned ? x.assignees.filter((id) => id !== personId) : [...x.assignees, personId],
+    }));
+  };
+
+  const visible = projects.filter((p) => showArchived || !p.archived);
+
+  return (
+    <div>
+      <AppHeader active="/admin/projects" />
+
+      <div className="page">
+        <section className="card" aria-label="Projects">
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Projects
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                Employees can only log time to active projects assigned to them.
+              </div>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: 'var(--on-dark)' }}>
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Show archived
+            </label>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 12 }}>
+            <form className="cluster" style={{ gap: 8, flexWrap: 'wrap' }} onSubmit={onCreateProject} aria-label="New project">
+              <input
+                className="input"
+                style={{ maxWidth: 160 }}
+                placeholder="Code (e.g. chronose)"
+                aria-label="Project code"
+                value={newProject.code}
+                onChange={(e) => setNewProject((v) => ({ ...v, code: e.target.value }))}
+              />
+              <input
+                className="input"
+                style={{ maxWidth: 260 }}
+                placeholder="Name"
+                aria-label="Project name"
+                value={newProject.name}
+                onChange={(e) => setNewProject((v) => ({ ...v, name: e.target.value }))}
+              />
+              <button
+                className="btn btn--primary btn--sm"
+                type="submit"
+                disabled={busy || !newProject.code.trim() || !newProject.name.trim()}
+              >
+                Add Project
+              </button>
+            </form>
+
+            {actionError && <div role="alert" style={styles.alert}>{actionError}</div>}
+            {loading && <div style={styles.notice}>Loading projects…</div>}
+            {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+            {!loading && !loadError && visible.length === 0 && <div style={styles.notice}>No projects yet.</div>}
+
+            {!loading && !loadError && visible.map((p) => {
+              const expanded = expandedId === p.id;
+              return (
+                <div key={p.id} style={styles.row}>
+                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setExpandedId(expanded ? null : p.id);
+                        setNewTask({ code: '', name: '' });
+                      }}
+                      aria-expanded={expanded}
+                      style={styles.rowToggle}
+                    >
+                      <span style={{ fontWeight: 700, color: 'var(--text-strong)' }}>{p.name}</span>
+                      <span style={{ fontSize: 12, color: 'var(--text-secondary)', marginLeft: 8 }}>
+                        {p.code} • {p.tasks.filter((t) => !t.archived).length} tasks • {p.assignees.length} assigned
+                      </span>
+                      {p.archived && <span className="chip" style={{ marginLeft: 8 }}>Archived</span>}
+                    </button>
+                    <button className="btn btn--outline btn--sm" type="button" disabled={busy} onClick={() => onToggleProject(p)}>
+                      {p.archived ? 'Restore' : 'Archive'}
+                    </button>
+                  </div>
+
+                  {expanded && (
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginTop: 12 }}>
+                      <div style={{ display: 'grid', gap: 8, alignContent: 'start' }}>
+                        <div style={styles.head}>Tasks</div>
+                        {p.tasks.length === 0 && <div className="helper">No tasks yet.</div>}
+                        {p.tasks.map((t) => (
+                          <div key={t.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+                            <span style={{ color: t.archived ? 'var(--text-secondary)' : 'var(--text-strong)' }}>
+                              {t.name} <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>({t.code})</span>
+                              {t.archived && ' — archived'}
+                            </span>
+                            <button className="btn btn--outline btn--sm" type="button" disabled={busy} onClick={() => onToggleTask(p, t)}>
+                              {t.archived ? 'Restore' : 'Archive'}
+                            </button>
+                          </div>
+                        ))}
+                        <form className="cluster" style={{ gap: 8 }} onSubmit={(e) => onCreateTask(e, p)} aria-label={`New task for ${p.name}`}>
+                          <input
+                            className="input"
+                            placeholder="Code"
+                            aria-label="Task code"
+                            value={newTask.code}
+                            onChange={(e) => setNewTask((v) => ({ ...v, code: e.target.value }))}
+                          />
+                          <input
+                            className="input"
+                            placeholder="Name"
+                            aria-label="Task name"
+                            value={newTask.name}
+                            onChange={(e) => setNewTask((v) => ({ ...v, name: e.target.value }))}
+                          />
+                          <button
+                            className="btn btn--primary btn--sm"
+                            type="submit"
+                            disabled={busy || !newTask.code.trim() || !newTask.name.trim()}
+                          >
+                            Add
+                          </button>
+                        </form>
+                      </div>
+
+                      <div style={{ display: 'grid', gap: 6, alignContent: 'start' }}>
+                        <div style={styles.head}>Assigned users</div>
+                        {people.length === 0 && <div className="helper">No users found.</div>}
+                        {people.map((person) => (
+                          <label key={person.id} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 14 }}>
+                            <input
+                              type="checkbox"
+                              checked={p.assignees.includes(person.id)}
+                              disabled={busy}
+                              onChange={() => onToggleAssignee(p, person.id)}
+                            />
+                            {person.email || person.id}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  row: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+    padding: '10px 12px',
+  },
+  rowToggle: {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    textAlign: 'left',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  head: {
+    fontSize: 12,
+    fontWeight: 700,
+    color: 'var(--text-secondary)',
+  },
+};
@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { linkErrorMessage, readAuthCallback, tenantError } from '../utils/authRedirect';
+
+/**
+ * Landing page for OAuth, magic link and email change redirects (/auth/callback?next=...).
+ * supabase-js usually picks up the session from the URL while the client loads;
+ * if a PKCE ?code= is still pending it is exchanged here. Microsoft sign-ins
+ * from a tenant outside REACT_APP_MICROSOFT_TENANT_ID are signed out again.
+ * On success the user goes on to `next`; on failure the provider's message is shown.
+ */
+
+// PUBLIC_INTERFACE
+export default function AuthCallback() {
+  const { user, initializing, signOut, exchangeCodeForSession, featureFlags } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const callback = useMemo(() => readAuthCallback(location.search, location.hash), [location.search, location.hash]);
+
+  const [error, setError] = useState(() => linkErrorMessage(callback));
+  const [exchanging, setExchanging] = useState(false);
+  const triedCode = useRef(false);
+
+  useEffect(() => {
+    if (initializing || error) return;
+    if (user) {
+      const fromMicrosoft = (user.identities || []).some((i) => i.provider === 'azure');
+      const refused = fromMicrosoft ? tenantError(user, featureFlags.microsoftTenants) : '';
+      if (refused) {
+        setError(refused);
+        signOut();
+        return;
+      }
+      navigate(callback.next, { replace: true });
+      return;
+    }
+    if (callback.code && !triedCode.current) {
+      triedCode.current = true;
+      setExchanging(true);
+      // On success the auth listener sets the user and this effect runs again
+      exchangeCodeForSession(callback.code).then(({ error: exchangeErr }) => {
+        if (exchangeErr) {
+          setError(exchangeErr.message || 'The sign-in link is invalid or has expired.');
+          setExchanging(false);
+        }
+      });
+      return;
+    }
+    if (!exchanging) setError('The sign-in link is invalid or has expired. Please sign in again.');
+  }, [initializing, user, error, exchanging, callback, featureFlags.microsoftTenants, signOut, exchangeCodeForSession, navigate]);
+
+  return (
+    <div style={styles.wrapper}>
+      <div style={styles.card} aria-live="polite">
+        {error ? (
+          <>
+            <h1 style={styles.title}>Sign-in failed</h1>
+            <div role="alert" style={styles.error}>{error}</div>
+            <button
+              type="button"
+              className="btn btn--primary btn--sm"
+              onClick={() => navigate('/login', { replace: true, state: { from: callback.next } })}
+            >
+              Back to sign in
+            </button>
+          </>
+        ) : (
+          <>
+            <div style={styles.spinner} aria-busy="true" aria-label="Loading" />
+            <p style={styles.text}>Finishing sign-in…</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    minHeight: '100vh',
+    background: 'linear-gradient(180deg, #FFFFFF 0%, #F3F4F6 100%)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 420,
+    background: '#FFFFFF',
+    border: '1px solid #E5E7EB',
+    borderRadius: 12,
+    padding: 24,
+    boxShadow: '0 10px 24px rgba(0, 0, 0, 0.06)',
+    textAlign: 'center',
+  },
+  title: {
+    margin: '0 0 12px',
+    color: '#111827',
+    fontSize: 20,
+  },
+  text: {
+    marginTop: 12,
+    color: '#6B7280',
+    fontSize: 14,
+  },
+  spinner: {
+    width: 36,
+    height: 36,
+    margin: '0 auto',
+    borderRadius: '50%',
+    border: '3px solid #E5E7EB',
+    borderTopColor: '#374151',
+    animation: 'spin 1s linear infinite',
+  },
+  error: {
+    background: '#FEF2F2',
+    color: '#B91C1C',
+    border: '1px solid #FECACA',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+    fontSize: 13,
+    textAlign: 'left',
+  },
+};
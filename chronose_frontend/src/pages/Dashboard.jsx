@@ -1,26 +1,112 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import {
   listMyTimeEntries,
+  listCachedTimeEntries,
+  syncTimeEntries,
+  countPendingSync,
+  onPendingSyncChange,
+  subscribeToTimeEntries,
   createTimeEntry,
   updateTimeEntry,
   deleteTimeEntry,
+  listDeletedTimeEntries,
+  submitTimeEntries,
   getFeatureFlags,
+  getEntryRules,
   validateEntryFields,
 } from '../services/timeEntries';
+import {
+  listMyLeaveRequests,
+  createLeaveRequest,
+  updateLeaveRequest,
+  deleteLeaveRequest,
+  submitLeaveRequests,
+} from '../services/leaveRequests';
+import { listLeaveBalances, listLeavePolicies } from '../services/leaveBalances';
+import { isEditableStatus } from '../services/workflow';
+import { findProjectTask, listMyProjects } from '../services/projects';
+import { listLockedPeriods } from '../services/periods';
+import { listHolidays } from '../services/holidays';
+import { getWorkSchedule } from '../services/workSchedules';
+import EntryHistoryDrawer from '../components/EntryHistoryDrawer';
+import AppHeader from '../components/AppHeader';
+import SearchableSelect from '../components/SearchableSelect';
+import WeekGrid from '../components/WeekGrid';
+import { addDays, fromISO, getMonthGrid, getStartOfWeek, toISO, weekDaysFrom } from '../utils/dates';
+import { formatDate, formatHours, todayIn, weekdayLabels } from '../utils/preferences';
+import { findLockedPeriod, lastAllowedDate, readEntryRules } from '../utils/entryRules';
+import { LEAVE_TYPE_LABELS, balanceFor, leaveBalanceError, pendingLeaveHours, remainingAfterRequest } from '../utils/leaveBalances';
+import { MAX_LEAVE_RANGE_DAYS, buildLeaveDays, calendarDaysBetween, isMultiDayLeave, leaveDaysOf } from '../utils/leaveRange';
+import { PERIOD_TYPE_LABELS } from '../utils/payPeriods';
+import {
+  DEFAULT_REGION,
+  dayDelta,
+  defaultSchedule,
+  describeSchedule,
+  expectedHoursOn,
+  scheduleStandard,
+} from '../utils/workSchedule';
+import {
+  computeMonthStats,
+  dayBreakdown,
+  loggedHoursOn,
+  readWorkStandard,
+  sessionSeconds,
+  summarizeDays,
+} from '../utils/timesheetStats';
+import { lastUsedProjectTask, planTimerEntries } from '../utils/timerEntries';
+import { autoCheckoutAt, readTimerPolicy } from '../utils/timerPolicy';
+import { buildExportTable, exportFileName, exportRange, toCSV, toXLSX } from '../utils/timesheetExport';
+import { mergeRowEvent } from '../utils/realtimeMerge';
+import * as timerStore from '../services/timeSessions';
 
 /**
  * Employee Dashboard (Timesheet + Status)
  * Now wired to Supabase-backed CRUD for "time_entries" via the service layer.
  * - Lists current user's entries in Status -> Work list
  * - Allows add/edit/delete from New Entry form and Status list
+ * - Project/task pickers list the active projects assigned to the user ("projects"/"tasks")
+ * - Leave requests use the same flow via "leave_requests" (Status -> Leave list)
+ * - "Submit Week" moves the visible week's drafts to pending; managers review
+ *   them on the /manager dashboard
+ * - Check-in/out timer is local-first and synced to "time_sessions" across devices;
+ *   a configurable policy auto-checks out long sessions and asks about idle time
+ * - Unlogged timer time can be turned into draft entries (after checkout, or per day/week)
+ * - Export (calendar header) downloads entries + leave for a week, month or range as CSV/XLSX
+ * - Import (calendar header) opens /import to bring in historical entries from a CSV
+ * - Grid view: the week as a project/task × day matrix saved in one go (components/WeekGrid)
+ * - Calendar cells show logged hours, entry status, leave and the timer comparison;
+ *   clicking a day opens the side panel with that day's entries and leave, running
+ *   totals, inline edit/duplicate/delete and a warning before the day passes its hour limit
+ * - Entry rules (utils/entryRules, "entry_rules" + "locked_periods") are checked before saving;
+ *   the database enforces them too and its refusals come back as field errors
+ * - Days inside a closed pay period are hatched with a lock; their work entries are read-only
+ * - Status -> Work list: "History" opens each entry's change history (components/EntryHistoryDrawer);
+ *   deletes are soft, and "Show deleted" lists deleted entries with their history
+ * - The leave form shows the type's balance and what remains after the request
+ *   ("leave_policies" / "leave_balances"); overdrawing is refused unless the policy allows it
+ * - Leave can cover a range ("Last day"): weekends and company holidays are skipped, the first
+ *   and last days may be partial, and the range is one request reviewed as a unit; the calendar
+ *   draws it as a span across the days it covers
+ * - Expected hours per day come from the user's work schedule and their region's holidays
+ *   (admin screen at /admin/calendar); week and month cells shade days off and show each
+ *   day's delta against the hours expected
  * - Optimistic UI with fallback refetch post-mutation
+ * - Realtime: entries changed in other tabs/devices are merged in as they happen;
+ *   the timer follows check-ins/outs made in other tabs, and only one tab can check in
+ * - Offline: entries render from the local cache first; changes made offline stay
+ *   in the list marked "Pending sync" and are replayed when the browser is back online
  * - Graceful missing schema handling with user-facing message
+ * - Follows the user's settings (/settings): first weekday, hour and date formats, the calendar's
+ *   initial view, the default project/task of new entries and the time zone that decides "today"
  */
 
 // PUBLIC_INTERFACE
 export default function Dashboard() {
-  const { user, signOut } = useAuth();
+  const { user, profile, preferences } = useAuth();
+  const navigate = useNavigate();
 
   // Header tabs: 'timesheet' | 'status'
   const [activeTab, setActiveTab] = useState('timesheet');
@@ -30,19 +116,44 @@ export default function Dashboard() {
   const [elapsed, setElapsed] = useState(0); // seconds for current running session
   const [lastSession, setLastSession] = useState(0); // seconds of most recent completed session
   const [todayTotal, setTodayTotal] = useState(0); // aggregate seconds for selected/current date
-  const [autoCheckoutBanner, setAutoCheckoutBanner] = useState(null); // { message, dateISO } | null
+  const [autoCheckoutBanner, setAutoCheckoutBanner] = useState(null); // { message, dateISO, sessionId, trimTo } | null
+  const [idlePrompt, setIdlePrompt] = useState(null); // { since, minutes } while asking about idle time
+  const lastActivityRef = useRef(Date.now());
+  const [submitNotice, setSubmitNotice] = useState(''); // result of the last "Submit Week"
+  const [submittingWeek, setSubmittingWeek] = useState(false);
+  const [logPrompt, setLogPrompt] = useState(null); // { date, hours } unlogged timer time after checkout
+  const [loggingTimer, setLoggingTimer] = useState(false);
   const tickRef = useRef(null);
 
-  // Role dropdown (disabled for now; default Employee)
-  const [role] = useState('employee');
-
   // Shared selected date context for calendar and New Entry
-  const today = new Date();
-  const todayISO = today.toISOString().slice(0, 10); // yyyy-mm-dd
+  const todayISO = todayIn(profile?.timezone); // yyyy-mm-dd in the profile's time zone (else the browser's)
   const [selectedDateISO, setSelectedDateISO] = useState(todayISO);
+  // The profile (and its time zone) loads after the first render: move the
+  // initial selection to the zone's today unless the user already picked a day
+  const initialDayISO = useRef(todayISO);
+  useEffect(() => {
+    if (!profile) return;
+    setSelectedDateISO((prev) => (prev === initialDayISO.current ? todayISO : prev));
+    initialDayISO.current = null;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [profile?.timezone]);
 
-  // Calendar view: 'week' | 'month'
-  const [calendarView, setCalendarView] = useState('week');
+  // Calendar view: 'week' | 'month' | 'grid' (week as a project/task × day matrix); starts at the preferred one
+  const [calendarView, setCalendarView] = useState(preferences.calendarView);
+  const viewFromProfile = useRef(false);
+  useEffect(() => {
+    if (!profile || viewFromProfile.current) return;
+    viewFromProfile.current = true;
+    setCalendarView(profile.preferences.calendarView);
+  }, [profile]);
+
+  // Export panel (calendar header)
+  const [showExport, setShowExport] = useState(false);
+  const [exportPeriod, setExportPeriod] = useState('week'); // 'week' | 'month' | 'custom'
+  const [exportFrom, setExportFrom] = useState('');
+  const [exportTo, setExportTo] = useState('');
+  const [exportGroupBy, setExportGroupBy] = useState('none'); // none | day | project | task
+  const [exportError, setExportError] = useState('');
 
   // Right panel visibility
   const [showEntryPanel, setShowEntryPanel] = useState(true);
@@ -52,25 +163,32 @@ export default function Dashboard() {
   const [hours, setHours] = useState('');
   const [workErrors, setWorkErrors] = useState({ hours: '', date: '' });
   const [notes, setNotes] = useState('');
-  const [project, setProject] = useState('');
-  const [task, setTask] = useState('');
+  const [projectId, setProjectId] = useState('');
+  const [taskId, setTaskId] = useState('');
 
   // Leave Request local state
   const [entryMode, setEntryMode] = useState('work'); // 'work' | 'leave'
   const [leaveType, setLeaveType] = useState('casual'); // casual | sick | vacation
   const [leaveDuration, setLeaveDuration] = useState('full'); // full | partial
   const [leaveHours, setLeaveHours] = useState(''); // 0-8 for partial
+  const [leaveEndDate, setLeaveEndDate] = useState(''); // last day of a range; '' for a single day
+  const [leaveFirstHours, setLeaveFirstHours] = useState(''); // partial first day of a range
+  const [leaveLastHours, setLeaveLastHours] = useState(''); // partial last day of a range
   const [leaveReason, setLeaveReason] = useState('');
   const [leaveErrors, setLeaveErrors] = useState({
     date: '',
+    endDate: '',
     leaveType: '',
     leaveDuration: '',
     leaveReason: '',
     leaveHours: '',
+    balance: '',
   });
   const LEAVE_MAX_HOURS = 8;
+  const workStandard = useMemo(() => readWorkStandard(), []);
+  const timerPolicy = useMemo(() => readTimerPolicy(), []);
 
-  // Status sub-tabs state and mock data
+  // Status sub-tabs state
   const [statusSubTab, setStatusSubTab] = useState('work'); // 'work' | 'leave'
 
   // Remote data: time entries for current user
@@ -78,6 +196,11 @@ export default function Dashboard() {
   const [logsLoading, setLogsLoading] = useState(false);
   const [logsError, setLogsError] = useState('');
 
+  // Entry history drawer and the deleted entries shown under the Work list
+  const [historyEntry, setHistoryEntry] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [deletedLogs, setDeletedLogs] = useState([]);
+
   const { enableRealData } = getFeatureFlags();
 
   // Fetch current user's entries
@@ -85,8 +208,12 @@ export default function Dashboard() {
     let mounted = true;
     const run = async () => {
       if (!user) return;
-      setLogsLoading(true);
       setLogsError('');
+      // Cached copy first so the list renders instantly (and offline)
+      const cached = await listCachedTimeEntries(user.id);
+      if (!mounted) return;
+      if (cached.data.length > 0) setDailyLogs(cached.data);
+      else setLogsLoading(true);
       const { data, error } = await listMyTimeEntries(user.id);
       if (!mounted) return;
       if (error && data?.length === 0) {
@@ -101,51 +228,216 @@ export default function Dashboard() {
     run();
     return () => { mounted = false; };
   }, [user]);
-  const [leaveRequests, setLeaveRequests] = useState([
-    { id: 'l1', date: todayISO, type: 'Sick', duration: 'full', hours: 8, status: 'draft' },
-    { id: 'l2', date: toISO(new Date(Date.now() - 6 * 86400000)), type: 'Casual', duration: 'partial', hours: 4, status: 'pending' },
-    { id: 'l3', date: toISO(new Date(Date.now() - 10 * 86400000)), type: 'Vacation', duration: 'full', hours: 8, status: 'approved' },
-  ]);
 
-  // Keep entryDate synced with selectedDateISO
+  // Realtime: merge changes made in other tabs/devices (optimistic tmp_ rows are replaced, not duplicated)
   useEffect(() => {
-    setEntryDate(selectedDateISO);
-  }, [selectedDateISO]);
+    if (!user) return undefined;
+    const { data: unsubscribe } = subscribeToTimeEntries([user.id], (event) => {
+      setDailyLogs((prev) => mergeRowEvent(prev, event));
+    });
+    return unsubscribe;
+  }, [user]);
+
+  // Deleted entries, loaded whenever the Status view shows them
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user || !showDeleted || activeTab !== 'status') return;
+      const { data } = await listDeletedTimeEntries(user.id);
+      if (mounted) setDeletedLogs(data || []);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user, showDeleted, activeTab]);
 
-  // ========= Timer Utilities (frontend-only persistence) =========
-  const STORAGE_KEY = 'chronose_timer_v1';
+  // Offline outbox: count of queued changes; replay on mount and when back online
+  const [pendingSync, setPendingSync] = useState(0);
+  const [syncingEntries, setSyncingEntries] = useState(false);
 
-  const loadTimerState = () => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : { byDate: {} };
-    } catch {
-      return { byDate: {} };
+  // PUBLIC_INTERFACE
+  const syncEntriesNow = async () => {
+    /** Replay queued offline changes, then reload the list and report what could not be applied. */
+    if (!user || (await countPendingSync()) === 0) return;
+    setSyncingEntries(true);
+    const { data, error } = await syncTimeEntries();
+    setSyncingEntries(false);
+    if (data.synced + data.conflicts.length + data.failed.length === 0) return;
+    const res = await listMyTimeEntries(user.id);
+    if (res.data) setDailyLogs(res.data);
+    const parts = [`Synced ${data.synced} offline change${data.synced === 1 ? '' : 's'}.`];
+    if (data.conflicts.length > 0) {
+      parts.push(`${data.conflicts.length} entr${data.conflicts.length === 1 ? 'y was' : 'ies were'} changed on the server in the meantime; the newer server version was kept.`);
+    }
+    if (error && data.failed.length > 0) {
+      parts.push(`${data.failed.length} could not be saved: ${data.failed.map((f) => f.error?.message).filter(Boolean).join('; ')}`);
     }
+    setSubmitNotice(parts.join(' '));
   };
 
-  const saveTimerState = (state) => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch {
-      // ignore storage errors
-    }
+  useEffect(() => {
+    if (!user) return undefined;
+    let mounted = true;
+    countPendingSync().then((n) => mounted && setPendingSync(n));
+    const unsubscribe = onPendingSyncChange((n) => setPendingSync(n));
+    syncEntriesNow();
+    const onOnline = () => syncEntriesNow();
+    window.addEventListener('online', onOnline);
+    return () => {
+      mounted = false;
+      unsubscribe();
+      window.removeEventListener('online', onOnline);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  // Remote data: leave requests for current user
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [leavesLoading, setLeavesLoading] = useState(false);
+  const [leavesError, setLeavesError] = useState('');
+
+  // Fetch current user's leave requests
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLeavesLoading(true);
+      setLeavesError('');
+      const { data, error } = await listMyLeaveRequests(user.id);
+      if (!mounted) return;
+      if (error && data?.length === 0) {
+        setLeavesError(error?.code === 'missing_schema' || error?.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error?.message || 'Failed to load leave requests'));
+      }
+      setLeaveRequests(data || []);
+      setLeavesLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  // Leave balances by type and the policies that accrue them (types without a policy are untracked)
+  const [leavePolicies, setLeavePolicies] = useState([]);
+  const [leaveBalances, setLeaveBalances] = useState([]);
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const [policiesRes, balancesRes] = await Promise.all([listLeavePolicies(), listLeaveBalances({ userId: user.id })]);
+      if (!mounted) return;
+      setLeavePolicies(policiesRes.data || []);
+      setLeaveBalances(balancesRes.data || []);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  // Work schedule and the holidays of its region: the hours expected each day.
+  // Multi-day leave skips the same days off.
+  const [workSchedule, setWorkSchedule] = useState(null); // null: none saved, the env standard applies
+  const [holidays, setHolidays] = useState([]);
+  const holidayDates = useMemo(() => holidays.map((h) => h.date), [holidays]);
+  const holidaySet = useMemo(() => new Set(holidayDates), [holidayDates]);
+  const schedule = workSchedule || defaultSchedule(workStandard);
+  const expectedOn = (iso) => expectedHoursOn(iso, { schedule, holidays: holidaySet });
+  const holidayName = (iso) => holidays.find((h) => h.date === iso)?.name || '';
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const { data: saved } = await getWorkSchedule(user.id);
+      const { data } = await listHolidays({ region: saved?.region || DEFAULT_REGION });
+      if (!mounted) return;
+      setWorkSchedule(saved || null);
+      setHolidays(data || []);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  // Project catalog: projects assigned to the user (archived ones only label old entries)
+  const [projects, setProjects] = useState([]);
+  const [projectsError, setProjectsError] = useState('');
+  const [projectsReady, setProjectsReady] = useState(false); // catalog loaded, so entries are checked against it
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const { data, error } = await listMyProjects(user.id);
+      if (!mounted) return;
+      setProjects(data || []);
+      setProjectsReady(!error);
+      setProjectsError(error
+        ? (error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Projects not available yet'
+          : (error.message || 'Failed to load projects'))
+        : '');
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const activeProjects = projects.filter((p) => !p.archived);
+  const projectOptions = activeProjects.map((p) => ({ value: p.id, label: p.name }));
+  const taskOptions = (activeProjects.find((p) => p.id === projectId)?.tasks || [])
+    .filter((t) => !t.archived)
+    .map((t) => ({ value: t.id, label: t.name }));
+
+  // "Project · Task" for an entry; falls back to the legacy text columns
+  const entryLabel = (item) => {
+    const { project: p, task: t } = findProjectTask(projects, item.project_id, item.task_id);
+    return [p?.name || item.project, t?.name || item.task].filter(Boolean).join(' · ');
   };
 
-  const getDayState = (iso) => {
-    const data = loadTimerState();
-    return data.byDate?.[iso] || { sessions: [], running: null, total: 0 };
+  // The profile's default project/task (Settings), if it is still active and assigned
+  const defaultProjectTask = () => {
+    const { project: p, task: t } = findProjectTask(projects, profile?.default_project_id, profile?.default_task_id);
+    if (!p || p.archived) return { project_id: '', task_id: '' };
+    return { project_id: p.id, task_id: t && !t.archived ? t.id : '' };
   };
 
-  const setDayState = (iso, updater) => {
-    const data = loadTimerState();
-    const prev = data.byDate?.[iso] || { sessions: [], running: null, total: 0 };
-    const next = updater(prev);
-    data.byDate = { ...(data.byDate || {}), [iso]: next };
-    saveTimerState(data);
-    return next;
+  // Last used project/task, if it is still active and assigned; else the default
+  const prefillProjectTask = () => {
+    const last = lastUsedProjectTask(dailyLogs);
+    const { project: p, task: t } = findProjectTask(projects, last.project_id, last.task_id);
+    if (!p || p.archived) return defaultProjectTask();
+    return { project_id: p.id, task_id: t && !t.archived ? t.id : '' };
   };
 
+  // Entry rules (max hours per day, future window, required fields) and locked periods
+  const [entryRules, setEntryRules] = useState(() => readEntryRules());
+  const [lockedPeriods, setLockedPeriods] = useState([]);
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const [rulesRes, periodsRes] = await Promise.all([getEntryRules(), listLockedPeriods()]);
+      if (!mounted) return;
+      setEntryRules(rulesRes.data);
+      setLockedPeriods(periodsRes.data || []);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const rulesContext = { rules: entryRules, entries: dailyLogs, lockedPeriods, today: todayISO };
+
+  // Keep entryDate synced with selectedDateISO
+  useEffect(() => {
+    setEntryDate(selectedDateISO);
+  }, [selectedDateISO]);
+
+  // ========= Timer Utilities (local-first, synced to "time_sessions") =========
+  const userId = user?.id;
+  const loadTimerState = () => timerStore.loadTimerState(userId);
+  const getDayState = (iso) => timerStore.getDayState(userId, iso);
+  const setDayState = (iso, updater) => timerStore.setDayState(userId, iso, updater);
+  const [timerUnsynced, setTimerUnsynced] = useState(false); // local sessions not yet on the server
+
   // PUBLIC_INTERFACE
   const formatHMS = (totalSeconds) => {
     /** Format seconds to hh:mm:ss */
@@ -158,51 +450,92 @@ export default function Dashboard() {
 
   const recalcTodayTotal = (iso) => {
     const day = getDayState(iso);
-    const sessionsTotal = (day.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-    setTodayTotal(sessionsTotal);
+    setTodayTotal(sessionSeconds(day.sessions));
   };
 
-  // On mount, detect stale running session and close it at 12h
-  useEffect(() => {
-    const iso = todayISO;
-    const day = getDayState(iso);
-    if (day.running) {
-      const startMs = day.running.start;
+  // When the policy wants the running session closed: { at, reason } or null
+  const policyDue = (running) => autoCheckoutAt(running.resumedAt || running.start, timerPolicy, profile?.timezone);
+
+  // Close the running session on behalf of the policy; the banner offers undo/trim
+  const autoCheckout = (due) => {
+    const closed = timerStore.closeRunningSession(userId, due.at, profile?.timezone);
+    if (!closed) return;
+    const { lastActivityAt } = loadTimerState();
+    setLastSession(Math.floor((closed.end - closed.start) / 1000));
+    setIsRunning(false);
+    setElapsed(0);
+    setIdlePrompt(null);
+    setAutoCheckoutBanner({
+      message: due.reason === 'cutoff'
+        ? `Automatically checked out at the ${timerPolicy.endOfDay} end-of-day cutoff.`
+        : `Automatically checked out after ${timerPolicy.maxSessionHours} hours to prevent a stale session.`,
+      dateISO: closed.parts[closed.parts.length - 1].iso,
+      sessionId: closed.id,
+      trimTo: lastActivityAt > closed.start && lastActivityAt < closed.end ? lastActivityAt : null,
+    });
+  };
+
+  // Restore the timer UI from the local store; a stale running session is closed by the policy
+  const restoreTimer = () => {
+    const hit = timerStore.findRunning(userId);
+    if (hit) {
+      const { running } = hit;
       const now = Date.now();
-      const maxEnd = startMs + 12 * 3600 * 1000; // 12 hours cap
-      if (now >= maxEnd) {
-        // Auto close at 12h mark
-        const capped = maxEnd;
-        const next = setDayState(iso, (prev) => {
-          const prevSessions = prev.sessions || [];
-          return {
-            ...prev,
-            sessions: [...prevSessions, { start: startMs, end: capped }],
-            running: null,
-          };
-        });
-        const added = Math.floor((capped - startMs) / 1000);
-        setLastSession(added);
-        setIsRunning(false);
-        setElapsed(0);
-        setAutoCheckoutBanner({
-          message: 'Automatically checked out after 12 hours to prevent stale session.',
-          dateISO: iso,
-        });
-        // Recalculate aggregate
-        const sessionsTotal = (next.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-        setTodayTotal(sessionsTotal);
+      const due = policyDue(running);
+      if (due && now >= due.at) {
+        autoCheckout(due);
       } else {
-        // Resume running session
+        // Resume running session (possibly started on another device)
+        lastActivityRef.current = Math.max(loadTimerState().lastActivityAt || now, running.resumedAt || running.start);
         setIsRunning(true);
-        setElapsed(Math.floor((now - startMs) / 1000));
-        recalcTodayTotal(iso);
+        setElapsed(Math.floor((now - running.start) / 1000));
       }
     } else {
-      recalcTodayTotal(iso);
+      setIsRunning(false);
+      setElapsed(0);
     }
+    recalcTodayTotal(selectedDateISO);
+  };
+
+  const reportTimerSync = (error) => {
+    setTimerUnsynced(!!error && error.code !== 'feature_disabled' && error.code !== 'missing_schema');
+  };
+
+  // Push local changes right away; failures stay queued locally for the next sync
+  const pushTimer = async () => {
+    if (!userId) return;
+    const { error } = await timerStore.pushPendingSessions(userId);
+    reportTimerSync(error);
+    restoreTimer();
+  };
+
+  // Full reconciliation: legacy migration, push, then pull the recent server view
+  const syncTimerNow = async () => {
+    if (!userId) return;
+    const from = toISO(new Date(Date.now() - TIMER_SYNC_DAYS * 86400000));
+    const { error } = await timerStore.syncTimer(userId, { from });
+    reportTimerSync(error);
+    restoreTimer();
+  };
+
+  // On mount: restore locally, then reconcile with the server; resync when back online
+  useEffect(() => {
+    if (!userId) return undefined;
+    restoreTimer();
+    syncTimerNow();
+    const onOnline = () => syncTimerNow();
+    window.addEventListener('online', onOnline);
+    return () => window.removeEventListener('online', onOnline);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [userId]);
+
+  // Another tab checked in/out or changed sessions: re-read the shared store
+  const restoreTimerRef = useRef(restoreTimer);
+  restoreTimerRef.current = restoreTimer;
+  useEffect(() => {
+    if (!userId) return undefined;
+    return timerStore.subscribeTimerChanges(userId, () => restoreTimerRef.current());
+  }, [userId]);
 
   // Timer ticking effect for running session
   useEffect(() => {
@@ -217,108 +550,160 @@ export default function Dashboard() {
     };
   }, [isRunning]);
 
+  // While checked in: enforce the auto-checkout policy and watch for idle time
+  // (no keyboard/pointer input, including while the page is hidden)
+  useEffect(() => {
+    if (!isRunning || !userId) return undefined;
+    let lastPersist = 0;
+    const onActivity = () => {
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastPersist > 15000) {
+        lastPersist = now;
+        timerStore.markActivity(userId, now);
+      }
+    };
+    const check = () => {
+      const hit = timerStore.findRunning(userId);
+      if (!hit) return;
+      const now = Date.now();
+      const due = policyDue(hit.running);
+      if (due && now >= due.at) {
+        autoCheckout(due);
+        recalcTodayTotal(selectedDateISO);
+        pushTimer();
+        return;
+      }
+      const idleMs = timerPolicy.idleMinutes * 60000;
+      const since = Math.max(lastActivityRef.current, hit.running.resumedAt || hit.running.start);
+      if (idleMs > 0 && now - since >= idleMs) {
+        setIdlePrompt((prev) => prev || { since, minutes: Math.round((now - since) / 60000) });
+      }
+    };
+    const onVisibility = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, onActivity, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibility);
+    const intervalId = setInterval(check, 30000);
+    check();
+    return () => {
+      ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, onActivity));
+      document.removeEventListener('visibilitychange', onVisibility);
+      clearInterval(intervalId);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isRunning, userId]);
+
+  // PUBLIC_INTERFACE
+  const handleIdleChoice = (choice) => {
+    /**
+     * Resolve the idle prompt. keep: the idle time counts; discard: check out
+     * when idling began; trim: drop the idle time and keep the timer running.
+     */
+    const prompt = idlePrompt;
+    const now = Date.now();
+    setIdlePrompt(null);
+    lastActivityRef.current = now;
+    timerStore.markActivity(userId, now);
+    if (!prompt || choice === 'keep') return;
+    const closed = timerStore.closeRunningSession(userId, prompt.since, profile?.timezone);
+    if (!closed) return;
+    setLastSession(Math.floor((closed.end - closed.start) / 1000));
+    setElapsed(0);
+    if (choice === 'trim') {
+      setDayState(todayISO, (prev) => ({ ...prev, running: { id: timerStore.newSessionId(), start: now, synced: false } }));
+    } else {
+      setIsRunning(false);
+    }
+    recalcTodayTotal(selectedDateISO);
+    pushTimer();
+  };
+
+  // PUBLIC_INTERFACE
+  const handleUndoAutoCheckout = () => {
+    /** Reopen the session the policy closed; its auto-checkout clock restarts now. */
+    const banner = autoCheckoutBanner;
+    if (!banner?.sessionId || timerStore.findRunning(userId)) return;
+    setAutoCheckoutBanner(null);
+    const running = timerStore.reopenSession(userId, banner.sessionId);
+    if (!running) return;
+    lastActivityRef.current = Date.now();
+    timerStore.markActivity(userId);
+    setIsRunning(true);
+    setElapsed(Math.floor((Date.now() - running.start) / 1000));
+    recalcTodayTotal(selectedDateISO);
+    pushTimer();
+  };
+
+  // PUBLIC_INTERFACE
+  const handleTrimAutoCheckout = () => {
+    /** Move the automatic checkout back to the last recorded activity. */
+    const banner = autoCheckoutBanner;
+    if (!banner?.trimTo || timerStore.findRunning(userId)) return;
+    setAutoCheckoutBanner(null);
+    if (!timerStore.reopenSession(userId, banner.sessionId)) return;
+    const closed = timerStore.closeRunningSession(userId, banner.trimTo, profile?.timezone);
+    if (closed) setLastSession(Math.floor((closed.end - closed.start) / 1000));
+    recalcTodayTotal(selectedDateISO);
+    pushTimer();
+  };
+
   const handleCheckIn = () => {
     if (isRunning) return;
-    const iso = todayISO;
     const now = Date.now();
-    // If there is an existing running for today, ignore; else start
-    const day = getDayState(iso);
-    if (!day.running) {
-      setDayState(iso, (prev) => ({ ...prev, running: { start: now } }));
-      setIsRunning(true);
-      setElapsed(0);
-      // Today total remains same during the run; will update on checkout
+    // Refused when a session is already running (any date, e.g. from another tab): show that one instead
+    const { started } = timerStore.checkIn(userId, todayISO, now);
+    if (!started) {
+      restoreTimer();
+      return;
     }
+    lastActivityRef.current = now;
+    setIsRunning(true);
+    setElapsed(0);
+    // Today total remains same during the run; will update on checkout
+    pushTimer();
   };
 
   const handleCheckOut = () => {
     if (!isRunning) return;
-    const iso = todayISO;
-    const now = Date.now();
-    const current = getDayState(iso);
-    if (current.running?.start) {
-      const startMs = current.running.start;
-      const dur = Math.max(0, Math.floor((now - startMs) / 1000));
-      const next = setDayState(iso, (prev) => {
-        const prevSessions = prev.sessions || [];
-        return {
-          ...prev,
-          sessions: [...prevSessions, { start: startMs, end: now }],
-          running: null,
-        };
-      });
+    // Sessions crossing midnight (in the profile's time zone, like check-in) are split so each date gets its own part
+    const closed = timerStore.closeRunningSession(userId, Date.now(), profile?.timezone);
+    if (closed) {
+      const iso = closed.parts[closed.parts.length - 1].iso;
       setIsRunning(false);
-      setLastSession(dur);
+      setIdlePrompt(null);
+      setLastSession(Math.floor((closed.end - closed.start) / 1000));
       setElapsed(0);
-      // Recalc aggregate
-      const sessionsTotal = (next.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-      setTodayTotal(sessionsTotal);
+      recalcTodayTotal(selectedDateISO);
+      pushTimer();
+      // Offer to log whatever part of the day's timer time no entry covers yet
+      const [plan] = planTimerEntries({ dates: [iso], sessionSecondsByDate: timerSecondsByDate(), entries: dailyLogs });
+      setLogPrompt(plan.covered ? null : { date: iso, hours: plan.hours });
     }
   };
 
+  // Completed timer seconds per yyyy-mm-dd from the local store
+  const timerSecondsByDate = () => Object.fromEntries(
+    Object.entries(loadTimerState().byDate || {}).map(([iso, day]) => [iso, sessionSeconds(day.sessions)])
+  );
+
   // When selected date changes, display its aggregated total (not only today)
   useEffect(() => {
     const day = getDayState(selectedDateISO);
-    const sessionsTotal = (day.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-    setTodayTotal(sessionsTotal);
+    setTodayTotal(sessionSeconds(day.sessions));
   }, [selectedDateISO]);
 
-  // Helpers
-  function toISO(d) {
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-  }
-
-  const formatDateReadable = (iso) => {
-    try {
-      const d = new Date(iso);
-      return d.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
-    } catch {
-      return iso;
-    }
-  };
-
-  const getStartOfWeek = (date) => {
-    const d = new Date(date);
-    const day = d.getDay(); // 0=Sun .. 6=Sat
-    const diffToMon = (day + 6) % 7;
-    const monday = new Date(d);
-    monday.setDate(d.getDate() - diffToMon);
-    monday.setHours(0, 0, 0, 0);
-    return monday;
-  };
-
-  const weekDaysFrom = (startDate) => {
-    return Array.from({ length: 7 }, (_, i) => {
-      const d = new Date(startDate);
-      d.setDate(startDate.getDate() + i);
-      return d;
-    });
-  };
-
-  const getMonthGrid = (dateInMonth) => {
-    const d = new Date(dateInMonth);
-    d.setDate(1);
-    d.setHours(0, 0, 0, 0);
-    const firstDay = d;
-    const firstDayWeekday = (firstDay.getDay() + 6) % 7; // 0=Mon .. 6=Sun
-    const gridStart = new Date(firstDay);
-    gridStart.setDate(firstDay.getDate() - firstDayWeekday);
-    return Array.from({ length: 42 }, (_, i) => {
-      const cellDate = new Date(gridStart);
-      cellDate.setDate(gridStart.getDate() + i);
-      return cellDate;
-    });
-  };
+  // Helpers: days and hours in the user's display formats (Settings)
+  const formatDateReadable = (iso) => formatDate(iso, preferences.dateFormat);
+  const fmtHours = useFormatHours();
 
   // Derived calendar data
-  const selectedDate = new Date(selectedDateISO);
-  const weekStart = getStartOfWeek(selectedDate);
+  const selectedDate = fromISO(selectedDateISO);
+  const weekStart = getStartOfWeek(selectedDate, preferences.weekStart);
   const weekDates = weekDaysFrom(weekStart);
 
-  const monthGridDates = getMonthGrid(selectedDate);
+  const monthGridDates = getMonthGrid(selectedDate, preferences.weekStart);
   const monthFirst = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1);
   const monthLast = new Date(selectedDate.getFullYear(), selectedDate.getMonth() + 1, 0);
 
@@ -330,19 +715,183 @@ export default function Dashboard() {
     setShowEntryPanel(true);
   };
 
-  const onClickToday = () => {
-    const iso = toISO(new Date());
-    setSelectedDateISO(iso);
+  // Week submission: every draft/rejected entry and leave request dated in the visible week
+  const weekISOs = weekDates.map((d) => toISO(d));
+  const isSubmittable = (it) =>
+    weekISOs.includes(it.date) && isEditableStatus(it.status) && !String(it.id).startsWith('tmp_') && !it.pending_sync;
+  const submittableEntryIds = dailyLogs.filter(isSubmittable).map((it) => it.id);
+  const submittableLeaveIds = leaveRequests.filter(isSubmittable).map((it) => it.id);
+  const submittableCount = submittableEntryIds.length + submittableLeaveIds.length;
+
+  // PUBLIC_INTERFACE
+  const handleSubmitWeek = async () => {
+    /** Submit the visible week's drafts (entries + leave) for manager review. */
+    if (submittableCount === 0 || submittingWeek) return;
+    setSubmittingWeek(true);
+    const [entriesRes, leavesRes] = await Promise.all([
+      submitTimeEntries(submittableEntryIds),
+      submitLeaveRequests(submittableLeaveIds),
+    ]);
+    const mergeById = (prev, rows) => {
+      const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+      return prev.map((x) => byId[x.id] || x);
+    };
+    setDailyLogs((prev) => mergeById(prev, entriesRes.data || []));
+    setLeaveRequests((prev) => mergeById(prev, leavesRes.data || []));
+    const error = entriesRes.error || leavesRes.error;
+    const moved = (entriesRes.data || []).length + (leavesRes.data || []).length;
+    setSubmitNotice(error
+      ? (error.message || 'Failed to submit week')
+      : `Submitted ${moved} item${moved === 1 ? '' : 's'} for approval.`);
+    setSubmittingWeek(false);
   };
 
-  // Logout handler used by header action
-  const handleLogout = async () => {
-    try {
-      await signOut();
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.error('Logout failed', e);
+  // Timer time not yet covered by entries, for the selected day and the visible week
+  const timerPlanFor = (dates) =>
+    planTimerEntries({ dates, sessionSecondsByDate: timerSecondsByDate(), entries: dailyLogs }).filter((p) => !p.covered);
+  const dayTimerPlan = timerPlanFor([selectedDateISO]);
+  const weekTimerPlan = timerPlanFor(weekISOs);
+  const sumPlanHours = (plan) => plan.reduce((acc, p) => acc + p.hours, 0);
+
+  // PUBLIC_INTERFACE
+  const handleLogTimerTime = async (plan) => {
+    /**
+     * Create one draft entry per planned day, prefilled with the most recently
+     * used project/task. Days already covered by entries are never in the plan.
+     * Days that break the entry rules, or that the server refuses, are skipped
+     * with their reason and the rest are still logged.
+     */
+    if (!user || loggingTimer || plan.length === 0) return;
+    setLoggingTimer(true);
+    setLogPrompt(null);
+    const prefill = prefillProjectTask();
+    let created = 0;
+    const skipped = [];
+    for (const p of plan) {
+      const base = {
+        user_id: user.id,
+        date: p.date,
+        project_id: prefill.project_id,
+        task_id: prefill.task_id,
+        hours: p.hours,
+        notes: 'Logged from timer',
+        status: 'draft',
+      };
+      const { errors, valid } = validateEntryFields(base, projectsReady ? projects : undefined, rulesContext);
+      if (!valid) {
+        skipped.push(`${p.date}: ${Object.values(errors)[0]}`);
+        continue;
+      }
+      const tempId = `tmp_${Date.now()}_${p.date}`;
+      setDailyLogs((prev) => [{ ...base, id: tempId }, ...prev]);
+      const { data, error } = await createTimeEntry(base);
+      if (error) {
+        setDailyLogs((prev) => prev.filter((it) => it.id !== tempId));
+        skipped.push(`${p.date}: ${error.message || 'Failed to log timer time'}`);
+        continue;
+      }
+      setDailyLogs((prev) => [data, ...prev.filter((it) => it.id !== tempId && it.id !== data.id)]);
+      created += 1;
+    }
+    if (skipped.length > 0) {
+      const res = await listMyTimeEntries(user.id);
+      setDailyLogs(res.data || []);
     }
+    const createdText = `Created ${created} draft entr${created === 1 ? 'y' : 'ies'} from timer time.`;
+    setSubmitNotice(skipped.length > 0
+      ? `${createdText} Skipped ${skipped.length} day${skipped.length === 1 ? '' : 's'}: ${skipped.join('; ')}`
+      : createdText);
+    setLoggingTimer(false);
+  };
+
+  // Weekly grid (calendar "Grid" view)
+  const [savingGrid, setSavingGrid] = useState(false);
+  const previousWeekISOs = weekDaysFrom(addDays(weekStart, -7)).map((d) => toISO(d));
+
+  // PUBLIC_INTERFACE
+  const handleSaveGrid = async ({ creates, updates, deletes }) => {
+    /**
+     * Apply the grid's diff one call at a time (deletes, updates, then creates)
+     * and reload the list. Resolves to { error } so the grid keeps its edits on failure.
+     */
+    if (!user) return { error: new Error('Not authenticated') };
+    setSavingGrid(true);
+    const total = creates.length + updates.length + deletes.length;
+    const failures = [];
+    for (const id of deletes) {
+      const { error } = await deleteTimeEntry(id);
+      if (error) failures.push(error);
+    }
+    for (const u of updates) {
+      const { error } = await updateTimeEntry(u.id, { hours: u.hours });
+      if (error) failures.push(error);
+    }
+    for (const c of creates) {
+      const { error } = await createTimeEntry({ ...c, user_id: user.id, notes: '', status: 'draft' });
+      if (error) failures.push(error);
+    }
+    const res = await listMyTimeEntries(user.id);
+    setDailyLogs(res.data || []);
+    setSavingGrid(false);
+    if (failures.length > 0) {
+      const error = new Error(`${total - failures.length} of ${total} changes saved. ${failures[0].message || ''}`.trim());
+      return { error };
+    }
+    setSubmitNotice(
+      `Saved the week: ${creates.length} added, ${updates.length} updated, ${deletes.length} removed.`
+    );
+    return { error: null };
+  };
+
+  // PUBLIC_INTERFACE
+  const handleEditTimerTime = (prompt) => {
+    /** Open the New Entry form prefilled with the unlogged timer time instead of saving directly. */
+    const prefill = prefillProjectTask();
+    setLogPrompt(null);
+    setEditingId(null);
+    setEditingLeaveId(null);
+    setEntryMode('work');
+    setSelectedDateISO(prompt.date);
+    setHours(String(prompt.hours));
+    setProjectId(prefill.project_id);
+    setTaskId(prefill.task_id);
+    setNotes('Logged from timer');
+    setActiveTab('timesheet');
+    setShowEntryPanel(true);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleExport = (format) => {
+    /** Download the chosen range of entries and leave as 'csv' or 'xlsx'. */
+    const range = exportPeriod === 'custom'
+      ? { from: exportFrom, to: exportTo }
+      : exportRange(exportPeriod, selectedDateISO, preferences.weekStart);
+    if (!range.from || !range.to || range.from > range.to) {
+      setExportError('Choose a start date on or before the end date.');
+      return;
+    }
+    setExportError('');
+    const table = buildExportTable({
+      entries: dailyLogs.filter((it) => !String(it.id).startsWith('tmp_')),
+      leaves: leaveRequests.filter((it) => !String(it.id).startsWith('tmp_')),
+      from: range.from,
+      to: range.to,
+      groupBy: exportGroupBy,
+      names: {
+        project: (e) => findProjectTask(projects, e.project_id, e.task_id).project?.name,
+        task: (e) => findProjectTask(projects, e.project_id, e.task_id).task?.name,
+      },
+    });
+    if (format === 'xlsx') {
+      downloadFile(toXLSX(table), exportFileName(range.from, range.to, 'xlsx'),
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      downloadFile(toCSV(table), exportFileName(range.from, range.to, 'csv'), 'text/csv;charset=utf-8');
+    }
+  };
+
+  const onClickToday = () => {
+    setSelectedDateISO(todayISO);
   };
 
   const onDateChange = (e) => {
@@ -352,16 +901,6 @@ export default function Dashboard() {
     setLeaveErrors((prev) => ({ ...prev, date: '' }));
   };
 
-  // Validate hours input for Work Entry
-  const validateHours = (val) => {
-    if (val === '' || val === null || val === undefined) return 'Please enter hours worked.';
-    const num = Number(val);
-    if (Number.isNaN(num)) return 'Hours must be a number.';
-    if (num < 0) return 'Hours cannot be negative.';
-    if (num > 24) return 'Hours cannot exceed 24.';
-    return '';
-  };
-
   const onHoursChange = (e) => {
     const val = e.target.value;
     setHours(val);
@@ -369,8 +908,9 @@ export default function Dashboard() {
   };
 
   const clearFormOnly = () => {
-    setProject('');
-    setTask('');
+    const defaults = defaultProjectTask();
+    setProjectId(defaults.project_id);
+    setTaskId(defaults.task_id);
     setNotes('');
     setHours('');
     setWorkErrors({ hours: '', date: '' });
@@ -378,13 +918,18 @@ export default function Dashboard() {
     setLeaveType('casual');
     setLeaveDuration('full');
     setLeaveHours('');
+    setLeaveEndDate('');
+    setLeaveFirstHours('');
+    setLeaveLastHours('');
     setLeaveReason('');
     setLeaveErrors({
       date: '',
+      endDate: '',
       leaveType: '',
       leaveDuration: '',
       leaveReason: '',
       leaveHours: '',
+      balance: '',
     });
   };
 
@@ -392,6 +937,7 @@ export default function Dashboard() {
     clearFormOnly();
     setEntryDate(selectedDateISO);
     setEditingId(null);
+    setEditingLeaveId(null);
   };
 
   // PUBLIC_INTERFACE
@@ -399,6 +945,7 @@ export default function Dashboard() {
     /** Close/hide the New Entry panel and clear any unsaved inputs. */
     clearFormOnly();
     setEditingId(null);
+    setEditingLeaveId(null);
     setShowEntryPanel(false);
   };
 
@@ -406,15 +953,16 @@ export default function Dashboard() {
     if (entryMode === 'work') {
       // eslint-disable-next-line no-console
       console.log('Draft saved (work, local only):', {
-        project, task, notes, hours: hours === '' ? null : Number(hours), date: selectedDateISO,
+        project_id: projectId, task_id: taskId, notes, hours: hours === '' ? null : Number(hours), date: selectedDateISO,
       });
     } else {
       // eslint-disable-next-line no-console
       console.log('Draft saved (leave, local only):', {
         date: selectedDateISO,
+        endDate: leaveEnd,
         leaveType,
         leaveDuration,
-        leaveHours: leaveDuration === 'partial' ? Number(leaveHours || 0) : LEAVE_MAX_HOURS,
+        leaveHours: leaveRequestHours,
         leaveReason,
       });
     }
@@ -422,17 +970,31 @@ export default function Dashboard() {
 
   // Editing support
   const [editingId, setEditingId] = useState(null);
+  const [editingLeaveId, setEditingLeaveId] = useState(null);
+
+  // Start the empty work form on the default project/task once the catalog and profile are loaded
+  const defaultsApplied = useRef(false);
+  useEffect(() => {
+    if (defaultsApplied.current || !projectsReady || !profile) return;
+    defaultsApplied.current = true;
+    if (editingId || projectId) return;
+    const defaults = defaultProjectTask();
+    setProjectId(defaults.project_id);
+    setTaskId(defaults.task_id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectsReady, profile]);
 
   const onSubmitWork = async (e) => {
     e.preventDefault();
     const { errors, valid } = validateEntryFields({
+      id: editingId,
       date: selectedDateISO,
       hours,
       notes,
-      project,
-      task,
-    });
-    setWorkErrors((prev) => ({ ...prev, ...errors }));
+      project_id: projectId,
+      task_id: taskId,
+    }, projectsReady ? projects : undefined, rulesContext);
+    setWorkErrors((prev) => ({ ...prev, project: '', task: '', ...errors }));
     if (!valid) return;
 
     if (!user) {
@@ -444,8 +1006,8 @@ export default function Dashboard() {
     const base = {
       user_id: user.id,
       date: selectedDateISO,
-      project,
-      task,
+      project_id: projectId,
+      task_id: taskId,
       hours: Number(hours),
       notes,
       status: 'draft',
@@ -460,13 +1022,17 @@ export default function Dashboard() {
       if (error) {
         // rollback optimistic
         setDailyLogs((prev) => prev.filter((it) => it.id !== tempId));
-        setWorkErrors((prev) => ({ ...prev, submit: error.message || 'Failed to create entry' }));
+        setWorkErrors((prev) => ({
+          ...prev,
+          ...(error.fields || {}),
+          submit: error.fields ? '' : error.message || 'Failed to create entry',
+        }));
         // Refetch to be safe
         const res = await listMyTimeEntries(user.id);
         setDailyLogs(res.data || []);
       } else {
         // replace temp with actual
-        setDailyLogs((prev) => [data, ...prev.filter((it) => it.id !== tempId)]);
+        setDailyLogs((prev) => [data, ...prev.filter((it) => it.id !== tempId && it.id !== data.id)]);
         clearFormOnly();
         setEntryDate(selectedDateISO);
       }
@@ -479,7 +1045,11 @@ export default function Dashboard() {
       if (error) {
         // rollback to old
         setDailyLogs((prev) => prev.map((x) => (x.id === editingId ? old : x)));
-        setWorkErrors((prev) => ({ ...prev, submit: error.message || 'Failed to update entry' }));
+        setWorkErrors((prev) => ({
+          ...prev,
+          ...(error.fields || {}),
+          submit: error.fields ? '' : error.message || 'Failed to update entry',
+        }));
         const res = await listMyTimeEntries(user.id);
         setDailyLogs(res.data || []);
       } else {
@@ -491,10 +1061,41 @@ export default function Dashboard() {
     }
   };
 
+  // Days the request in the form takes. A single day is taken as chosen; a range skips
+  // weekends and holidays, and partial hours apply to its first and last days.
+  const leaveIsRange = !!leaveEndDate && leaveEndDate > selectedDateISO;
+  const leaveEnd = leaveIsRange ? leaveEndDate : selectedDateISO;
+  const leaveRangeTooLong = leaveIsRange && calendarDaysBetween(selectedDateISO, leaveEnd).length > MAX_LEAVE_RANGE_DAYS;
+  let leaveDays = [{ date: selectedDateISO, hours: leaveDuration === 'partial' ? Number(leaveHours || 0) : LEAVE_MAX_HOURS }];
+  if (leaveIsRange) {
+    leaveDays = leaveRangeTooLong
+      ? []
+      : buildLeaveDays({
+        start: selectedDateISO,
+        end: leaveEnd,
+        holidays: holidayDates,
+        isWorkingDay: (iso) => expectedOn(iso) > 0,
+        fullDayHours: LEAVE_MAX_HOURS,
+        ...(leaveDuration === 'partial' ? { firstDayHours: leaveFirstHours, lastDayHours: leaveLastHours } : {}),
+      });
+  }
+
+  // What the request in the form would leave of its type's balance (null when untracked)
+  const leaveBalance = balanceFor(leaveBalances, leaveType, leavePolicies);
+  const leaveRequestHours = leaveDays.reduce((sum, d) => sum + d.hours, 0);
+  const leavePending = pendingLeaveHours(leaveRequests, leaveType, { excludeId: editingLeaveId });
+  const leaveRemaining = remainingAfterRequest({
+    balance: leaveBalance,
+    leaves: leaveRequests,
+    type: leaveType,
+    hours: leaveRequestHours,
+    excludeId: editingLeaveId,
+  });
+
   // PUBLIC_INTERFACE
   const validateLeave = () => {
     /** Validate leave request fields; returns object with errors. */
-    const errs = { date: '', leaveType: '', leaveDuration: '', leaveReason: '', leaveHours: '' };
+    const errs = { date: '', endDate: '', leaveType: '', leaveDuration: '', leaveReason: '', leaveHours: '', balance: '' };
     if (!selectedDateISO) errs.date = 'Please select a date.';
     if (!leaveType) errs.leaveType = 'Please select a leave type.';
     if (!leaveDuration) errs.leaveDuration = 'Please select a duration.';
@@ -503,7 +1104,21 @@ export default function Dashboard() {
     } else if (leaveReason.length > 300) {
       errs.leaveReason = 'Reason must be 300 characters or fewer.';
     }
-    if (leaveDuration === 'partial') {
+    if (leaveEndDate && leaveEndDate < selectedDateISO) {
+      errs.endDate = 'The last day cannot be before the first day.';
+    } else if (leaveRangeTooLong) {
+      errs.endDate = `A request can cover at most ${MAX_LEAVE_RANGE_DAYS} days. Split longer leave into several requests.`;
+    } else if (leaveIsRange && leaveDays.length === 0) {
+      errs.endDate = 'Every day in this range is a weekend or holiday.';
+    }
+    if (leaveDuration === 'partial' && leaveIsRange) {
+      const given = [leaveFirstHours, leaveLastHours].filter((v) => v !== '' && v !== null);
+      if (given.length === 0) {
+        errs.leaveHours = 'Enter the hours of the first or last day, or choose full days.';
+      } else if (given.some((v) => Number.isNaN(Number(v)) || Number(v) <= 0 || Number(v) > LEAVE_MAX_HOURS)) {
+        errs.leaveHours = `Partial days take more than 0 and at most ${LEAVE_MAX_HOURS} hours.`;
+      }
+    } else if (leaveDuration === 'partial') {
       if (leaveHours === '' || leaveHours === null) {
         errs.leaveHours = 'Please enter partial hours.';
       } else {
@@ -513,37 +1128,88 @@ export default function Dashboard() {
         else if (h > LEAVE_MAX_HOURS) errs.leaveHours = `Hours cannot exceed ${LEAVE_MAX_HOURS}.`;
       }
     }
+    errs.balance = leaveBalanceError({
+      remaining: leaveRemaining,
+      policy: leavePolicies.find((p) => p.type === leaveType),
+      type: leaveType,
+    });
     return errs;
   };
 
-  const onSubmitLeave = (e) => {
+  const onSubmitLeave = async (e) => {
     e.preventDefault();
     const errs = validateLeave();
     setLeaveErrors(errs);
     const hasErr = Object.values(errs).some(Boolean);
     if (hasErr) return;
 
-    const payload = {
+    if (!user) {
+      // eslint-disable-next-line no-console
+      console.error('Not authenticated');
+      return;
+    }
+
+    const base = {
+      user_id: user.id,
       date: selectedDateISO,
-      leaveType,
-      leaveDuration,
-      leaveHours: leaveDuration === 'partial' ? Number(leaveHours || 0) : LEAVE_MAX_HOURS,
-      leaveReason: leaveReason.trim(),
+      end_date: leaveEnd,
+      days: leaveIsRange ? leaveDays : null,
+      type: leaveType,
+      duration: leaveDuration,
+      hours: leaveRequestHours,
+      reason: leaveReason.trim(),
+      status: 'draft',
     };
-    // eslint-disable-next-line no-console
-    console.log('Submitting leave request (frontend only):', payload);
+
+    // Optimistic update
+    if (!editingLeaveId) {
+      const tempId = `tmp_${Date.now()}`;
+      const optimistic = { ...base, id: tempId };
+      setLeaveRequests((prev) => [optimistic, ...prev]);
+      const { data, error } = await createLeaveRequest(base);
+      if (error) {
+        // rollback optimistic
+        setLeaveRequests((prev) => prev.filter((it) => it.id !== tempId));
+        setLeaveErrors((prev) => ({ ...prev, submit: error.message || 'Failed to create leave request' }));
+        // Refetch to be safe
+        const res = await listMyLeaveRequests(user.id);
+        setLeaveRequests(res.data || []);
+      } else {
+        // replace temp with actual
+        setLeaveRequests((prev) => [data, ...prev.filter((it) => it.id !== tempId)]);
+        clearFormOnly();
+      }
+    } else {
+      // Optimistic update for edit
+      const old = leaveRequests.find((x) => x.id === editingLeaveId);
+      const patched = { ...old, ...base, id: editingLeaveId };
+      setLeaveRequests((prev) => prev.map((x) => (x.id === editingLeaveId ? patched : x)));
+      const { data, error } = await updateLeaveRequest(editingLeaveId, base);
+      if (error) {
+        // rollback to old
+        setLeaveRequests((prev) => prev.map((x) => (x.id === editingLeaveId ? old : x)));
+        setLeaveErrors((prev) => ({ ...prev, submit: error.message || 'Failed to update leave request' }));
+        const res = await listMyLeaveRequests(user.id);
+        setLeaveRequests(res.data || []);
+      } else {
+        setLeaveRequests((prev) => prev.map((x) => (x.id === editingLeaveId ? data : x)));
+        setEditingLeaveId(null);
+        clearFormOnly();
+      }
+    }
   };
 
   // Actions for Status lists
-  const canEditOrDelete = (status) => status !== 'approved';
+  // Work entries dated inside a locked period stay read-only whatever their status
+  const canEditOrDelete = (status, date) => isEditableStatus(status) && !findLockedPeriod(date, lockedPeriods);
 
   // Wire Edit actions to open panel and set date + tab
   const handleEditWork = (id) => {
     const it = dailyLogs.find((x) => x.id === id);
     if (!it) return;
     setSelectedDateISO(it.date);
-    setProject(it.project || '');
-    setTask(it.task || '');
+    setProjectId(it.project_id || '');
+    setTaskId(it.task_id || '');
     setNotes(it.notes || '');
     setHours(it.hours != null ? String(it.hours) : '');
     setEditingId(id);
@@ -552,33 +1218,104 @@ export default function Dashboard() {
     setActiveTab('timesheet');
   };
 
+  // Copy an entry as a new draft on the same day
+  const handleDuplicateWork = async (id) => {
+    const it = dailyLogs.find((x) => x.id === id);
+    if (!it || !user) return;
+    const base = {
+      user_id: user.id,
+      date: it.date,
+      project_id: it.project_id,
+      task_id: it.task_id,
+      hours: Number(it.hours),
+      notes: it.notes || '',
+      status: 'draft',
+    };
+    const { errors, valid } = validateEntryFields(base, projectsReady ? projects : undefined, rulesContext);
+    if (!valid) {
+      setWorkErrors((prev) => ({ ...prev, submit: `Cannot duplicate: ${Object.values(errors)[0]}` }));
+      return;
+    }
+    setWorkErrors((prev) => ({ ...prev, submit: '' }));
+    const tempId = `tmp_${Date.now()}`;
+    setDailyLogs((prev) => [{ ...base, id: tempId }, ...prev]);
+    const { data, error } = await createTimeEntry(base);
+    if (error) {
+      setDailyLogs((prev) => prev.filter((x) => x.id !== tempId));
+      setWorkErrors((prev) => ({ ...prev, submit: error.message || 'Failed to duplicate entry' }));
+      const res = await listMyTimeEntries(user.id);
+      setDailyLogs(res.data || []);
+    } else {
+      setDailyLogs((prev) => [data, ...prev.filter((x) => x.id !== tempId && x.id !== data.id)]);
+    }
+  };
+
   const handleDeleteWork = async (id) => {
     const backup = dailyLogs;
+    if (editingId === id) {
+      setEditingId(null);
+      clearFormOnly();
+    }
+    setWorkErrors((prev) => ({ ...prev, submit: '' }));
     // optimistic removal
     setDailyLogs((prev) => prev.filter((it) => it.id !== id));
     const { error } = await deleteTimeEntry(id);
     if (error) {
-      // rollback
+      // rollback, saying why (e.g. a closed period or an entry under review)
       setDailyLogs(backup);
+      setWorkErrors((prev) => ({ ...prev, submit: error.message || 'Failed to delete entry' }));
     } else if (user) {
       // refetch to be safe
       const res = await listMyTimeEntries(user.id);
       setDailyLogs(res.data || []);
+      if (showDeleted) {
+        const deleted = await listDeletedTimeEntries(user.id);
+        setDeletedLogs(deleted.data || []);
+      }
     }
   };
   const handleEditLeave = (id) => {
     const it = leaveRequests.find((x) => x.id === id);
     if (!it) return;
     setSelectedDateISO(it.date);
+    setLeaveType(it.type || 'casual');
+    setLeaveDuration(it.duration || 'full');
+    const range = isMultiDayLeave(it);
+    const taken = leaveDaysOf(it);
+    const partialDay = (d) => (it.duration === 'partial' && d && d.hours < LEAVE_MAX_HOURS ? String(d.hours) : '');
+    setLeaveEndDate(range ? it.end_date : '');
+    setLeaveHours(!range && it.duration === 'partial' && it.hours != null ? String(it.hours) : '');
+    setLeaveFirstHours(range ? partialDay(taken[0]) : '');
+    setLeaveLastHours(range && taken.length > 1 ? partialDay(taken[taken.length - 1]) : '');
+    setLeaveReason(it.reason || '');
+    setEditingLeaveId(id);
     setEntryMode('leave');
     setShowEntryPanel(true);
     setActiveTab('timesheet');
   };
-  const handleDeleteLeave = (id) => {
+
+  const handleDeleteLeave = async (id) => {
+    const backup = leaveRequests;
+    if (editingLeaveId === id) {
+      setEditingLeaveId(null);
+      clearFormOnly();
+    }
+    setLeaveErrors((prev) => ({ ...prev, submit: '' }));
+    // optimistic removal
     setLeaveRequests((prev) => prev.filter((it) => it.id !== id));
+    const { error } = await deleteLeaveRequest(id);
+    if (error) {
+      // rollback, saying why (e.g. a closed period or a request under review)
+      setLeaveRequests(backup);
+      setLeaveErrors((prev) => ({ ...prev, submit: error.message || 'Failed to delete leave request' }));
+    } else if (user) {
+      // refetch to be safe
+      const res = await listMyLeaveRequests(user.id);
+      setLeaveRequests(res.data || []);
+    }
   };
 
-  // Status tab content with sub-tabs and mock lists
+  // Status tab content with sub-tabs
   const StatusView = (
     <div className="page">
       <section className="card" aria-label="Status Overview">
@@ -615,6 +1352,37 @@ export default function Dashboard() {
         <div className="card--body" style={{ background: 'var(--surface-soft)' }}>
           {statusSubTab === 'work' ? (
             <div aria-label="Work Status List" style={{ display: 'grid', gap: 8 }}>
+              {pendingSync > 0 && (
+                <div
+                  role="status"
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: 8,
+                    padding: '8px 12px',
+                    background: 'var(--accent-warn-tint)',
+                    border: '1px solid var(--border)',
+                    borderRadius: 'var(--radius-md)',
+                    color: 'var(--text-strong)',
+                    fontSize: 13,
+                  }}
+                >
+                  <span>
+                    {pendingSync} change{pendingSync === 1 ? '' : 's'} pending sync
+                    {typeof navigator !== 'undefined' && navigator.onLine === false ? ' — you are offline' : ''}
+                  </span>
+                  <button
+                    className="btn btn--outline btn--sm"
+                    type="button"
+                    onClick={syncEntriesNow}
+                    disabled={syncingEntries}
+                    style={{ height: 28 }}
+                  >
+                    {syncingEntries ? 'Syncing…' : 'Sync now'}
+                  </button>
+                </div>
+              )}
               {logsLoading && (
                 <div
                   style={{
@@ -642,6 +1410,11 @@ export default function Dashboard() {
                   {logsError}
                 </div>
               )}
+              {workErrors.submit && (
+                <div className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                  {workErrors.submit}
+                </div>
+              )}
               {!logsLoading && !logsError && dailyLogs.length === 0 && (
                 <div
                   style={{
@@ -662,7 +1435,7 @@ export default function Dashboard() {
                       key={item.id}
                       style={{
                         display: 'grid',
-                        gridTemplateColumns: '1fr auto auto auto',
+                        gridTemplateColumns: '1fr auto auto auto auto',
                         gap: 8,
                         alignItems: 'center',
                         background: 'var(--surface)',
@@ -674,12 +1447,17 @@ export default function Dashboard() {
                     >
                       <div>
                         <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
-                          {formatDateReadable(item.date)} • {item.hours}h
+                          {formatDateReadable(item.date)} • {fmtHours(item.hours)}
+                          {item.pending_sync && (
+                            <span className="chip" style={{ marginLeft: 8, fontSize: 11 }} title="Saved on this device; will sync when online">
+                              Pending sync
+                            </span>
+                          )}
                         </div>
-                        <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>{item.task || '—'}</div>
+                        <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>{entryLabel(item) || '—'}</div>
                       </div>
-                      <StatusBadge status={item.status} />
-                      {canEditOrDelete(item.status) ? (
+                      <StatusWithReason status={item.status} reason={item.review_comment} />
+                      {canEditOrDelete(item.status, item.date) ? (
                         <>
                           <button
                             className="btn btn--outline btn--sm"
@@ -704,6 +1482,63 @@ export default function Dashboard() {
                           <span />
                         </>
                       )}
+                      {String(item.id).startsWith('tmp_') ? (
+                        <span />
+                      ) : (
+                        <button
+                          className="btn btn--outline btn--sm"
+                          type="button"
+                          onClick={() => setHistoryEntry(item)}
+                          aria-label={`History of work log ${item.id}`}
+                        >
+                          History
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {!logsLoading && !logsError && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: 'var(--text-secondary)' }}>
+                  <input type="checkbox" checked={showDeleted} onChange={(e) => setShowDeleted(e.target.checked)} />
+                  Show deleted entries
+                </label>
+              )}
+              {showDeleted && !logsLoading && !logsError && (
+                <div aria-label="Deleted work logs" style={{ display: 'grid', gap: 8, maxHeight: 200, overflow: 'auto' }}>
+                  {deletedLogs.length === 0 && (
+                    <div style={{ fontSize: 12, color: 'var(--text-tertiary)' }}>No deleted entries.</div>
+                  )}
+                  {deletedLogs.map((item) => (
+                    <div
+                      key={item.id}
+                      style={{
+                        display: 'grid',
+                        gridTemplateColumns: '1fr auto',
+                        gap: 8,
+                        alignItems: 'center',
+                        background: 'var(--surface-soft)',
+                        border: '1px dashed var(--border)',
+                        borderRadius: 'var(--radius-md)',
+                        padding: '8px 12px',
+                      }}
+                    >
+                      <div>
+                        <div style={{ fontWeight: 700, color: 'var(--text-secondary)', textDecoration: 'line-through' }}>
+                          {formatDateReadable(item.date)} • {fmtHours(item.hours)}
+                        </div>
+                        <div style={{ fontSize: 12, color: 'var(--text-tertiary)' }}>
+                          {entryLabel(item) || '—'} • deleted {new Date(item.deleted_at).toLocaleString()}
+                        </div>
+                      </div>
+                      <button
+                        className="btn btn--outline btn--sm"
+                        type="button"
+                        onClick={() => setHistoryEntry(item)}
+                        aria-label={`History of deleted work log ${item.id}`}
+                      >
+                        History
+                      </button>
                     </div>
                   ))}
                 </div>
@@ -711,7 +1546,39 @@ export default function Dashboard() {
             </div>
           ) : (
             <div aria-label="Leave Status List" style={{ display: 'grid', gap: 8 }}>
-              {leaveRequests.length === 0 ? (
+              {leavesLoading && (
+                <div
+                  style={{
+                    padding: 12,
+                    background: 'var(--surface)',
+                    border: '1px solid var(--border)',
+                    borderRadius: 'var(--radius-md)',
+                    color: 'var(--text-secondary)',
+                  }}
+                >
+                  Loading leave requests…
+                </div>
+              )}
+              {!leavesLoading && leavesError && (
+                <div
+                  role="alert"
+                  style={{
+                    padding: 12,
+                    background: 'var(--warn-tint)',
+                    border: '1px solid var(--warn)',
+                    borderRadius: 'var(--radius-md)',
+                    color: 'var(--text-strong)',
+                  }}
+                >
+                  {leavesError}
+                </div>
+              )}
+              {leaveErrors.submit && (
+                <div className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                  {leaveErrors.submit}
+                </div>
+              )}
+              {!leavesLoading && !leavesError && leaveRequests.length === 0 && (
                 <div
                   style={{
                     padding: 12,
@@ -723,7 +1590,8 @@ export default function Dashboard() {
                 >
                   No leave requests yet.
                 </div>
-              ) : (
+              )}
+              {!leavesLoading && !leavesError && leaveRequests.length > 0 && (
                 <div style={{ display: 'grid', gap: 8, maxHeight: 320, overflow: 'auto' }}>
                   {leaveRequests.map((item) => (
                     <div
@@ -742,10 +1610,13 @@ export default function Dashboard() {
                     >
                       <div>
                         <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
-                          {formatDateReadable(item.date)} • {item.type} • {item.duration === 'full' ? 'Full' : `${item.hours}h`}
+                          {isMultiDayLeave(item)
+                            ? `${formatDateReadable(item.date)} – ${formatDateReadable(item.end_date)} • ${LEAVE_TYPE_LABELS[item.type] || item.type} • ${leaveDaysOf(item).length} working days, ${fmtHours(item.hours)}`
+                            : `${formatDateReadable(item.date)} • ${LEAVE_TYPE_LABELS[item.type] || item.type} • ${item.duration === 'full' ? 'Full' : fmtHours(item.hours)}`}
                         </div>
+                        <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>{item.reason || '—'}</div>
                       </div>
-                      <StatusBadge status={item.status} />
+                      <StatusWithReason status={item.status} reason={item.review_comment} />
                       {canEditOrDelete(item.status) ? (
                         <>
                           <button
@@ -779,23 +1650,73 @@ export default function Dashboard() {
           )}
         </div>
       </section>
+      <EntryHistoryDrawer
+        entry={historyEntry}
+        currentUserId={user?.id}
+        projects={projects}
+        onClose={() => setHistoryEntry(null)}
+      />
     </div>
   );
 
+  // Summary for the month the calendar is showing (entries, leave and timer sessions)
+  const statsYear = Number(selectedDateISO.slice(0, 4));
+  const statsMonth = Number(selectedDateISO.slice(5, 7)) - 1;
+  // Overtime follows the saved schedule (its longest day and weekly total), else the env standard
+  const overtimeStandard = workSchedule ? scheduleStandard(workSchedule) : workStandard;
   const stats = useMemo(
-    () => [
-      { icon: '⏱️', label: 'Total Hours This Month', value: '0h' },
-      { icon: '📅', label: 'Working Days', value: '0d' },
-      { icon: '🕒', label: 'Avg Hours/Day', value: '0.0h' },
-      { icon: '⚡', label: 'Overtime', value: '0h' },
-      { icon: '🍃', label: 'Leaves Taken', value: '0' },
-    ],
-    []
+    () => {
+      const m = computeMonthStats({
+        year: statsYear,
+        month: statsMonth,
+        entries: dailyLogs,
+        leaves: leaveRequests,
+        sessionSecondsByDate: timerSecondsByDate(),
+        standard: overtimeStandard,
+        weekStart: preferences.weekStart,
+      });
+      const daysInMonth = new Date(statsYear, statsMonth + 1, 0).getDate();
+      const expectedDays = Array.from({ length: daysInMonth }, (_, i) => toISO(new Date(statsYear, statsMonth, i + 1)))
+        .filter((iso) => expectedHoursOn(iso, { schedule, holidays: holidaySet }) > 0).length;
+      return [
+        { icon: '⏱️', label: 'Total Hours This Month', value: fmtHours(m.totalHours) },
+        { icon: '📅', label: 'Working Days', value: `${m.workingDays}/${expectedDays}d` },
+        { icon: '🕒', label: 'Avg Hours/Day', value: fmtHours(m.avgHoursPerDay) },
+        { icon: '⚡', label: 'Overtime', value: fmtHours(m.overtimeHours) },
+        { icon: '🍃', label: 'Leaves Taken', value: `${m.leaveDays}d` },
+      ];
+    },
+    // todayTotal/lastSession change whenever timer sessions are written
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [statsYear, statsMonth, dailyLogs, leaveRequests, workSchedule, holidaySet, workStandard, todayTotal, lastSession, preferences.hourFormat, preferences.weekStart]
+  );
+
+  // Calendar cells: logged hours, status, leave and timer time per day
+  const daySummaries = useMemo(
+    () => summarizeDays({ entries: dailyLogs, leaves: leaveRequests, sessionSecondsByDate: timerSecondsByDate() }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [dailyLogs, leaveRequests, todayTotal, lastSession]
   );
+  const cellLabel = (d, summary, locked) => {
+    const iso = toISO(d);
+    const expected = expectedOn(iso);
+    const holiday = holidayName(iso);
+    return `${d.toDateString()}: ${fmtHours(summary?.loggedHours || 0)} logged` +
+      `${expected > 0 ? ` of ${fmtHours(expected)} expected` : holiday ? `, holiday (${holiday})` : ', day off'}` +
+      `${summary?.leaves.length ? ', leave' : ''}${locked ? ', locked period' : ''}`;
+  };
+  const selectedLock = findLockedPeriod(selectedDateISO, lockedPeriods);
+
+  // Side panel: what is already on the selected day, and where the form would take it
+  const dayRows = dayBreakdown({ entries: dailyLogs, leaves: leaveRequests, iso: selectedDateISO });
+  const projectedDayHours =
+    hours === '' || Number.isNaN(Number(hours))
+      ? dayRows.workHours
+      : loggedHoursOn(dailyLogs, selectedDateISO, { excludeId: editingId, addHours: hours });
 
   // Calendar header label (range or month title)
   const calendarTitle =
-    calendarView === 'week'
+    calendarView !== 'month'
       ? (() => {
           const end = new Date(weekDates[6]);
           return `${weekDates[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${end.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
@@ -805,88 +1726,176 @@ export default function Dashboard() {
   return (
     <div>
       {/* Top utility bar */}
-      <div className="headerbar">
-        <div className="cluster" aria-label="Section navigation">
-          <button
-            className={`chip ${activeTab === 'timesheet' ? 'chip--filled-primary' : ''}`}
-            onClick={() => setActiveTab('timesheet')}
-            aria-current={activeTab === 'timesheet' ? 'page' : undefined}
-            type="button"
-          >
-            Timesheet
-          </button>
-          <button
-            className={`chip ${activeTab === 'status' ? 'chip--filled-primary' : ''}`}
-            onClick={() => setActiveTab('status')}
-            aria-current={activeTab === 'status' ? 'page' : undefined}
-            type="button"
-          >
-            Status
-          </button>
-          <span className="chip chip--tint-warn">Updated Just</span>
+      <AppHeader
+        active="/"
+        tabs={
+          <>
+            <button
+              className={`chip ${activeTab === 'timesheet' ? 'chip--filled-primary' : ''}`}
+              onClick={() => setActiveTab('timesheet')}
+              aria-current={activeTab === 'timesheet' ? 'page' : undefined}
+              type="button"
+            >
+              Timesheet
+            </button>
+            <button
+              className={`chip ${activeTab === 'status' ? 'chip--filled-primary' : ''}`}
+              onClick={() => setActiveTab('status')}
+              aria-current={activeTab === 'status' ? 'page' : undefined}
+              type="button"
+            >
+              Status
+            </button>
+          </>
+        }
+        badge={<span className="chip chip--tint-warn">Updated Just</span>}
+      >
+        {/* Live timer widget */}
+        <div className="timer-widget" aria-live="polite" style={timerStyles.container}>
+          <div style={timerStyles.time} aria-label="Current session elapsed">
+            {formatHMS(elapsed)}
+          </div>
+          <div style={timerStyles.actions}>
+            {!isRunning ? (
+              <button className="btn btn--primary" type="button" onClick={handleCheckIn} aria-label="Check In">
+                Check In
+              </button>
+            ) : (
+              <button className="btn btn--primary" type="button" onClick={handleCheckOut} aria-label="Check Out">
+                Check Out
+              </button>
+            )}
+          </div>
+          <div style={timerStyles.last} aria-live="polite">
+            <span style={{ marginRight: 8 }}>Last session: {lastSession > 0 ? formatHMS(lastSession) : '—'}</span>
+            <span>Today total: {formatHMS(todayTotal)}</span>
+            {timerUnsynced && (
+              <span style={{ marginLeft: 8, color: 'var(--accent-warn)' }} title="Sessions are saved on this device and will sync when the connection returns.">
+                Offline – will sync
+              </span>
+            )}
+          </div>
+        </div>
+      </AppHeader>
+
+      {/* Auto-checkout non-blocking toast/banner */}
+      {autoCheckoutBanner && (
+        <div role="status" aria-live="polite" style={toastStyles.banner}>
+          <div>{autoCheckoutBanner.message}</div>
+          <div className="cluster" style={{ gap: 8 }}>
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={handleUndoAutoCheckout}
+              disabled={isRunning}
+              title="Reopen the session and keep the timer running"
+              style={{ height: 28 }}
+            >
+              Undo
+            </button>
+            {autoCheckoutBanner.trimTo && (
+              <button
+                type="button"
+                className="btn btn--outline btn--sm"
+                onClick={handleTrimAutoCheckout}
+                disabled={isRunning}
+                title="End the session at your last activity instead"
+                style={{ height: 28 }}
+              >
+                {`Trim to ${new Date(autoCheckoutBanner.trimTo).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`}
+              </button>
+            )}
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={() => setAutoCheckoutBanner(null)}
+              aria-label="Dismiss notification"
+              style={{ height: 28 }}
+            >
+              Dismiss
+            </button>
+          </div>
         </div>
+      )}
 
-        <div className="cluster" style={{ flexWrap: 'wrap' }}>
-          {/* Role dropdown (disabled) */}
-          <label style={{ fontSize: 13, color: 'var(--text-secondary)' }} htmlFor="role">
-            Role:
-          </label>
-          <select
-            id="role"
-            className="select"
-            aria-label="Role"
-            value={role}
-            disabled
-            onChange={() => {}}
-            style={{ cursor: 'not-allowed' }}
-          >
-            <option value="employee">Employee</option>
-          </select>
-
-          {/* Live timer widget */}
-          <div className="timer-widget" aria-live="polite" style={timerStyles.container}>
-            <div style={timerStyles.time} aria-label="Current session elapsed">
-              {formatHMS(elapsed)}
-            </div>
-            <div style={timerStyles.actions}>
-              {!isRunning ? (
-                <button className="btn btn--primary" type="button" onClick={handleCheckIn} aria-label="Check In">
-                  Check In
-                </button>
-              ) : (
-                <button className="btn btn--primary" type="button" onClick={handleCheckOut} aria-label="Check Out">
-                  Check Out
-                </button>
-              )}
-            </div>
-            <div style={timerStyles.last} aria-live="polite">
-              <span style={{ marginRight: 8 }}>Last session: {lastSession > 0 ? formatHMS(lastSession) : '—'}</span>
-              <span>Today total: {formatHMS(todayTotal)}</span>
-            </div>
+      {idlePrompt && (
+        <div role="alertdialog" aria-live="assertive" aria-label="Idle time" style={toastStyles.banner}>
+          <div>{`You've been idle for ${idlePrompt.minutes} min — keep, discard, or trim?`}</div>
+          <div className="cluster" style={{ gap: 8 }}>
+            <button
+              type="button"
+              className="btn btn--primary btn--sm"
+              onClick={() => handleIdleChoice('keep')}
+              title="Count the idle time and keep the timer running"
+              style={{ height: 28 }}
+            >
+              Keep
+            </button>
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={() => handleIdleChoice('discard')}
+              title="Check out at the moment you went idle"
+              style={{ height: 28 }}
+            >
+              Discard
+            </button>
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={() => handleIdleChoice('trim')}
+              title="Drop the idle time and keep the timer running from now"
+              style={{ height: 28 }}
+            >
+              Trim
+            </button>
           </div>
+        </div>
+      )}
 
-          <div style={{ width: 8 }} />
-          <span style={{ fontSize: 13, color: 'var(--text-secondary)' }}>{user?.email}</span>
-          <button
-            className="btn btn--outline"
-            style={{ height: 32, padding: '0 12px', borderRadius: 8 }}
-            onClick={handleLogout}
-            type="button"
-            aria-label="Log out"
-          >
-            Logout
-          </button>
+      {logPrompt && (
+        <div role="status" aria-live="polite" style={toastStyles.banner}>
+          <div>
+            {`${logPrompt.hours}h of timer time on ${formatDateReadable(logPrompt.date)} isn't logged yet.`}
+          </div>
+          <div className="cluster" style={{ gap: 8 }}>
+            <button
+              type="button"
+              className="btn btn--primary btn--sm"
+              onClick={() => handleLogTimerTime([logPrompt])}
+              disabled={loggingTimer}
+              style={{ height: 28 }}
+            >
+              Log this time
+            </button>
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={() => handleEditTimerTime(logPrompt)}
+              style={{ height: 28 }}
+            >
+              Edit first
+            </button>
+            <button
+              type="button"
+              className="btn btn--outline btn--sm"
+              onClick={() => setLogPrompt(null)}
+              aria-label="Dismiss notification"
+              style={{ height: 28 }}
+            >
+              Dismiss
+            </button>
+          </div>
         </div>
-      </div>
+      )}
 
-      {/* Auto-checkout non-blocking toast/banner */}
-      {autoCheckoutBanner && (
+      {submitNotice && (
         <div role="status" aria-live="polite" style={toastStyles.banner}>
-          <div>{autoCheckoutBanner.message}</div>
+          <div>{submitNotice}</div>
           <button
             type="button"
             className="btn btn--outline btn--sm"
-            onClick={() => setAutoCheckoutBanner(null)}
+            onClick={() => setSubmitNotice('')}
             aria-label="Dismiss notification"
             style={{ height: 28 }}
           >
@@ -917,7 +1926,7 @@ export default function Dashboard() {
                 aria-label="New Entry"
                 onClick={() => {
                   setShowEntryPanel(true);
-                  setSelectedDateISO(toISO(new Date()));
+                  setSelectedDateISO(todayISO);
                 }}
               >
                 New Entry
@@ -964,6 +1973,15 @@ export default function Dashboard() {
                   >
                     Month
                   </button>
+                  <button
+                    className={`tab ${calendarView === 'grid' ? 'tab--active' : ''}`}
+                    role="tab"
+                    aria-selected={calendarView === 'grid'}
+                    type="button"
+                    onClick={() => setCalendarView('grid')}
+                  >
+                    Grid
+                  </button>
                 </div>
                 <div className="cluster" style={{ gap: 8 }}>
                   <div style={{ color: 'var(--on-dark)', fontSize: 12, fontWeight: 600 }} aria-live="polite">
@@ -972,95 +1990,237 @@ export default function Dashboard() {
                   <button className="btn btn--ghost-onDark btn--sm" type="button" onClick={onClickToday}>
                     Today
                   </button>
+                  <button
+                    className="btn btn--ghost-onDark btn--sm"
+                    type="button"
+                    onClick={() => setShowExport((v) => !v)}
+                    aria-expanded={showExport}
+                    aria-controls="export-panel"
+                  >
+                    Export
+                  </button>
+                  <button
+                    className="btn btn--ghost-onDark btn--sm"
+                    type="button"
+                    onClick={() => navigate('/import')}
+                  >
+                    Import
+                  </button>
+                  <button
+                    className="btn btn--ghost-onDark btn--sm"
+                    type="button"
+                    onClick={handleSubmitWeek}
+                    disabled={submittableCount === 0 || submittingWeek}
+                    aria-label="Submit week for approval"
+                    title="Submit this week's drafts for approval"
+                  >
+                    {submittingWeek ? 'Submitting…' : `Submit Week${submittableCount ? ` (${submittableCount})` : ''}`}
+                  </button>
+                  <button
+                    className="btn btn--ghost-onDark btn--sm"
+                    type="button"
+                    onClick={() => handleLogTimerTime(calendarView !== 'month' ? weekTimerPlan : dayTimerPlan)}
+                    disabled={loggingTimer || (calendarView !== 'month' ? weekTimerPlan : dayTimerPlan).length === 0}
+                    aria-label={calendarView !== 'month' ? 'Log timer time for this week' : 'Log timer time for the selected day'}
+                    title="Create draft entries for checked-in time that isn't logged yet"
+                  >
+                    {(() => {
+                      const plan = calendarView !== 'month' ? weekTimerPlan : dayTimerPlan;
+                      const h = sumPlanHours(plan);
+                      return `Log Timer ${calendarView !== 'month' ? 'Week' : 'Day'}${h ? ` (${h}h)` : ''}`;
+                    })()}
+                  </button>
                 </div>
               </div>
 
-              <div className="calendar__grid">
-                <div className="calendar__weekdays" role="row">
-                  {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((w) => (
-                    <div key={w} className="calendar__weekday" role="columnheader">
-                      {w}
+              {showExport && (
+                <div id="export-panel" role="region" aria-label="Export timesheet" style={exportStyles.panel}>
+                  <div>
+                    <label className="label" htmlFor="export-period">Range</label>
+                    <select
+                      id="export-period"
+                      className="select"
+                      value={exportPeriod}
+                      onChange={(e) => {
+                        const next = e.target.value;
+                        if (next === 'custom' && !exportFrom && !exportTo) {
+                          const week = exportRange('week', selectedDateISO, preferences.weekStart);
+                          setExportFrom(week.from);
+                          setExportTo(week.to);
+                        }
+                        setExportPeriod(next);
+                      }}
+                    >
+                      <option value="week">Selected week</option>
+                      <option value="month">Selected month</option>
+                      <option value="custom">Custom range</option>
+                    </select>
+                  </div>
+                  {exportPeriod === 'custom' && (
+                    <>
+                      <div>
+                        <label className="label" htmlFor="export-from">From</label>
+                        <input id="export-from" className="input" type="date" value={exportFrom} onChange={(e) => setExportFrom(e.target.value)} />
+                      </div>
+                      <div>
+                        <label className="label" htmlFor="export-to">To</label>
+                        <input id="export-to" className="input" type="date" value={exportTo} onChange={(e) => setExportTo(e.target.value)} />
+                      </div>
+                    </>
+                  )}
+                  <div>
+                    <label className="label" htmlFor="export-group">Group by</label>
+                    <select
+                      id="export-group"
+                      className="select"
+                      value={exportGroupBy}
+                      onChange={(e) => setExportGroupBy(e.target.value)}
+                    >
+                      <option value="none">No grouping</option>
+                      <option value="day">Day</option>
+                      <option value="project">Project</option>
+                      <option value="task">Task</option>
+                    </select>
+                  </div>
+                  <div className="cluster" style={{ gap: 8, alignSelf: 'end' }}>
+                    <button className="btn btn--outline btn--sm" type="button" onClick={() => handleExport('csv')}>
+                      Download CSV
+                    </button>
+                    <button className="btn btn--primary btn--sm" type="button" onClick={() => handleExport('xlsx')}>
+                      Download XLSX
+                    </button>
+                  </div>
+                  {exportError && (
+                    <div className="helper" role="alert" style={{ color: 'var(--error)', gridColumn: '1 / -1' }}>
+                      {exportError}
                     </div>
-                  ))}
+                  )}
                 </div>
+              )}
 
-                {/* Week view cells */}
-                {calendarView === 'week' && (
-                  <div className="calendar__cells" role="row">
-                    {weekDates.map((d) => {
-                      const iso = toISO(d);
-                      const isSelected = iso === selectedDateISO;
-                      // show daily aggregated hours if any
-                      const day = getDayState(iso);
-                      const sessionsTotal = (day.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-                      const totalHrs = Math.floor(sessionsTotal / 3600);
-                      return (
-                        <div
-                          key={iso}
-                          className={`calendar__cell ${isSelected ? 'calendar__cell--current' : ''}`}
-                          role="gridcell"
-                          aria-label={`${d.toDateString()} total hours`}
-                          onClick={() => onClickDay(d)}
-                          style={{ cursor: 'pointer' }}
-                        >
-                          <div className="calendar__cell-inner">
-                            <div className="calendar__cell-label">
-                              <div className="calendar__cell-hours">{totalHrs}h</div>
-                              <div className="calendar__cell-sub">
-                                {d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              {calendarView === 'grid' && (
+                <WeekGrid
+                  weekDates={weekDates}
+                  weekISOs={weekISOs}
+                  previousWeekISOs={previousWeekISOs}
+                  entries={dailyLogs}
+                  projects={projects}
+                  isEditable={isEditableStatus}
+                  lockedDates={weekISOs.filter((iso) => findLockedPeriod(iso, lockedPeriods))}
+                  rules={entryRules}
+                  today={todayISO}
+                  onSave={handleSaveGrid}
+                  saving={savingGrid}
+                />
+              )}
+
+              {calendarView !== 'grid' && (
+                <div className="calendar__grid">
+                  <div className="calendar__weekdays" role="row">
+                    {weekdayLabels(preferences.weekStart).map((w) => (
+                      <div key={w} className="calendar__weekday" role="columnheader">
+                        {w}
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Week view cells */}
+                  {calendarView === 'week' && (
+                    <div className="calendar__cells" role="row">
+                      {weekDates.map((d, i) => {
+                        const iso = toISO(d);
+                        const isSelected = iso === selectedDateISO;
+                        const summary = daySummaries[iso];
+                        const lock = findLockedPeriod(iso, lockedPeriods);
+                        return (
+                          <div
+                            key={iso}
+                            className={`calendar__cell ${isSelected ? 'calendar__cell--current' : ''}`}
+                            role="gridcell"
+                            aria-label={cellLabel(d, summary, lock)}
+                            onClick={() => onClickDay(d)}
+                            style={{
+                              cursor: 'pointer',
+                              ...(expectedOn(iso) === 0 ? nonWorkingCellStyle : {}),
+                              ...(lock ? lockedCellStyle : {}),
+                            }}
+                          >
+                            <div className="calendar__cell-inner">
+                              <div className="calendar__cell-label" style={{ width: '100%' }}>
+                                <div className="calendar__cell-hours">{fmtHours(summary?.loggedHours || 0)}</div>
+                                <div className="calendar__cell-sub">
+                                  {d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                                </div>
+                                <ExpectedMarker
+                                  expected={expectedOn(iso)}
+                                  delta={dayDelta(summary, expectedOn(iso))}
+                                  holiday={holidayName(iso)}
+                                  upcoming={iso > todayISO}
+                                />
+                                <DayMarkers summary={summary} lock={lock} rowStart={i === 0} />
                               </div>
                             </div>
                           </div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                )}
-
-                {/* Month view grid (6x7) */}
-                {calendarView === 'month' && (
-                  <div className="calendar__cells" role="row" style={{ gridAutoRows: 'minmax(56px, 1fr)' }}>
-                    {monthGridDates.map((d) => {
-                      const iso = toISO(d);
-                      const isSelected = iso === selectedDateISO;
-                      const isOutsideMonth = d < monthFirst || d > monthLast;
-                      const day = getDayState(iso);
-                      const sessionsTotal = (day.sessions || []).reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
-                      const totalHrs = Math.floor(sessionsTotal / 3600);
-                      return (
-                        <div
-                          key={iso}
-                          className={`calendar__cell ${isSelected ? 'calendar__cell--current' : ''}`}
-                          role="gridcell"
-                          aria-label={`${d.toDateString()} total hours`}
-                          onClick={() => onClickDay(d)}
-                          style={{
-                            cursor: 'pointer',
-                            background: isOutsideMonth ? 'var(--surface-soft)' : undefined,
-                            opacity: isOutsideMonth ? 0.6 : 1,
-                          }}
-                        >
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {/* Month view grid (6x7) */}
+                  {calendarView === 'month' && (
+                    <div className="calendar__cells" role="row" style={{ gridAutoRows: 'minmax(56px, 1fr)' }}>
+                      {monthGridDates.map((d, i) => {
+                        const iso = toISO(d);
+                        const isSelected = iso === selectedDateISO;
+                        const isOutsideMonth = d < monthFirst || d > monthLast;
+                        const summary = daySummaries[iso];
+                        const lock = findLockedPeriod(iso, lockedPeriods);
+                        return (
                           <div
-                            className="calendar__cell-inner"
-                            style={{ alignItems: 'flex-start', justifyContent: 'flex-start', padding: 6 }}
+                            key={iso}
+                            className={`calendar__cell ${isSelected ? 'calendar__cell--current' : ''}`}
+                            role="gridcell"
+                            aria-label={cellLabel(d, summary, lock)}
+                            onClick={() => onClickDay(d)}
+                            style={{
+                              cursor: 'pointer',
+                              background: isOutsideMonth || expectedOn(iso) === 0 ? nonWorkingCellStyle.background : undefined,
+                              opacity: isOutsideMonth ? 0.6 : 1,
+                              ...(lock ? lockedCellStyle : {}),
+                            }}
                           >
-                            <div className="calendar__cell-label" style={{ textAlign: 'left' }}>
-                              <div className="calendar__cell-sub" style={{ fontWeight: 700 }}>
-                                {d.getDate()}
-                              </div>
-                              <div className="calendar__cell-hours" style={{ fontSize: 14, fontWeight: 700 }}>
-                                {totalHrs}h
+                            <div
+                              className="calendar__cell-inner"
+                              style={{ alignItems: 'flex-start', justifyContent: 'flex-start', padding: 6 }}
+                            >
+                              <div className="calendar__cell-label" style={{ textAlign: 'left', width: '100%' }}>
+                                <div className="calendar__cell-sub" style={{ fontWeight: 700 }}>
+                                  {d.getDate()}
+                                </div>
+                                <div className="calendar__cell-hours" style={{ fontSize: 14, fontWeight: 700 }}>
+                                  {fmtHours(summary?.loggedHours || 0)}
+                                </div>
+                                {!isOutsideMonth && (
+                                  <ExpectedMarker
+                                    expected={expectedOn(iso)}
+                                    delta={dayDelta(summary, expectedOn(iso))}
+                                    holiday={holidayName(iso)}
+                                    upcoming={iso > todayISO}
+                                    compact
+                                  />
+                                )}
+                                <DayMarkers summary={summary} lock={lock} rowStart={i % 7 === 0} compact />
                               </div>
                             </div>
                           </div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                )}
+                        );
+                      })}
+                    </div>
+                  )}
 
-                <div style={{ height: 12 }} />
-              </div>
+                  <div style={{ height: 12 }} />
+                </div>
+              )}
             </section>
 
             {/* Right panel - New Entry with tabs for Work and Leave */}
@@ -1129,6 +2289,7 @@ export default function Dashboard() {
                         className="input"
                         value={selectedDateISO}
                         onChange={onDateChange}
+                        max={entryMode === 'work' ? lastAllowedDate(entryRules, todayISO) : undefined}
                         style={{ width: 150, height: 30 }}
                         required
                       />
@@ -1142,21 +2303,135 @@ export default function Dashboard() {
                     )}
                   </div>
 
+                  {selectedLock && (
+                    <div className="helper" role="status" style={{ color: 'var(--accent-warn)', fontWeight: 600, marginBottom: 8 }}>
+                      🔒 This day is in a closed pay period ({formatDateReadable(selectedLock.start_date)} –{' '}
+                      {formatDateReadable(selectedLock.end_date)}). Work entries can no longer be added or changed.
+                    </div>
+                  )}
+
+                  {/* Day summary: everything already on the selected day, with running totals */}
+                  <div aria-label="Day summary" style={{ display: 'grid', gap: 6, marginBottom: 12 }}>
+                    <div className="label">On this day</div>
+                    {dayRows.rows.length === 0 && (
+                      <div className="helper">Nothing logged on this day yet.</div>
+                    )}
+                    {dayRows.rows.map(({ kind, item: it, hours: dayHours, counted, running }) => (
+                      <div key={`${kind}:${it.id}`} style={{ ...dayListStyles.row, opacity: counted ? 1 : 0.65 }}>
+                        <div style={{ minWidth: 0 }}>
+                          <div style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                            {kind === 'entry'
+                              ? fmtHours(it.hours)
+                              : `Leave · ${LEAVE_TYPE_LABELS[it.type] || it.type}`}
+                          </div>
+                          <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                            {kind === 'entry'
+                              ? entryLabel(it) || '—'
+                              : isMultiDayLeave(it)
+                                ? `${fmtHours(dayHours)} of ${fmtHours(it.hours)} · ${formatDateReadable(it.date)} – ${formatDateReadable(it.end_date)}`
+                                : it.duration === 'partial'
+                                ? `${fmtHours(it.hours)} (partial)`
+                                : `Full day · ${fmtHours(it.hours)}`}
+                          </div>
+                        </div>
+                        <div style={dayListStyles.running} title={counted ? 'Running total for the day' : 'Rejected items are not counted'}>
+                          {counted ? `= ${fmtHours(running)}` : 'not counted'}
+                        </div>
+                        <StatusBadge status={it.status} />
+                        <div className="cluster" style={dayListStyles.actions}>
+                          {canEditOrDelete(it.status, kind === 'entry' ? it.date : null) && (
+                            <button
+                              className="btn btn--outline btn--sm"
+                              type="button"
+                              onClick={() => (kind === 'entry' ? handleEditWork(it.id) : handleEditLeave(it.id))}
+                              aria-label={kind === 'entry' ? `Edit ${fmtHours(it.hours)} entry` : `Edit ${it.type} leave`}
+                              style={{ height: 28 }}
+                            >
+                              Edit
+                            </button>
+                          )}
+                          {kind === 'entry' && !selectedLock && (
+                            <button
+                              className="btn btn--outline btn--sm"
+                              type="button"
+                              onClick={() => handleDuplicateWork(it.id)}
+                              aria-label={`Duplicate ${fmtHours(it.hours)} entry`}
+                              style={{ height: 28 }}
+                            >
+                              Duplicate
+                            </button>
+                          )}
+                          {canEditOrDelete(it.status, kind === 'entry' ? it.date : null) && (
+                            <button
+                              className="btn btn--outline btn--sm"
+                              type="button"
+                              onClick={() => (kind === 'entry' ? handleDeleteWork(it.id) : handleDeleteLeave(it.id))}
+                              aria-label={kind === 'entry' ? `Delete ${fmtHours(it.hours)} entry` : `Delete ${it.type} leave`}
+                              style={{ height: 28 }}
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {dayRows.rows.length > 0 && (
+                      <div style={dayListStyles.totals}>
+                        <span>Work {fmtHours(dayRows.workHours)}</span>
+                        {dayRows.leaveHours > 0 && <span>Leave {fmtHours(dayRows.leaveHours)}</span>}
+                        <span style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                          Day total {fmtHours(dayRows.totalHours)}
+                        </span>
+                      </div>
+                    )}
+                    {entryMode === 'work' && projectedDayHours > entryRules.maxHoursPerDay && (
+                      <div className="helper" role="alert" style={{ color: 'var(--accent-warn)', fontWeight: 600 }}>
+                        {editingId ? 'With this change' : 'With this entry'} the day comes to{' '}
+                        {fmtHours(projectedDayHours)}, over the {entryRules.maxHoursPerDay}h limit.
+                      </div>
+                    )}
+                  </div>
+
                   {entryMode === 'work' ? (
                     <form className="grid" style={{ gap: 12 }} onSubmit={onSubmitWork} noValidate aria-label="Work Entry Form">
                       <label className="label" htmlFor="project">Project</label>
-                      <select id="project" className="select" value={project} onChange={(e) => setProject(e.target.value)}>
-                        <option value="" disabled>Select project</option>
-                        <option value="chronose">Chronose</option>
-                      </select>
+                      <SearchableSelect
+                        id="project"
+                        value={projectId}
+                        options={projectOptions}
+                        onChange={(id) => {
+                          setProjectId(id);
+                          if (id !== projectId) setTaskId('');
+                          setWorkErrors((prev) => ({ ...prev, project: '', task: '' }));
+                        }}
+                        placeholder={projectsError || (projectOptions.length ? 'Search projects…' : 'No projects assigned')}
+                        disabled={projectOptions.length === 0}
+                        aria-describedby="project-help"
+                      />
+                      {workErrors.project && (
+                        <div id="project-help" className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                          {workErrors.project}
+                        </div>
+                      )}
 
                       <label className="label" htmlFor="task">Task</label>
-                      <select id="task" className="select" value={task} onChange={(e) => setTask(e.target.value)}>
-                        <option value="" disabled>Select task</option>
-                        <option value="planning">Planning</option>
-                        <option value="testing">Testing</option>
-                        <option value="meetings">Meetings</option>
-                      </select>
+                      <SearchableSelect
+                        id="task"
+                        value={taskId}
+                        options={taskOptions}
+                        onChange={(id) => {
+                          setTaskId(id);
+                          setWorkErrors((prev) => ({ ...prev, task: '' }));
+                        }}
+                        placeholder={projectId ? 'Search tasks…' : 'Select a project first'}
+                        disabled={!projectId || taskOptions.length === 0}
+                        aria-describedby="task-help"
+                      />
+                      {workErrors.task && (
+                        <div id="task-help" className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                          {workErrors.task}
+                        </div>
+                      )}
 
                       {/* Hours worked numeric input */}
                       <label className="label" htmlFor="hours">Hours Worked</label>
@@ -1193,7 +2468,12 @@ export default function Dashboard() {
                         onChange={(e) => setNotes(e.target.value)}
                       />
 
-                      <span className="helper">Estimated 40h/week. Calculated automatically.</span>
+                      <span className="helper">
+                        {workSchedule
+                          ? `Your schedule: ${describeSchedule(workSchedule.hours)} (${overtimeStandard.weeklyHours}h/week).`
+                          : `Standard ${workStandard.weeklyHours}h/week (${workStandard.dailyHours}h/day).`}{' '}
+                        {fmtHours(expectedOn(selectedDateISO))} expected on this day. Overtime is calculated automatically.
+                      </span>
 
                       <div className="new-entry__footer">
                         <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
@@ -1226,7 +2506,7 @@ export default function Dashboard() {
                         id="leave-type"
                         className="select"
                         value={leaveType}
-                        onChange={(e) => { setLeaveType(e.target.value); setLeaveErrors((p)=>({ ...p, leaveType: '' })); }}
+                        onChange={(e) => { setLeaveType(e.target.value); setLeaveErrors((p)=>({ ...p, leaveType: '', balance: '' })); }}
                         required
                       >
                         <option value="casual">Casual</option>
@@ -1239,6 +2519,31 @@ export default function Dashboard() {
                         <div className="helper">Choose the leave category.</div>
                       )}
 
+                      {/* Last day of a multi-day request (optional) */}
+                      <label className="label" htmlFor="leave-end-date">Last day</label>
+                      <input
+                        id="leave-end-date"
+                        className="input"
+                        type="date"
+                        min={selectedDateISO}
+                        value={leaveEndDate}
+                        onChange={(e) => { setLeaveEndDate(e.target.value); setLeaveErrors((p)=>({ ...p, endDate: '', leaveHours: '', balance: '' })); }}
+                        aria-describedby="leave-end-date-help"
+                      />
+                      {leaveErrors.endDate ? (
+                        <div id="leave-end-date-help" className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                          {leaveErrors.endDate}
+                        </div>
+                      ) : leaveIsRange && !leaveRangeTooLong ? (
+                        <div id="leave-end-date-help" className="helper" aria-live="polite">
+                          {formatDateReadable(selectedDateISO)} – {formatDateReadable(leaveEnd)}:{' '}
+                          <strong>{leaveDays.length} working {leaveDays.length === 1 ? 'day' : 'days'}, {fmtHours(leaveRequestHours)}</strong>
+                          {' '}(weekends and holidays skipped).
+                        </div>
+                      ) : (
+                        <div id="leave-end-date-help" className="helper">Leave empty for a single day, or pick the last day of a range.</div>
+                      )}
+
                       {/* Duration */}
                       <label className="label" htmlFor="leave-duration">Duration</label>
                       <select
@@ -1248,13 +2553,17 @@ export default function Dashboard() {
                         onChange={(e) => {
                           const v = e.target.value;
                           setLeaveDuration(v);
-                          setLeaveErrors((p)=>({ ...p, leaveDuration: '', leaveHours: '' }));
-                          if (v === 'full') setLeaveHours('');
+                          setLeaveErrors((p)=>({ ...p, leaveDuration: '', leaveHours: '', balance: '' }));
+                          if (v === 'full') {
+                            setLeaveHours('');
+                            setLeaveFirstHours('');
+                            setLeaveLastHours('');
+                          }
                         }}
                         required
                       >
-                        <option value="full">Full day</option>
-                        <option value="partial">Partial day</option>
+                        <option value="full">{leaveIsRange ? 'Full days' : 'Full day'}</option>
+                        <option value="partial">{leaveIsRange ? 'Partial first or last day' : 'Partial day'}</option>
                       </select>
                       {leaveErrors.leaveDuration ? (
                         <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{leaveErrors.leaveDuration}</div>
@@ -1262,8 +2571,57 @@ export default function Dashboard() {
                         <div className="helper">Select full day or partial day leave.</div>
                       )}
 
+                      {/* Partial first / last day of a range (conditional) */}
+                      {leaveDuration === 'partial' && leaveIsRange && (
+                        <>
+                          <div className="cluster" style={{ gap: 8 }}>
+                            <div style={{ flex: 1 }}>
+                              <label className="label" htmlFor="leave-first-hours">First day hours</label>
+                              <input
+                                id="leave-first-hours"
+                                className="input"
+                                type="number"
+                                inputMode="decimal"
+                                min="0"
+                                max={LEAVE_MAX_HOURS}
+                                step="0.25"
+                                placeholder={`${LEAVE_MAX_HOURS} (full)`}
+                                value={leaveFirstHours}
+                                onChange={(e) => { setLeaveFirstHours(e.target.value); setLeaveErrors((p)=>({ ...p, leaveHours: '', balance: '' })); }}
+                                aria-describedby="leave-range-hours-help"
+                              />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                              <label className="label" htmlFor="leave-last-hours">Last day hours</label>
+                              <input
+                                id="leave-last-hours"
+                                className="input"
+                                type="number"
+                                inputMode="decimal"
+                                min="0"
+                                max={LEAVE_MAX_HOURS}
+                                step="0.25"
+                                placeholder={`${LEAVE_MAX_HOURS} (full)`}
+                                value={leaveLastHours}
+                                onChange={(e) => { setLeaveLastHours(e.target.value); setLeaveErrors((p)=>({ ...p, leaveHours: '', balance: '' })); }}
+                                aria-describedby="leave-range-hours-help"
+                              />
+                            </div>
+                          </div>
+                          {leaveErrors.leaveHours ? (
+                            <div id="leave-range-hours-help" className="helper" role="alert" style={{ color: 'var(--error)' }}>
+                              {leaveErrors.leaveHours}
+                            </div>
+                          ) : (
+                            <div id="leave-range-hours-help" className="helper">
+                              Hours taken on the first and last working day; leave one empty to take that day in full.
+                            </div>
+                          )}
+                        </>
+                      )}
+
                       {/* Partial hours field (conditional) */}
-                      {leaveDuration === 'partial' && (
+                      {leaveDuration === 'partial' && !leaveIsRange && (
                         <>
                           <label className="label" htmlFor="leave-hours">Hours</label>
                           <input
@@ -1276,7 +2634,7 @@ export default function Dashboard() {
                             step="0.25"
                             placeholder={`0–${LEAVE_MAX_HOURS}`}
                             value={leaveHours}
-                            onChange={(e) => { setLeaveHours(e.target.value); setLeaveErrors((p)=>({ ...p, leaveHours: '' })); }}
+                            onChange={(e) => { setLeaveHours(e.target.value); setLeaveErrors((p)=>({ ...p, leaveHours: '', balance: '' })); }}
                             required={leaveDuration === 'partial'}
                             aria-describedby="leave-hours-help"
                           />
@@ -1290,6 +2648,18 @@ export default function Dashboard() {
                         </>
                       )}
 
+                      {/* Balance of the chosen type (tracked types only) */}
+                      {leaveBalance !== null && (
+                        <div className="helper" aria-live="polite" style={leaveRemaining < 0 ? { color: 'var(--accent-warn)' } : undefined}>
+                          {LEAVE_TYPE_LABELS[leaveType] || leaveType} balance {fmtHours(leaveBalance)}
+                          {leavePending > 0 && ` (${fmtHours(leavePending)} pending)`}
+                          {' • '}remaining after this request: <strong>{fmtHours(leaveRemaining)}</strong>
+                        </div>
+                      )}
+                      {leaveErrors.balance && (
+                        <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{leaveErrors.balance}</div>
+                      )}
+
                       {/* Reason with char count and validation */}
                       <label className="label" htmlFor="leave-reason">Reason</label>
                       <textarea
@@ -1316,7 +2686,7 @@ export default function Dashboard() {
                       </div>
 
                       <div className="new-entry__footer">
-                        <div style={{ display: 'flex', gap: 8 }}>
+                        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
                           <button className="btn btn--outline" type="button" style={{ height: 36 }} onClick={onSaveDraft}>
                             Save as Draft
                           </button>
@@ -1328,8 +2698,13 @@ export default function Dashboard() {
                           >
                             Clear
                           </button>
+                          {leaveErrors.submit && (
+                            <span role="alert" className="helper" style={{ color: 'var(--error)' }}>
+                              {leaveErrors.submit}
+                            </span>
+                          )}
                         </div>
-                        <button className="btn btn--primary" type="submit">Submit</button>
+                        <button className="btn btn--primary" type="submit">{editingLeaveId ? 'Update' : 'Submit'}</button>
                       </div>
                     </form>
                   )}
@@ -1343,14 +2718,34 @@ export default function Dashboard() {
   );
 }
 
+// How far back the timer pulls sessions from the server on load
+const TIMER_SYNC_DAYS = 62;
+// Input that counts as activity for idle detection
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+
+// Badge plus the reviewer's comment when a submission was rejected
+function StatusWithReason({ status, reason }) {
+  return (
+    <div style={{ display: 'grid', gap: 2, justifyItems: 'start' }}>
+      <StatusBadge status={status} />
+      {status === 'rejected' && reason ? (
+        <span style={{ fontSize: 12, color: 'var(--error)', maxWidth: 220 }} title={reason}>
+          {reason}
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
+const STATUS_STYLES = {
+  draft: { bg: 'var(--surface-soft)', color: 'var(--text-secondary)', border: 'var(--border)', label: 'Draft' },
+  approved: { bg: '#E8F5EE', color: '#2A8C58', border: 'rgba(42,140,88,0.25)', label: 'Approved' },
+  rejected: { bg: '#FCEDEA', color: '#C84C3D', border: 'rgba(200,76,61,0.25)', label: 'Rejected' },
+  pending: { bg: 'var(--accent-warn-tint)', color: 'var(--accent-warn)', border: 'rgba(185,133,0,0.25)', label: 'Pending' },
+};
+
 function StatusBadge({ status }) {
-  const map = {
-    draft: { bg: 'var(--surface-soft)', color: 'var(--text-secondary)', border: 'var(--border)', label: 'Draft' },
-    approved: { bg: '#E8F5EE', color: '#2A8C58', border: 'rgba(42,140,88,0.25)', label: 'Approved' },
-    rejected: { bg: '#FCEDEA', color: '#C84C3D', border: 'rgba(200,76,61,0.25)', label: 'Rejected' },
-    pending: { bg: 'var(--accent-warn-tint)', color: 'var(--accent-warn)', border: 'rgba(185,133,0,0.25)', label: 'Pending' },
-  };
-  const s = map[status] || map.draft;
+  const s = STATUS_STYLES[status] || STATUS_STYLES.draft;
   return (
     <span
       style={{
@@ -1369,6 +2764,208 @@ function StatusBadge({ status }) {
   );
 }
 
+// Calendar cell markers: entry status dot, leave pills and the timer comparison.
+// Hours in the signed-in user's preferred format (Settings -> Hours)
+function useFormatHours() {
+  const { preferences } = useAuth();
+  return (h) => formatHours(h, preferences.hourFormat);
+}
+
+// A multi-day request is drawn as one bar across its days: squared, edge-to-edge on the
+// sides it continues, and labelled on its first day or the first cell of a row (rowStart).
+function DayMarkers({ summary, lock = null, compact = false, rowStart = false }) {
+  const fmtHours = useFormatHours();
+  if (!summary && !lock) return null;
+  if (!summary) {
+    return (
+      <div style={{ ...dayMarkerStyles.wrap, justifyContent: compact ? 'flex-start' : 'center' }}>
+        <LockMarker lock={lock} />
+      </div>
+    );
+  }
+  const s = summary.status ? STATUS_STYLES[summary.status] : null;
+  const counts = Object.entries(summary.statusCounts)
+    .map(([k, n]) => `${n} ${(STATUS_STYLES[k] || STATUS_STYLES.draft).label.toLowerCase()}`)
+    .join(', ');
+  const delta = summary.timerDelta;
+  const timerTitle =
+    delta === null
+      ? ''
+      : `Logged ${fmtHours(summary.loggedHours)} vs timer ${fmtHours(summary.timerHours)}` +
+        (delta === 0 ? ' — matches' : ` (${delta > 0 ? '+' : ''}${fmtHours(delta)})`);
+  return (
+    <div style={{ ...dayMarkerStyles.wrap, justifyContent: compact ? 'flex-start' : 'center' }}>
+      {lock && <LockMarker lock={lock} />}
+      {s && (
+        <span
+          role="img"
+          aria-label={`Entries: ${counts}`}
+          title={`Entries: ${counts}`}
+          style={{ ...dayMarkerStyles.dot, background: s.color }}
+        />
+      )}
+      {summary.leaves.map((l) => {
+        const amount = l.skipped
+          ? 'weekend or holiday, not taken'
+          : l.span || l.duration === 'partial' ? fmtHours(l.hours) : 'full day';
+        const labelled = !l.span || l.span === 'start' || rowStart;
+        return (
+          <span
+            key={l.id}
+            title={`${LEAVE_TYPE_LABELS[l.type] || l.type} leave · ${amount} · ${(STATUS_STYLES[l.status] || STATUS_STYLES.draft).label}`}
+            style={{ ...dayMarkerStyles.leave, ...(l.span ? spanStyle(l, compact ? 17 : 11) : {}) }}
+          >
+            {labelled ? (compact ? 'Leave' : `Leave · ${LEAVE_TYPE_LABELS[l.type] || l.type}`) : '\u00a0'}
+          </span>
+        );
+      })}
+      {delta !== null && (
+        <span
+          title={timerTitle}
+          style={{ ...dayMarkerStyles.timer, color: Math.abs(delta) >= 0.25 ? 'var(--accent-warn)' : 'var(--text-secondary)' }}
+        >
+          ⏱ {fmtHours(summary.timerHours)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function LockMarker({ lock }) {
+  const label = `Locked: ${(PERIOD_TYPE_LABELS[lock.period_type] || 'Pay').toLowerCase()} period ${lock.start_date} – ${lock.end_date}`;
+  return (
+    <span role="img" aria-label={label} title={label} style={{ fontSize: 11 }}>
+      🔒
+    </span>
+  );
+}
+
+// Expected hours of a calendar day: the holiday name, the hours still expected on upcoming
+// days, or the delta of what was done against them; nothing on ordinary days off
+function ExpectedMarker({ expected, delta, holiday = '', upcoming = false, compact = false }) {
+  const fmtHours = useFormatHours();
+  if (holiday) {
+    return <div style={{ ...expectedMarkerStyle, fontSize: compact ? 10 : 11 }} title={`Holiday: ${holiday}`}>{holiday}</div>;
+  }
+  if (expected === 0 && (delta <= 0 || upcoming)) return null;
+  if (upcoming) {
+    return (
+      <div style={{ ...expectedMarkerStyle, fontSize: compact ? 10 : 11 }}>
+        {fmtHours(expected)} expected
+      </div>
+    );
+  }
+  const title = `${fmtHours(expected)} expected, ${delta === 0 ? 'met' : `${delta > 0 ? '+' : ''}${fmtHours(delta)}`}`;
+  return (
+    <div
+      title={title}
+      style={{
+        ...expectedMarkerStyle,
+        fontSize: compact ? 10 : 11,
+        fontWeight: 700,
+        color: delta < 0 ? 'var(--accent-warn)' : 'var(--text-secondary)',
+      }}
+    >
+      {delta === 0 ? '±0h' : `${delta > 0 ? '+' : ''}${fmtHours(delta)}`}
+      {!compact && ` vs ${fmtHours(expected)}`}
+    </div>
+  );
+}
+
+// Leave span piece: bleeds into the cell padding (bleed px) on the sides the span continues
+function spanStyle({ span, skipped }, bleed) {
+  const continuesLeft = span !== 'start';
+  const continuesRight = span !== 'end';
+  return {
+    flexBasis: '100%',
+    textAlign: 'left',
+    borderRadius: `${continuesLeft ? 0 : 999}px ${continuesRight ? 0 : 999}px ${continuesRight ? 0 : 999}px ${continuesLeft ? 0 : 999}px`,
+    marginLeft: continuesLeft ? -bleed : 0,
+    marginRight: continuesRight ? -bleed : 0,
+    opacity: skipped ? 0.5 : 1,
+  };
+}
+
+// Weekends, holidays and other days off in the schedule
+const nonWorkingCellStyle = {
+  background: 'var(--surface-soft)',
+};
+
+const expectedMarkerStyle = {
+  color: 'var(--text-tertiary)',
+  fontWeight: 600,
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+};
+
+// Hatched background for days inside a closed pay period
+const lockedCellStyle = {
+  backgroundImage: 'repeating-linear-gradient(135deg, transparent 0 6px, rgba(0,0,0,0.04) 6px 12px)',
+};
+
+const dayMarkerStyles = {
+  wrap: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4,
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: '50%',
+    display: 'inline-block',
+  },
+  leave: {
+    background: 'var(--accent-warn-tint)',
+    color: 'var(--accent-warn)',
+    borderRadius: '999px',
+    padding: '1px 6px',
+    fontSize: 10,
+    fontWeight: 700,
+    whiteSpace: 'nowrap',
+  },
+  timer: {
+    fontSize: 10,
+    fontWeight: 600,
+    whiteSpace: 'nowrap',
+  },
+};
+
+const dayListStyles = {
+  row: {
+    display: 'grid',
+    gridTemplateColumns: '1fr auto auto',
+    alignItems: 'center',
+    gap: 8,
+    padding: '6px 8px',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    background: 'var(--surface-soft)',
+  },
+  running: {
+    fontSize: 12,
+    fontWeight: 600,
+    color: 'var(--text-secondary)',
+    whiteSpace: 'nowrap',
+  },
+  actions: {
+    gridColumn: '1 / -1',
+    gap: 4,
+    justifyContent: 'flex-end',
+  },
+  totals: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    gap: 12,
+    fontSize: 12,
+    color: 'var(--text-secondary)',
+  },
+};
+
 const timerStyles = {
   container: {
     display: 'grid',
@@ -1401,6 +2998,30 @@ const timerStyles = {
   },
 };
 
+// Save generated content (string or bytes) as a file through a temporary link
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const exportStyles = {
+  panel: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(140px, auto))',
+    gap: 12,
+    alignItems: 'end',
+    padding: 12,
+    background: 'var(--surface)',
+    borderBottom: '1px solid var(--border)',
+  },
+};
+
 const toastStyles = {
   banner: {
     position: 'sticky',
@@ -0,0 +1,324 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { createTimeEntries, getEntryRules, listMyTimeEntries, validateEntryFields } from '../services/timeEntries';
+import { listMyProjects } from '../services/projects';
+import { listLockedPeriods } from '../services/periods';
+import { readEntryRules } from '../utils/entryRules';
+import AppHeader from '../components/AppHeader';
+import { DATE_FORMATS, IMPORT_FIELDS, guessMapping, parseCSV, prepareImportRows } from '../utils/timesheetImport';
+
+/**
+ * Import time entries (/import)
+ * 1. Pick a CSV exported from the previous tool
+ * 2. Map its columns to entry fields (date, project, task, hours, notes) and the date format
+ * 3. Preview: every row is validated like the entry form; duplicates of existing
+ *    entries (same date/project/task) are flagged and skipped unless included
+ * 4. Import valid rows as drafts in batches; rows the server rejects are listed and
+ *    rows sent while offline wait on this device until they sync
+ */
+
+// PUBLIC_INTERFACE
+export default function ImportEntries() {
+  const { user } = useAuth();
+
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState([]); // parsed rows, header first
+  const [parseError, setParseError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+
+  const [projects, setProjects] = useState([]);
+  const [existing, setExisting] = useState([]);
+  const [rules, setRules] = useState(() => readEntryRules());
+  const [lockedPeriods, setLockedPeriods] = useState([]);
+  const [loadError, setLoadError] = useState('');
+
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [result, setResult] = useState(null); // { created, queued, failed: [{ line, message }], error }
+
+  // Catalog (to resolve project/task text), existing entries (for duplicates), entry rules and locked periods
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const [projectsRes, entriesRes, rulesRes, periodsRes] = await Promise.all([
+        listMyProjects(user.id),
+        listMyTimeEntries(user.id),
+        getEntryRules(),
+        listLockedPeriods(),
+      ]);
+      if (!mounted) return;
+      const error = projectsRes.error || entriesRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load your projects and entries'));
+      }
+      setProjects(projectsRes.data || []);
+      setExisting(entriesRes.data || []);
+      setRules(rulesRes.data);
+      setLockedPeriods(periodsRes.data || []);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user]);
+
+  const headers = table[0] || [];
+  const dataRows = useMemo(() => table.slice(1), [table]);
+
+  const preview = useMemo(
+    () => (dataRows.length === 0 ? [] : prepareImportRows({
+      rows: dataRows,
+      mapping,
+      dateFormat,
+      projects,
+      existing,
+      // Day totals across the file are left to the database
+      validate: (values, catalog) => validateEntryFields(values, catalog, { rules, lockedPeriods }),
+    })),
+    [dataRows, mapping, dateFormat, projects, existing, rules, lockedPeriods]
+  );
+
+  const importable = preview.filter((r) => r.valid && (includeDuplicates || !r.duplicate));
+  const invalidCount = preview.filter((r) => !r.valid).length;
+  const duplicateCount = preview.filter((r) => r.duplicate).length;
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && !(mapping[f.key] >= 0));
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    setResult(null);
+    setParseError('');
+    if (!file) return;
+    try {
+      const rows = parseCSV(await file.text());
+      if (rows.length < 2) {
+        setParseError('The file needs a header row and at least one data row.');
+        setTable([]);
+        return;
+      }
+      setFileName(file.name);
+      setTable(rows);
+      setMapping(guessMapping(rows[0]));
+    } catch (ex) {
+      setParseError(ex?.message || 'Could not read the file.');
+      setTable([]);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  const handleImport = async () => {
+    /** Insert the importable rows as drafts and report rows the server refused. */
+    if (!user || importable.length === 0 || importing) return;
+    setImporting(true);
+    setProgress({ done: 0, total: importable.length });
+    const entries = importable.map((r) => ({ ...r.values, user_id: user.id, status: 'draft' }));
+    const { data, error } = await createTimeEntries(entries, {
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setResult({
+      created: data.created.length,
+      queued: data.queued.length,
+      total: entries.length,
+      failed: data.failed.map((f) => ({
+        line: importable[f.index].line,
+        message: f.error?.message || 'Rejected by the server',
+      })),
+      error: error && error.code !== 'partial_failure' ? (error.message || 'Import failed') : '',
+    });
+    setExisting((prev) => [...data.created, ...data.queued, ...prev]);
+    setImporting(false);
+    setProgress(null);
+  };
+
+  const statusCell = (r) => {
+    if (!r.valid) {
+      return <span style={{ color: 'var(--error)' }}>{Object.values(r.errors).join(' ')}</span>;
+    }
+    if (r.duplicate) {
+      return <span style={{ color: 'var(--accent-warn)' }}>Duplicate of an existing entry{includeDuplicates ? '' : ' — skipped'}</span>;
+    }
+    return <span style={{ color: 'var(--text-secondary)' }}>Ready</span>;
+  };
+
+  return (
+    <div>
+      <AppHeader active="/import" />
+
+      <div className="page">
+        <section className="card" aria-label="Import time entries">
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Import Time Entries
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>
+                CSV with one row per entry. Imported rows are saved as drafts.
+              </div>
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 12 }}>
+            {loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+
+            <div>
+              <label className="label" htmlFor="import-file">CSV file</label>
+              <input id="import-file" className="input" type="file" accept=".csv,text/csv" onChange={onFile} />
+              {parseError ? (
+                <div className="helper" role="alert" style={{ color: 'var(--error)' }}>{parseError}</div>
+              ) : (
+                <div className="helper">
+                  {fileName ? `${fileName}: ${dataRows.length} rows` : 'Comma, semicolon or tab separated; the first row must be a header.'}
+                </div>
+              )}
+            </div>
+
+            {headers.length > 0 && (
+              <div style={styles.mappingGrid} aria-label="Column mapping">
+                {IMPORT_FIELDS.map((f) => (
+                  <div key={f.key}>
+                    <label className="label" htmlFor={`map-${f.key}`}>{f.label}{f.required ? ' *' : ''}</label>
+                    <select
+                      id={`map-${f.key}`}
+                      className="select"
+                      value={mapping[f.key] ?? -1}
+                      onChange={(e) => setMapping((m) => ({ ...m, [f.key]: Number(e.target.value) }))}
+                    >
+                      <option value={-1}>— Not in file —</option>
+                      {headers.map((h, i) => (
+                        <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="label" htmlFor="map-date-format">Date format</label>
+                  <select id="map-date-format" className="select" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                    {DATE_FORMATS.map((f) => <option key={f} value={f}>{f}</option>)}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {headers.length > 0 && missingRequired.length > 0 && (
+              <div role="alert" style={styles.alert}>
+                Map a column to {missingRequired.map((f) => f.label).join(' and ')} to continue.
+              </div>
+            )}
+
+            {preview.length > 0 && missingRequired.length === 0 && (
+              <>
+                <div className="cluster" style={{ gap: 12, flexWrap: 'wrap' }}>
+                  <span className="chip">{importable.length} to import</span>
+                  <span className="chip">{invalidCount} with errors</span>
+                  <span className="chip">{duplicateCount} duplicates</span>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13 }}>
+                    <input type="checkbox" checked={includeDuplicates} onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+                    Import duplicates too
+                  </label>
+                </div>
+
+                <div role="table" aria-label="Import preview" style={{ display: 'grid', gap: 4, maxHeight: 420, overflow: 'auto' }}>
+                  <div role="row" style={{ ...styles.gridRow, ...styles.head }}>
+                    <div role="columnheader">Row</div>
+                    <div role="columnheader">Date</div>
+                    <div role="columnheader">Project</div>
+                    <div role="columnheader">Task</div>
+                    <div role="columnheader">Hours</div>
+                    <div role="columnheader">Notes</div>
+                    <div role="columnheader">Check</div>
+                  </div>
+                  {preview.map((r) => (
+                    <div key={r.line} role="row" style={{ ...styles.gridRow, ...styles.dataRow }}>
+                      <div role="cell">{r.line}</div>
+                      <div role="cell">{r.values.date || r.raw.date}</div>
+                      <div role="cell">{r.raw.project || '—'}</div>
+                      <div role="cell">{r.raw.task || '—'}</div>
+                      <div role="cell">{r.raw.hours}</div>
+                      <div role="cell" style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{r.raw.notes}</div>
+                      <div role="cell" style={{ fontSize: 12 }}>{statusCell(r)}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="cluster" style={{ gap: 8 }}>
+                  <button
+                    className="btn btn--primary"
+                    type="button"
+                    onClick={handleImport}
+                    disabled={importing || importable.length === 0}
+                  >
+                    {importing && progress
+                      ? `Importing… ${progress.done}/${progress.total}`
+                      : `Import ${importable.length} entr${importable.length === 1 ? 'y' : 'ies'}`}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {result && (
+              <div role="status" style={result.failed.length || result.error ? styles.alert : styles.notice}>
+                <div style={{ fontWeight: 700 }}>
+                  {`Imported ${result.created} of ${result.total} entries as drafts.`}
+                </div>
+                {result.queued > 0 && (
+                  <div>
+                    {`${result.queued} more ${result.queued === 1 ? 'is' : 'are'} saved on this device and will sync when the connection returns.`}
+                  </div>
+                )}
+                {result.error && <div>{result.error}</div>}
+                {result.failed.length > 0 && (
+                  <ul style={{ margin: '6px 0 0', paddingLeft: 18 }}>
+                    {result.failed.map((f) => (
+                      <li key={f.line}>{`Row ${f.line}: ${f.message}`}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  mappingGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+    gap: 12,
+  },
+  gridRow: {
+    display: 'grid',
+    gridTemplateColumns: '56px 110px 1fr 1fr 64px 1.5fr 2fr',
+    gap: 8,
+    alignItems: 'center',
+    padding: '6px 12px',
+  },
+  dataRow: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    fontSize: 13,
+  },
+  head: {
+    fontSize: 12,
+    fontWeight: 700,
+    color: 'var(--text-secondary)',
+  },
+};
@@ -1,18 +1,42 @@
 import React, { useState } from 'react';
-import { useNavigate, Navigate } from 'react-router-dom';
+import { useNavigate, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { MOCK_DEMO_USER } from '../lib/mockBackend';
+import { authCallbackPath, destinationFrom } from '../utils/authRedirect';
+import { MIN_PASSWORD_LENGTH, emailError, newPasswordError } from '../utils/credentials';
 
 /**
  * Login page for Chronose with email/password sign-in and sign-up.
- * Microsoft SSO is behind a feature flag and hidden by default.
+ * "Forgot password?" emails a link to /reset-password; the optional magic link
+ * (REACT_APP_ENABLE_MAGIC_LINK) emails a one-time sign-in link to /auth/callback.
+ * Microsoft SSO is behind a feature flag and hidden by default; it goes through
+ * Supabase's azure provider and comes back on /auth/callback.
+ * Either way the user lands on the page they were sent here from.
  */
 
+const SUBTITLES = {
+  signin: 'Sign in to continue',
+  signup: 'Sign up to continue',
+  forgot: 'Reset your password',
+  magic: 'Get a sign-in link by email',
+};
+
+const SUBMIT_LABELS = {
+  signin: 'Sign In',
+  signup: 'Create Account',
+  forgot: 'Send Reset Link',
+  magic: 'Email Me a Link',
+};
+
 // PUBLIC_INTERFACE
 export default function Login() {
-  const { user, signIn, signUp, featureFlags } = useAuth();
+  const { user, signIn, signUp, resetPassword, sendMagicLink, signInWithOAuth, backend, featureFlags } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const from = destinationFrom(location.state);
 
-  const [mode, setMode] = useState('signin'); // 'signin' | 'signup'
+  // 'signin' | 'signup' | 'forgot' | 'magic'; /reset-password sends people back here in 'forgot'
+  const [mode, setMode] = useState(location.state?.mode === 'forgot' ? 'forgot' : 'signin');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
 
@@ -21,16 +45,23 @@ export default function Login() {
   const [info, setInfo] = useState('');
 
   if (user) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={from} replace />;
   }
 
+  const usesPassword = mode === 'signin' || mode === 'signup';
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setInfo('');
+  };
+
   const validate = () => {
-    if (!email) return 'Please enter your email.';
-    if (!/\S+@\S+\.\S+/.test(email)) return 'Please enter a valid email address.';
+    const badEmail = emailError(email);
+    if (badEmail) return badEmail;
+    if (!usesPassword) return '';
     if (!password) return 'Please enter your password.';
-    if (mode === 'signup' && password.length < 6) {
-      return 'Password must be at least 6 characters.';
-    }
+    if (mode === 'signup') return newPasswordError(password);
     return '';
   };
 
@@ -48,10 +79,29 @@ export default function Login() {
       if (mode === 'signin') {
         const { error: signInErr } = await signIn(email, password);
         if (signInErr) throw signInErr;
-        navigate('/', { replace: true });
+        navigate(from, { replace: true });
+      } else if (mode === 'forgot') {
+        const { error: resetErr } = await resetPassword(email, {
+          redirectTo: `${window.location.origin}/reset-password`,
+        });
+        if (resetErr) throw resetErr;
+        // Same message whether or not the address has an account
+        setInfo(`If ${email} has an account, we have sent it a link to choose a new password.`);
+      } else if (mode === 'magic') {
+        const { error: linkErr } = await sendMagicLink(email, {
+          redirectTo: `${window.location.origin}${authCallbackPath(from)}`,
+        });
+        // Unknown addresses are refused ("Signups not allowed for otp"); don't reveal which ones
+        if (linkErr && !/signups not allowed/i.test(linkErr.message || '')) throw linkErr;
+        setInfo(`If ${email} has an account, we have sent it a sign-in link. It works once.`);
       } else {
-        const { error: signUpErr } = await signUp(email, password);
+        const { data: signUpData, error: signUpErr } = await signUp(email, password);
         if (signUpErr) throw signUpErr;
+        // No confirmation step (mock backend, or confirmations off): already signed in
+        if (signUpData?.session) {
+          navigate(from, { replace: true });
+          return;
+        }
         setInfo('Sign-up successful. Please check your email for a confirmation link.');
         setMode('signin');
       }
@@ -62,8 +112,25 @@ export default function Login() {
     }
   };
 
-  const supabaseConfigured =
-    !!process.env.REACT_APP_SUPABASE_URL && !!process.env.REACT_APP_SUPABASE_KEY;
+  const handleMicrosoft = async () => {
+    setError('');
+    setInfo('');
+    setLoading(true);
+    const callback = authCallbackPath(from);
+    const { data, error: ssoErr } = await signInWithOAuth('azure', {
+      redirectTo: `${window.location.origin}${callback}`,
+      // Supabase needs the email scope to read the address it links accounts by
+      scopes: 'openid profile email',
+      queryParams: email ? { prompt: 'select_account', login_hint: email } : { prompt: 'select_account' },
+    });
+    if (ssoErr) {
+      setError(ssoErr.message || 'Could not start Microsoft sign-in. Please try again.');
+      setLoading(false);
+      return;
+    }
+    // Supabase is taking the browser to Microsoft; the mock backend is already signed in
+    if (!data?.url) navigate(callback, { replace: true });
+  };
 
   return (
     <div style={styles.wrapper}>
@@ -71,13 +138,20 @@ export default function Login() {
         <div style={styles.header}>
           <div style={styles.logoCircle}>C</div>
           <h1 style={styles.title}>Chronose</h1>
-          <p style={styles.subtitle}>Sign {mode === 'signin' ? 'in' : 'up'} to continue</p>
+          <p style={styles.subtitle}>{SUBTITLES[mode]}</p>
         </div>
 
-        {!supabaseConfigured && (
+        {!backend && (
           <div role="alert" style={styles.warn}>
             Supabase credentials are not configured. Set REACT_APP_SUPABASE_URL and
-            REACT_APP_SUPABASE_KEY in your environment to enable authentication.
+            REACT_APP_SUPABASE_KEY in your environment to enable authentication, or
+            REACT_APP_USE_MOCK_BACKEND=true to run against local data.
+          </div>
+        )}
+        {backend === 'mock' && (
+          <div role="status" style={styles.info}>
+            Local mock backend: data stays in this browser. Sign in as {MOCK_DEMO_USER.email} /{' '}
+            {MOCK_DEMO_USER.password} (all roles) or create an account.
           </div>
         )}
 
@@ -97,33 +171,56 @@ export default function Login() {
               required
             />
           </label>
-          <label style={styles.label}>
-            Password
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              style={styles.input}
-              placeholder="••••••••"
-              autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
-              required
-              minLength={mode === 'signup' ? 6 : undefined}
-            />
-          </label>
+          {usesPassword && (
+            <label style={styles.label}>
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={styles.input}
+                placeholder="••••••••"
+                autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
+                required
+                minLength={mode === 'signup' ? MIN_PASSWORD_LENGTH : undefined}
+              />
+            </label>
+          )}
+          {mode === 'signin' && (
+            <div style={styles.forgotRow}>
+              <button onClick={() => switchMode('forgot')} style={styles.linkBtn} type="button">
+                Forgot password?
+              </button>
+            </div>
+          )}
+          {mode === 'forgot' && (
+            <p style={styles.hint}>We will email you a link to choose a new password.</p>
+          )}
           <button type="submit" style={styles.primaryBtn} disabled={loading}>
-            {loading ? 'Please wait…' : mode === 'signin' ? 'Sign In' : 'Create Account'}
+            {loading ? 'Please wait…' : SUBMIT_LABELS[mode]}
           </button>
         </form>
 
-        {featureFlags.enableMicrosoftSSO ? (
+        {usesPassword && (featureFlags.enableMicrosoftSSO || (mode === 'signin' && featureFlags.enableMagicLink)) ? (
           <div style={styles.divider}>
             <span style={styles.dividerText}>or</span>
           </div>
         ) : null}
 
-        {featureFlags.enableMicrosoftSSO ? (
-          <button type="button" style={styles.secondaryBtn} disabled>
-            Continue with Microsoft (disabled)
+        {mode === 'signin' && featureFlags.enableMagicLink ? (
+          <button type="button" style={styles.secondaryBtn} onClick={() => switchMode('magic')} disabled={loading}>
+            Email me a sign-in link
+          </button>
+        ) : null}
+
+        {usesPassword && featureFlags.enableMicrosoftSSO ? (
+          <button
+            type="button"
+            style={styles.secondaryBtn}
+            onClick={handleMicrosoft}
+            disabled={loading || !backend}
+          >
+            Continue with Microsoft
           </button>
         ) : null}
 
@@ -131,14 +228,21 @@ export default function Login() {
           {mode === 'signin' ? (
             <>
               Don&apos;t have an account?{' '}
-              <button onClick={() => setMode('signup')} style={styles.linkBtn} type="button">
+              <button onClick={() => switchMode('signup')} style={styles.linkBtn} type="button">
                 Sign up
               </button>
             </>
-          ) : (
+          ) : mode === 'signup' ? (
             <>
               Already have an account?{' '}
-              <button onClick={() => setMode('signin')} style={styles.linkBtn} type="button">
+              <button onClick={() => switchMode('signin')} style={styles.linkBtn} type="button">
+                Sign in
+              </button>
+            </>
+          ) : (
+            <>
+              Remembered your password?{' '}
+              <button onClick={() => switchMode('signin')} style={styles.linkBtn} type="button">
                 Sign in
               </button>
             </>
@@ -234,7 +338,8 @@ const styles = {
     background: '#FFFFFF',
     color: '#111827',
     fontWeight: 600,
-    cursor: 'not-allowed',
+    cursor: 'pointer',
+    width: '100%',
   },
   divider: {
     position: 'relative',
@@ -275,6 +380,16 @@ const styles = {
     marginBottom: 8,
     fontSize: 13,
   },
+  forgotRow: {
+    marginTop: -4,
+    textAlign: 'right',
+    fontSize: 13,
+  },
+  hint: {
+    margin: 0,
+    color: '#6B7280',
+    fontSize: 13,
+  },
   switchMode: {
     marginTop: 14,
     textAlign: 'center',
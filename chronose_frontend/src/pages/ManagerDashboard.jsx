@@ -0,0 +1,265 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { listTimeEntriesForUsers, subscribeToTimeEntries } from '../services/timeEntries';
+import { listDirectReports } from '../services/profiles';
+import ReviewQueue from '../components/ReviewQueue';
+import AppHeader from '../components/AppHeader';
+import { addDays, fromISO, getStartOfWeek, toISO, weekDaysFrom } from '../utils/dates';
+import { formatHours, todayIn } from '../utils/preferences';
+import { mergeRowEvent } from '../utils/realtimeMerge';
+
+/**
+ * Manager Dashboard (/manager)
+ * - Team totals for the selected week
+ * - Week grid of each direct report's logged hours, expandable to entries (updated in realtime)
+ * - Review queue for pending time entries and leave requests
+ */
+
+// PUBLIC_INTERFACE
+export default function ManagerDashboard() {
+  const { user, preferences, profile } = useAuth();
+  const fmtHours = (h) => formatHours(h, preferences.hourFormat);
+
+  // "This week" is the one holding today in the profile's time zone
+  const thisWeek = () => getStartOfWeek(fromISO(todayIn(profile?.timezone)), preferences.weekStart);
+  const [weekStart, setWeekStart] = useState(thisWeek);
+  const [reports, setReports] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Keep the shown week when the preferred first weekday changes (e.g. once the profile loads)
+  useEffect(() => {
+    setWeekStart((prev) => getStartOfWeek(addDays(prev, 3), preferences.weekStart));
+  }, [preferences.weekStart]);
+
+  // Once the profile's time zone is known, move to its current week unless another one was picked
+  const initialDay = useRef(todayIn(profile?.timezone));
+  useEffect(() => {
+    if (!profile) return;
+    const day = initialDay.current;
+    setWeekStart((prev) => (day && toISO(prev) <= day && day < toISO(addDays(prev, 7)) ? thisWeek() : prev));
+    initialDay.current = null;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [profile?.timezone]);
+
+  const weekDates = weekDaysFrom(weekStart);
+  const rangeFrom = toISO(weekDates[0]);
+  const rangeTo = toISO(weekDates[6]);
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      setLoading(true);
+      setLoadError('');
+      const reportsRes = await listDirectReports(user.id);
+      const team = reportsRes.data || [];
+      const entriesRes = await listTimeEntriesForUsers(team.map((p) => p.id), { from: rangeFrom, to: rangeTo });
+      if (!mounted) return;
+      const error = reportsRes.error || entriesRes.error;
+      if (error) {
+        setLoadError(error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to load team timesheets'));
+      }
+      setReports(team);
+      setEntries(entriesRes.data || []);
+      setLoading(false);
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user, rangeFrom, rangeTo]);
+
+  const reportIds = reports.map((p) => p.id).sort().join(',');
+  useEffect(() => {
+    if (!reportIds) return undefined;
+    const inWeek = (row) => row.date >= rangeFrom && row.date <= rangeTo;
+    const { data: unsubscribe } = subscribeToTimeEntries(reportIds.split(','), (event) => {
+      setEntries((prev) => mergeRowEvent(prev, event, inWeek));
+    });
+    return unsubscribe;
+  }, [reportIds, rangeFrom, rangeTo]);
+
+  // hours[userId][iso] and per-user totals
+  const byUser = useMemo(() => {
+    const acc = {};
+    entries.forEach((e) => {
+      const u = (acc[e.user_id] = acc[e.user_id] || { days: {}, total: 0, pending: 0, approved: 0, items: [] });
+      u.days[e.date] = (u.days[e.date] || 0) + e.hours;
+      u.total += e.hours;
+      if (e.status === 'pending') u.pending += 1;
+      if (e.status === 'approved') u.approved += e.hours;
+      u.items.push(e);
+    });
+    return acc;
+  }, [entries]);
+
+  const teamTotals = useMemo(() => {
+    const all = Object.values(byUser);
+    return [
+      { icon: '👥', label: 'Direct Reports', value: String(reports.length) },
+      { icon: '⏱️', label: 'Team Hours This Week', value: fmtHours(all.reduce((a, u) => a + u.total, 0)) },
+      { icon: '✅', label: 'Approved Hours', value: fmtHours(all.reduce((a, u) => a + u.approved, 0)) },
+      { icon: '⏳', label: 'Pending Entries', value: String(all.reduce((a, u) => a + u.pending, 0)) },
+    ];
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [byUser, reports.length, preferences.hourFormat]);
+
+  const weekTitle = `${weekDates[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${weekDates[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+  return (
+    <div>
+      <AppHeader active="/manager" />
+
+      <div className="page">
+        <section className="card" aria-label="Team Summary" style={{ background: 'var(--surface-elev)' }}>
+          <div className="card--header-dark">
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+                Team Overview
+              </div>
+              <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>{weekTitle}</div>
+            </div>
+            <div className="cluster" style={{ gap: 8 }}>
+              <button className="btn btn--ghost-onDark btn--sm" type="button" onClick={() => setWeekStart((d) => addDays(d, -7))}>
+                ‹ Prev
+              </button>
+              <button
+                className="btn btn--ghost-onDark btn--sm"
+                type="button"
+                onClick={() => setWeekStart(thisWeek())}
+              >
+                This Week
+              </button>
+              <button className="btn btn--ghost-onDark btn--sm" type="button" onClick={() => setWeekStart((d) => addDays(d, 7))}>
+                Next ›
+              </button>
+            </div>
+          </div>
+          <div className="card--body">
+            <div className="grid grid--cols-5" role="list">
+              {teamTotals.map((s) => (
+                <div key={s.label} className="stat-pill" role="listitem" aria-label={s.label}>
+                  <span aria-hidden="true" style={{ fontSize: 16, color: 'var(--primary)' }}>
+                    {s.icon}
+                  </span>
+                  <div>
+                    <div className="stat-pill__label">{s.label}</div>
+                    <div className="stat-pill__value">{s.value}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+
+        <section className="card" aria-label="Team Timesheets">
+          <div className="card--header-dark">
+            <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>
+              Team Timesheets
+            </div>
+          </div>
+          <div className="card--body" style={{ background: 'var(--surface-soft)', display: 'grid', gap: 8 }}>
+            {loading && <div style={styles.notice}>Loading team timesheets…</div>}
+            {!loading && loadError && <div role="alert" style={styles.alert}>{loadError}</div>}
+            {!loading && !loadError && reports.length === 0 && (
+              <div style={styles.notice}>No direct reports yet.</div>
+            )}
+            {!loading && !loadError && reports.length > 0 && (
+              <div role="table" aria-label="Hours by report and day" style={{ display: 'grid', gap: 4 }}>
+                <div role="row" style={styles.gridRow}>
+                  <div role="columnheader" style={styles.head}>Employee</div>
+                  {weekDates.map((d) => (
+                    <div key={toISO(d)} role="columnheader" style={styles.head}>
+                      {d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}
+                    </div>
+                  ))}
+                  <div role="columnheader" style={styles.head}>Total</div>
+                </div>
+                {reports.map((p) => {
+                  const u = byUser[p.id] || { days: {}, total: 0, pending: 0, items: [] };
+                  const expanded = expandedId === p.id;
+                  return (
+                    <React.Fragment key={p.id}>
+                      <div
+                        role="row"
+                        style={{ ...styles.gridRow, ...styles.dataRow, cursor: 'pointer' }}
+                        onClick={() => setExpandedId(expanded ? null : p.id)}
+                        aria-expanded={expanded}
+                      >
+                        <div role="rowheader" style={{ fontWeight: 700, color: 'var(--text-strong)' }}>
+                          {p.display_name || p.email || p.id}
+                          {u.pending > 0 && (
+                            <span style={{ marginLeft: 6, fontSize: 12, color: 'var(--accent-warn)' }}>
+                              {u.pending} pending
+                            </span>
+                          )}
+                        </div>
+                        {weekDates.map((d) => (
+                          <div key={toISO(d)} role="cell">{u.days[toISO(d)] ? fmtHours(u.days[toISO(d)]) : '—'}</div>
+                        ))}
+                        <div role="cell" style={{ fontWeight: 700 }}>{fmtHours(u.total)}</div>
+                      </div>
+                      {expanded && (
+                        <div style={{ display: 'grid', gap: 4, padding: '4px 12px 8px' }}>
+                          {u.items.length === 0 ? (
+                            <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>No entries this week.</div>
+                          ) : (
+                            u.items.map((e) => (
+                              <div key={e.id} style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                                {e.date} • {fmtHours(e.hours)} • {[e.project, e.task].filter(Boolean).join(' / ') || '—'} • {e.status}
+                              </div>
+                            ))
+                          )}
+                        </div>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </section>
+
+        <ReviewQueue reviewerId={user?.id} />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  notice: {
+    padding: 12,
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  gridRow: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(160px, 2fr) repeat(7, 1fr) 1fr',
+    gap: 8,
+    alignItems: 'center',
+    padding: '6px 12px',
+  },
+  dataRow: {
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    boxShadow: 'var(--shadow-sm)',
+  },
+  head: {
+    fontSize: 12,
+    fontWeight: 700,
+    color: 'var(--text-secondary)',
+  },
+};
@@ -0,0 +1,231 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { linkErrorMessage, readAuthCallback } from '../utils/authRedirect';
+import { MIN_PASSWORD_LENGTH, newPasswordError } from '../utils/credentials';
+
+/**
+ * Password recovery landing page (/reset-password), opened from the email
+ * sent by "Forgot password?" on the login page.
+ * supabase-js signs the user in from the recovery token in the URL (a PKCE
+ * ?code= still pending is exchanged here), then the user picks a new password.
+ * Expired, used or malformed links end in a state that offers a new link.
+ */
+
+// PUBLIC_INTERFACE
+export default function ResetPassword() {
+  const { user, initializing, updatePassword, exchangeCodeForSession } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const link = useMemo(() => readAuthCallback(location.search, location.hash), [location.search, location.hash]);
+
+  const [linkError, setLinkError] = useState(() => linkErrorMessage(link));
+  const [exchanging, setExchanging] = useState(false);
+  const triedCode = useRef(false);
+
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    if (initializing || linkError || user) return;
+    if (link.code && !triedCode.current) {
+      triedCode.current = true;
+      setExchanging(true);
+      // On success the auth listener sets the user and the form shows
+      exchangeCodeForSession(link.code).then(({ error: exchangeErr }) => {
+        if (exchangeErr) {
+          setLinkError('This reset link is invalid or has expired. Request a new one.');
+          setExchanging(false);
+        }
+      });
+      return;
+    }
+    if (!exchanging) setLinkError('This reset link is invalid or has expired. Request a new one.');
+  }, [initializing, user, linkError, exchanging, link, exchangeCodeForSession]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const invalid = newPasswordError(password, confirm);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setError('');
+    setSaving(true);
+    const { error: updateErr } = await updatePassword(password);
+    setSaving(false);
+    if (updateErr) {
+      setError(updateErr.message || 'Could not change your password. Please try again.');
+      return;
+    }
+    setDone(true);
+  };
+
+  let body;
+  if (linkError) {
+    body = (
+      <>
+        <h1 style={styles.title}>Reset link not valid</h1>
+        <div role="alert" style={styles.error}>{linkError}</div>
+        <button
+          type="button"
+          style={styles.primaryBtn}
+          onClick={() => navigate('/login', { replace: true, state: { mode: 'forgot' } })}
+        >
+          Request a New Link
+        </button>
+      </>
+    );
+  } else if (done) {
+    body = (
+      <>
+        <h1 style={styles.title}>Password changed</h1>
+        <div role="status" style={styles.info}>Your new password is saved. You are signed in.</div>
+        <button type="button" style={styles.primaryBtn} onClick={() => navigate('/', { replace: true })}>
+          Continue
+        </button>
+      </>
+    );
+  } else if (!user) {
+    body = (
+      <>
+        <div style={styles.spinner} aria-busy="true" aria-label="Loading" />
+        <p style={styles.text}>Checking your reset link…</p>
+      </>
+    );
+  } else {
+    body = (
+      <>
+        <h1 style={styles.title}>Choose a new password</h1>
+        <p style={styles.text}>For {user.email}</p>
+        {error && <div role="alert" style={styles.error}>{error}</div>}
+        <form onSubmit={onSubmit} style={styles.form}>
+          <label style={styles.label}>
+            New password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              style={styles.input}
+              autoComplete="new-password"
+              minLength={MIN_PASSWORD_LENGTH}
+              required
+            />
+          </label>
+          <label style={styles.label}>
+            Confirm new password
+            <input
+              type="password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              style={styles.input}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+          <button type="submit" style={styles.primaryBtn} disabled={saving}>
+            {saving ? 'Please wait…' : 'Set Password'}
+          </button>
+        </form>
+      </>
+    );
+  }
+
+  return (
+    <div style={styles.wrapper}>
+      <div style={styles.card} aria-live="polite">
+        {body}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    minHeight: '100vh',
+    background: 'linear-gradient(180deg, #FFFFFF 0%, #F3F4F6 100%)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 420,
+    background: '#FFFFFF',
+    border: '1px solid #E5E7EB',
+    borderRadius: 12,
+    padding: 24,
+    boxShadow: '0 10px 24px rgba(0, 0, 0, 0.06)',
+    display: 'grid',
+    gap: 12,
+  },
+  title: {
+    margin: 0,
+    color: '#111827',
+    fontSize: 20,
+  },
+  text: {
+    margin: 0,
+    color: '#6B7280',
+    fontSize: 14,
+  },
+  spinner: {
+    width: 36,
+    height: 36,
+    margin: '0 auto',
+    borderRadius: '50%',
+    border: '3px solid #E5E7EB',
+    borderTopColor: '#374151',
+    animation: 'spin 1s linear infinite',
+  },
+  form: {
+    display: 'grid',
+    gap: 12,
+  },
+  label: {
+    color: '#111827',
+    fontWeight: 600,
+    fontSize: 13,
+    display: 'grid',
+    gap: 6,
+  },
+  input: {
+    height: 40,
+    borderRadius: 8,
+    border: '1px solid #E5E7EB',
+    padding: '0 12px',
+    fontSize: 14,
+    outline: 'none',
+    color: '#111827',
+    background: '#FFFFFF',
+  },
+  primaryBtn: {
+    height: 42,
+    borderRadius: 8,
+    border: '1px solid #374151',
+    background: '#374151',
+    color: '#FFFFFF',
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+  error: {
+    background: '#FEF2F2',
+    color: '#B91C1C',
+    border: '1px solid #FECACA',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 13,
+  },
+  info: {
+    background: '#ECFDF5',
+    color: '#065F46',
+    border: '1px solid #A7F3D0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 13,
+  },
+};
@@ -0,0 +1,345 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { listProfiles } from '../services/profiles';
+import { listMyProjects } from '../services/projects';
+import AppHeader from '../components/AppHeader';
+import {
+  CALENDAR_VIEWS,
+  DATE_FORMATS,
+  HOUR_FORMATS,
+  THEMES,
+  WEEK_START_OPTIONS,
+  formatDate,
+  formatHours,
+  todayIn,
+} from '../utils/preferences';
+
+/**
+ * Settings (/settings): the signed-in user's profile and display preferences,
+ * saved to their "profiles" row (services/profiles updateProfile).
+ * - Profile: display name, avatar, time zone, manager (admins only), default project/task
+ * - Preferences: first day of the week, hour and date formats, default calendar view, theme
+ * The dashboard, calendar and entry forms read them through AuthContext.
+ * Email and password live on /account.
+ */
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+
+const fromProfile = (profile, preferences) => ({
+  display_name: profile?.display_name || '',
+  avatar_url: profile?.avatar_url || '',
+  timezone: profile?.timezone || '',
+  manager_id: profile?.manager_id || '',
+  default_project_id: profile?.default_project_id || '',
+  default_task_id: profile?.default_task_id || '',
+  preferences: { ...preferences },
+});
+
+// PUBLIC_INTERFACE
+export default function Settings() {
+  const { user, profile, preferences, updateProfile, hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+
+  const [form, setForm] = useState(() => fromProfile(profile, preferences));
+  const [dirty, setDirty] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: 'error' | 'ok', text }
+
+  // Follow the stored profile until the user starts editing
+  useEffect(() => {
+    if (!dirty) setForm(fromProfile(profile, preferences));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [profile]);
+
+  useEffect(() => {
+    let mounted = true;
+    const run = async () => {
+      if (!user) return;
+      const [projectsRes, peopleRes] = await Promise.all([
+        listMyProjects(user.id),
+        isAdmin ? listProfiles() : Promise.resolve({ data: [] }),
+      ]);
+      if (!mounted) return;
+      setProjects((projectsRes.data || []).filter((p) => !p.archived));
+      setPeople((peopleRes.data || []).filter((p) => p.id !== user.id));
+    };
+    run();
+    return () => { mounted = false; };
+  }, [user, isAdmin]);
+
+  const setField = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    setDirty(true);
+    setMessage(null);
+  };
+
+  const setPreference = (key, value) => {
+    setForm((prev) => ({ ...prev, preferences: { ...prev.preferences, [key]: value } }));
+    setDirty(true);
+    setMessage(null);
+  };
+
+  const tasks = (projects.find((p) => p.id === form.default_project_id)?.tasks || []).filter((t) => !t.archived);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const { manager_id: managerId, ...fields } = form;
+    const { error } = await updateProfile({
+      ...fields,
+      default_project_id: form.default_project_id || null,
+      default_task_id: form.default_task_id || null,
+      // Only admins may change reporting lines (enforced again in the database)
+      ...(isAdmin ? { manager_id: managerId || null } : {}),
+    });
+    setSaving(false);
+    if (error) {
+      setMessage({
+        kind: 'error',
+        text: error.code === 'missing_schema' || error.code === 'feature_disabled'
+          ? 'Data not available yet'
+          : (error.message || 'Failed to save your settings'),
+      });
+      return;
+    }
+    setDirty(false);
+    setMessage({ kind: 'ok', text: 'Settings saved.' });
+  };
+
+  const onReset = () => {
+    setForm(fromProfile(profile, preferences));
+    setDirty(false);
+    setMessage(null);
+  };
+
+  const managerLabel = (() => {
+    if (!profile?.manager_id) return 'None';
+    const m = people.find((p) => p.id === profile.manager_id);
+    return m ? m.display_name || m.email : 'Assigned';
+  })();
+
+  const cardTitle = (text, sub) => (
+    <div className="card--header-dark">
+      <div>
+        <div style={{ fontSize: 14, fontWeight: 700, letterSpacing: '0.2px', color: 'var(--on-dark)' }}>{text}</div>
+        <div style={{ fontSize: 12, color: 'var(--on-dark-muted)', fontWeight: 500 }}>{sub}</div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <AppHeader active="/settings" />
+
+      <form className="page" style={{ display: 'grid', gap: 16, maxWidth: 760 }} onSubmit={onSubmit} aria-label="Settings">
+        <section className="card" aria-label="Profile">
+          {cardTitle('Profile', 'How you appear to your team, and what new entries start with.')}
+          <div className="card--body" style={{ display: 'grid', gap: 12 }}>
+            <div className="cluster" style={{ gap: 12, alignItems: 'center' }}>
+              {form.avatar_url ? (
+                <img src={form.avatar_url} alt="" style={styles.avatar} />
+              ) : (
+                <div style={{ ...styles.avatar, ...styles.initials }} aria-hidden="true">
+                  {(form.display_name || user?.email || '?').trim().charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div style={{ flex: 1, minWidth: 220 }}>
+                <label className="label" htmlFor="settings-name">Display name</label>
+                <input
+                  id="settings-name"
+                  className="input"
+                  value={form.display_name}
+                  onChange={(e) => setField('display_name', e.target.value)}
+                  placeholder={user?.email}
+                  maxLength={80}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label" htmlFor="settings-avatar">Avatar URL</label>
+              <input
+                id="settings-avatar"
+                className="input"
+                type="url"
+                value={form.avatar_url}
+                onChange={(e) => setField('avatar_url', e.target.value)}
+                placeholder="https://…"
+              />
+            </div>
+            <div className="cluster" style={{ gap: 12, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+              <div>
+                <label className="label" htmlFor="settings-timezone">Time zone</label>
+                <input
+                  id="settings-timezone"
+                  className="input"
+                  list="settings-timezones"
+                  value={form.timezone}
+                  onChange={(e) => setField('timezone', e.target.value)}
+                  placeholder={BROWSER_TIME_ZONE || 'Browser time zone'}
+                  style={{ width: 240 }}
+                />
+                <datalist id="settings-timezones">
+                  {TIME_ZONES.map((tz) => <option key={tz} value={tz} />)}
+                </datalist>
+                <div className="helper">Decides which day is &quot;today&quot;. Empty uses this browser&apos;s.</div>
+              </div>
+              <div>
+                <label className="label" htmlFor="settings-manager">Manager</label>
+                {isAdmin ? (
+                  <select
+                    id="settings-manager"
+                    className="select"
+                    value={form.manager_id}
+                    onChange={(e) => setField('manager_id', e.target.value)}
+                    style={{ width: 240 }}
+                  >
+                    <option value="">None</option>
+                    {people.map((p) => (
+                      <option key={p.id} value={p.id}>{p.display_name || p.email || p.id}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <>
+                    <div id="settings-manager" style={styles.readonly}>{managerLabel}</div>
+                    <div className="helper">Set by an admin.</div>
+                  </>
+                )}
+              </div>
+            </div>
+            <div className="cluster" style={{ gap: 12, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+              <div>
+                <label className="label" htmlFor="settings-project">Default project</label>
+                <select
+                  id="settings-project"
+                  className="select"
+                  value={form.default_project_id}
+                  onChange={(e) => {
+                    setField('default_project_id', e.target.value);
+                    setField('default_task_id', '');
+                  }}
+                  style={{ width: 240 }}
+                >
+                  <option value="">None</option>
+                  {projects.map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label" htmlFor="settings-task">Default task</label>
+                <select
+                  id="settings-task"
+                  className="select"
+                  value={form.default_task_id}
+                  onChange={(e) => setField('default_task_id', e.target.value)}
+                  disabled={!form.default_project_id || tasks.length === 0}
+                  style={{ width: 240 }}
+                >
+                  <option value="">None</option>
+                  {tasks.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="helper" style={{ marginTop: 0 }}>
+              New work entries start with the default project and task; logging timer time uses your last ones first.
+            </div>
+          </div>
+        </section>
+
+        <section className="card" aria-label="Preferences">
+          {cardTitle('Preferences', 'How the dashboard and calendar show days and hours.')}
+          <div className="card--body" style={{ display: 'grid', gap: 12 }}>
+            <div className="cluster" style={{ gap: 12, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+              {[
+                ['weekStart', 'Week starts on', WEEK_START_OPTIONS],
+                ['hourFormat', 'Hours', HOUR_FORMATS],
+                ['dateFormat', 'Dates', DATE_FORMATS],
+                ['calendarView', 'Calendar opens in', CALENDAR_VIEWS],
+                ['theme', 'Theme', THEMES],
+              ].map(([key, label, options]) => (
+                <div key={key}>
+                  <label className="label" htmlFor={`settings-${key}`}>{label}</label>
+                  <select
+                    id={`settings-${key}`}
+                    className="select"
+                    value={String(form.preferences[key])}
+                    onChange={(e) => setPreference(key, key === 'weekStart' ? Number(e.target.value) : e.target.value)}
+                    style={{ width: 220 }}
+                  >
+                    {options.map((o) => (
+                      <option key={o.value} value={String(o.value)}>{o.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div style={styles.readonly} aria-live="polite">
+              Preview: {formatDate(todayIn(form.timezone), form.preferences.dateFormat)} ·{' '}
+              {formatHours(7.5, form.preferences.hourFormat)} logged
+            </div>
+          </div>
+        </section>
+
+        {message && (
+          <div role={message.kind === 'error' ? 'alert' : 'status'} style={message.kind === 'error' ? styles.alert : styles.ok}>
+            {message.text}
+          </div>
+        )}
+        <div className="cluster" style={{ gap: 8 }}>
+          <button className="btn btn--primary" type="submit" disabled={saving || !dirty}>
+            {saving ? 'Saving…' : 'Save settings'}
+          </button>
+          <button className="btn btn--outline" type="button" onClick={onReset} disabled={saving || !dirty}>
+            Discard changes
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const styles = {
+  avatar: {
+    width: 56,
+    height: 56,
+    borderRadius: '50%',
+    objectFit: 'cover',
+    border: '1px solid var(--border)',
+    flexShrink: 0,
+  },
+  initials: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'var(--primary)',
+    color: 'var(--on-primary)',
+    fontSize: 22,
+    fontWeight: 700,
+  },
+  readonly: {
+    padding: '8px 12px',
+    background: 'var(--surface)',
+    border: '1px solid var(--border)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-secondary)',
+  },
+  alert: {
+    padding: 12,
+    background: 'var(--warn-tint)',
+    border: '1px solid var(--warn)',
+    borderRadius: 'var(--radius-md)',
+    color: 'var(--text-strong)',
+  },
+  ok: {
+    padding: 12,
+    background: '#ECFDF5',
+    border: '1px solid #A7F3D0',
+    borderRadius: 'var(--radius-md)',
+    color: '#065F46',
+  },
+};
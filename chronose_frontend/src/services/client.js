@@ -0,0 +1,68 @@
+import { supabase } from '../lib/supabaseClient';
+
+/**
+ * Shared Supabase data client and helpers for the service layer.
+ * Every service module (time entries, leave requests, ...) goes through the
+ * same client, feature flags and error shapes so the UI can treat them alike.
+ * The client itself comes from lib/supabaseClient (Supabase or the local mock).
+ */
+
+export { supabase };
+
+// PUBLIC_INTERFACE
+export const err = (message, code = 'client_unavailable') => {
+  /** Build an Error carrying a machine-readable code. */
+  const e = new Error(message);
+  e.code = code;
+  return e;
+};
+
+/**
+ * Feature flags reader (not a React hook).
+ * Expects REACT_APP_FEATURE_FLAGS as JSON or CSV key=true,false.
+ * Default: enableRealData=true if a backend (Supabase or the mock) is configured, else false.
+ */
+// PUBLIC_INTERFACE
+export function getFeatureFlags() {
+  /** Read feature flags from REACT_APP_FEATURE_FLAGS with safe defaults. */
+  const raw = process.env.REACT_APP_FEATURE_FLAGS || '';
+  const defaults = {
+    enableRealData: !!supabase,
+  };
+  if (!raw) return defaults;
+
+  try {
+    // Try JSON first
+    const parsed = JSON.parse(raw);
+    return {
+      ...defaults,
+      ...Object.fromEntries(
+        Object.entries(parsed).map(([k, v]) => [k, typeof v === 'string' ? v.toLowerCase() === 'true' : !!v])
+      ),
+    };
+  } catch {
+    // CSV fallback: key1=true,key2=false
+    const obj = {};
+    raw
+      .split(',')
+      .map((p) => p.trim())
+      .forEach((part) => {
+        const [k, v] = part.split('=');
+        if (k) obj[k] = (v || '').toLowerCase() === 'true';
+      });
+    return { ...defaults, ...obj };
+  }
+}
+
+/**
+ * Detects a missing table or schema issue based on message/code text.
+ */
+// PUBLIC_INTERFACE
+export function isMissingTable(error) {
+  const msg = (error?.message || '').toLowerCase();
+  return (
+    (msg.includes('relation') && msg.includes('does not exist')) ||
+    (msg.includes('table') && msg.includes('not exist')) ||
+    error?.code === '42P01'
+  );
+}
@@ -0,0 +1,103 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+
+/**
+ * Company holidays from the "holidays" table, one calendar per region.
+ * People follow the holidays of their work schedule's region (services/workSchedules);
+ * holidays expect no hours (utils/workSchedule) and multi-day leave skips them
+ * (utils/leaveRange) the same way it skips weekends.
+ * Admins add holidays one by one or import them from an .ics file (utils/icsCalendar).
+ */
+
+/**
+ * Internal helper to map DB row to UI shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.id,
+    region: r.region || 'default',
+    date: r.date, // yyyy-mm-dd
+    name: r.name || '',
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listHolidays({ from, to, region } = {}) {
+  /** Holidays between from and to (ISO days, both optional, inclusive), of one region or all, in date order. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    let query = supabase.from('holidays').select('*');
+    if (region) query = query.eq('region', region);
+    if (from) query = query.gte('date', from);
+    if (to) query = query.lte('date', to);
+    const { data, error } = await query.order('date', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load holidays') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function saveHolidays({ region, holidays }) {
+  /**
+   * Add holidays ([{ date, name }]) to a region's calendar (admins only). A day that
+   * already has a holiday in the region is renamed instead of duplicated.
+   * Resolves to the saved rows.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  const code = String(region || '').trim();
+  if (!code) {
+    return { data: [], error: err('Choose a region for these holidays.', 'validation') };
+  }
+  if (!holidays || holidays.length === 0) {
+    return { data: [], error: err('There are no holidays to save.', 'validation') };
+  }
+  if (holidays.some((h) => !/^\d{4}-\d{2}-\d{2}$/.test(h.date || '') || !String(h.name || '').trim())) {
+    return { data: [], error: err('Every holiday needs a date and a name.', 'validation') };
+  }
+  try {
+    const payload = holidays.map((h) => ({ region: code, date: h.date, name: String(h.name).trim() }));
+    const { data, error } = await supabase.from('holidays').upsert(payload, { onConflict: 'region,date' }).select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to save holidays') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function deleteHoliday(id) {
+  /** Remove a holiday from its region's calendar (admins only). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { error } = await supabase.from('holidays').delete().eq('id', id);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: { id }, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to delete holiday') };
+  }
+}
@@ -0,0 +1,145 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+
+/**
+ * Leave balances and accrual policies.
+ * - "leave_policies": one row per tracked leave type (accrual, carry-over cap, negative balances)
+ * - "leave_balance_ledger": append-only balance changes; "leave_balances" sums them per user and type
+ * Accruals run in the database (accrue_leave), approvals are deducted by a trigger
+ * on leave_requests, and admins adjust balances through adjust_leave_balance,
+ * which requires a reason. See utils/leaveBalances for the arithmetic shown in the UI.
+ */
+
+/**
+ * Internal helper to map a policy row to UI shape.
+ */
+function mapPolicy(r) {
+  return {
+    type: r.type, // casual | sick | vacation
+    accrual: r.accrual || 'none', // monthly | annual | none
+    accrual_hours: Number(r.accrual_hours || 0),
+    carry_over_cap: r.carry_over_cap === null || r.carry_over_cap === undefined ? null : Number(r.carry_over_cap),
+    allow_negative: !!r.allow_negative,
+  };
+}
+
+/**
+ * Internal helper to map a ledger row to UI shape.
+ */
+function mapLedger(r) {
+  return {
+    id: r.id,
+    user_id: r.user_id,
+    type: r.type,
+    kind: r.kind, // accrual | carry_over | deduction | adjustment
+    hours: Number(r.hours || 0), // signed
+    reason: r.reason || '',
+    leave_request_id: r.leave_request_id || null,
+    created_by: r.created_by || null,
+    created_at: r.created_at,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listLeavePolicies() {
+  /** The accrual policy of every tracked leave type. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('leave_policies').select('*').order('type', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapPolicy), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load leave policies') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listLeaveBalances({ userId } = {}) {
+  /** Balances as [{ user_id, type, balance }] (hours), for one user or every user visible to the caller. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    let query = supabase.from('leave_balances').select('*');
+    if (userId) query = query.eq('user_id', userId);
+    const { data, error } = await query;
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return {
+      data: (data || []).map((r) => ({ user_id: r.user_id, type: r.type, balance: Number(r.balance || 0) })),
+      error: null,
+    };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load leave balances') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listLeaveLedger({ userId, kinds, limit = 50 } = {}) {
+  /** Latest balance changes, newest first; optionally for one user and/or some kinds. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    let query = supabase.from('leave_balance_ledger').select('*');
+    if (userId) query = query.eq('user_id', userId);
+    if (kinds && kinds.length > 0) query = query.in('kind', kinds);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapLedger), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load leave balance history') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function adjustLeaveBalance({ userId, type, hours, reason }) {
+  /** Add (or, with negative hours, remove) hours from a user's balance (admins only). The reason is required. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  const why = String(reason || '').trim();
+  const amount = Number(hours);
+  if (!userId || !type) {
+    return { data: null, error: err('Choose a person and a leave type.', 'validation') };
+  }
+  if (!Number.isFinite(amount) || amount === 0) {
+    return { data: null, error: err('Enter the hours to add or remove.', 'validation') };
+  }
+  if (!why) {
+    return { data: null, error: err('A reason is required to adjust a balance.', 'validation') };
+  }
+  try {
+    const { data, error } = await supabase
+      .rpc('adjust_leave_balance', { p_user: userId, p_type: type, p_hours: amount, p_reason: why })
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapLedger(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to adjust the leave balance') };
+  }
+}
@@ -0,0 +1,267 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+import { canTransition, isEditableStatus, transitionError } from './workflow';
+
+/**
+ * Leave request CRUD against the "leave_requests" table.
+ * Mirrors services/timeEntries.js: every function resolves to { data, error }
+ * and reports 'feature_disabled' / 'missing_schema' instead of throwing.
+ */
+
+/**
+ * Internal helper to map DB row to UI shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.id,
+    user_id: r.user_id,
+    date: r.date, // yyyy-mm-dd, first day of the request
+    end_date: r.end_date || r.date, // last day, inclusive
+    days: Array.isArray(r.days) ? r.days : null, // [{ date, hours }] taken; null for single-day requests
+    type: r.type || 'casual', // casual | sick | vacation
+    duration: r.duration || 'full', // full | partial
+    hours: typeof r.hours === 'number' ? r.hours : Number(r.hours || 0),
+    reason: r.reason || '',
+    status: r.status || 'draft',
+    submitted_at: r.submitted_at || null,
+    reviewed_by: r.reviewed_by || null,
+    reviewed_at: r.reviewed_at || null,
+    review_comment: r.review_comment || '',
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listMyLeaveRequests(userId) {
+  /** List leave requests for the given user, ordered by date desc. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .select('*')
+      .eq('user_id', userId)
+      .order('date', { ascending: false });
+
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch leave requests') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function createLeaveRequest(request) {
+  /** Create a new leave request for the current user. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const payload = {
+      user_id: request.user_id,
+      date: request.date,
+      end_date: request.end_date || request.date,
+      days: request.days || null,
+      type: request.type,
+      duration: request.duration,
+      hours: Number(request.hours),
+      reason: request.reason || null,
+      // Always a draft; submitting goes through the workflow
+      status: 'draft',
+    };
+    const { data, error } = await supabase.from('leave_requests').insert(payload).select().single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to create leave request') };
+  }
+}
+
+/**
+ * Internal helper: read the current status of a row so callers can enforce
+ * workflow rules before writing. Resolves to { status, error }.
+ */
+async function readStatus(id) {
+  const { data, error } = await supabase.from('leave_requests').select('status').eq('id', id).single();
+  if (error) {
+    if (isMissingTable(error)) return { status: null, error: err('Data not available yet', 'missing_schema') };
+    return { status: null, error };
+  }
+  return { status: data?.status || 'draft', error: null };
+}
+
+// PUBLIC_INTERFACE
+export async function updateLeaveRequest(id, patch) {
+  /**
+   * Update an existing leave request for the current user.
+   * Pending and approved requests are refused; editing a rejected request returns it to draft.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const current = await readStatus(id);
+    if (current.error) return { data: null, error: current.error };
+    if (!isEditableStatus(current.status)) {
+      return { data: null, error: err(transitionError(current.status, 'draft'), 'invalid_transition') };
+    }
+    const nextStatus = patch.status !== undefined ? patch.status : current.status === 'rejected' ? 'draft' : undefined;
+    if (nextStatus !== undefined && !canTransition(current.status, nextStatus)) {
+      return { data: null, error: err(transitionError(current.status, nextStatus), 'invalid_transition') };
+    }
+    const updates = {
+      ...(patch.date !== undefined ? { date: patch.date } : {}),
+      ...(patch.end_date !== undefined ? { end_date: patch.end_date } : {}),
+      ...(patch.days !== undefined ? { days: patch.days } : {}),
+      ...(patch.type !== undefined ? { type: patch.type } : {}),
+      ...(patch.duration !== undefined ? { duration: patch.duration } : {}),
+      ...(patch.hours !== undefined ? { hours: Number(patch.hours) } : {}),
+      ...(patch.reason !== undefined ? { reason: patch.reason } : {}),
+      ...(nextStatus !== undefined ? { status: nextStatus } : {}),
+    };
+    const { data, error } = await supabase.from('leave_requests').update(updates).eq('id', id).select().single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to update leave request') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function deleteLeaveRequest(id) {
+  /** Delete an existing leave request by id for the current user (drafts and rejected only). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const current = await readStatus(id);
+    if (current.error) return { data: null, error: current.error };
+    if (!isEditableStatus(current.status)) {
+      return { data: null, error: err(transitionError(current.status, 'draft'), 'invalid_transition') };
+    }
+    const { error } = await supabase.from('leave_requests').delete().eq('id', id);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: { id }, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to delete leave request') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function submitLeaveRequests(ids) {
+  /** Submit draft/rejected leave requests for review (-> pending). Returns the rows that moved. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!ids || ids.length === 0) return { data: [], error: null };
+  try {
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .update({ status: 'pending', submitted_at: new Date().toISOString() })
+      .in('id', ids)
+      // Leave deletes are hard deletes (no deleted_at), so a removed id simply matches nothing
+      .in('status', ['draft', 'rejected'])
+      .select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to submit leave requests') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listPendingLeaveRequests(reviewerId) {
+  /** List leave requests awaiting review that are visible to the reviewer (their reports via RLS). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .select('*')
+      .eq('status', 'pending')
+      .neq('user_id', reviewerId)
+      .order('date', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch pending leave requests') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function reviewLeaveRequest(id, { decision, comment, reviewerId }) {
+  /** Approve or reject a pending leave request. Rejections require a comment. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (decision !== 'approved' && decision !== 'rejected') {
+    return { data: null, error: err('Decision must be approved or rejected.', 'validation') };
+  }
+  if (decision === 'rejected' && !(comment || '').trim()) {
+    return { data: null, error: err('Please provide a reason for the rejection.', 'validation') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .update({
+        status: decision,
+        review_comment: (comment || '').trim() || null,
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    if (!data || data.length === 0) {
+      return { data: null, error: err('This leave request is no longer awaiting review.', 'invalid_transition') };
+    }
+    return { data: mapRow(data[0]), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to review leave request') };
+  }
+}
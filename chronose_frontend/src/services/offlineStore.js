@@ -0,0 +1,153 @@
+/**
+ * Offline store for the service layer.
+ *
+ * Two things live here, both in IndexedDB ("chronose_offline"):
+ *   - a mirror of the rows last loaded from the server, per table and user,
+ *     so lists render instantly and keep working offline;
+ *   - the outbox: mutations made while the network was down, in the order
+ *     they were made, replayed by the owning service when connectivity returns.
+ *
+ * Where IndexedDB is unavailable (some private browsing modes, tests) the same
+ * API is backed by memory: the current tab keeps working but nothing survives
+ * a reload. Like the services, nothing here throws.
+ *
+ * Outbox op shape: { seq, table, kind: 'create' | 'update' | 'delete', id,
+ *                    user_id, values, updated_at, base_updated_at }
+ */
+
+const DB_NAME = 'chronose_offline';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const MIRRORED_TABLES = ['time_entries'];
+
+let dbPromise = null;
+const memory = { outbox: [], rows: {} };
+const listeners = new Set();
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'seq' });
+          MIRRORED_TABLES.forEach((name) => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: 'id' }).createIndex('user_id', 'user_id');
+            }
+          });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Internal helper: run `fn(stores)` in one transaction. Resolves to { ok, value }
+ * once it commits; value is the result of the IDBRequest `fn` returns, if any.
+ * ok is false when IndexedDB is unavailable or the transaction failed, and
+ * callers then fall back to memory.
+ */
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  if (!db) return { ok: false, value: null };
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(names, mode);
+      const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+      const out = fn(stores);
+      tx.oncomplete = () => resolve({ ok: true, value: out && 'result' in out ? out.result : out });
+      tx.onerror = () => resolve({ ok: false, value: null });
+      tx.onabort = () => resolve({ ok: false, value: null });
+    } catch {
+      resolve({ ok: false, value: null });
+    }
+  });
+}
+
+const notify = (ops) => listeners.forEach((fn) => fn(ops.length));
+
+// PUBLIC_INTERFACE
+export async function readOutbox() {
+  /** Queued mutations, oldest first. */
+  const res = await withStores([OUTBOX], 'readonly', (s) => s[OUTBOX].getAll());
+  const ops = res.ok ? res.value || [] : memory.outbox;
+  return [...ops].sort((a, b) => a.seq - b.seq);
+}
+
+// PUBLIC_INTERFACE
+export async function writeOutbox(ops) {
+  /** Replace the whole outbox (callers fold new ops in with utils/outboxQueue.queueOp). */
+  const res = await withStores([OUTBOX], 'readwrite', (s) => {
+    s[OUTBOX].clear();
+    ops.forEach((op) => s[OUTBOX].put(op));
+  });
+  if (!res.ok) memory.outbox = [...ops];
+  notify(ops);
+}
+
+// PUBLIC_INTERFACE
+export function onOutboxChange(listener) {
+  /** Call listener(pendingCount) whenever this tab changes the outbox. Returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export async function readRows(table, userId) {
+  /** Mirrored rows of a user. */
+  const res = await withStores([table], 'readonly', (s) => s[table].index('user_id').getAll(userId));
+  if (res.ok) return res.value || [];
+  return Object.values(memory.rows[table] || {}).filter((r) => r.user_id === userId);
+}
+
+// PUBLIC_INTERFACE
+export async function readRow(table, id) {
+  /** One mirrored row, or null. */
+  const res = await withStores([table], 'readonly', (s) => s[table].get(id));
+  if (res.ok) return res.value || null;
+  return (memory.rows[table] || {})[id] || null;
+}
+
+// PUBLIC_INTERFACE
+export async function replaceRows(table, userId, rows) {
+  /** Replace the mirror of a user's rows with a fresh server list. */
+  const res = await withStores([table], 'readwrite', (s) => {
+    const req = s[table].index('user_id').openKeyCursor(IDBKeyRange.only(userId));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        s[table].delete(cursor.primaryKey);
+        cursor.continue();
+      } else {
+        rows.forEach((r) => s[table].put(r));
+      }
+    };
+  });
+  if (!res.ok) {
+    const kept = Object.values(memory.rows[table] || {}).filter((r) => r.user_id !== userId);
+    memory.rows[table] = Object.fromEntries([...kept, ...rows].map((r) => [r.id, r]));
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function putRow(table, row) {
+  /** Insert or replace one mirrored row. */
+  const res = await withStores([table], 'readwrite', (s) => s[table].put(row));
+  if (!res.ok) memory.rows[table] = { ...(memory.rows[table] || {}), [row.id]: row };
+}
+
+// PUBLIC_INTERFACE
+export async function deleteRow(table, id) {
+  /** Drop one mirrored row. */
+  const res = await withStores([table], 'readwrite', (s) => s[table].delete(id));
+  if (!res.ok && memory.rows[table]) delete memory.rows[table][id];
+}
@@ -0,0 +1,138 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+
+/**
+ * Locked timesheet periods from the "locked_periods" table. No time entry may
+ * be written for a day inside a locked period (utils/entryRules; the database
+ * enforces it in the time_entries_rules trigger).
+ *
+ * Admins close and reopen periods through the lock_period / unlock_period
+ * functions, which also write the "period_lock_audit" log; reopening needs a reason.
+ */
+
+/**
+ * Internal helper to map DB row to UI shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.id,
+    start_date: r.start_date, // yyyy-mm-dd, inclusive
+    end_date: r.end_date, // yyyy-mm-dd, inclusive
+    period_type: r.period_type || 'monthly', // weekly | biweekly | monthly
+    locked_by: r.locked_by || null,
+    created_at: r.created_at,
+  };
+}
+
+/**
+ * Internal helper to map an audit row to UI shape.
+ */
+function mapAudit(r) {
+  return {
+    id: r.id,
+    action: r.action, // lock | unlock
+    period_id: r.period_id,
+    period_type: r.period_type,
+    start_date: r.start_date,
+    end_date: r.end_date,
+    reason: r.reason || '',
+    actor_id: r.actor_id || null,
+    created_at: r.created_at,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listLockedPeriods({ from, to } = {}) {
+  /** Locked periods overlapping [from, to] (ISO days, both optional), oldest first. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    let query = supabase.from('locked_periods').select('*');
+    if (from) query = query.gte('end_date', from);
+    if (to) query = query.lte('start_date', to);
+    const { data, error } = await query.order('start_date', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load locked periods') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function lockPeriod({ start_date, end_date, period_type }) {
+  /** Close a pay period (admins only); entries dated inside it can no longer be written. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .rpc('lock_period', { p_start: start_date, p_end: end_date, p_type: period_type })
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to lock period') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function unlockPeriod(id, reason) {
+  /** Reopen a locked period (admins only). The reason is required and kept in the audit log. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  const why = String(reason || '').trim();
+  if (!why) {
+    return { data: null, error: err('A reason is required to unlock a period.', 'validation') };
+  }
+  try {
+    const { data, error } = await supabase.rpc('unlock_period', { p_id: id, p_reason: why }).single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to unlock period') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listPeriodAudit({ limit = 50 } = {}) {
+  /** Latest lock/unlock events, newest first (admins only). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('period_lock_audit')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapAudit), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load the period audit log') };
+  }
+}
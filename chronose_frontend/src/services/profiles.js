@@ -0,0 +1,163 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+import { normalizePreferences } from '../utils/preferences';
+
+/**
+ * Profile lookups against the "profiles" table (one row per auth user).
+ * Used to resolve reporting lines (manager_id), roles and display names, and
+ * to hold each user's settings (/settings): display name, avatar, time zone,
+ * default project/task and display preferences.
+ */
+
+// Columns a user may change on /settings (manager_id only takes effect for admins, see assets/supabase.md)
+const EDITABLE = ['display_name', 'avatar_url', 'timezone', 'manager_id', 'default_project_id', 'default_task_id', 'preferences'];
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Internal helper to map DB row to UI shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.id,
+    email: r.email || '',
+    manager_id: r.manager_id || null,
+    roles: Array.isArray(r.roles) && r.roles.length > 0 ? r.roles : ['employee'],
+    display_name: r.display_name || '',
+    avatar_url: r.avatar_url || '',
+    timezone: r.timezone || '',
+    default_project_id: r.default_project_id || null,
+    default_task_id: r.default_task_id || null,
+    preferences: normalizePreferences(r.preferences),
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function getMyProfile(userId) {
+  /** Fetch the profile row of the given user; data is null when no row exists. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('profiles').select('*').eq('id', userId).maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: data ? mapRow(data) : null, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to fetch profile') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listDirectReports(managerId) {
+  /** List profiles whose manager_id is the given user, ordered by email. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('manager_id', managerId)
+      .order('email', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch direct reports') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listProfiles() {
+  /** List every profile visible to the caller (all of them for admins), ordered by email. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('profiles').select('*').order('email', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch profiles') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function profileErrors(fields) {
+  /** Validation message for profile settings, or '' when they can be saved. */
+  if (fields.display_name !== undefined && String(fields.display_name).trim().length > 80) {
+    return 'Display name must be 80 characters or fewer.';
+  }
+  if (fields.avatar_url && !/^https?:\/\/\S+$/i.test(String(fields.avatar_url).trim())) {
+    return 'Avatar must be an http(s) image URL.';
+  }
+  if (fields.timezone && !isTimeZone(fields.timezone)) {
+    return 'Choose a time zone from the list.';
+  }
+  if (fields.default_task_id && !fields.default_project_id) {
+    return 'Choose a default project for the default task.';
+  }
+  return '';
+}
+
+// PUBLIC_INTERFACE
+export async function updateProfile(userId, fields) {
+  /**
+   * Save the settings of a profile (the caller's own, or any for admins).
+   * Only the /settings columns are written; blank text clears a value.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  const invalid = profileErrors(fields);
+  if (invalid) {
+    return { data: null, error: err(invalid, 'validation') };
+  }
+  const patch = {};
+  EDITABLE.forEach((key) => {
+    if (fields[key] === undefined) return;
+    if (key === 'preferences') patch.preferences = normalizePreferences(fields.preferences);
+    else patch[key] = typeof fields[key] === 'string' ? fields[key].trim() || null : fields[key];
+  });
+  try {
+    // upsert: people who never had a profiles row get one on their first save
+    const { data, error } = await supabase
+      .from('profiles')
+      .upsert({ id: userId, ...patch }, { onConflict: 'id' })
+      .select()
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to save the profile') };
+  }
+}
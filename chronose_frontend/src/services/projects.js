@@ -0,0 +1,255 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+
+/**
+ * Projects and tasks catalog against the "projects", "tasks" and
+ * "project_assignments" tables. Employees only see projects they are assigned
+ * to; admins create, archive and assign them. Archiving hides a project/task
+ * from new entries but keeps existing entries valid for reporting.
+ */
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Internal helper to map a task row to UI shape.
+ */
+function mapTask(r) {
+  return {
+    id: r.id,
+    project_id: r.project_id,
+    code: r.code || '',
+    name: r.name || r.code || '',
+    archived: !!r.archived_at,
+  };
+}
+
+/**
+ * Internal helper to map a project row (with embedded tasks/assignments) to UI shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.id,
+    code: r.code || '',
+    name: r.name || r.code || '',
+    archived: !!r.archived_at,
+    archived_at: r.archived_at || null,
+    tasks: (r.tasks || []).map(mapTask).sort(byName),
+    assignees: (r.project_assignments || []).map((a) => a.user_id),
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function listMyProjects(userId) {
+  /**
+   * Projects assigned to the user, with their tasks, ordered by name.
+   * Archived projects/tasks are included (flagged) so old entries can still be
+   * labelled; pickers should offer only the active ones.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('project_assignments')
+      .select('project:projects(*, tasks(*))')
+      .eq('user_id', userId);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return {
+      data: (data || []).filter((r) => r.project).map((r) => mapRow(r.project)).sort(byName),
+      error: null,
+    };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch projects') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listProjects() {
+  /** All projects with tasks and assignee ids (admin view), ordered by name. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('*, tasks(*), project_assignments(user_id)')
+      .order('name', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch projects') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function createProject({ code, name }) {
+  /** Create a project; code is the short unique key (also used by legacy text entries). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!code || !name) return { data: null, error: err('Code and name are required.', 'validation') };
+  try {
+    const { data, error } = await supabase
+      .from('projects')
+      .insert({ code: code.trim().toLowerCase(), name: name.trim() })
+      .select('*, tasks(*), project_assignments(user_id)')
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to create project') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function setProjectArchived(id, archived) {
+  /** Archive (or restore) a project. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('projects')
+      .update({ archived_at: archived ? new Date().toISOString() : null })
+      .eq('id', id)
+      .select('*, tasks(*), project_assignments(user_id)')
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to update project') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function createTask(projectId, { code, name }) {
+  /** Add a task to a project. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!code || !name) return { data: null, error: err('Code and name are required.', 'validation') };
+  try {
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert({ project_id: projectId, code: code.trim().toLowerCase(), name: name.trim() })
+      .select()
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapTask(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to create task') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function setTaskArchived(id, archived) {
+  /** Archive (or restore) a task. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ archived_at: archived ? new Date().toISOString() : null })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapTask(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to update task') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function assignProject(projectId, userId) {
+  /** Give a user access to a project (idempotent). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { error } = await supabase
+      .from('project_assignments')
+      .upsert({ project_id: projectId, user_id: userId }, { onConflict: 'project_id,user_id', ignoreDuplicates: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: { project_id: projectId, user_id: userId }, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to assign project') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function unassignProject(projectId, userId) {
+  /** Remove a user's access to a project; their existing entries are kept. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { error } = await supabase
+      .from('project_assignments')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('user_id', userId);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: { project_id: projectId, user_id: userId }, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to unassign project') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function findProjectTask(projects, projectId, taskId) {
+  /** Look up a project and one of its tasks by id: { project, task } (either may be null). */
+  const project = (projects || []).find((p) => p.id === projectId) || null;
+  const task = project?.tasks.find((t) => t.id === taskId) || null;
+  return { project, task };
+}
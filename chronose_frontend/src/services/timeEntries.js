@@ -1,63 +1,36 @@
-import { createClient } from '@supabase/supabase-js';
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+import { canTransition, isEditableStatus, transitionError } from './workflow';
+import { findProjectTask } from './projects';
+import * as offline from './offlineStore';
+import { isNetworkError, isOffline, overlayOutbox, queueOp, resolveConflict } from '../utils/outboxQueue';
+import { listLockedPeriods } from './periods';
+import { checkEntryRules, fieldErrorsFromServer, findLockedPeriod, readEntryRules } from '../utils/entryRules';
 
 /**
- * Supabase client for data layer (separate from authApi to use query builder).
- * Uses env vars; if unavailable, functions will return informative errors.
+ * Time entry CRUD against the "time_entries" table.
+ * Uses the shared data client; if unavailable, functions will return informative errors.
+ *
+ * Offline-first: create/update/delete made without connectivity are queued in
+ * the IndexedDB outbox (services/offlineStore) and resolve with the row as it
+ * will be, flagged pending_sync. syncTimeEntries() replays the outbox in order.
+ * listMyTimeEntries() mirrors what it loads so listCachedTimeEntries() can
+ * render the list instantly and offline.
+ *
+ * Writes the database refuses under an entry rule (utils/entryRules) resolve
+ * with a 'validation' error whose `fields` map holds the form errors. Writes
+ * to days inside a locked period are refused here before they reach it.
+ *
+ * Deletes are soft: the row keeps its values and gets deleted_at, so it stays
+ * in the entry's history ("time_entry_history", see listTimeEntryHistory).
+ * The list functions skip deleted rows; realtime reports them as deletes.
  */
-const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
-const SUPABASE_KEY = process.env.REACT_APP_SUPABASE_KEY;
 
-let supabase = null;
-if (SUPABASE_URL && SUPABASE_KEY) {
-  try {
-    supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-  } catch {
-    supabase = null;
-  }
-}
+export { getFeatureFlags };
 
-const err = (message, code = 'client_unavailable') => {
-  const e = new Error(message);
-  e.code = code;
-  return e;
-};
-
-/**
- * Feature flags reader (not a React hook).
- * Expects REACT_APP_FEATURE_FLAGS as JSON or CSV key=true,false.
- * Default: enableRealData=true if Supabase is configured, else false.
- */
-// PUBLIC_INTERFACE
-export function getFeatureFlags() {
-  /** Read feature flags from REACT_APP_FEATURE_FLAGS with safe defaults. */
-  const raw = process.env.REACT_APP_FEATURE_FLAGS || '';
-  const defaults = {
-    enableRealData: !!(SUPABASE_URL && SUPABASE_KEY),
-  };
-  if (!raw) return defaults;
+const TABLE = 'time_entries';
 
-  try {
-    // Try JSON first
-    const parsed = JSON.parse(raw);
-    return {
-      ...defaults,
-      ...Object.fromEntries(
-        Object.entries(parsed).map(([k, v]) => [k, typeof v === 'string' ? v.toLowerCase() === 'true' : !!v])
-      ),
-    };
-  } catch {
-    // CSV fallback: key1=true,key2=false
-    const obj = {};
-    raw
-      .split(',')
-      .map((p) => p.trim())
-      .forEach((part) => {
-        const [k, v] = part.split('=');
-        if (k) obj[k] = (v || '').toLowerCase() === 'true';
-      });
-    return { ...defaults, ...obj };
-  }
-}
+// Queued ops of a user's rows (ops on rows that were never mirrored carry no user_id)
+const opsOf = (ops, userId) => ops.filter((o) => o.table === TABLE && (!o.user_id || o.user_id === userId));
 
 /**
  * Internal helper to map DB row to UI shape.
@@ -67,26 +40,65 @@ function mapRow(r) {
     id: r.id,
     user_id: r.user_id,
     date: r.date, // yyyy-mm-dd
-    project: r.project || '',
+    project_id: r.project_id || null,
+    task_id: r.task_id || null,
+    project: r.project || '', // legacy text / code kept in sync by the database
     task: r.task || '',
     hours: typeof r.hours === 'number' ? r.hours : Number(r.hours || 0),
     notes: r.notes || '',
     status: r.status || 'draft',
+    submitted_at: r.submitted_at || null,
+    reviewed_by: r.reviewed_by || null,
+    reviewed_at: r.reviewed_at || null,
+    review_comment: r.review_comment || '',
+    deleted_at: r.deleted_at || null,
     created_at: r.created_at,
     updated_at: r.updated_at,
   };
 }
 
 /**
- * Detects a missing table or schema issue based on message/code text.
+ * Internal helper to map a history row to UI shape.
  */
-function isMissingTable(error) {
-  const msg = (error?.message || '').toLowerCase();
-  return (
-    (msg.includes('relation') && msg.includes('does not exist')) ||
-    (msg.includes('table') && msg.includes('not exist')) ||
-    error?.code === '42P01'
-  );
+function mapHistory(r) {
+  return {
+    id: r.id,
+    entry_id: r.entry_id,
+    action: r.action, // create | update | status | delete
+    changed_by: r.changed_by || null,
+    changed_at: r.changed_at,
+    old_values: r.old_values || null, // only the tracked fields that changed
+    new_values: r.new_values || null,
+  };
+}
+
+/**
+ * Internal helper: turn a database rule violation into a 'validation' error
+ * carrying field errors; other errors pass through unchanged.
+ */
+function withFieldErrors(error) {
+  const fields = fieldErrorsFromServer(error);
+  if (!fields) return error;
+  const e = err(Object.values(fields)[0], 'validation');
+  e.fields = fields;
+  return e;
+}
+
+const lockedError = () => {
+  const e = err('This period is locked.', 'validation');
+  e.fields = { date: e.message };
+  return e;
+};
+
+/**
+ * Internal helper: the given days that fall inside a locked period. A failed
+ * lookup counts as none; the database still refuses those writes.
+ */
+async function lockedDates(dates) {
+  const days = [...new Set(dates.filter(Boolean))].sort();
+  if (days.length === 0) return new Set();
+  const { data } = await listLockedPeriods({ from: days[0], to: days[days.length - 1] });
+  return new Set(days.filter((d) => findLockedPeriod(d, data || [])));
 }
 
 // PUBLIC_INTERFACE
@@ -102,106 +114,712 @@ export async function listMyTimeEntries(userId) {
       .from('time_entries')
       .select('*')
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('date', { ascending: false });
 
     if (error) {
       if (isMissingTable(error)) {
         return { data: [], error: err('Data not available yet', 'missing_schema') };
       }
+      if (isNetworkError(error)) return listOffline(userId);
       return { data: [], error };
     }
-    return { data: (data || []).map(mapRow), error: null };
+    const rows = (data || []).map(mapRow);
+    await offline.replaceRows(TABLE, userId, rows);
+    return { data: overlayOutbox(rows, opsOf(await offline.readOutbox(), userId)), error: null };
   } catch (e) {
+    if (isNetworkError(e)) return listOffline(userId);
     return { data: [], error: err(e?.message || 'Failed to fetch time entries') };
   }
 }
 
+// PUBLIC_INTERFACE
+export async function listCachedTimeEntries(userId) {
+  /** The user's entries as last loaded, with queued changes applied. Instant and available offline. */
+  const [rows, ops] = await Promise.all([offline.readRows(TABLE, userId), offline.readOutbox()]);
+  const sorted = [...rows].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  return { data: overlayOutbox(sorted, opsOf(ops, userId)), error: null };
+}
+
+/**
+ * Internal helper: the cached list, with an 'offline' error so callers can tell it may be stale.
+ */
+async function listOffline(userId) {
+  const { data } = await listCachedTimeEntries(userId);
+  return { data, error: err('You are offline. Showing saved entries.', 'offline') };
+}
+
+// PUBLIC_INTERFACE
+export async function listTimeEntriesForUsers(userIds, { from, to } = {}) {
+  /** List entries of several users (e.g. a manager's reports) within an optional date range. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!userIds || userIds.length === 0) return { data: [], error: null };
+  try {
+    let query = supabase.from('time_entries').select('*').in('user_id', userIds).is('deleted_at', null);
+    if (from) query = query.gte('date', from);
+    if (to) query = query.lte('date', to);
+    const { data, error } = await query.order('date', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch team time entries') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function subscribeToTimeEntries(userIds, onChange) {
+  /**
+   * Realtime changes to the entries of the given users (yourself, or a manager's
+   * reports; RLS decides what is delivered). Calls onChange({ type, row, old }) with
+   * type 'insert' | 'update' | 'delete'; row is mapped like the list functions and
+   * null for deletes, whose `old` only carries the id. A soft delete arrives as a delete.
+   * Returns { data: unsubscribe, error }; unsubscribe is always callable.
+   */
+  const noop = () => {};
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: noop, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!userIds || userIds.length === 0) return { data: noop, error: null };
+  try {
+    const filter = userIds.length === 1 ? `user_id=eq.${userIds[0]}` : `user_id=in.(${userIds.join(',')})`;
+    const channel = supabase
+      .channel(`time_entries:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'time_entries', filter }, (payload) => {
+        const event = String(payload.eventType || '').toLowerCase();
+        const type = event === 'update' && payload.new?.deleted_at ? 'delete' : event;
+        const oldId = payload.old?.id || (type === 'delete' ? payload.new?.id : null);
+        onChange({
+          type,
+          row: type === 'delete' ? null : mapRow(payload.new),
+          old: oldId ? { id: oldId } : null,
+        });
+      })
+      .subscribe();
+    return { data: () => { supabase.removeChannel(channel); }, error: null };
+  } catch (e) {
+    return { data: noop, error: err(e?.message || 'Failed to subscribe to time entries') };
+  }
+}
+
+/**
+ * Internal helper: insert payload for a new entry. New rows always start as drafts;
+ * review states are only reachable through the workflow transitions.
+ */
+const toInsertPayload = (entry) => ({
+  user_id: entry.user_id,
+  date: entry.date,
+  project_id: entry.project_id || null,
+  task_id: entry.task_id || null,
+  hours: Number(entry.hours),
+  notes: entry.notes || null,
+  status: 'draft',
+});
+
+/**
+ * Internal helper: update payload for a patch; `nextStatus` comes from checkEdit.
+ */
+const toUpdatePayload = (patch, nextStatus) => ({
+  ...(patch.project_id !== undefined ? { project_id: patch.project_id || null } : {}),
+  ...(patch.task_id !== undefined ? { task_id: patch.task_id || null } : {}),
+  ...(patch.hours !== undefined ? { hours: Number(patch.hours) } : {}),
+  ...(patch.notes !== undefined ? { notes: patch.notes } : {}),
+  ...(patch.date !== undefined ? { date: patch.date } : {}),
+  ...(nextStatus !== undefined ? { status: nextStatus } : {}),
+});
+
+/**
+ * Internal helper: workflow rules for editing a row in `status`.
+ * Pending and approved rows are refused; editing a rejected row returns it to draft.
+ * Resolves to { nextStatus, error }.
+ */
+function checkEdit(status, patch) {
+  if (!isEditableStatus(status)) {
+    return { nextStatus: undefined, error: err(transitionError(status, 'draft'), 'invalid_transition') };
+  }
+  const nextStatus = patch.status !== undefined ? patch.status : status === 'rejected' ? 'draft' : undefined;
+  if (nextStatus !== undefined && !canTransition(status, nextStatus)) {
+    return { nextStatus, error: err(transitionError(status, nextStatus), 'invalid_transition') };
+  }
+  return { nextStatus, error: null };
+}
+
+/**
+ * Internal helper: a row as the user currently sees it (mirror + outbox), or null.
+ */
+async function readLocalRow(id) {
+  const [row, ops] = await Promise.all([offline.readRow(TABLE, id), offline.readOutbox()]);
+  const mine = ops.filter((o) => o.table === TABLE && o.id === id);
+  return overlayOutbox(row ? [row] : [], mine)[0] || null;
+}
+
+/**
+ * Internal helper: true when a change to this row must wait behind the outbox
+ * (offline, an unsynced tmp_ row, or earlier changes to it still queued).
+ */
+async function mustQueue(id) {
+  if (isOffline() || String(id).startsWith('tmp_')) return true;
+  const ops = await offline.readOutbox();
+  return ops.some((o) => o.table === TABLE && o.id === id);
+}
+
+/**
+ * Internal helper: fold an op into the outbox, stamped with the local change time.
+ */
+async function enqueue(op) {
+  const ops = await offline.readOutbox();
+  await offline.writeOutbox(queueOp(ops, { ...op, table: TABLE, updated_at: new Date().toISOString() }));
+}
+
+async function queueCreate(entry) {
+  const id = `tmp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const row = { ...mapRow({ ...toInsertPayload(entry), id }), pending_sync: true };
+  await enqueue({ kind: 'create', id, user_id: row.user_id, values: row });
+  return { data: row, error: null };
+}
+
+async function queueUpdate(id, patch) {
+  const current = await readLocalRow(id);
+  const { nextStatus, error } = checkEdit(current?.status || 'draft', patch);
+  if (error) return { data: null, error };
+  const values = toUpdatePayload(patch, nextStatus);
+  await enqueue({ kind: 'update', id, user_id: current?.user_id, values, base_updated_at: current?.updated_at });
+  return { data: { ...(current || { id }), ...values, pending_sync: true }, error: null };
+}
+
+async function queueDelete(id) {
+  const current = await readLocalRow(id);
+  if (current && !isEditableStatus(current.status)) {
+    return { data: null, error: err(transitionError(current.status, 'draft'), 'invalid_transition') };
+  }
+  await enqueue({ kind: 'delete', id, user_id: current?.user_id, values: {}, base_updated_at: current?.updated_at });
+  return { data: { id }, error: null };
+}
+
 // PUBLIC_INTERFACE
 export async function createTimeEntry(entry) {
-  /** Create a new time entry for the current user. */
+  /** Create a new time entry for the current user (queued when offline). */
   const { enableRealData } = getFeatureFlags();
   if (!enableRealData || !supabase) {
     return { data: null, error: err('Data not available yet', 'feature_disabled') };
   }
+  if (isOffline()) return queueCreate(entry);
   try {
-    const payload = {
-      user_id: entry.user_id,
-      date: entry.date,
-      project: entry.project || null,
-      task: entry.task || null,
-      hours: Number(entry.hours),
-      notes: entry.notes || null,
-      status: entry.status || 'draft',
-    };
+    if ((await lockedDates([entry.date])).size > 0) return { data: null, error: lockedError() };
+    const payload = toInsertPayload(entry);
     const { data, error } = await supabase.from('time_entries').insert(payload).select().single();
     if (error) {
       if (isMissingTable(error)) {
         return { data: null, error: err('Data not available yet', 'missing_schema') };
       }
-      return { data: null, error };
+      if (isNetworkError(error)) return queueCreate(entry);
+      return { data: null, error: withFieldErrors(error) };
     }
+    await offline.putRow(TABLE, mapRow(data));
     return { data: mapRow(data), error: null };
   } catch (e) {
+    if (isNetworkError(e)) return queueCreate(entry);
     return { data: null, error: err(e?.message || 'Failed to create time entry') };
   }
 }
 
+// PUBLIC_INTERFACE
+export async function createTimeEntries(entries, { batchSize = 200, onProgress } = {}) {
+  /**
+   * Bulk insert (e.g. a CSV import) in batches. A batch the database rejects
+   * is retried row by row so one bad row does not sink its neighbours; rows
+   * dated inside a locked period are not sent. Offline, or once the connection
+   * drops, the remaining rows are queued in the outbox like createTimeEntry.
+   * Resolves to { data: { created, queued, failed: [{ index, error }] }, error } where
+   * queued rows are flagged pending_sync, index points into `entries` and error
+   * is set when anything failed.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: { created: [], queued: [], failed: [] }, error: err('Data not available yet', 'feature_disabled') };
+  }
+  const created = [];
+  const queued = [];
+  const failed = [];
+  const handled = new Set(); // indexes into `entries` that were saved, queued or refused
+  const report = () => {
+    if (onProgress) onProgress(handled.size, entries.length);
+  };
+  const fail = (index, error) => {
+    failed.push({ index, error });
+    handled.add(index);
+  };
+  const keep = async (rows, indexes) => {
+    const mapped = rows.map(mapRow);
+    for (const row of mapped) await offline.putRow(TABLE, row);
+    created.push(...mapped);
+    indexes.forEach((i) => handled.add(i));
+  };
+  // Rows not handled yet wait in the outbox for syncTimeEntries()
+  const queueRest = async () => {
+    for (let index = 0; index < entries.length; index += 1) {
+      if (!handled.has(index)) {
+        queued.push((await queueCreate(entries[index])).data);
+        handled.add(index);
+      }
+    }
+    report();
+  };
+  try {
+    if (isOffline()) {
+      await queueRest();
+      return { data: { created, queued, failed }, error: null };
+    }
+    const locked = await lockedDates(entries.map((e) => e.date));
+    const open = [];
+    entries.forEach((entry, index) => {
+      if (locked.has(entry.date)) fail(index, lockedError());
+      else open.push({ entry, index });
+    });
+    let connectionLost = false;
+    for (let start = 0; start < open.length && !connectionLost; start += batchSize) {
+      const batch = open.slice(start, start + batchSize);
+      const { data, error } = await supabase.from('time_entries').insert(batch.map((b) => toInsertPayload(b.entry))).select();
+      if (error && isMissingTable(error)) {
+        return { data: { created, queued, failed }, error: err('Data not available yet', 'missing_schema') };
+      }
+      if (error && isNetworkError(error)) break;
+      if (!error) {
+        await keep(data || [], batch.map((b) => b.index));
+      } else {
+        for (const { entry, index } of batch) {
+          const one = await supabase.from('time_entries').insert(toInsertPayload(entry)).select().single();
+          if (one.error && isNetworkError(one.error)) {
+            connectionLost = true;
+            break;
+          }
+          if (one.error) fail(index, withFieldErrors(one.error));
+          else await keep([one.data], [index]);
+        }
+      }
+      report();
+    }
+  } catch (e) {
+    if (!isNetworkError(e)) {
+      return { data: { created, queued, failed }, error: err(e?.message || 'Failed to import time entries') };
+    }
+  }
+  // The connection dropped (or a row-by-row retry hit it): queue what is left
+  if (handled.size < entries.length) await queueRest();
+  failed.sort((a, b) => a.index - b.index);
+  const error = failed.length > 0
+    ? err(`${failed.length} of ${entries.length} entries could not be saved`, 'partial_failure')
+    : null;
+  return { data: { created, queued, failed }, error };
+}
+
+/**
+ * Internal helper: read the current status and date of a row so callers can
+ * enforce workflow rules and period locks before writing. Resolves to { status, date, error }.
+ */
+async function readStatus(id) {
+  const { data, error } = await supabase.from('time_entries').select('status, date, deleted_at').eq('id', id).single();
+  if (error) {
+    if (isMissingTable(error)) return { status: null, date: null, error: err('Data not available yet', 'missing_schema') };
+    return { status: null, date: null, error };
+  }
+  if (data?.deleted_at) return { status: null, date: null, error: err('This entry was deleted.', 'not_found') };
+  return { status: data?.status || 'draft', date: data?.date || null, error: null };
+}
+
+/**
+ * Internal helper: soft-delete a row. The database stamps deleted_at / deleted_by
+ * and refuses it for submitted, approved or locked entries.
+ */
+const softDelete = (id) => supabase
+  .from('time_entries')
+  .update({ deleted_at: new Date().toISOString() })
+  .eq('id', id)
+  .is('deleted_at', null);
+
 // PUBLIC_INTERFACE
 export async function updateTimeEntry(id, patch) {
-  /** Update an existing time entry for the current user. */
+  /**
+   * Update an existing time entry for the current user (queued when offline).
+   * Pending and approved entries are refused; editing a rejected entry returns it to draft.
+   */
   const { enableRealData } = getFeatureFlags();
   if (!enableRealData || !supabase) {
     return { data: null, error: err('Data not available yet', 'feature_disabled') };
   }
+  if (await mustQueue(id)) return queueUpdate(id, patch);
   try {
-    const updates = {
-      ...(patch.project !== undefined ? { project: patch.project } : {}),
-      ...(patch.task !== undefined ? { task: patch.task } : {}),
-      ...(patch.hours !== undefined ? { hours: Number(patch.hours) } : {}),
-      ...(patch.notes !== undefined ? { notes: patch.notes } : {}),
-      ...(patch.date !== undefined ? { date: patch.date } : {}),
-      ...(patch.status !== undefined ? { status: patch.status } : {}),
-    };
+    const current = await readStatus(id);
+    if (current.error) {
+      if (isNetworkError(current.error)) return queueUpdate(id, patch);
+      return { data: null, error: current.error };
+    }
+    const { nextStatus, error: editError } = checkEdit(current.status, patch);
+    if (editError) return { data: null, error: editError };
+    if ((await lockedDates([current.date, patch.date])).size > 0) return { data: null, error: lockedError() };
+    const updates = toUpdatePayload(patch, nextStatus);
     const { data, error } = await supabase.from('time_entries').update(updates).eq('id', id).select().single();
     if (error) {
       if (isMissingTable(error)) {
         return { data: null, error: err('Data not available yet', 'missing_schema') };
       }
-      return { data: null, error };
+      if (isNetworkError(error)) return queueUpdate(id, patch);
+      return { data: null, error: withFieldErrors(error) };
     }
+    await offline.putRow(TABLE, mapRow(data));
     return { data: mapRow(data), error: null };
   } catch (e) {
+    if (isNetworkError(e)) return queueUpdate(id, patch);
     return { data: null, error: err(e?.message || 'Failed to update time entry') };
   }
 }
 
 // PUBLIC_INTERFACE
 export async function deleteTimeEntry(id) {
-  /** Delete an existing time entry by id for the current user. */
+  /**
+   * Delete an existing time entry by id for the current user (drafts and rejected only; queued when offline).
+   * The row is soft-deleted and stays visible in its history.
+   */
   const { enableRealData } = getFeatureFlags();
   if (!enableRealData || !supabase) {
     return { data: null, error: err('Data not available yet', 'feature_disabled') };
   }
+  if (await mustQueue(id)) return queueDelete(id);
   try {
-    const { error } = await supabase.from('time_entries').delete().eq('id', id);
+    const current = await readStatus(id);
+    if (current.error) {
+      if (isNetworkError(current.error)) return queueDelete(id);
+      return { data: null, error: current.error };
+    }
+    if (!isEditableStatus(current.status)) {
+      return { data: null, error: err(transitionError(current.status, 'draft'), 'invalid_transition') };
+    }
+    if ((await lockedDates([current.date])).size > 0) return { data: null, error: lockedError() };
+    const { error } = await softDelete(id);
     if (error) {
       if (isMissingTable(error)) {
         return { data: null, error: err('Data not available yet', 'missing_schema') };
       }
-      return { data: null, error };
+      if (isNetworkError(error)) return queueDelete(id);
+      return { data: null, error: withFieldErrors(error) };
     }
+    await offline.deleteRow(TABLE, id);
     return { data: { id }, error: null };
   } catch (e) {
+    if (isNetworkError(e)) return queueDelete(id);
     return { data: null, error: err(e?.message || 'Failed to delete time entry') };
   }
 }
 
+// PUBLIC_INTERFACE
+export async function countPendingSync() {
+  /** Number of queued changes not yet sent to the server. */
+  return (await offline.readOutbox()).length;
+}
+
+// PUBLIC_INTERFACE
+export function onPendingSyncChange(listener) {
+  /** Call listener(count) whenever the outbox changes. Returns an unsubscribe function. */
+  return offline.onOutboxChange(listener);
+}
+
+/**
+ * Internal helper: send one queued op. Resolves to { row } on success,
+ * { conflict: serverRow } when the server copy wins, or { error }.
+ */
+async function replayOp(op) {
+  if (op.kind === 'create') {
+    const { data, error } = await supabase.from('time_entries').insert(toInsertPayload(op.values)).select().single();
+    return error ? { error: withFieldErrors(error) } : { row: mapRow(data) };
+  }
+  const { data: found, error: readError } = await supabase.from('time_entries').select('*').eq('id', op.id);
+  if (readError) return { error: readError };
+  const current = found && found[0] && !found[0].deleted_at ? mapRow(found[0]) : null;
+  const decision = resolveConflict(op, current);
+  if (decision === 'gone') {
+    return op.kind === 'delete' ? { row: null } : { error: err('This entry no longer exists.', 'not_found') };
+  }
+  if (decision === 'server') return { conflict: current };
+  if (op.kind === 'delete') {
+    if (!isEditableStatus(current.status)) {
+      return { error: err(transitionError(current.status, 'draft'), 'invalid_transition') };
+    }
+    const { error } = await softDelete(op.id);
+    return error ? { error: withFieldErrors(error) } : { row: null };
+  }
+  const { nextStatus, error: editError } = checkEdit(current.status, op.values);
+  if (editError) return { error: editError };
+  const { data, error } = await supabase
+    .from('time_entries')
+    .update(toUpdatePayload(op.values, nextStatus))
+    .eq('id', op.id)
+    .select()
+    .single();
+  return error ? { error: withFieldErrors(error) } : { row: mapRow(data) };
+}
+
+/**
+ * Internal helper: drop a replayed op from the outbox. Later ops on an
+ * unsynced row are pointed at its new server id; a create that was edited
+ * (or deleted) while in flight becomes an update (or delete) of the new row.
+ */
+async function settleOp(op, row) {
+  const ops = await offline.readOutbox();
+  const stored = ops.find((o) => o.seq === op.seq);
+  const rename = (o) => (row && o.id === op.id ? { ...o, id: row.id, base_updated_at: row.updated_at } : o);
+  let next = ops.filter((o) => o.seq !== op.seq).map(rename);
+  if (op.kind === 'create' && !row) {
+    // The server refused the row: later changes to it have nothing to apply to
+    next = next.filter((o) => o.id !== op.id);
+  } else if (op.kind === 'create' && !stored) {
+    next = queueOp(next, {
+      table: TABLE,
+      kind: 'delete',
+      id: row.id,
+      user_id: row.user_id,
+      values: {},
+      base_updated_at: row.updated_at,
+      updated_at: new Date().toISOString(),
+    });
+  } else if (op.kind === 'create' && stored.updated_at !== op.updated_at) {
+    next = queueOp(next, {
+      ...stored,
+      kind: 'update',
+      id: row.id,
+      values: toUpdatePayload(stored.values),
+      base_updated_at: row.updated_at,
+    });
+  }
+  await offline.writeOutbox(next);
+}
+
+let replaying = null;
+
+// PUBLIC_INTERFACE
+export async function syncTimeEntries() {
+  /**
+   * Replay the outbox in order. Stops at the first connectivity failure and
+   * keeps the rest queued. A queued edit or delete loses to a server copy
+   * changed after it was made (compared on updated_at); those, and changes
+   * the server refuses, are dropped and reported.
+   * Resolves to { data: { synced, conflicts: [row], failed: [{ op, error }], remaining }, error }.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: { synced: 0, conflicts: [], failed: [], remaining: 0 }, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!replaying) {
+    const run = async () => {
+      const result = { synced: 0, conflicts: [], failed: [], remaining: 0 };
+      try {
+        for (;;) {
+          const [op] = await offline.readOutbox();
+          if (!op || isOffline()) break;
+          const outcome = await replayOp(op);
+          if (outcome.error && (isNetworkError(outcome.error) || isMissingTable(outcome.error))) break;
+          if (outcome.conflict) {
+            result.conflicts.push(outcome.conflict);
+            await offline.putRow(TABLE, outcome.conflict);
+          } else if (outcome.error) {
+            result.failed.push({ op, error: outcome.error });
+          } else {
+            result.synced += 1;
+            if (outcome.row) await offline.putRow(TABLE, outcome.row);
+            else await offline.deleteRow(TABLE, op.id);
+          }
+          await settleOp(op, outcome.row);
+        }
+      } catch (e) {
+        result.remaining = await countPendingSync();
+        return { data: result, error: err(e?.message || 'Failed to sync offline changes') };
+      }
+      result.remaining = await countPendingSync();
+      const error = result.failed.length > 0
+        ? err(`${result.failed.length} offline change(s) could not be saved`, 'partial_failure')
+        : null;
+      return { data: result, error };
+    };
+    // One replay at a time, across tabs where the Web Locks API exists
+    const locked = typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request('chronose_outbox', run)
+      : run();
+    replaying = locked.finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+// PUBLIC_INTERFACE
+export async function submitTimeEntries(ids) {
+  /** Submit draft/rejected entries for review (-> pending). Returns the rows that moved. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!ids || ids.length === 0) return { data: [], error: null };
+  try {
+    const { data, error } = await supabase
+      .from('time_entries')
+      .update({ status: 'pending', submitted_at: new Date().toISOString() })
+      .in('id', ids)
+      .in('status', ['draft', 'rejected'])
+      .is('deleted_at', null) // a stale tab may still list soft-deleted drafts
+      .select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to submit time entries') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listPendingTimeEntries(reviewerId) {
+  /** List entries awaiting review that are visible to the reviewer (their reports via RLS). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('time_entries')
+      .select('*')
+      .eq('status', 'pending')
+      .neq('user_id', reviewerId)
+      .is('deleted_at', null)
+      .order('date', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch pending time entries') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function reviewTimeEntry(id, { decision, comment, reviewerId }) {
+  /** Approve or reject a pending entry. Rejections require a comment. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (decision !== 'approved' && decision !== 'rejected') {
+    return { data: null, error: err('Decision must be approved or rejected.', 'validation') };
+  }
+  if (decision === 'rejected' && !(comment || '').trim()) {
+    return { data: null, error: err('Please provide a reason for the rejection.', 'validation') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('time_entries')
+      .update({
+        status: decision,
+        review_comment: (comment || '').trim() || null,
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    if (!data || data.length === 0) {
+      return { data: null, error: err('This entry is no longer awaiting review.', 'invalid_transition') };
+    }
+    return { data: mapRow(data[0]), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to review time entry') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listDeletedTimeEntries(userId) {
+  /** The user's deleted (soft-deleted) entries, most recently deleted first. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('time_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch deleted time entries') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listTimeEntryHistory(entryId) {
+  /**
+   * Every recorded change of one entry, oldest first (see utils/entryHistory).
+   * Visible to the entry's owner, their manager and admins.
+   */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!entryId || String(entryId).startsWith('tmp_')) return { data: [], error: null };
+  try {
+    const { data, error } = await supabase
+      .from('time_entry_history')
+      .select('*')
+      .eq('entry_id', entryId)
+      .order('changed_at', { ascending: true })
+      .order('id', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapHistory), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load entry history') };
+  }
+}
+
 /**
  * PUBLIC_INTERFACE
- * validateEntryFields(values)
+ * validateEntryFields(values, projects, rulesContext)
  * Minimal input validation for work entry fields. Returns { errors, valid }.
+ * When the caller's project catalog is given (listMyProjects), project_id and
+ * task_id must point to a known, active project and one of its active tasks.
+ * When rulesContext ({ rules, entries, lockedPeriods }) is given, the entry
+ * rules are checked too (see utils/entryRules.checkEntryRules); values.id is
+ * the entry under edit, if any.
  */
-export function validateEntryFields(values) {
+export function validateEntryFields(values, projects, rulesContext) {
   const errors = {};
   if (!values.date) errors.date = 'Please select a date.';
   if (values.hours === '' || values.hours === null || values.hours === undefined) {
@@ -216,6 +834,55 @@ export function validateEntryFields(values) {
   if (values.notes && values.notes.length > 500) {
     errors.notes = 'Notes must be 500 characters or fewer.';
   }
-  // Project/Task optional for now; tighten later as schema evolves.
+  // Whether project/task are required is an entry rule
+  if (projects && (values.project_id || values.task_id)) {
+    const { project, task } = findProjectTask(projects, values.project_id, values.task_id);
+    if (!values.project_id) errors.project = 'Select a project first.';
+    else if (!project) errors.project = 'Unknown project.';
+    else if (project.archived) errors.project = 'This project is archived.';
+    if (values.task_id && project) {
+      if (!task) errors.task = 'Unknown task for this project.';
+      else if (task.archived) errors.task = 'This task is archived.';
+    }
+  }
+  if (rulesContext) {
+    Object.entries(checkEntryRules(values, rulesContext)).forEach(([field, message]) => {
+      if (!errors[field]) errors[field] = message;
+    });
+  }
   return { errors, valid: Object.keys(errors).length === 0 };
 }
+
+// PUBLIC_INTERFACE
+export async function getEntryRules() {
+  /**
+   * The entry rules from the single "entry_rules" row, falling back to
+   * readEntryRules() (environment / defaults) when it cannot be read.
+   */
+  const fallback = readEntryRules();
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: fallback, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('entry_rules').select('*').eq('id', 1).maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: fallback, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: fallback, error };
+    }
+    if (!data) return { data: fallback, error: null };
+    return {
+      data: {
+        maxHoursPerDay: Number(data.max_hours_per_day) || fallback.maxHoursPerDay,
+        futureDays: Number.isFinite(Number(data.future_days)) ? Number(data.future_days) : fallback.futureDays,
+        requireProject: !!data.require_project,
+        requireTask: !!data.require_task,
+      },
+      error: null,
+    };
+  } catch (e) {
+    return { data: fallback, error: err(e?.message || 'Failed to load entry rules') };
+  }
+}
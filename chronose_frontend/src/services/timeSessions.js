@@ -0,0 +1,500 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+import { splitAtMidnight } from '../utils/timerPolicy';
+
+/**
+ * Check-in/check-out timer sessions.
+ *
+ * The timer writes to a per-user localStorage store first so it keeps working
+ * offline, then pushes to the "time_sessions" table. Every session carries a
+ * client-generated id (client_id) so pushes are idempotent upserts and can be
+ * replayed after a network failure. syncTimer() reconciles both sides:
+ *   1. migrate the legacy single-user store (chronose_timer_v1) once,
+ *   2. push sessions not yet acknowledged by the server,
+ *   3. pull the server's sessions (including a session running on another device).
+ *
+ * Closed sessions are filed under every date they touch: a session crossing
+ * midnight is stored as one part per date, the later parts with ids
+ * "<id>@<yyyy-mm-dd>".
+ *
+ * Local shape: { byDate: { [yyyy-mm-dd]: { sessions: [{ id, start, end, synced }],
+ *                                          running: { id, start, resumedAt?, synced } | null } },
+ *                removed: [client_id],   // closed parts to delete on the server
+ *                lastActivityAt: ms,      // last user input seen while checked in
+ *                migratedLegacy: boolean }
+ *
+ * Tabs of the same browser share the store; every save is announced on a
+ * BroadcastChannel so other tabs re-read it (subscribeTimerChanges), and
+ * checkIn() refuses to start a second running session.
+ */
+
+const LEGACY_KEY = 'chronose_timer_v1';
+const storageKey = (userId) => `chronose_timer_v2:${userId || 'anonymous'}`;
+const channelName = (userId) => `chronose_timer:${userId || 'anonymous'}`;
+const TAB_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const emptyDay = () => ({ sessions: [], running: null, total: 0 });
+
+// PUBLIC_INTERFACE
+export function newSessionId() {
+  /** Client-side id used as time_sessions.client_id. */
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// PUBLIC_INTERFACE
+export function loadTimerState(userId) {
+  /** Read the local timer store of the given user. */
+  try {
+    const raw = localStorage.getItem(storageKey(userId));
+    return raw ? JSON.parse(raw) : { byDate: {} };
+  } catch {
+    return { byDate: {} };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveTimerState(userId, state) {
+  /** Persist the local timer store of the given user and tell the user's other tabs. */
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(state));
+  } catch {
+    // ignore storage errors
+  }
+  if (typeof BroadcastChannel === 'undefined') return;
+  try {
+    const channel = new BroadcastChannel(channelName(userId));
+    channel.postMessage({ type: 'timer_changed', from: TAB_ID });
+    channel.close();
+  } catch {
+    // ignore: other tabs catch up on their next restore
+  }
+}
+
+// PUBLIC_INTERFACE
+export function subscribeTimerChanges(userId, listener) {
+  /** Call listener() when another tab changes this user's timer store. Returns an unsubscribe function. */
+  if (typeof BroadcastChannel === 'undefined') return () => {};
+  const channel = new BroadcastChannel(channelName(userId));
+  channel.onmessage = (e) => {
+    if (e.data?.type === 'timer_changed' && e.data.from !== TAB_ID) listener();
+  };
+  return () => channel.close();
+}
+
+// PUBLIC_INTERFACE
+export function getDayState(userId, iso) {
+  /** Sessions and running session stored under a date. */
+  const data = loadTimerState(userId);
+  return data.byDate?.[iso] || emptyDay();
+}
+
+// PUBLIC_INTERFACE
+export function setDayState(userId, iso, updater) {
+  /** Apply updater(prevDay) to a date and persist; returns the new day state. */
+  const data = loadTimerState(userId);
+  const prev = data.byDate?.[iso] || emptyDay();
+  const next = updater(prev);
+  data.byDate = { ...(data.byDate || {}), [iso]: next };
+  saveTimerState(userId, data);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function findRunning(userId) {
+  /** The running session wherever it is stored: { iso, running } or null. */
+  const data = loadTimerState(userId);
+  const hit = Object.entries(data.byDate || {}).find(([, day]) => day?.running);
+  return hit ? { iso: hit[0], running: hit[1].running } : null;
+}
+
+// PUBLIC_INTERFACE
+export function checkIn(userId, iso, startMs = Date.now()) {
+  /**
+   * Start a running session under `iso` unless one is already running (e.g.
+   * started in another tab). Returns { started, iso, running } with the
+   * session that is running afterwards.
+   */
+  const existing = findRunning(userId);
+  if (existing) return { started: false, ...existing };
+  const running = { id: newSessionId(), start: startMs, synced: false };
+  const data = loadTimerState(userId);
+  const day = data.byDate?.[iso] || emptyDay();
+  data.byDate = { ...(data.byDate || {}), [iso]: { ...day, running } };
+  data.lastActivityAt = startMs;
+  saveTimerState(userId, data);
+  return { started: true, iso, running };
+}
+
+// PUBLIC_INTERFACE
+export function closeRunningSession(userId, endMs, timeZone = '') {
+  /**
+   * Close the running session at endMs, split at midnights in timeZone (the profile's,
+   * local when empty) so each date keeps its own part.
+   * Returns { id, start, end, parts: [{ iso, start, end }] } or null.
+   */
+  const hit = findRunning(userId);
+  if (!hit) return null;
+  const { iso, running } = hit;
+  const end = Math.max(running.start, endMs);
+  const parts = splitAtMidnight(running.start, end, timeZone);
+  const state = loadTimerState(userId);
+  const byDate = { ...(state.byDate || {}) };
+  byDate[iso] = { ...(byDate[iso] || emptyDay()), running: null };
+  parts.forEach((p, i) => {
+    const day = byDate[p.iso] || emptyDay();
+    const id = i === 0 ? running.id : `${running.id}@${p.iso}`;
+    byDate[p.iso] = {
+      ...day,
+      sessions: [...(day.sessions || []).filter((s) => s.id !== id), { id, start: p.start, end: p.end, synced: false }],
+    };
+  });
+  saveTimerState(userId, { ...state, byDate });
+  return { id: running.id, start: running.start, end, parts };
+}
+
+// PUBLIC_INTERFACE
+export function reopenSession(userId, id, resumedAt = Date.now()) {
+  /**
+   * Undo a checkout: drop every closed part of session `id` and make it the
+   * running session again. resumedAt restarts the auto-checkout clock.
+   * Returns the running session, or null if the session is unknown.
+   */
+  const state = loadTimerState(userId);
+  const byDate = { ...(state.byDate || {}) };
+  let first = null;
+  const removed = new Set(state.removed || []);
+  Object.entries(byDate).forEach(([iso, day]) => {
+    const sessions = (day.sessions || []).filter((s) => {
+      const mine = s.id === id || String(s.id).startsWith(`${id}@`);
+      if (!mine) return true;
+      if (s.id === id) first = { iso, start: s.start };
+      else removed.add(s.id);
+      return false;
+    });
+    byDate[iso] = { ...day, sessions };
+  });
+  if (!first || Object.values(byDate).some((day) => day?.running)) return null;
+  const running = { id, start: first.start, resumedAt, synced: false };
+  byDate[first.iso] = { ...byDate[first.iso], running };
+  saveTimerState(userId, { ...state, byDate, removed: [...removed] });
+  return running;
+}
+
+// PUBLIC_INTERFACE
+export function markActivity(userId, at = Date.now()) {
+  /** Remember the last user input, so a reopened dashboard can tell how long the user was away. */
+  const state = loadTimerState(userId);
+  saveTimerState(userId, { ...state, lastActivityAt: at });
+}
+
+/**
+ * Internal helper to map DB row to the local session shape.
+ */
+function mapRow(r) {
+  return {
+    id: r.client_id,
+    remoteId: r.id,
+    date: r.date,
+    start: Date.parse(r.started_at),
+    end: r.ended_at ? Date.parse(r.ended_at) : null,
+    synced: true,
+  };
+}
+
+const toPayload = (userId, iso, s) => ({
+  user_id: userId,
+  client_id: s.id,
+  date: iso,
+  started_at: new Date(s.start).toISOString(),
+  ended_at: s.end ? new Date(s.end).toISOString() : null,
+});
+
+const isUniqueViolation = (error) => error?.code === '23505';
+
+// PUBLIC_INTERFACE
+export async function listMySessions(userId, { from, to } = {}) {
+  /** List the user's sessions (optionally within a date range), oldest first. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    let query = supabase.from('time_sessions').select('*').eq('user_id', userId);
+    if (from) query = query.gte('date', from);
+    if (to) query = query.lte('date', to);
+    const { data, error } = await query.order('started_at', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to fetch timer sessions') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function getRunningSession(userId) {
+  /** The user's open session on the server (any device), or null. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase
+      .from('time_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .is('ended_at', null)
+      .maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: data ? mapRow(data) : null, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to fetch running session') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function upsertSessions(userId, items) {
+  /** Idempotently write sessions ({ iso, session }[]) keyed by (user_id, client_id). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!items || items.length === 0) return { data: [], error: null };
+  try {
+    const payload = items.map(({ iso, session }) => toPayload(userId, iso, session));
+    const { data, error } = await supabase
+      .from('time_sessions')
+      .upsert(payload, { onConflict: 'user_id,client_id' })
+      .select();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to save timer sessions') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function deleteSessions(userId, clientIds) {
+  /** Remove sessions (by client_id) from the server, e.g. parts dropped by an undone checkout. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!clientIds || clientIds.length === 0) return { data: [], error: null };
+  try {
+    const { error } = await supabase
+      .from('time_sessions')
+      .delete()
+      .eq('user_id', userId)
+      .in('client_id', clientIds);
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: clientIds, error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to delete timer sessions') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function startSession(userId, iso, session) {
+  /** Record a check-in on the server. */
+  return upsertSessions(userId, [{ iso, session: { ...session, end: null } }]);
+}
+
+// PUBLIC_INTERFACE
+export function stopSession(userId, iso, session) {
+  /** Record a check-out (session with end) on the server. */
+  return upsertSessions(userId, [{ iso, session }]);
+}
+
+// ========= Reconciliation =========
+
+// PUBLIC_INTERFACE
+export function migrateLegacyTimerState(userId) {
+  /**
+   * Move the pre-sync store (chronose_timer_v1, not per user) into this user's
+   * store once. Legacy sessions get deterministic ids so a retried push never
+   * duplicates them. Returns the number of migrated sessions.
+   */
+  const state = loadTimerState(userId);
+  if (state.migratedLegacy) return 0;
+  let legacy = null;
+  try {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    legacy = raw ? JSON.parse(raw) : null;
+  } catch {
+    legacy = null;
+  }
+  let count = 0;
+  Object.entries(legacy?.byDate || {}).forEach(([iso, day]) => {
+    const current = state.byDate?.[iso] || emptyDay();
+    const known = new Set((current.sessions || []).map((s) => s.id));
+    const sessions = [...(current.sessions || [])];
+    (day.sessions || []).forEach((s) => {
+      const id = s.id || `legacy-${s.start}`;
+      if (known.has(id)) return;
+      sessions.push({ id, start: s.start, end: s.end, synced: false });
+      count += 1;
+    });
+    const running = current.running
+      || (day.running ? { id: day.running.id || `legacy-${day.running.start}`, start: day.running.start, synced: false } : null);
+    state.byDate = { ...(state.byDate || {}), [iso]: { ...current, sessions, running } };
+  });
+  state.migratedLegacy = true;
+  saveTimerState(userId, state);
+  try {
+    localStorage.removeItem(LEGACY_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  return count;
+}
+
+// PUBLIC_INTERFACE
+export async function pushPendingSessions(userId) {
+  /**
+   * Push every unsynced local session (closed and running) after deleting the
+   * parts dropped by an undone checkout. If the server
+   * already has a different running session (checked in on another device),
+   * the server's one wins: a local running session that started earlier is
+   * closed at the other session's start, a later one is dropped.
+   */
+  const removedIds = loadTimerState(userId).removed || [];
+  if (removedIds.length > 0) {
+    const del = await deleteSessions(userId, removedIds);
+    if (del.error) return { data: { pushed: 0 }, error: del.error };
+    const after = loadTimerState(userId);
+    saveTimerState(userId, { ...after, removed: (after.removed || []).filter((id) => !removedIds.includes(id)) });
+  }
+
+  const state = loadTimerState(userId);
+  const items = [];
+  Object.entries(state.byDate || {}).forEach(([iso, day]) => {
+    (day.sessions || []).forEach((s) => {
+      if (!s.synced) items.push({ iso, session: s });
+    });
+  });
+  const runningHit = Object.entries(state.byDate || {}).find(([, day]) => day?.running && !day.running.synced);
+  if (items.length === 0 && !runningHit) return { data: { pushed: 0 }, error: null };
+
+  const closed = await upsertSessions(userId, items);
+  if (closed.error) return { data: { pushed: 0 }, error: closed.error };
+  const acked = new Set(closed.data.map((s) => s.id));
+
+  let runningRes = { data: [], error: null };
+  if (runningHit) {
+    const [iso, day] = runningHit;
+    runningRes = await startSession(userId, iso, day.running);
+    if (isUniqueViolation(runningRes.error)) {
+      const remote = await getRunningSession(userId);
+      if (remote.data) {
+        setDayState(userId, iso, (prev) => {
+          const mine = prev.running;
+          if (!mine) return prev;
+          const sessions = mine.start < remote.data.start
+            ? [...(prev.sessions || []), { id: mine.id, start: mine.start, end: remote.data.start, synced: false }]
+            : prev.sessions || [];
+          return { ...prev, sessions, running: null };
+        });
+        setDayState(userId, remote.data.date, (prev) => ({
+          ...prev,
+          running: { id: remote.data.id, start: remote.data.start, synced: true },
+        }));
+        runningRes = await pushPendingSessions(userId);
+      }
+    }
+  }
+
+  // Mark acknowledged sessions as synced
+  const latest = loadTimerState(userId);
+  Object.entries(latest.byDate || {}).forEach(([iso, day]) => {
+    latest.byDate[iso] = {
+      ...day,
+      sessions: (day.sessions || []).map((s) => (acked.has(s.id) ? { ...s, synced: true } : s)),
+      running: day.running && runningHit && !runningRes.error && day.running.id === runningHit[1].running.id
+        ? { ...day.running, synced: true }
+        : day.running,
+    };
+  });
+  saveTimerState(userId, latest);
+  return { data: { pushed: acked.size + (runningHit && !runningRes.error ? 1 : 0) }, error: runningRes.error };
+}
+
+// PUBLIC_INTERFACE
+export async function pullSessions(userId, range = {}) {
+  /**
+   * Merge the server's sessions into the local store. Synced rows follow the
+   * server (a session closed elsewhere is closed here too); unsynced local
+   * rows are kept until they are pushed.
+   */
+  const [listRes, runningRes] = await Promise.all([listMySessions(userId, range), getRunningSession(userId)]);
+  if (listRes.error) return { data: null, error: listRes.error };
+
+  const state = loadTimerState(userId);
+  const byDate = { ...(state.byDate || {}) };
+  const removed = new Set(state.removed || []);
+  const remoteById = new Map(listRes.data.filter((s) => !removed.has(s.id)).map((s) => [s.id, s]));
+  if (runningRes.data) remoteById.set(runningRes.data.id, runningRes.data);
+
+  remoteById.forEach((remote) => {
+    const day = byDate[remote.date] || emptyDay();
+    const sessions = [...(day.sessions || [])];
+    const idx = sessions.findIndex((s) => s.id === remote.id);
+    let running = day.running;
+    if (remote.end == null) {
+      // Skip if this session was already closed locally and that close is not pushed yet
+      if (idx === -1 && (!running || running.synced)) {
+        const resumedAt = running?.id === remote.id ? running.resumedAt : undefined;
+        running = { id: remote.id, start: remote.start, ...(resumedAt ? { resumedAt } : {}), synced: true };
+      }
+    } else if (running?.id === remote.id && !running.synced) {
+      // Reopened locally (undone checkout) and not pushed yet: keep it running
+    } else {
+      if (running?.id === remote.id && running.synced) running = null;
+      const next = { id: remote.id, start: remote.start, end: remote.end, synced: true };
+      if (idx === -1) sessions.push(next);
+      else if (sessions[idx].synced) sessions[idx] = next;
+    }
+    byDate[remote.date] = { ...day, sessions: sessions.sort((a, b) => a.start - b.start), running };
+  });
+
+  // A synced running session the server no longer reports as open was stopped elsewhere
+  if (!runningRes.error) {
+    Object.entries(byDate).forEach(([iso, day]) => {
+      if (day.running?.synced && (!runningRes.data || runningRes.data.id !== day.running.id)) {
+        byDate[iso] = { ...day, running: null };
+      }
+    });
+  }
+
+  saveTimerState(userId, { ...state, byDate });
+  return { data: { pulled: remoteById.size }, error: null };
+}
+
+// PUBLIC_INTERFACE
+export async function syncTimer(userId, range = {}) {
+  /** Migrate legacy data once, push pending sessions, then pull the server's view. */
+  if (!userId) return { data: null, error: err('Not authenticated', 'validation') };
+  migrateLegacyTimerState(userId);
+  const pushed = await pushPendingSessions(userId);
+  if (pushed.error && pushed.error.code !== '23505') return { data: null, error: pushed.error };
+  return pullSessions(userId, range);
+}
@@ -0,0 +1,199 @@
+import {
+  checkIn,
+  closeRunningSession,
+  findRunning,
+  loadTimerState,
+  migrateLegacyTimerState,
+  pullSessions,
+  pushPendingSessions,
+  reopenSession,
+  saveTimerState,
+} from './timeSessions';
+
+// In-memory "time_sessions" table behind a supabase-like query builder. Like the
+// real table it allows one open session per user (unique violation 23505).
+// mockServer.fail(op) may return { error, write } to fail the next matching call,
+// after applying the write when `write` is true (the response was lost).
+const mockServer = { rows: [], nextId: 1, fail: () => null };
+
+jest.mock('./client', () => {
+  const query = (table) => {
+    const q = { op: 'select', filters: [], mode: 'many' };
+    const matches = (row) => q.filters.every((test) => test(row));
+    const write = () => {
+      if (q.op === 'delete') {
+        mockServer.rows = mockServer.rows.filter((r) => !matches(r));
+        return { data: null, error: null };
+      }
+      if (q.op === 'upsert') {
+        const written = [];
+        for (const v of q.values) {
+          const open = mockServer.rows.find((r) => r.user_id === v.user_id && r.ended_at == null && r.client_id !== v.client_id);
+          if (v.ended_at == null && open) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+          }
+          const index = mockServer.rows.findIndex((r) => r.user_id === v.user_id && r.client_id === v.client_id);
+          const row = index < 0 ? { id: `r${mockServer.nextId++}`, ...v } : { ...mockServer.rows[index], ...v };
+          if (index < 0) mockServer.rows.push(row);
+          else mockServer.rows[index] = row;
+          written.push(row);
+        }
+        return { data: written, error: null };
+      }
+      const rows = mockServer.rows.filter(matches).sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+      return { data: q.mode === 'maybe' ? rows[0] || null : rows, error: null };
+    };
+    const run = () => {
+      const failure = mockServer.fail(q.op, table);
+      if (!failure) return write();
+      if (failure.write) write();
+      return { data: null, error: failure.error };
+    };
+    const filter = (test) => {
+      q.filters.push(test);
+      return api;
+    };
+    const set = (fields) => {
+      Object.assign(q, fields);
+      return api;
+    };
+    const api = {
+      select: () => api,
+      upsert: (values) => set({ op: 'upsert', values }),
+      delete: () => set({ op: 'delete' }),
+      maybeSingle: () => set({ mode: 'maybe' }),
+      eq: (c, v) => filter((r) => r[c] === v),
+      in: (c, vs) => filter((r) => vs.includes(r[c])),
+      is: (c, v) => filter((r) => (v === null ? r[c] == null : r[c] === v)),
+      gte: (c, v) => filter((r) => r[c] >= v),
+      lte: (c, v) => filter((r) => r[c] <= v),
+      order: () => api,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    };
+    return api;
+  };
+  return {
+    supabase: { from: query },
+    err: (message, code = 'client_unavailable') => Object.assign(new Error(message), { code }),
+    getFeatureFlags: () => ({ enableRealData: true }),
+    isMissingTable: () => false,
+  };
+});
+
+const USER = 'u1';
+const at = (h, m = 0) => Date.UTC(2024, 4, 6, h, m); // 6 May 2024, UTC
+const serverRow = (clientId, date, start, end = null) => ({
+  id: `remote-${clientId}`,
+  user_id: USER,
+  client_id: clientId,
+  date,
+  started_at: new Date(start).toISOString(),
+  ended_at: end == null ? null : new Date(end).toISOString(),
+});
+const day = (iso) => loadTimerState(USER).byDate[iso];
+
+beforeEach(() => {
+  localStorage.clear();
+  mockServer.rows = [];
+  mockServer.fail = () => null;
+});
+
+test('migrates the legacy store once, with ids that stay the same on a retry', () => {
+  const legacy = { byDate: { '2024-05-06': { sessions: [{ start: at(8), end: at(9) }, { id: 'a', start: at(10), end: at(11) }] } } };
+  localStorage.setItem('chronose_timer_v1', JSON.stringify(legacy));
+
+  expect(migrateLegacyTimerState(USER)).toBe(2);
+  expect(day('2024-05-06').sessions.map((s) => s.id)).toEqual([`legacy-${at(8)}`, 'a']);
+  expect(localStorage.getItem('chronose_timer_v1')).toBeNull();
+
+  // Already migrated: a legacy store written again later is left alone
+  localStorage.setItem('chronose_timer_v1', JSON.stringify(legacy));
+  expect(migrateLegacyTimerState(USER)).toBe(0);
+  expect(day('2024-05-06').sessions).toHaveLength(2);
+});
+
+test('keeps sessions unsynced after a failed push and syncs them once on retry', async () => {
+  saveTimerState(USER, { byDate: { '2024-05-06': { sessions: [{ id: 's1', start: at(8), end: at(9), synced: false }], running: null } } });
+  // The server saves the row but the response is lost
+  mockServer.fail = (op) => (op === 'upsert' ? { error: { message: 'Failed to fetch' }, write: true } : null);
+
+  const failed = await pushPendingSessions(USER);
+  expect(failed.error.message).toBe('Failed to fetch');
+  expect(day('2024-05-06').sessions[0].synced).toBe(false);
+
+  mockServer.fail = () => null;
+  const retried = await pushPendingSessions(USER);
+  expect(retried).toEqual({ data: { pushed: 1 }, error: null });
+  expect(day('2024-05-06').sessions[0].synced).toBe(true);
+  expect(mockServer.rows).toHaveLength(1);
+});
+
+test('lets a session running on another device win over a later local check-in', async () => {
+  mockServer.rows = [serverRow('other', '2024-05-06', at(10))];
+  checkIn(USER, '2024-05-06', at(11));
+
+  await pushPendingSessions(USER);
+  expect(findRunning(USER)).toEqual({ iso: '2024-05-06', running: { id: 'other', start: at(10), synced: true } });
+  expect(day('2024-05-06').sessions).toEqual([]);
+  expect(mockServer.rows).toHaveLength(1);
+});
+
+test('closes an earlier local check-in where the other device started (duplicate key)', async () => {
+  mockServer.rows = [serverRow('other', '2024-05-06', at(10))];
+  const { running } = checkIn(USER, '2024-05-06', at(9));
+
+  const { error } = await pushPendingSessions(USER);
+  expect(error).toBeNull();
+  expect(findRunning(USER).running.id).toBe('other');
+  expect(day('2024-05-06').sessions).toEqual([{ id: running.id, start: at(9), end: at(10), synced: true }]);
+  const mine = mockServer.rows.find((r) => r.client_id === running.id);
+  expect(mine.ended_at).toBe(new Date(at(10)).toISOString());
+});
+
+test('pulls the server sessions without dropping local ones that are not pushed yet', async () => {
+  saveTimerState(USER, {
+    byDate: {
+      '2024-05-06': {
+        sessions: [
+          { id: 'local', start: at(8), end: at(9), synced: false },
+          { id: 'pushed', start: at(12), end: at(13), synced: true },
+        ],
+        running: { id: 'stopped-elsewhere', start: at(14), synced: true },
+      },
+    },
+  });
+  mockServer.rows = [serverRow('remote', '2024-05-06', at(10), at(11)), serverRow('stopped-elsewhere', '2024-05-06', at(14), at(15))];
+
+  const { data } = await pullSessions(USER);
+  expect(data.pulled).toBe(2);
+  const { sessions, running } = day('2024-05-06');
+  expect(sessions.map((s) => [s.id, s.synced])).toEqual([
+    ['local', false],
+    ['remote', true],
+    ['pushed', true],
+    ['stopped-elsewhere', true],
+  ]);
+  expect(running).toBeNull();
+});
+
+test('splits a session at midnight in the profile time zone and undoes the split on reopen', async () => {
+  // 22:00–01:30 in Tokyo (UTC+9), whatever the local zone of the test run
+  const { running } = checkIn(USER, '2024-05-06', at(13));
+  const closed = closeRunningSession(USER, at(16, 30), 'Asia/Tokyo');
+  expect(closed.parts.map((p) => p.iso)).toEqual(['2024-05-06', '2024-05-07']);
+  expect(day('2024-05-06').sessions).toEqual([{ id: running.id, start: at(13), end: at(15), synced: false }]);
+  expect(day('2024-05-07').sessions).toEqual([{ id: `${running.id}@2024-05-07`, start: at(15), end: at(16, 30), synced: false }]);
+  await pushPendingSessions(USER);
+  expect(mockServer.rows).toHaveLength(2);
+
+  const reopened = reopenSession(USER, running.id, at(16, 30));
+  expect(reopened).toEqual({ id: running.id, start: at(13), resumedAt: at(16, 30), synced: false });
+  expect(day('2024-05-06').sessions).toEqual([]);
+  expect(day('2024-05-07').sessions).toEqual([]);
+  expect(loadTimerState(USER).removed).toEqual([`${running.id}@2024-05-07`]);
+
+  // The next push drops the later part on the server and reopens the first one
+  await pushPendingSessions(USER);
+  expect(mockServer.rows.map((r) => [r.client_id, r.ended_at])).toEqual([[running.id, null]]);
+  expect(loadTimerState(USER).removed).toEqual([]);
+});
@@ -0,0 +1,101 @@
+import { supabase, err, getFeatureFlags, isMissingTable } from './client';
+import { DEFAULT_REGION, scheduleErrors } from '../utils/workSchedule';
+
+/**
+ * Per-user work schedules from the "work_schedules" table: the hours expected
+ * on each weekday and the holiday region the person follows. Admins set them;
+ * people without a row work the env standard Monday to Friday
+ * (utils/workSchedule defaultSchedule).
+ */
+
+/**
+ * Internal helper to map DB row to UI shape.
+ */
+function mapRow(r) {
+  return {
+    user_id: r.user_id,
+    region: r.region || DEFAULT_REGION,
+    hours: (r.hours || []).map((h) => Number(h) || 0), // Mon..Sun
+    updated_at: r.updated_at,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function getWorkSchedule(userId) {
+  /** The user's schedule, or null when none is saved. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('work_schedules').select('*').eq('user_id', userId).maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: data ? mapRow(data) : null, error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to load the work schedule') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listWorkSchedules() {
+  /** Every saved schedule visible to the caller (all of them for admins). */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: [], error: err('Data not available yet', 'feature_disabled') };
+  }
+  try {
+    const { data, error } = await supabase.from('work_schedules').select('*');
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: [], error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: [], error };
+    }
+    return { data: (data || []).map(mapRow), error: null };
+  } catch (e) {
+    return { data: [], error: err(e?.message || 'Failed to load work schedules') };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function saveWorkSchedule({ userId, region, hours }) {
+  /** Create or replace a user's schedule (admins only): hours Mon..Sun and the holiday region. */
+  const { enableRealData } = getFeatureFlags();
+  if (!enableRealData || !supabase) {
+    return { data: null, error: err('Data not available yet', 'feature_disabled') };
+  }
+  if (!userId) {
+    return { data: null, error: err('Choose a person.', 'validation') };
+  }
+  const invalid = scheduleErrors(hours);
+  if (invalid) {
+    return { data: null, error: err(invalid, 'validation') };
+  }
+  try {
+    const payload = {
+      user_id: userId,
+      region: String(region || '').trim() || DEFAULT_REGION,
+      hours: hours.map(Number),
+      updated_at: new Date().toISOString(),
+    };
+    const { data, error } = await supabase
+      .from('work_schedules')
+      .upsert(payload, { onConflict: 'user_id' })
+      .select()
+      .single();
+    if (error) {
+      if (isMissingTable(error)) {
+        return { data: null, error: err('Data not available yet', 'missing_schema') };
+      }
+      return { data: null, error };
+    }
+    return { data: mapRow(data), error: null };
+  } catch (e) {
+    return { data: null, error: err(e?.message || 'Failed to save the work schedule') };
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Submission lifecycle shared by time entries and leave requests.
+ *
+ *   draft ──submit──▶ pending ──approve──▶ approved
+ *     ▲                  │
+ *     │               reject
+ *     │                  ▼
+ *     └────edit────── rejected ──resubmit──▶ pending
+ *
+ * Approved rows are final; pending rows wait for a manager decision.
+ * Pure helpers only — the service modules perform the actual writes.
+ */
+
+// PUBLIC_INTERFACE
+export const STATUSES = ['draft', 'pending', 'approved', 'rejected'];
+
+const TRANSITIONS = {
+  draft: ['pending'],
+  pending: ['approved', 'rejected'],
+  rejected: ['draft', 'pending'],
+  approved: [],
+};
+
+// PUBLIC_INTERFACE
+export function canTransition(from, to) {
+  /** True when moving a row from status `from` to `to` is allowed (same status is a no-op). */
+  const current = from || 'draft';
+  if (current === to) return true;
+  return (TRANSITIONS[current] || []).includes(to);
+}
+
+// PUBLIC_INTERFACE
+export function isEditableStatus(status) {
+  /** Only drafts and rejected rows may be edited or deleted by their owner. */
+  const s = status || 'draft';
+  return s === 'draft' || s === 'rejected';
+}
+
+// PUBLIC_INTERFACE
+export function transitionError(from, to) {
+  /** Human-readable reason a transition is refused, or '' when it is allowed. */
+  if (canTransition(from, to)) return '';
+  if (from === 'approved') return 'Approved items are locked and cannot be changed.';
+  if (from === 'pending') return 'This item is awaiting review and cannot be changed.';
+  return `Cannot change status from ${from} to ${to}.`;
+}
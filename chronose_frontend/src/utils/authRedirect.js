@@ -0,0 +1,96 @@
+/**
+ * Helpers for the sign-in round trip: remembering where the user was going,
+ * building the OAuth callback URL, reading what the provider sent back, and
+ * the Microsoft tenant restriction.
+ * Destinations are in-app paths only ("/manager?week=..."); anything else
+ * (other origins, protocol-relative URLs, the auth pages themselves) falls back.
+ */
+
+// PUBLIC_INTERFACE
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+
+const AUTH_PATHS = ['/login', AUTH_CALLBACK_PATH, '/reset-password'];
+
+// Tenant values that mean "any Microsoft account" rather than one directory
+const MULTI_TENANT = ['common', 'organizations', 'consumers'];
+
+// PUBLIC_INTERFACE
+export function safeNextPath(raw, fallback = '/') {
+  /** raw when it is an in-app path outside the auth pages, else fallback. */
+  const path = String(raw || '');
+  if (!path.startsWith('/') || path.startsWith('//') || path.startsWith('/\\')) return fallback;
+  const pathname = path.split(/[?#]/)[0];
+  if (AUTH_PATHS.includes(pathname)) return fallback;
+  return path;
+}
+
+// PUBLIC_INTERFACE
+export function destinationFrom(state) {
+  /** The path a guarded route redirected from (location.state.from), or '/'. */
+  const from = state?.from;
+  if (!from) return '/';
+  if (typeof from === 'string') return safeNextPath(from);
+  return safeNextPath(`${from.pathname || ''}${from.search || ''}${from.hash || ''}`);
+}
+
+// PUBLIC_INTERFACE
+export function authCallbackPath(next) {
+  /** The callback route carrying the destination, e.g. "/auth/callback?next=%2Fmanager". */
+  const dest = safeNextPath(next);
+  return dest === '/' ? AUTH_CALLBACK_PATH : `${AUTH_CALLBACK_PATH}?next=${encodeURIComponent(dest)}`;
+}
+
+// PUBLIC_INTERFACE
+export function readAuthCallback(search = '', hash = '') {
+  /**
+   * What the provider redirected back with: { code, next, error, errorDescription }.
+   * Supabase puts errors in the query (PKCE) or the fragment (implicit flow).
+   */
+  const query = new URLSearchParams(search);
+  const fragment = new URLSearchParams(String(hash).replace(/^#/, ''));
+  const pick = (key) => query.get(key) || fragment.get(key) || '';
+  return {
+    code: query.get('code') || '',
+    next: safeNextPath(query.get('next')),
+    error: pick('error_code') || pick('error'),
+    errorDescription: pick('error_description'),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function linkErrorMessage({ error, errorDescription } = {}) {
+  /** What to tell the user about a failed redirect ('' when there was no error). */
+  if (!error) return '';
+  if (error === 'otp_expired') {
+    return 'This link is invalid or has expired. Email links work once and only for a limited time; request a new one.';
+  }
+  return errorDescription || 'Sign-in was cancelled or did not complete.';
+}
+
+// PUBLIC_INTERFACE
+export function parseTenants(raw) {
+  /** Allowed tenant ids from a comma separated setting; [] when any tenant may sign in. */
+  const list = String(raw || '')
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+  return list.some((t) => MULTI_TENANT.includes(t)) ? [] : list;
+}
+
+// PUBLIC_INTERFACE
+export function tenantOf(user) {
+  /** The Microsoft tenant (tid claim) the user last signed in from, or ''. */
+  const tid = user?.user_metadata?.custom_claims?.tid || user?.user_metadata?.tid || '';
+  return String(tid).toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function tenantError(user, allowed) {
+  /** '' when the user may stay signed in, else why their Microsoft tenant is refused. */
+  if (!allowed || allowed.length === 0) return '';
+  const tid = tenantOf(user);
+  if (tid && allowed.includes(tid)) return '';
+  return tid
+    ? 'This Microsoft account belongs to an organisation that cannot sign in here.'
+    : 'Your Microsoft account did not say which organisation it belongs to, so it cannot sign in here.';
+}
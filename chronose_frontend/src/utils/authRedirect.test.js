@@ -0,0 +1,55 @@
+import {
+  authCallbackPath,
+  destinationFrom,
+  linkErrorMessage,
+  parseTenants,
+  readAuthCallback,
+  safeNextPath,
+  tenantError,
+} from './authRedirect';
+
+test('keeps destinations inside the app and away from the auth pages', () => {
+  expect(safeNextPath('/manager?week=2024-05-06')).toBe('/manager?week=2024-05-06');
+  expect(safeNextPath('https://evil.example')).toBe('/');
+  expect(safeNextPath('//evil.example/x')).toBe('/');
+  expect(safeNextPath('/\\evil.example')).toBe('/');
+  expect(safeNextPath('/login?next=/x')).toBe('/');
+  expect(safeNextPath('/auth/callback#access_token=1')).toBe('/');
+  expect(safeNextPath('/reset-password')).toBe('/');
+  expect(safeNextPath(undefined, '/import')).toBe('/import');
+
+  expect(destinationFrom({ from: { pathname: '/admin/leave', search: '?u=1', hash: '#list' } })).toBe('/admin/leave?u=1#list');
+  expect(destinationFrom({ from: '/import' })).toBe('/import');
+  expect(destinationFrom(null)).toBe('/');
+
+  expect(authCallbackPath('/manager?week=2024-05-06')).toBe('/auth/callback?next=%2Fmanager%3Fweek%3D2024-05-06');
+  expect(authCallbackPath('/')).toBe('/auth/callback');
+});
+
+test('reads codes, destinations and errors from the callback URL', () => {
+  expect(readAuthCallback('?code=abc&next=%2Fmanager', '')).toEqual({
+    code: 'abc',
+    next: '/manager',
+    error: '',
+    errorDescription: '',
+  });
+  const denied = readAuthCallback('', '#error=access_denied&error_code=otp_expired&error_description=Email+link+is+invalid+or+has+expired');
+  expect(denied.error).toBe('otp_expired');
+  expect(denied.errorDescription).toBe('Email link is invalid or has expired');
+  expect(linkErrorMessage(denied)).toMatch(/^This link is invalid or has expired/);
+  expect(linkErrorMessage(readAuthCallback('?error=server_error&error_description=Unable+to+exchange', ''))).toBe('Unable to exchange');
+  expect(linkErrorMessage(readAuthCallback('?code=abc', ''))).toBe('');
+  expect(readAuthCallback('?next=https://evil.example', '').next).toBe('/');
+});
+
+test('restricts Microsoft sign-in to the configured tenants', () => {
+  expect(parseTenants('')).toEqual([]);
+  expect(parseTenants('common')).toEqual([]);
+  expect(parseTenants(' ABC-1, def-2 ')).toEqual(['abc-1', 'def-2']);
+
+  const user = (tid) => ({ user_metadata: { custom_claims: tid ? { tid } : {} } });
+  expect(tenantError(user('other'), [])).toBe('');
+  expect(tenantError(user('ABC-1'), ['abc-1'])).toBe('');
+  expect(tenantError(user('other'), ['abc-1'])).toMatch(/organisation that cannot sign in/);
+  expect(tenantError(user(''), ['abc-1'])).toMatch(/did not say which organisation/);
+});
@@ -0,0 +1,26 @@
+/**
+ * Validation for the email and password forms (sign-in, sign-up, password
+ * reset, account changes). Each check returns a message, or '' when the value is fine.
+ * Supabase checks again on the server (its minimum length defaults to 6).
+ */
+
+// PUBLIC_INTERFACE
+export const MIN_PASSWORD_LENGTH = 6;
+
+// PUBLIC_INTERFACE
+export function emailError(email) {
+  /** '' for a plausible address, else what to fix. */
+  const value = String(email || '').trim();
+  if (!value) return 'Please enter your email.';
+  if (!/\S+@\S+\.\S+/.test(value)) return 'Please enter a valid email address.';
+  return '';
+}
+
+// PUBLIC_INTERFACE
+export function newPasswordError(password, confirm) {
+  /** '' when a new password is long enough and (if confirm is given) typed the same twice. */
+  if (!password) return 'Please enter a new password.';
+  if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  if (confirm !== undefined && confirm !== password) return 'The passwords do not match.';
+  return '';
+}
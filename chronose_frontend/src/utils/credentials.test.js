@@ -0,0 +1,16 @@
+import { emailError, newPasswordError } from './credentials';
+
+test('checks email addresses', () => {
+  expect(emailError('')).toBe('Please enter your email.');
+  expect(emailError('   ')).toBe('Please enter your email.');
+  expect(emailError('sam@example')).toBe('Please enter a valid email address.');
+  expect(emailError(' sam@example.com ')).toBe('');
+});
+
+test('checks new passwords and their confirmation', () => {
+  expect(newPasswordError('')).toBe('Please enter a new password.');
+  expect(newPasswordError('12345')).toBe('Password must be at least 6 characters.');
+  expect(newPasswordError('123456')).toBe('');
+  expect(newPasswordError('123456', '123457')).toBe('The passwords do not match.');
+  expect(newPasswordError('123456', '123456')).toBe('');
+});
@@ -0,0 +1,64 @@
+/**
+ * Local-date helpers shared by the calendar, dashboards and reports.
+ * Dates are exchanged as ISO day strings (yyyy-mm-dd) in local time.
+ */
+
+// PUBLIC_INTERFACE
+export function toISO(d) {
+  /** Format a Date as yyyy-mm-dd using local time. */
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+// PUBLIC_INTERFACE
+export function fromISO(iso) {
+  /** Parse yyyy-mm-dd as a local-midnight Date (new Date(iso) would be UTC). */
+  const [y, m, d] = String(iso).split('-').map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+}
+
+// PUBLIC_INTERFACE
+export function addDays(date, n) {
+  /** Return a new Date n days after `date` (n may be negative). */
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// PUBLIC_INTERFACE
+export function getStartOfWeek(date, weekStart = 1) {
+  /** 00:00 on the first day of the week containing `date`; weeks start on weekStart (0=Sun .. 6=Sat, default Monday). */
+  const d = new Date(date);
+  const day = d.getDay(); // 0=Sun .. 6=Sat
+  const diff = (day - weekStart + 7) % 7;
+  const start = new Date(d);
+  start.setDate(d.getDate() - diff);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+// PUBLIC_INTERFACE
+export function weekDaysFrom(startDate) {
+  /** Seven consecutive Dates starting at `startDate`. */
+  return Array.from({ length: 7 }, (_, i) => {
+    const d = new Date(startDate);
+    d.setDate(startDate.getDate() + i);
+    return d;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function getMonthGrid(dateInMonth, weekStart = 1) {
+  /** 6x7 grid of Dates covering the month of `dateInMonth`, weeks starting on weekStart (default Monday). */
+  const d = new Date(dateInMonth);
+  d.setDate(1);
+  d.setHours(0, 0, 0, 0);
+  const gridStart = getStartOfWeek(d, weekStart);
+  return Array.from({ length: 42 }, (_, i) => {
+    const cellDate = new Date(gridStart);
+    cellDate.setDate(gridStart.getDate() + i);
+    return cellDate;
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Time entry history: turns the rows of "time_entry_history" (written by a
+ * database trigger on every insert and update of time_entries) into a
+ * field-level diff for display. A record's old_values / new_values hold only
+ * the tracked fields that changed; a created entry has no old_values.
+ */
+
+// PUBLIC_INTERFACE
+export const HISTORY_FIELDS = [
+  { key: 'date', label: 'Date' },
+  { key: 'project_id', label: 'Project' },
+  { key: 'task_id', label: 'Task' },
+  { key: 'hours', label: 'Hours' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'status', label: 'Status' },
+  { key: 'review_comment', label: 'Review comment' },
+  { key: 'deleted_at', label: 'Deleted' },
+];
+
+// PUBLIC_INTERFACE
+export const HISTORY_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  status: 'Status changed',
+  delete: 'Deleted',
+};
+
+const STATUS_LABELS = { draft: 'Draft', pending: 'Pending', approved: 'Approved', rejected: 'Rejected' };
+
+const isEmpty = (v) => v === null || v === undefined || v === '';
+
+// PUBLIC_INTERFACE
+export function historyChanges(record) {
+  /**
+   * The fields a history record changed, in display order: [{ field, label, from, to }].
+   * Values are as stored (from is null for a created entry); empty-to-empty changes are skipped.
+   */
+  const before = record?.old_values || {};
+  const after = record?.new_values || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const known = HISTORY_FIELDS.filter((f) => keys.includes(f.key));
+  const other = keys.filter((k) => !HISTORY_FIELDS.some((f) => f.key === k)).sort().map((k) => ({ key: k, label: k }));
+  return [...known, ...other]
+    .map(({ key, label }) => ({ field: key, label, from: before[key] ?? null, to: after[key] ?? null }))
+    .filter((c) => !(isEmpty(c.from) && isEmpty(c.to)) && String(c.from) !== String(c.to));
+}
+
+// PUBLIC_INTERFACE
+export function formatHistoryValue(field, value, { projectName, taskName } = {}) {
+  /**
+   * A stored history value as text. projectName(id) / taskName(id) resolve
+   * catalog ids; unknown ids (e.g. a project you are no longer assigned to) show as-is.
+   */
+  if (isEmpty(value)) return '—';
+  if (field === 'hours') return `${Number(value)}h`;
+  if (field === 'status') return STATUS_LABELS[value] || String(value);
+  if (field === 'project_id') return (projectName && projectName(value)) || String(value);
+  if (field === 'task_id') return (taskName && taskName(value)) || String(value);
+  if (field === 'deleted_at') {
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleString();
+  }
+  return String(value);
+}
@@ -0,0 +1,34 @@
+import { formatHistoryValue, historyChanges } from './entryHistory';
+
+test('lists the changed fields of a history record in display order', () => {
+  const created = { action: 'create', old_values: null, new_values: { hours: 8, date: '2024-05-06', notes: '', status: 'draft' } };
+  expect(historyChanges(created)).toEqual([
+    { field: 'date', label: 'Date', from: null, to: '2024-05-06' },
+    { field: 'hours', label: 'Hours', from: null, to: 8 },
+    { field: 'status', label: 'Status', from: null, to: 'draft' },
+  ]);
+
+  const edited = {
+    action: 'update',
+    old_values: { hours: 8, notes: null, status: 'rejected' },
+    new_values: { hours: 7.5, notes: 'Fixed', status: 'draft' },
+  };
+  expect(historyChanges(edited).map((c) => [c.field, c.from, c.to])).toEqual([
+    ['hours', 8, 7.5],
+    ['notes', null, 'Fixed'],
+    ['status', 'rejected', 'draft'],
+  ]);
+  // the same value stored as text and as a number is not a change
+  expect(historyChanges({ old_values: { hours: '8' }, new_values: { hours: 8 } })).toEqual([]);
+  expect(historyChanges({ old_values: { extra: 1 }, new_values: { extra: 2 } })[0].label).toBe('extra');
+});
+
+test('formats history values for display', () => {
+  const lookup = { projectName: (id) => (id === 'p1' ? 'Apollo' : null), taskName: () => null };
+  expect(formatHistoryValue('hours', '7.5')).toBe('7.5h');
+  expect(formatHistoryValue('status', 'pending')).toBe('Pending');
+  expect(formatHistoryValue('project_id', 'p1', lookup)).toBe('Apollo');
+  expect(formatHistoryValue('task_id', 't9', lookup)).toBe('t9');
+  expect(formatHistoryValue('notes', '')).toBe('—');
+  expect(formatHistoryValue('deleted_at', null)).toBe('—');
+});
@@ -0,0 +1,131 @@
+/**
+ * Business rules for time entries, shared by the entry form, the week grid,
+ * the CSV import and the service layer:
+ *   - the hours on one day, across all entries, stay within maxHoursPerDay
+ *   - no entries in locked periods
+ *   - no dates more than futureDays ahead of today
+ *   - project / task required when configured
+ * The database enforces the same rules in the time_entries_rules trigger
+ * (assets/supabase.md), whose violations come back tagged with the field they
+ * belong to; fieldErrorsFromServer turns them into form errors.
+ */
+import { toISO } from './dates';
+import { MAX_HOURS_PER_DAY, formatHoursMinutes, loggedHoursOn } from './timesheetStats';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_ENTRY_RULES = {
+  maxHoursPerDay: MAX_HOURS_PER_DAY,
+  futureDays: 14,
+  requireProject: false,
+  requireTask: false,
+};
+
+const readNumber = (raw, fallback, max = Infinity) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 && n <= max ? n : fallback;
+};
+
+const readBool = (raw, fallback) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+  return ['1', 'true', 'yes'].includes(String(raw).trim().toLowerCase());
+};
+
+// PUBLIC_INTERFACE
+export function readEntryRules(env = process.env) {
+  /**
+   * Rules from REACT_APP_MAX_HOURS_PER_DAY, REACT_APP_FUTURE_ENTRY_DAYS,
+   * REACT_APP_REQUIRE_PROJECT and REACT_APP_REQUIRE_TASK. Used until the
+   * "entry_rules" row is loaded; empty or invalid values fall back to the defaults.
+   */
+  return {
+    maxHoursPerDay: readNumber(env.REACT_APP_MAX_HOURS_PER_DAY, DEFAULT_ENTRY_RULES.maxHoursPerDay, MAX_HOURS_PER_DAY) ||
+      DEFAULT_ENTRY_RULES.maxHoursPerDay,
+    futureDays: Math.floor(readNumber(env.REACT_APP_FUTURE_ENTRY_DAYS, DEFAULT_ENTRY_RULES.futureDays)),
+    requireProject: readBool(env.REACT_APP_REQUIRE_PROJECT, DEFAULT_ENTRY_RULES.requireProject),
+    requireTask: readBool(env.REACT_APP_REQUIRE_TASK, DEFAULT_ENTRY_RULES.requireTask),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function findLockedPeriod(iso, lockedPeriods = []) {
+  /** The locked period ({ start_date, end_date }, inclusive) containing the day, or null. */
+  if (!iso) return null;
+  return lockedPeriods.find((p) => p.start_date <= iso && iso <= p.end_date) || null;
+}
+
+// PUBLIC_INTERFACE
+export function lastAllowedDate(rules = DEFAULT_ENTRY_RULES, today = toISO(new Date())) {
+  /** Latest ISO day an entry may be logged for. */
+  const [y, m, d] = today.split('-').map(Number);
+  return toISO(new Date(y, m - 1, d + (rules.futureDays || 0)));
+}
+
+// PUBLIC_INTERFACE
+export function checkEntryRules(values, { rules = DEFAULT_ENTRY_RULES, entries, lockedPeriods = [], today } = {}) {
+  /**
+   * Field errors ({ date, hours, project, task }, only the broken ones) for an
+   * entry about to be saved. values: { id?, date, hours, project_id, task_id },
+   * `id` being the entry under edit. The day total is only checked when the
+   * user's `entries` are given. `today` defaults to the local date.
+   */
+  const errors = {};
+  if (values.date) {
+    if (findLockedPeriod(values.date, lockedPeriods)) {
+      errors.date = 'This period is locked.';
+    } else if (values.date > lastAllowedDate(rules, today || toISO(new Date()))) {
+      errors.date = rules.futureDays > 0
+        ? `Entries can be at most ${rules.futureDays} day${rules.futureDays === 1 ? '' : 's'} ahead.`
+        : 'Entries cannot be in the future.';
+    }
+  }
+  const hours = Number(values.hours);
+  if (values.hours !== '' && values.hours !== null && values.hours !== undefined && Number.isFinite(hours)) {
+    const dayTotal = entries && values.date
+      ? loggedHoursOn(entries, values.date, { excludeId: values.id, addHours: hours })
+      : hours;
+    if (dayTotal > rules.maxHoursPerDay) {
+      errors.hours = entries
+        ? `This brings the day to ${formatHoursMinutes(dayTotal)}, over the ${rules.maxHoursPerDay}h limit.`
+        : `Hours cannot exceed ${rules.maxHoursPerDay} per day.`;
+    }
+  }
+  if (rules.requireProject && !values.project_id) errors.project = 'Please select a project.';
+  if (rules.requireTask && !values.task_id) errors.task = 'Please select a task.';
+  return errors;
+}
+
+// Messages raised by the project/task trigger (check_entry_project_task), by field
+const TRIGGER_MESSAGES = {
+  'Select a project first.': 'project',
+  'Unknown project.': 'project',
+  'This project is archived.': 'project',
+  'You are not assigned to this project.': 'project',
+  'Unknown task for this project.': 'task',
+  'This task is archived.': 'task',
+};
+
+// Table check constraints, by name
+const CONSTRAINTS = {
+  time_entries_hours_range: ['hours', 'Hours must be between 0 and 24.'],
+};
+
+// PUBLIC_INTERFACE
+export function fieldErrorsFromServer(error) {
+  /**
+   * Field errors ({ [field]: message }) for a database error caused by an entry
+   * rule, or null when the error is not about a field. Rule triggers tag their
+   * errors with hint "field:<name>"; check constraints are matched by name.
+   */
+  if (!error) return null;
+  const message = error.message || '';
+  const hint = String(error.hint || '');
+  if (hint.startsWith('field:')) return { [hint.slice('field:'.length)]: message };
+  if (TRIGGER_MESSAGES[message]) return { [TRIGGER_MESSAGES[message]]: message };
+  const constraint = Object.keys(CONSTRAINTS).find((name) => message.includes(`"${name}"`));
+  if (constraint) {
+    const [field, text] = CONSTRAINTS[constraint];
+    return { [field]: text };
+  }
+  return null;
+}
@@ -0,0 +1,66 @@
+import {
+  DEFAULT_ENTRY_RULES,
+  checkEntryRules,
+  fieldErrorsFromServer,
+  findLockedPeriod,
+  lastAllowedDate,
+  readEntryRules,
+} from './entryRules';
+
+const today = '2024-05-06';
+
+test('reads rules from the environment with safe fallbacks', () => {
+  expect(readEntryRules({})).toEqual(DEFAULT_ENTRY_RULES);
+  expect(readEntryRules({
+    REACT_APP_MAX_HOURS_PER_DAY: '12',
+    REACT_APP_FUTURE_ENTRY_DAYS: '0',
+    REACT_APP_REQUIRE_PROJECT: 'true',
+    REACT_APP_REQUIRE_TASK: 'no',
+  })).toEqual({ maxHoursPerDay: 12, futureDays: 0, requireProject: true, requireTask: false });
+  expect(readEntryRules({ REACT_APP_MAX_HOURS_PER_DAY: '30', REACT_APP_FUTURE_ENTRY_DAYS: 'soon' })).toEqual(DEFAULT_ENTRY_RULES);
+});
+
+test('finds locked periods and the future window', () => {
+  const periods = [{ start_date: '2024-04-01', end_date: '2024-04-30' }];
+  expect(findLockedPeriod('2024-04-30', periods)).toBe(periods[0]);
+  expect(findLockedPeriod('2024-05-01', periods)).toBeNull();
+  expect(lastAllowedDate({ futureDays: 30 }, '2024-05-06')).toBe('2024-06-05');
+  expect(lastAllowedDate({ futureDays: 0 }, today)).toBe(today);
+});
+
+test('checks dates, day totals and required fields', () => {
+  const rules = { maxHoursPerDay: 10, futureDays: 7, requireProject: true, requireTask: false };
+  const entries = [
+    { id: 'a', date: today, hours: 6, status: 'draft' },
+    { id: 'b', date: today, hours: 3, status: 'rejected' },
+  ];
+  const lockedPeriods = [{ start_date: '2024-04-01', end_date: '2024-04-30' }];
+  const ctx = { rules, entries, lockedPeriods, today };
+
+  expect(checkEntryRules({ date: today, hours: 4, project_id: 'p1' }, ctx)).toEqual({});
+  expect(checkEntryRules({ date: today, hours: 5, project_id: 'p1' }, ctx).hours).toBe(
+    'This brings the day to 11h, over the 10h limit.'
+  );
+  // the entry under edit is not counted twice
+  expect(checkEntryRules({ id: 'a', date: today, hours: 9, project_id: 'p1' }, ctx)).toEqual({});
+  expect(checkEntryRules({ date: '2024-04-15', hours: 1, project_id: 'p1' }, ctx).date).toBe('This period is locked.');
+  expect(checkEntryRules({ date: '2024-05-14', hours: 1, project_id: 'p1' }, ctx).date).toBe('Entries can be at most 7 days ahead.');
+  expect(checkEntryRules({ date: '2024-05-07', hours: 1 }, { ...ctx, rules: { ...rules, futureDays: 0 } })).toEqual({
+    date: 'Entries cannot be in the future.',
+    project: 'Please select a project.',
+  });
+  expect(checkEntryRules({ date: today, hours: 11, project_id: 'p1' }, { rules, today }).hours).toBe('Hours cannot exceed 10 per day.');
+});
+
+test('maps database rule violations to field errors', () => {
+  expect(fieldErrorsFromServer({ code: '23514', message: 'This period is locked.', hint: 'field:date' })).toEqual({
+    date: 'This period is locked.',
+  });
+  expect(fieldErrorsFromServer({ code: '23514', message: 'This task is archived.' })).toEqual({ task: 'This task is archived.' });
+  expect(fieldErrorsFromServer({
+    code: '23514',
+    message: 'new row for relation "time_entries" violates check constraint "time_entries_hours_range"',
+  })).toEqual({ hours: 'Hours must be between 0 and 24.' });
+  expect(fieldErrorsFromServer({ code: '42501', message: 'permission denied' })).toBeNull();
+  expect(fieldErrorsFromServer(null)).toBeNull();
+});
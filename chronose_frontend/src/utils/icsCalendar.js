@@ -0,0 +1,68 @@
+/**
+ * Minimal iCalendar (.ics, RFC 5545) reader for holiday imports. Only VEVENT
+ * dates and summaries are read: all-day events take DTSTART up to the day
+ * before DTEND, timed events their start day. Recurring events (RRULE) are
+ * kept for their first date only and counted so the UI can say so.
+ */
+
+// Longest event taken from a file; anything longer is not a holiday
+const MAX_EVENT_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toISO = (ymd) => `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`;
+
+const unescapeText = (s) => s.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// "DTSTART;VALUE=DATE:20240101" -> { date: '2024-01-01', allDay: true }
+const readDate = (line) => {
+  const value = line.slice(line.indexOf(':') + 1).trim();
+  if (!/^\d{8}/.test(value)) return null;
+  return { date: toISO(value), allDay: value.length === 8 };
+};
+
+const daysFrom = (start, endExclusive) => {
+  const days = [];
+  for (let t = Date.parse(start); t < Date.parse(endExclusive) && days.length < MAX_EVENT_DAYS; t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+// PUBLIC_INTERFACE
+export function parseICS(text) {
+  /**
+   * Holidays in an .ics file: { holidays: [{ date, name }], recurring }, sorted by
+   * date with one holiday per day (the first event wins). recurring is the number
+   * of events with an RRULE, which were read for their first date only.
+   */
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const byDate = new Map();
+  let recurring = 0;
+  let event = null;
+  lines.forEach((line) => {
+    const key = line.split(/[;:]/, 1)[0].toUpperCase();
+    if (line.toUpperCase() === 'BEGIN:VEVENT') {
+      event = { start: null, end: null, name: '', rrule: false };
+      return;
+    }
+    if (!event) return;
+    if (key === 'DTSTART') event.start = readDate(line);
+    else if (key === 'DTEND') event.end = readDate(line);
+    else if (key === 'SUMMARY') event.name = unescapeText(line.slice(line.indexOf(':') + 1));
+    else if (key === 'RRULE') event.rrule = true;
+    else if (line.toUpperCase() === 'END:VEVENT') {
+      if (event.start) {
+        const end = event.start.allDay && event.end?.allDay && event.end.date > event.start.date ? event.end.date : null;
+        const dates = end ? daysFrom(event.start.date, end) : [event.start.date];
+        dates.forEach((date) => {
+          if (!byDate.has(date)) byDate.set(date, { date, name: event.name || 'Holiday' });
+        });
+        if (event.rrule) recurring += 1;
+      }
+      event = null;
+    }
+  });
+  const holidays = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return { holidays, recurring };
+}
@@ -0,0 +1,37 @@
+import { parseICS } from './icsCalendar';
+
+test('reads all-day, multi-day, timed and recurring holidays from an .ics file', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20241225',
+    'DTEND;VALUE=DATE:20241227',
+    'SUMMARY:Christmas\\, Boxing Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20240101',
+    'RRULE:FREQ=YEARLY',
+    "SUMMARY:New Year'",
+    ' s Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20240527T000000Z',
+    'DTEND:20240528T000000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No date',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  expect(parseICS(ics)).toEqual({
+    holidays: [
+      { date: '2024-01-01', name: "New Year's Day" },
+      { date: '2024-05-27', name: 'Holiday' },
+      { date: '2024-12-25', name: 'Christmas, Boxing Day' },
+      { date: '2024-12-26', name: 'Christmas, Boxing Day' },
+    ],
+    recurring: 1,
+  });
+  expect(parseICS('')).toEqual({ holidays: [], recurring: 0 });
+});
@@ -0,0 +1,73 @@
+import { formatHoursMinutes } from './timesheetStats';
+
+/**
+ * Leave balances: hours left per leave type and what a request would leave.
+ * Balances are the sum of the "leave_balance_ledger" (accruals, annual grants,
+ * carry-over trims, approved requests and admin adjustments; see assets/supabase.md).
+ * Approved requests are already deducted there; pending ones are not, so they
+ * are subtracted here. Leave types without a policy have no balance.
+ */
+
+// PUBLIC_INTERFACE
+export const LEAVE_TYPE_LABELS = {
+  casual: 'Casual',
+  sick: 'Sick',
+  vacation: 'Vacation',
+};
+
+// PUBLIC_INTERFACE
+export const LEDGER_KIND_LABELS = {
+  accrual: 'Accrual',
+  carry_over: 'Carry-over cap',
+  deduction: 'Approved leave',
+  adjustment: 'Adjustment',
+};
+
+// PUBLIC_INTERFACE
+export function balanceFor(balances, type, policies) {
+  /** Balance in hours of one leave type (0 when nothing is recorded yet), or null when it has no policy. */
+  if (!(policies || []).some((p) => p.type === type)) return null;
+  const row = (balances || []).find((b) => b.type === type);
+  return row ? Number(row.balance) || 0 : 0;
+}
+
+// PUBLIC_INTERFACE
+export function pendingLeaveHours(leaves, type, { excludeId } = {}) {
+  /** Hours of submitted (pending) requests of a type, not yet deducted from the balance. */
+  return (leaves || [])
+    .filter((l) => l.type === type && l.status === 'pending' && l.id !== excludeId)
+    .reduce((sum, l) => sum + (Number(l.hours) || 0), 0);
+}
+
+// PUBLIC_INTERFACE
+export function remainingAfterRequest({ balance, leaves, type, hours, excludeId }) {
+  /** Balance left once pending requests and this one (hours) are taken; null when the type is untracked. */
+  if (balance === null || balance === undefined) return null;
+  return balance - pendingLeaveHours(leaves, type, { excludeId }) - (Number(hours) || 0);
+}
+
+// PUBLIC_INTERFACE
+export function leaveBalanceError({ remaining, policy, type }) {
+  /** Message when a request would overdraw the balance and the policy does not allow negative balances, else ''. */
+  if (remaining === null || remaining === undefined || remaining >= 0) return '';
+  if (policy?.allow_negative) return '';
+  const label = (LEAVE_TYPE_LABELS[type] || type || '').toLowerCase();
+  return `This exceeds your ${label} leave balance by ${formatHoursMinutes(-remaining)}.`;
+}
+
+// PUBLIC_INTERFACE
+export function describeLeavePolicy(policy) {
+  /** One-line summary of a policy, e.g. "8h per month · up to 40h carried over · may go negative". */
+  if (!policy) return '';
+  const amount = formatHoursMinutes(policy.accrual_hours);
+  const parts = [
+    policy.accrual === 'monthly' ? `${amount} per month`
+      : policy.accrual === 'annual' ? `${amount} granted each January`
+        : 'No accrual',
+    policy.carry_over_cap === null || policy.carry_over_cap === undefined
+      ? 'unused hours carry over'
+      : `up to ${formatHoursMinutes(policy.carry_over_cap)} carried over`,
+  ];
+  if (policy.allow_negative) parts.push('may go negative');
+  return parts.join(' · ');
+}
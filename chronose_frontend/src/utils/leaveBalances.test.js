@@ -0,0 +1,34 @@
+import { balanceFor, describeLeavePolicy, leaveBalanceError, pendingLeaveHours, remainingAfterRequest } from './leaveBalances';
+
+const leaves = [
+  { id: 'a', type: 'vacation', status: 'pending', hours: 8 },
+  { id: 'b', type: 'vacation', status: 'approved', hours: 8 },
+  { id: 'c', type: 'vacation', status: 'draft', hours: 4 },
+  { id: 'd', type: 'sick', status: 'pending', hours: 8 },
+];
+
+test('subtracts pending requests and the new one from the balance', () => {
+  const balances = [{ type: 'vacation', balance: 20 }];
+  const policies = [{ type: 'vacation' }, { type: 'casual' }];
+  expect(balanceFor(balances, 'vacation', policies)).toBe(20);
+  expect(balanceFor(balances, 'casual', policies)).toBe(0);
+  expect(balanceFor(balances, 'sick', policies)).toBeNull();
+  expect(pendingLeaveHours(leaves, 'vacation')).toBe(8);
+  expect(pendingLeaveHours(leaves, 'vacation', { excludeId: 'a' })).toBe(0);
+  expect(remainingAfterRequest({ balance: 20, leaves, type: 'vacation', hours: 4 })).toBe(8);
+  // editing a pending request does not count it twice
+  expect(remainingAfterRequest({ balance: 20, leaves, type: 'vacation', hours: 8, excludeId: 'a' })).toBe(12);
+  expect(remainingAfterRequest({ balance: null, leaves, type: 'sick', hours: 8 })).toBeNull();
+});
+
+test('rejects overdrawing unless the policy allows negative balances', () => {
+  expect(leaveBalanceError({ remaining: 0, policy: {}, type: 'vacation' })).toBe('');
+  expect(leaveBalanceError({ remaining: null, policy: null, type: 'sick' })).toBe('');
+  expect(leaveBalanceError({ remaining: -4.5, policy: { allow_negative: false }, type: 'vacation' }))
+    .toBe('This exceeds your vacation leave balance by 4h 30m.');
+  expect(leaveBalanceError({ remaining: -4.5, policy: { allow_negative: true }, type: 'vacation' })).toBe('');
+  expect(describeLeavePolicy({ accrual: 'monthly', accrual_hours: 8, carry_over_cap: 40, allow_negative: true }))
+    .toBe('8h per month · up to 40h carried over · may go negative');
+  expect(describeLeavePolicy({ accrual: 'annual', accrual_hours: 40, carry_over_cap: null }))
+    .toBe('40h granted each January · unused hours carry over');
+});
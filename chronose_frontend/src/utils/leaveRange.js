@@ -0,0 +1,97 @@
+/**
+ * Multi-day leave: a request covers date..end_date and carries the hours of
+ * each day it takes (`days`, a snapshot made when the request is saved, so
+ * later holiday changes do not move it). Non-working days inside the range
+ * (weekends, or the days off of the person's work schedule) and holidays are
+ * skipped; the first and last days may be partial.
+ * Requests saved before ranges existed have no `days` and cover `date` only.
+ * Days are ISO strings (yyyy-mm-dd), computed in UTC to avoid DST drift.
+ */
+
+// PUBLIC_INTERFACE
+export const MAX_LEAVE_RANGE_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+};
+
+const fromDayNumber = (n) => new Date(n * DAY_MS).toISOString().slice(0, 10);
+
+const hasHours = (v) => v !== '' && v !== null && v !== undefined;
+
+// PUBLIC_INTERFACE
+export function isWeekendISO(iso) {
+  /** True for Saturdays and Sundays. */
+  const dow = new Date(dayNumber(iso) * DAY_MS).getUTCDay();
+  return dow === 0 || dow === 6;
+}
+
+// PUBLIC_INTERFACE
+export function calendarDaysBetween(start, end) {
+  /** Every day from start to end, inclusive (empty when end is before start). */
+  const days = [];
+  for (let n = dayNumber(start); n <= dayNumber(end); n += 1) days.push(fromDayNumber(n));
+  return days;
+}
+
+// PUBLIC_INTERFACE
+export function buildLeaveDays({
+  start,
+  end,
+  holidays = [],
+  fullDayHours = 8,
+  firstDayHours,
+  lastDayHours,
+  isWorkingDay = (iso) => !isWeekendISO(iso),
+}) {
+  /**
+   * The days a request from start to end takes: [{ date, hours }], leaving out days
+   * that are not working days (weekends by default) and `holidays` (ISO days).
+   * firstDayHours / lastDayHours, when given, replace the full day on the first / last
+   * day taken; a one-day request uses firstDayHours.
+   */
+  const off = new Set(holidays);
+  const dates = calendarDaysBetween(start, end || start).filter((iso) => isWorkingDay(iso) && !off.has(iso));
+  return dates.map((date, i) => {
+    let hours = fullDayHours;
+    if (i === 0 && hasHours(firstDayHours)) hours = Number(firstDayHours);
+    else if (i === dates.length - 1 && hasHours(lastDayHours)) hours = Number(lastDayHours);
+    return { date, hours };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function leaveDaysOf(leave) {
+  /** The days a leave request takes: its `days`, or its single date for requests without them. */
+  if (Array.isArray(leave?.days) && leave.days.length > 0) {
+    return leave.days.map((d) => ({ date: d.date, hours: Number(d.hours) || 0 }));
+  }
+  return leave?.date ? [{ date: leave.date, hours: Number(leave.hours) || 0 }] : [];
+}
+
+// PUBLIC_INTERFACE
+export function isMultiDayLeave(leave) {
+  /** True when a request spans more than one calendar day. */
+  return !!leave?.end_date && leave.end_date !== leave.date;
+}
+
+// PUBLIC_INTERFACE
+export function leaveSpanDays(leave) {
+  /**
+   * Every calendar day of a multi-day request, for drawing it as a span:
+   * [{ date, hours, span: 'start' | 'middle' | 'end', skipped }]; skipped days
+   * (weekends, holidays) are inside the span but take no hours. Single-day requests give [].
+   */
+  if (!isMultiDayLeave(leave)) return [];
+  const taken = new Map(leaveDaysOf(leave).map((d) => [d.date, d.hours]));
+  const dates = calendarDaysBetween(leave.date, leave.end_date);
+  return dates.map((date, i) => ({
+    date,
+    hours: taken.get(date) || 0,
+    span: i === 0 ? 'start' : i === dates.length - 1 ? 'end' : 'middle',
+    skipped: !taken.has(date),
+  }));
+}
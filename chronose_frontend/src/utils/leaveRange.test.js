@@ -0,0 +1,38 @@
+import { buildLeaveDays, isWeekendISO, leaveDaysOf, leaveSpanDays } from './leaveRange';
+
+test('takes the working days of a range with partial first and last days', () => {
+  expect(isWeekendISO('2024-05-11')).toBe(true);
+  expect(isWeekendISO('2024-05-13')).toBe(false);
+  // Thu 9 May .. Tue 14 May, Mon 13 May a holiday
+  expect(buildLeaveDays({ start: '2024-05-09', end: '2024-05-14', holidays: ['2024-05-13'] })).toEqual([
+    { date: '2024-05-09', hours: 8 },
+    { date: '2024-05-10', hours: 8 },
+    { date: '2024-05-14', hours: 8 },
+  ]);
+  expect(buildLeaveDays({ start: '2024-05-09', end: '2024-05-14', firstDayHours: '4', lastDayHours: 2 }).map((d) => d.hours))
+    .toEqual([4, 8, 8, 2]);
+  expect(buildLeaveDays({ start: '2024-05-10', end: '2024-05-10', firstDayHours: 3, lastDayHours: 5 })).toEqual([
+    { date: '2024-05-10', hours: 3 },
+  ]);
+  expect(buildLeaveDays({ start: '2024-05-11', end: '2024-05-12' })).toEqual([]);
+  // a Mon–Thu schedule skips Fridays too
+  const monToThu = (iso) => !['2024-05-10', '2024-05-11', '2024-05-12'].includes(iso);
+  expect(buildLeaveDays({ start: '2024-05-09', end: '2024-05-13', isWorkingDay: monToThu }).map((d) => d.date))
+    .toEqual(['2024-05-09', '2024-05-13']);
+});
+
+test('reads the days of old and new requests and lays out spans', () => {
+  expect(leaveDaysOf({ date: '2024-05-06', hours: '4' })).toEqual([{ date: '2024-05-06', hours: 4 }]);
+  const range = {
+    date: '2024-05-10',
+    end_date: '2024-05-13',
+    days: [{ date: '2024-05-10', hours: 8 }, { date: '2024-05-13', hours: 4 }],
+  };
+  expect(leaveSpanDays(range).map((d) => [d.date, d.span, d.hours, d.skipped])).toEqual([
+    ['2024-05-10', 'start', 8, false],
+    ['2024-05-11', 'middle', 0, true],
+    ['2024-05-12', 'middle', 0, true],
+    ['2024-05-13', 'end', 4, false],
+  ]);
+  expect(leaveSpanDays({ date: '2024-05-10', end_date: '2024-05-10' })).toEqual([]);
+});
@@ -0,0 +1,74 @@
+/**
+ * Outbox rules for offline mutations (pure; storage lives in services/offlineStore).
+ *
+ * Ops: { seq, table, kind: 'create' | 'update' | 'delete', id, user_id, values,
+ *        updated_at, base_updated_at }
+ *   - create: id is the client's tmp_ id, values the full row as the UI shows it
+ *   - update: values is the patch; base_updated_at is the server version it was made on
+ *   - updated_at is when the change was made locally
+ */
+
+// PUBLIC_INTERFACE
+export function isOffline() {
+  /** True when the browser reports no connectivity. */
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// PUBLIC_INTERFACE
+export function isNetworkError(error) {
+  /** True for failures caused by connectivity (offline, fetch failed) rather than by the server. */
+  if (isOffline()) return true;
+  const msg = String(error?.message || error || '').toLowerCase();
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/.test(msg);
+}
+
+// PUBLIC_INTERFACE
+export function queueOp(ops, op) {
+  /**
+   * Add a mutation to the outbox, folding it into what is already queued for
+   * the same row: edits to an unsynced create patch the create, repeated edits
+   * merge (keeping the first base_updated_at), and deleting an unsynced create
+   * drops it altogether. Returns the new outbox.
+   */
+  const seq = ops.reduce((max, o) => Math.max(max, o.seq), 0) + 1;
+  const pending = ops.find((o) => o.id === op.id && o.table === op.table);
+  if (op.kind === 'create' || !pending) return [...ops, { ...op, seq }];
+  if (op.kind === 'update') {
+    return ops.map((o) => (o === pending ? { ...o, values: { ...o.values, ...op.values }, updated_at: op.updated_at } : o));
+  }
+  const rest = ops.filter((o) => o !== pending);
+  return pending.kind === 'create' ? rest : [...rest, { ...op, base_updated_at: pending.base_updated_at, seq }];
+}
+
+// PUBLIC_INTERFACE
+export function overlayOutbox(rows, ops) {
+  /**
+   * Rows as the user should see them: queued creates first (newest on top),
+   * queued edits applied, queued deletes hidden. Touched rows carry pending_sync: true.
+   */
+  const byId = new Map(ops.filter((o) => o.kind !== 'create').map((o) => [o.id, o]));
+  const created = ops
+    .filter((o) => o.kind === 'create')
+    .reverse()
+    .map((o) => ({ ...o.values, id: o.id, pending_sync: true }));
+  const rest = rows
+    .filter((r) => byId.get(r.id)?.kind !== 'delete')
+    .map((r) => (byId.has(r.id) ? { ...r, ...byId.get(r.id).values, pending_sync: true } : r));
+  return [...created, ...rest];
+}
+
+// PUBLIC_INTERFACE
+export function resolveConflict(op, serverRow) {
+  /**
+   * How to replay a queued update/delete against the row's current server copy:
+   *   'gone'   - the row no longer exists
+   *   'apply'  - the server copy is the one the change was made on, or older than the change
+   *   'server' - the server copy changed after the local change was made; the newer one wins
+   * Compared on updated_at (server time vs. the client's clock).
+   */
+  if (!serverRow) return 'gone';
+  const server = Date.parse(serverRow.updated_at || '') || 0;
+  const base = Date.parse(op.base_updated_at || '') || 0;
+  if (!server || server <= base) return 'apply';
+  return server > (Date.parse(op.updated_at || '') || 0) ? 'server' : 'apply';
+}
@@ -0,0 +1,56 @@
+import { isNetworkError, overlayOutbox, queueOp, resolveConflict } from './outboxQueue';
+
+const T = 'time_entries';
+
+test('folds edits and deletes into what is already queued for a row', () => {
+  let ops = queueOp([], { table: T, kind: 'create', id: 'tmp_1', values: { id: 'tmp_1', hours: 2 }, updated_at: 'a' });
+  ops = queueOp(ops, { table: T, kind: 'update', id: 'tmp_1', values: { hours: 3 }, updated_at: 'b' });
+  expect(ops).toEqual([{ table: T, kind: 'create', id: 'tmp_1', values: { id: 'tmp_1', hours: 3 }, updated_at: 'b', seq: 1 }]);
+
+  ops = queueOp(ops, { table: T, kind: 'update', id: 'e1', values: { notes: 'x' }, base_updated_at: 'v1', updated_at: 'c' });
+  ops = queueOp(ops, { table: T, kind: 'update', id: 'e1', values: { hours: 1 }, base_updated_at: 'v2', updated_at: 'd' });
+  expect(ops[1]).toMatchObject({ seq: 2, values: { notes: 'x', hours: 1 }, base_updated_at: 'v1', updated_at: 'd' });
+
+  ops = queueOp(ops, { table: T, kind: 'delete', id: 'e1', values: {}, updated_at: 'e' });
+  expect(ops.map((o) => [o.seq, o.kind, o.id, o.base_updated_at])).toEqual([
+    [1, 'create', 'tmp_1', undefined],
+    [3, 'delete', 'e1', 'v1'],
+  ]);
+
+  ops = queueOp(ops, { table: T, kind: 'delete', id: 'tmp_1', values: {}, updated_at: 'f' });
+  expect(ops.map((o) => o.id)).toEqual(['e1']);
+});
+
+test('overlays queued changes on the loaded rows', () => {
+  const rows = [
+    { id: 'e1', hours: 1 },
+    { id: 'e2', hours: 2 },
+    { id: 'e3', hours: 3 },
+  ];
+  const ops = [
+    { seq: 1, kind: 'create', id: 'tmp_a', values: { id: 'tmp_a', hours: 4 } },
+    { seq: 2, kind: 'update', id: 'e1', values: { hours: 5 } },
+    { seq: 3, kind: 'delete', id: 'e2', values: {} },
+    { seq: 4, kind: 'create', id: 'tmp_b', values: { id: 'tmp_b', hours: 6 } },
+  ];
+  expect(overlayOutbox(rows, ops)).toEqual([
+    { id: 'tmp_b', hours: 6, pending_sync: true },
+    { id: 'tmp_a', hours: 4, pending_sync: true },
+    { id: 'e1', hours: 5, pending_sync: true },
+    { id: 'e3', hours: 3 },
+  ]);
+});
+
+test('resolves conflicts on updated_at', () => {
+  const op = { base_updated_at: '2024-05-06T10:00:00Z', updated_at: '2024-05-06T12:00:00Z' };
+  expect(resolveConflict(op, null)).toBe('gone');
+  expect(resolveConflict(op, { updated_at: '2024-05-06T10:00:00Z' })).toBe('apply');
+  expect(resolveConflict(op, { updated_at: '2024-05-06T11:00:00Z' })).toBe('apply');
+  expect(resolveConflict(op, { updated_at: '2024-05-06T13:00:00Z' })).toBe('server');
+});
+
+test('recognises connectivity failures', () => {
+  expect(isNetworkError({ message: 'TypeError: Failed to fetch' })).toBe(true);
+  expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+  expect(isNetworkError({ message: 'duplicate key value', code: '23505' })).toBe(false);
+});
@@ -0,0 +1,59 @@
+/**
+ * Pay period arithmetic for timesheet close-out: the weekly, bi-weekly or
+ * monthly period containing a day. Weeks start on Monday; bi-weekly periods
+ * run in 14-day steps from an anchor day (REACT_APP_PAY_PERIOD_ANCHOR).
+ * Days are ISO strings (yyyy-mm-dd), computed in UTC to avoid DST drift.
+ */
+
+// PUBLIC_INTERFACE
+export const PERIOD_TYPE_LABELS = {
+  weekly: 'Weekly',
+  biweekly: 'Bi-weekly',
+  monthly: 'Monthly',
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PAY_PERIOD_ANCHOR = '2024-01-01'; // a Monday
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+};
+
+const fromDayNumber = (n) => new Date(n * DAY_MS).toISOString().slice(0, 10);
+
+// PUBLIC_INTERFACE
+export function readPayPeriodAnchor(env = process.env) {
+  /** First day of a bi-weekly period from REACT_APP_PAY_PERIOD_ANCHOR (yyyy-mm-dd), else the default. */
+  const raw = String(env.REACT_APP_PAY_PERIOD_ANCHOR || '').trim();
+  return ISO_DAY.test(raw) ? raw : DEFAULT_PAY_PERIOD_ANCHOR;
+}
+
+// PUBLIC_INTERFACE
+export function payPeriodFor(type, iso, anchor = DEFAULT_PAY_PERIOD_ANCHOR) {
+  /** The period of the given type containing `iso`: { period_type, start_date, end_date } (inclusive). */
+  const day = dayNumber(iso);
+  if (type === 'monthly') {
+    const [y, m] = iso.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const mm = String(m).padStart(2, '0');
+    return { period_type: type, start_date: `${y}-${mm}-01`, end_date: `${y}-${mm}-${String(last).padStart(2, '0')}` };
+  }
+  if (type === 'biweekly') {
+    const base = dayNumber(anchor);
+    const start = base + Math.floor((day - base) / 14) * 14;
+    return { period_type: type, start_date: fromDayNumber(start), end_date: fromDayNumber(start + 13) };
+  }
+  const dow = (new Date(day * DAY_MS).getUTCDay() + 6) % 7; // 0=Mon
+  return { period_type: 'weekly', start_date: fromDayNumber(day - dow), end_date: fromDayNumber(day - dow + 6) };
+}
+
+// PUBLIC_INTERFACE
+export function previousPayPeriod(type, iso, anchor = DEFAULT_PAY_PERIOD_ANCHOR) {
+  /** The period just before the one containing `iso` — usually the one payroll closes next. */
+  const current = payPeriodFor(type, iso, anchor);
+  return payPeriodFor(type, fromDayNumber(dayNumber(current.start_date) - 1), anchor);
+}
@@ -0,0 +1,20 @@
+import { DEFAULT_PAY_PERIOD_ANCHOR, payPeriodFor, previousPayPeriod, readPayPeriodAnchor } from './payPeriods';
+
+test('finds the weekly, bi-weekly and monthly period of a day', () => {
+  expect(payPeriodFor('weekly', '2024-05-08')).toEqual({ period_type: 'weekly', start_date: '2024-05-06', end_date: '2024-05-12' });
+  expect(payPeriodFor('weekly', '2024-05-12').start_date).toBe('2024-05-06');
+  expect(payPeriodFor('monthly', '2024-02-10')).toEqual({ period_type: 'monthly', start_date: '2024-02-01', end_date: '2024-02-29' });
+  expect(payPeriodFor('biweekly', '2024-01-14')).toEqual({ period_type: 'biweekly', start_date: '2024-01-01', end_date: '2024-01-14' });
+  expect(payPeriodFor('biweekly', '2024-01-15').start_date).toBe('2024-01-15');
+  // days before the anchor fall into earlier periods
+  expect(payPeriodFor('biweekly', '2023-12-31').start_date).toBe('2023-12-18');
+  expect(payPeriodFor('biweekly', '2024-03-31', '2024-03-25').start_date).toBe('2024-03-25');
+});
+
+test('finds the previous period and reads the anchor', () => {
+  expect(previousPayPeriod('monthly', '2024-03-05')).toEqual({ period_type: 'monthly', start_date: '2024-02-01', end_date: '2024-02-29' });
+  expect(previousPayPeriod('weekly', '2024-05-06').start_date).toBe('2024-04-29');
+  expect(previousPayPeriod('biweekly', '2024-01-20').end_date).toBe('2024-01-14');
+  expect(readPayPeriodAnchor({ REACT_APP_PAY_PERIOD_ANCHOR: '2024-03-25' })).toBe('2024-03-25');
+  expect(readPayPeriodAnchor({ REACT_APP_PAY_PERIOD_ANCHOR: 'mondays' })).toBe(DEFAULT_PAY_PERIOD_ANCHOR);
+});
@@ -0,0 +1,161 @@
+import { fromISO, toISO } from './dates';
+import { formatHoursMinutes } from './timesheetStats';
+
+/**
+ * Personal display preferences, stored in profiles.preferences (jsonb) and
+ * read through AuthContext:
+ * - weekStart: first day of the week as in Date.getDay() (1 Monday, 0 Sunday, 6 Saturday)
+ * - hourFormat: 'hm' (7h 30m), 'clock' (7:30) or 'decimal' (7.5h)
+ * - dateFormat: 'locale' (the browser's), 'iso' (2024-05-06), 'dmy' (06/05/2024) or 'mdy' (05/06/2024)
+ * - calendarView: the dashboard calendar's view on load ('week' | 'month' | 'grid')
+ * - theme: 'light', 'dark' or 'system'
+ * Unknown or missing values fall back to the defaults, which match the app before preferences existed.
+ */
+
+// PUBLIC_INTERFACE
+export const WEEK_START_OPTIONS = [
+  { value: 1, label: 'Monday' },
+  { value: 0, label: 'Sunday' },
+  { value: 6, label: 'Saturday' },
+];
+
+// PUBLIC_INTERFACE
+export const HOUR_FORMATS = [
+  { value: 'hm', label: 'Hours and minutes (7h 30m)' },
+  { value: 'clock', label: 'hh:mm (7:30)' },
+  { value: 'decimal', label: 'Decimal (7.5h)' },
+];
+
+// PUBLIC_INTERFACE
+export const DATE_FORMATS = [
+  { value: 'locale', label: 'Browser default' },
+  { value: 'iso', label: 'yyyy-mm-dd' },
+  { value: 'dmy', label: 'dd/mm/yyyy' },
+  { value: 'mdy', label: 'mm/dd/yyyy' },
+];
+
+// PUBLIC_INTERFACE
+export const CALENDAR_VIEWS = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'grid', label: 'Grid' },
+];
+
+// PUBLIC_INTERFACE
+export const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'system', label: 'Match system' },
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PREFERENCES = {
+  weekStart: 1,
+  hourFormat: 'hm',
+  dateFormat: 'locale',
+  calendarView: 'week',
+  theme: 'light',
+};
+
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pick = (options, value, fallback) => (options.some((o) => o.value === value) ? value : fallback);
+
+// PUBLIC_INTERFACE
+export function normalizePreferences(raw) {
+  /** A complete preferences object from a stored (possibly partial or outdated) one. */
+  const p = raw && typeof raw === 'object' ? raw : {};
+  return {
+    weekStart: pick(WEEK_START_OPTIONS, Number(p.weekStart), DEFAULT_PREFERENCES.weekStart),
+    hourFormat: pick(HOUR_FORMATS, p.hourFormat, DEFAULT_PREFERENCES.hourFormat),
+    dateFormat: pick(DATE_FORMATS, p.dateFormat, DEFAULT_PREFERENCES.dateFormat),
+    calendarView: pick(CALENDAR_VIEWS, p.calendarView, DEFAULT_PREFERENCES.calendarView),
+    theme: pick(THEMES, p.theme, DEFAULT_PREFERENCES.theme),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatHours(hours, format = DEFAULT_PREFERENCES.hourFormat) {
+  /** Hours for display: "7h 30m" / "8h" (hm), "7:30" (clock) or "7.5h" (decimal); minutes are rounded. */
+  if (format !== 'decimal' && format !== 'clock') return formatHoursMinutes(hours);
+  const totalMinutes = Math.round(Math.abs(Number(hours) || 0) * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  const sign = Number(hours) < 0 && totalMinutes > 0 ? '-' : '';
+  if (format === 'decimal') return `${sign}${Math.round((totalMinutes / 60) * 100) / 100}h`;
+  return `${sign}${h}:${String(m).padStart(2, '0')}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDate(iso, format = DEFAULT_PREFERENCES.dateFormat) {
+  /** A yyyy-mm-dd day with its short weekday, e.g. "Mon 06/05/2024"; 'locale' uses toLocaleDateString. */
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(iso || ''))) return iso;
+  const day = String(iso).slice(0, 10);
+  const d = fromISO(day);
+  const [y, m, dd] = day.split('-');
+  if (format === 'iso') return `${SHORT_WEEKDAYS[d.getDay()]} ${day}`;
+  if (format === 'dmy') return `${SHORT_WEEKDAYS[d.getDay()]} ${dd}/${m}/${y}`;
+  if (format === 'mdy') return `${SHORT_WEEKDAYS[d.getDay()]} ${m}/${dd}/${y}`;
+  return d.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// PUBLIC_INTERFACE
+export function weekdayLabels(weekStart = DEFAULT_PREFERENCES.weekStart) {
+  /** Short weekday names in calendar column order, starting at weekStart. */
+  return Array.from({ length: 7 }, (_, i) => SHORT_WEEKDAYS[(weekStart + i) % 7]);
+}
+
+// PUBLIC_INTERFACE
+export function resolveTheme(theme, prefersDark = false) {
+  /** 'light' or 'dark' for a theme preference; 'system' follows prefersDark. */
+  if (theme === 'system') return prefersDark ? 'dark' : 'light';
+  return theme === 'dark' ? 'dark' : 'light';
+}
+
+// PUBLIC_INTERFACE
+export function todayIn(timeZone, now = new Date()) {
+  /** Today's yyyy-mm-dd in an IANA time zone; the browser's local day when it is empty or unknown. */
+  if (timeZone) {
+    try {
+      return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+    } catch {
+      // unknown zone: fall through to local time
+    }
+  }
+  return toISO(now);
+}
+
+// PUBLIC_INTERFACE
+export function zonedTime(iso, minutes = 0, timeZone) {
+  /**
+   * Epoch ms of the wall-clock time `minutes` after midnight of the day `iso` in an
+   * IANA time zone (0 is that day's midnight); the browser's local time when the zone
+   * is empty or unknown. Lets day boundaries follow the profile's zone like todayIn.
+   */
+  const [y, m, d] = String(iso).split('-').map(Number);
+  const local = new Date(y, m - 1, d, 0, minutes).getTime();
+  if (!timeZone) return local;
+  let fmt;
+  try {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  } catch {
+    return local;
+  }
+  // The zone's offset from UTC at an instant, in ms
+  const offsetAt = (ms) => {
+    const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  };
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  // Second pass settles days where the offset changes (DST)
+  return wall - offsetAt(wall - offsetAt(wall));
+}
@@ -0,0 +1,68 @@
+import {
+  DEFAULT_PREFERENCES,
+  formatDate,
+  formatHours,
+  normalizePreferences,
+  resolveTheme,
+  todayIn,
+  weekdayLabels,
+  zonedTime,
+} from './preferences';
+import { getMonthGrid, getStartOfWeek, toISO } from './dates';
+
+test('fills in missing or unknown preferences with the defaults', () => {
+  expect(normalizePreferences(null)).toEqual(DEFAULT_PREFERENCES);
+  expect(normalizePreferences({ weekStart: '0', hourFormat: 'decimal', theme: 'neon', calendarView: 'grid' })).toEqual({
+    ...DEFAULT_PREFERENCES,
+    weekStart: 0,
+    hourFormat: 'decimal',
+    calendarView: 'grid',
+  });
+  expect(normalizePreferences({ weekStart: 3 }).weekStart).toBe(1);
+});
+
+test('formats hours and dates the chosen way', () => {
+  expect(formatHours(7.5)).toBe('7h 30m');
+  expect(formatHours(7.5, 'clock')).toBe('7:30');
+  expect(formatHours(0.25, 'clock')).toBe('0:15');
+  expect(formatHours(-1.75, 'clock')).toBe('-1:45');
+  expect(formatHours(7.3333, 'decimal')).toBe('7.33h');
+  expect(formatHours(8, 'decimal')).toBe('8h');
+
+  expect(formatDate('2024-05-06', 'iso')).toBe('Mon 2024-05-06');
+  expect(formatDate('2024-05-06', 'dmy')).toBe('Mon 06/05/2024');
+  expect(formatDate('2024-05-06', 'mdy')).toBe('Mon 05/06/2024');
+  expect(formatDate('2024-05-06')).toMatch(/2024/);
+  expect(formatDate('', 'iso')).toBe('');
+});
+
+test('starts weeks and month grids on the chosen day', () => {
+  const wed = new Date(2024, 4, 8);
+  expect(toISO(getStartOfWeek(wed))).toBe('2024-05-06');
+  expect(toISO(getStartOfWeek(wed, 0))).toBe('2024-05-05');
+  expect(toISO(getStartOfWeek(wed, 6))).toBe('2024-05-04');
+  expect(toISO(getStartOfWeek(new Date(2024, 4, 5), 0))).toBe('2024-05-05');
+  expect(toISO(getMonthGrid(wed)[0])).toBe('2024-04-29');
+  expect(toISO(getMonthGrid(wed, 0)[0])).toBe('2024-04-28');
+  expect(weekdayLabels(0)).toEqual(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+  expect(weekdayLabels(6)[0]).toBe('Sat');
+});
+
+test('resolves the theme and today in a time zone', () => {
+  expect(resolveTheme('system', true)).toBe('dark');
+  expect(resolveTheme('system', false)).toBe('light');
+  expect(resolveTheme('bogus')).toBe('light');
+  const late = new Date('2024-05-06T20:00:00Z');
+  expect(todayIn('Asia/Tokyo', late)).toBe('2024-05-07');
+  expect(todayIn('America/New_York', late)).toBe('2024-05-06');
+  expect(todayIn('Not/AZone', late)).toBe(toISO(late));
+});
+
+test('turns a wall-clock time in a time zone into an instant', () => {
+  expect(zonedTime('2024-05-07', 0, 'Asia/Tokyo')).toBe(Date.UTC(2024, 4, 6, 15));
+  expect(zonedTime('2024-05-07', 18 * 60 + 30, 'America/New_York')).toBe(Date.UTC(2024, 4, 7, 22, 30));
+  // Across a DST change: New York midnight is UTC-5 in winter, UTC-4 after 10 March
+  expect(zonedTime('2024-03-10', 0, 'America/New_York')).toBe(Date.UTC(2024, 2, 10, 5));
+  expect(zonedTime('2024-03-11', 0, 'America/New_York')).toBe(Date.UTC(2024, 2, 11, 4));
+  expect(zonedTime('2024-05-07', 60, '')).toBe(new Date(2024, 4, 7, 1).getTime());
+});
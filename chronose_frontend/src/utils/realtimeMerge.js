@@ -0,0 +1,37 @@
+/**
+ * Merge realtime row events ({ type: 'insert' | 'update' | 'delete', row, old })
+ * into a list held in component state.
+ */
+
+const sameEntry = (a, b) =>
+  a.user_id === b.user_id &&
+  a.date === b.date &&
+  (a.project_id || null) === (b.project_id || null) &&
+  (a.task_id || null) === (b.task_id || null) &&
+  Number(a.hours) === Number(b.hours) &&
+  (a.notes || '') === (b.notes || '');
+
+// PUBLIC_INTERFACE
+export function mergeRowEvent(list, event, keep) {
+  /**
+   * Apply one event and return the new list (the same list when nothing changes).
+   * - delete removes the row; so does an insert/update the optional `keep(row)` rejects
+   *   (e.g. a review queue dropping rows that are no longer pending)
+   * - an insert of a row this tab is still creating replaces its optimistic tmp_ row
+   *   instead of adding a duplicate
+   * - rows with local changes waiting in the offline outbox (pending_sync) are left alone
+   */
+  const id = event.type === 'delete' ? event.old?.id : event.row?.id;
+  if (!id) return list;
+  const idx = list.findIndex((x) => x.id === id);
+  if (event.type === 'delete' || (keep && !keep(event.row))) {
+    return idx >= 0 ? list.filter((x) => x.id !== id) : list;
+  }
+  if (idx >= 0) {
+    if (list[idx].pending_sync) return list;
+    return list.map((x) => (x.id === id ? event.row : x));
+  }
+  const tmpIdx = list.findIndex((x) => String(x.id).startsWith('tmp_') && sameEntry(x, event.row));
+  if (tmpIdx >= 0) return list.map((x, i) => (i === tmpIdx ? event.row : x));
+  return [event.row, ...list];
+}
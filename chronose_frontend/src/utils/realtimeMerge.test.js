@@ -0,0 +1,30 @@
+import { mergeRowEvent } from './realtimeMerge';
+
+const row = (id, extra = {}) => ({ id, user_id: 'u1', date: '2024-05-06', project_id: 'p1', task_id: null, hours: 2, notes: '', status: 'draft', ...extra });
+
+test('adds, replaces and removes rows', () => {
+  let list = [row('e1')];
+  list = mergeRowEvent(list, { type: 'insert', row: row('e2', { date: '2024-05-07' }) });
+  expect(list.map((x) => x.id)).toEqual(['e2', 'e1']);
+  list = mergeRowEvent(list, { type: 'update', row: row('e1', { hours: 5 }) });
+  expect(list.find((x) => x.id === 'e1').hours).toBe(5);
+  list = mergeRowEvent(list, { type: 'delete', old: { id: 'e2' } });
+  expect(list.map((x) => x.id)).toEqual(['e1']);
+  const same = mergeRowEvent(list, { type: 'delete', old: { id: 'missing' } });
+  expect(same).toBe(list);
+});
+
+test('replaces the optimistic tmp_ row instead of duplicating it', () => {
+  const list = [row('tmp_123', { hours: 3 }), row('e1')];
+  const merged = mergeRowEvent(list, { type: 'insert', row: row('e9', { hours: 3 }) });
+  expect(merged.map((x) => x.id)).toEqual(['e9', 'e1']);
+});
+
+test('keeps local pending changes and honours the keep filter', () => {
+  const list = [row('e1', { hours: 4, pending_sync: true }), row('e2', { status: 'pending' })];
+  expect(mergeRowEvent(list, { type: 'update', row: row('e1', { hours: 1 }) })).toBe(list);
+  const pendingOnly = (r) => r.status === 'pending';
+  const merged = mergeRowEvent(list, { type: 'update', row: row('e2', { status: 'approved' }) }, pendingOnly);
+  expect(merged.map((x) => x.id)).toEqual(['e1']);
+  expect(mergeRowEvent(list, { type: 'insert', row: row('e3') }, pendingOnly)).toBe(list);
+});
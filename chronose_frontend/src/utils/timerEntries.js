@@ -0,0 +1,54 @@
+/**
+ * Turn checked-in timer time into draft time entries.
+ * Pure planning helpers: the caller creates the entries through the service layer.
+ */
+
+// PUBLIC_INTERFACE
+export const ENTRY_HOURS_STEP = 0.25;
+
+// PUBLIC_INTERFACE
+export function roundToStep(hours, step = ENTRY_HOURS_STEP) {
+  /** Round hours to the nearest form step (0.25h by default). */
+  return Math.round(hours / step) * step;
+}
+
+// PUBLIC_INTERFACE
+export function lastUsedProjectTask(entries = []) {
+  /** Project/task (ids and legacy text) of the most recently created (or dated) entry, for prefilling. */
+  const latest = [...entries]
+    .filter((e) => e && (e.project_id || e.task_id || e.project || e.task))
+    .sort((a, b) => String(b.created_at || b.date).localeCompare(String(a.created_at || a.date)))[0];
+  return {
+    project_id: latest?.project_id || '',
+    task_id: latest?.task_id || '',
+    project: latest?.project || '',
+    task: latest?.task || '',
+  };
+}
+
+// PUBLIC_INTERFACE
+export function planTimerEntries({ dates = [], sessionSecondsByDate = {}, entries = [], step = ENTRY_HOURS_STEP }) {
+  /**
+   * For each date, compare timer hours with hours already logged (rejected
+   * entries excluded) and propose a draft for the uncovered remainder, rounded
+   * to the form step. Returns [{ date, sessionHours, loggedHours, hours, covered }]
+   * where covered=true means nothing is left to log for that day.
+   */
+  const logged = {};
+  entries.forEach((e) => {
+    if (!e?.date || e.status === 'rejected') return;
+    logged[e.date] = (logged[e.date] || 0) + (Number(e.hours) || 0);
+  });
+  return dates.map((date) => {
+    const sessionHours = (sessionSecondsByDate[date] || 0) / 3600;
+    const loggedHours = logged[date] || 0;
+    const hours = Math.max(0, roundToStep(sessionHours - loggedHours, step));
+    return {
+      date,
+      sessionHours: Math.round(sessionHours * 100) / 100,
+      loggedHours,
+      hours,
+      covered: hours <= 0,
+    };
+  });
+}
@@ -0,0 +1,35 @@
+import { lastUsedProjectTask, planTimerEntries, roundToStep } from './timerEntries';
+
+test('rounds to the 0.25h form step', () => {
+  expect(roundToStep(7.1)).toBe(7);
+  expect(roundToStep(7.13)).toBe(7.25);
+  expect(roundToStep(0.1)).toBe(0);
+});
+
+test('proposes only the time not yet covered by logged entries', () => {
+  const plan = planTimerEntries({
+    dates: ['2024-05-06', '2024-05-07', '2024-05-08', '2024-05-09'],
+    sessionSecondsByDate: { '2024-05-06': 8 * 3600, '2024-05-07': 6.5 * 3600, '2024-05-08': 3 * 3600 },
+    entries: [
+      { date: '2024-05-06', hours: 8, status: 'draft' },
+      { date: '2024-05-07', hours: 4, status: 'pending' },
+      { date: '2024-05-08', hours: 3, status: 'rejected' },
+    ],
+  });
+  expect(plan.map((p) => [p.date, p.hours, p.covered])).toEqual([
+    ['2024-05-06', 0, true],
+    ['2024-05-07', 2.5, false],
+    ['2024-05-08', 3, false],
+    ['2024-05-09', 0, true],
+  ]);
+});
+
+test('prefills project and task from the latest entry', () => {
+  expect(
+    lastUsedProjectTask([
+      { date: '2024-05-01', project_id: 'p1', task_id: 't1', project: 'a', task: 'x', created_at: '2024-05-01T09:00:00Z' },
+      { date: '2024-04-30', project_id: 'p2', task_id: 't2', project: 'b', task: 'y', created_at: '2024-05-02T09:00:00Z' },
+    ])
+  ).toEqual({ project_id: 'p2', task_id: 't2', project: 'b', task: 'y' });
+  expect(lastUsedProjectTask([])).toEqual({ project_id: '', task_id: '', project: '', task: '' });
+});
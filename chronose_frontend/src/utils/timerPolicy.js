@@ -0,0 +1,91 @@
+import { addDays, fromISO, toISO } from './dates';
+import { todayIn, zonedTime } from './preferences';
+
+/**
+ * Auto-checkout policy for the check-in/out timer. Pure helpers: the
+ * dashboard decides when to apply them and writes through the timer store.
+ *
+ * - maxSessionHours: a running session is closed this long after it started
+ * - endOfDay: optional "HH:MM" cutoff; sessions are closed at the first
+ *   cutoff after they started
+ * - idleMinutes: inactivity (no input, or the page hidden) before the user is
+ *   asked to keep, discard or trim the idle time
+ * A value of 0 (or an empty cutoff) disables that rule.
+ *
+ * Day boundaries (the cutoff, midnight splits) follow `timeZone`, the profile's
+ * IANA zone, so they match the day check-in files a session under; the
+ * browser's local time when it is empty.
+ */
+
+// PUBLIC_INTERFACE
+export const DEFAULT_TIMER_POLICY = {
+  maxSessionHours: 12,
+  endOfDay: '',
+  idleMinutes: 30,
+};
+
+const parseCutoff = (raw) => {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(raw || '').trim());
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : '';
+};
+
+// PUBLIC_INTERFACE
+export function readTimerPolicy(env = process.env) {
+  /**
+   * Policy from REACT_APP_TIMER_MAX_SESSION_HOURS, REACT_APP_TIMER_END_OF_DAY
+   * and REACT_APP_TIMER_IDLE_MINUTES. Invalid values fall back to the defaults.
+   */
+  const read = (raw, fallback) => {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    maxSessionHours: read(env.REACT_APP_TIMER_MAX_SESSION_HOURS, DEFAULT_TIMER_POLICY.maxSessionHours),
+    endOfDay: parseCutoff(env.REACT_APP_TIMER_END_OF_DAY),
+    idleMinutes: read(env.REACT_APP_TIMER_IDLE_MINUTES, DEFAULT_TIMER_POLICY.idleMinutes),
+  };
+}
+
+const nextDay = (iso) => toISO(addDays(fromISO(iso), 1));
+
+// PUBLIC_INTERFACE
+export function autoCheckoutAt(startMs, policy = DEFAULT_TIMER_POLICY, timeZone = '') {
+  /**
+   * When a session started at startMs must be closed: { at, reason } with
+   * reason 'max' or 'cutoff', whichever comes first, or null when neither
+   * rule is enabled.
+   */
+  const candidates = [];
+  if (policy.maxSessionHours > 0) {
+    candidates.push({ at: startMs + policy.maxSessionHours * 3600 * 1000, reason: 'max' });
+  }
+  const cutoff = parseCutoff(policy.endOfDay);
+  if (cutoff) {
+    const [h, m] = cutoff.split(':').map(Number);
+    const startDay = todayIn(timeZone, new Date(startMs));
+    let at = zonedTime(startDay, h * 60 + m, timeZone);
+    if (at <= startMs) at = zonedTime(nextDay(startDay), h * 60 + m, timeZone);
+    candidates.push({ at, reason: 'cutoff' });
+  }
+  if (candidates.length === 0) return null;
+  return candidates.reduce((a, b) => (b.at < a.at ? b : a));
+}
+
+// PUBLIC_INTERFACE
+export function splitAtMidnight(startMs, endMs, timeZone = '') {
+  /**
+   * Split [startMs, endMs] at midnights in timeZone (local when empty): [{ iso, start, end }],
+   * one part per calendar date the session touches, in order.
+   */
+  const parts = [];
+  let cursor = startMs;
+  while (cursor < endMs) {
+    const iso = todayIn(timeZone, new Date(cursor));
+    const end = Math.min(endMs, zonedTime(nextDay(iso), 0, timeZone));
+    parts.push({ iso, start: cursor, end });
+    cursor = end;
+  }
+  if (parts.length === 0) parts.push({ iso: todayIn(timeZone, new Date(startMs)), start: startMs, end: Math.max(startMs, endMs) });
+  return parts;
+}
@@ -0,0 +1,48 @@
+import { DEFAULT_TIMER_POLICY, autoCheckoutAt, readTimerPolicy, splitAtMidnight } from './timerPolicy';
+
+const at = (d, h, m = 0) => new Date(2024, 4, d, h, m).getTime(); // May 2024, local time
+
+test('closes at the earlier of the max length and the end-of-day cutoff', () => {
+  expect(autoCheckoutAt(at(6, 9), { maxSessionHours: 12, endOfDay: '' })).toEqual({ at: at(6, 21), reason: 'max' });
+  expect(autoCheckoutAt(at(6, 9), { maxSessionHours: 12, endOfDay: '18:30' })).toEqual({ at: at(6, 18, 30), reason: 'cutoff' });
+  // Started after today's cutoff: the next day's cutoff applies
+  expect(autoCheckoutAt(at(6, 19), { maxSessionHours: 0, endOfDay: '18:30' })).toEqual({ at: at(7, 18, 30), reason: 'cutoff' });
+  expect(autoCheckoutAt(at(6, 9), { maxSessionHours: 0, endOfDay: '' })).toBeNull();
+});
+
+test('splits a session that crosses midnight across both dates', () => {
+  expect(splitAtMidnight(at(6, 22), at(7, 1, 30))).toEqual([
+    { iso: '2024-05-06', start: at(6, 22), end: at(7, 0) },
+    { iso: '2024-05-07', start: at(7, 0), end: at(7, 1, 30) },
+  ]);
+  expect(splitAtMidnight(at(6, 9), at(6, 17))).toEqual([{ iso: '2024-05-06', start: at(6, 9), end: at(6, 17) }]);
+});
+
+test('uses the given time zone for the cutoff and the midnight split', () => {
+  // 23:00–01:00 in Tokyo (UTC+9) is 14:00–16:00 UTC, whatever the local zone
+  const start = Date.UTC(2024, 4, 6, 14);
+  const tokyoMidnight = Date.UTC(2024, 4, 6, 15);
+  expect(splitAtMidnight(start, Date.UTC(2024, 4, 6, 16), 'Asia/Tokyo')).toEqual([
+    { iso: '2024-05-06', start, end: tokyoMidnight },
+    { iso: '2024-05-07', start: tokyoMidnight, end: Date.UTC(2024, 4, 6, 16) },
+  ]);
+  // 18:30 Tokyo time on the day the session started (09:00 Tokyo = 00:00 UTC)
+  expect(autoCheckoutAt(Date.UTC(2024, 4, 6, 0), { maxSessionHours: 0, endOfDay: '18:30' }, 'Asia/Tokyo')).toEqual({
+    at: Date.UTC(2024, 4, 6, 9, 30),
+    reason: 'cutoff',
+  });
+});
+
+test('reads the policy from env with safe fallbacks', () => {
+  expect(readTimerPolicy({})).toEqual(DEFAULT_TIMER_POLICY);
+  expect(
+    readTimerPolicy({
+      REACT_APP_TIMER_MAX_SESSION_HOURS: '10',
+      REACT_APP_TIMER_END_OF_DAY: '7:05',
+      REACT_APP_TIMER_IDLE_MINUTES: '0',
+    })
+  ).toEqual({ maxSessionHours: 10, endOfDay: '07:05', idleMinutes: 0 });
+  expect(readTimerPolicy({ REACT_APP_TIMER_END_OF_DAY: '25:00', REACT_APP_TIMER_IDLE_MINUTES: 'x' })).toEqual(
+    DEFAULT_TIMER_POLICY
+  );
+});
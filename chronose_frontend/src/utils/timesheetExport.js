@@ -0,0 +1,363 @@
+import { addDays, fromISO, getStartOfWeek, toISO } from './dates';
+import { leaveDaysOf } from './leaveRange';
+
+/**
+ * Timesheet export: time entries and leave for a date range as CSV or XLSX.
+ * Pure module: callers pass plain rows (mapRow shapes from the services) and
+ * get back a string (CSV) or bytes (XLSX); downloading is up to the UI.
+ *
+ * Rows can be grouped per day, project or task; every group is followed by a
+ * subtotal row and the table ends with a grand total. Rejected rows are
+ * exported (with their status) but left out of the totals. A multi-day leave
+ * request gives one row per day it takes, each with that day's hours.
+ */
+
+// PUBLIC_INTERFACE
+export const EXPORT_COLUMNS = [
+  'record_type',
+  'id',
+  'user_id',
+  'date',
+  'project_id',
+  'task_id',
+  'project',
+  'task',
+  'hours',
+  'notes',
+  'status',
+  'submitted_at',
+  'reviewed_by',
+  'reviewed_at',
+  'review_comment',
+  'created_at',
+  'updated_at',
+  'leave_type',
+  'leave_duration',
+];
+
+// PUBLIC_INTERFACE
+export const EXPORT_GROUPINGS = ['none', 'day', 'project', 'task'];
+
+// PUBLIC_INTERFACE
+export function exportRange(period, anchorISO, weekStart = 1) {
+  /** { from, to } (inclusive yyyy-mm-dd) of the week (starting on weekStart, default Monday) or the month containing anchorISO. */
+  const anchor = fromISO(anchorISO);
+  if (period === 'month') {
+    return {
+      from: toISO(new Date(anchor.getFullYear(), anchor.getMonth(), 1)),
+      to: toISO(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)),
+    };
+  }
+  const start = getStartOfWeek(anchor, weekStart);
+  return { from: toISO(start), to: toISO(addDays(start, 6)) };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const entryRow = (e, names) => ({
+  record_type: 'time_entry',
+  ...e,
+  project: names?.project(e) ?? e.project,
+  task: names?.task(e) ?? e.task,
+  hours: Number(e.hours) || 0,
+});
+
+const leaveRows = (l) => leaveDaysOf(l).map((d) => ({
+  record_type: 'leave',
+  id: l.id,
+  user_id: l.user_id,
+  date: d.date,
+  hours: d.hours,
+  notes: l.reason,
+  status: l.status,
+  submitted_at: l.submitted_at,
+  reviewed_by: l.reviewed_by,
+  reviewed_at: l.reviewed_at,
+  review_comment: l.review_comment,
+  created_at: l.created_at,
+  updated_at: l.updated_at,
+  leave_type: l.type,
+  leave_duration: l.duration,
+}));
+
+const groupKey = (row, groupBy) => {
+  if (groupBy === 'day') return row.date;
+  if (row.record_type === 'leave') return `Leave (${row.leave_type || 'other'})`;
+  if (groupBy === 'project') return row.project || '(no project)';
+  return [row.project || '(no project)', row.task || '(no task)'].join(' / ');
+};
+
+// PUBLIC_INTERFACE
+export function buildExportTable({ entries = [], leaves = [], from, to, groupBy = 'none', names } = {}) {
+  /**
+   * Rows for the range, sorted and grouped. Returns
+   * { columns, rows: [{ kind: 'data'|'subtotal'|'total', values }], totalHours, groups: [{ key, hours }] }.
+   * `names` may map ids to display names: { project(entry), task(entry) }.
+   */
+  const inRange = (r) => r?.date && (!from || r.date >= from) && (!to || r.date <= to);
+  const data = [
+    ...entries.filter(inRange).map((e) => entryRow(e, names)),
+    ...leaves.flatMap(leaveRows).filter(inRange),
+  ];
+  const counted = (r) => r.status !== 'rejected';
+  const byDateThenType = (a, b) => a.date.localeCompare(b.date) || a.record_type.localeCompare(b.record_type);
+  const totalHours = round2(data.filter(counted).reduce((acc, r) => acc + r.hours, 0));
+
+  if (!EXPORT_GROUPINGS.includes(groupBy) || groupBy === 'none') {
+    const rows = data.sort(byDateThenType).map((values) => ({ kind: 'data', values }));
+    rows.push({ kind: 'total', values: { record_type: 'total', hours: totalHours } });
+    return { columns: EXPORT_COLUMNS, rows, totalHours, groups: [] };
+  }
+
+  const groups = new Map();
+  data.forEach((r) => {
+    const key = groupKey(r, groupBy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+  const rows = [];
+  const summary = [];
+  [...groups.keys()].sort().forEach((key) => {
+    const items = groups.get(key).sort(byDateThenType);
+    const hours = round2(items.filter(counted).reduce((acc, r) => acc + r.hours, 0));
+    items.forEach((values) => rows.push({ kind: 'data', values }));
+    const label = groupBy === 'day' ? { date: key } : groupBy === 'project' ? { project: key } : { task: key };
+    rows.push({ kind: 'subtotal', values: { record_type: 'subtotal', ...label, hours } });
+    summary.push({ key, hours });
+  });
+  rows.push({ kind: 'total', values: { record_type: 'total', hours: totalHours } });
+  return { columns: EXPORT_COLUMNS, rows, totalHours, groups: summary };
+}
+
+// Cells Excel would evaluate as a formula (CSV injection) when they start with these
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// PUBLIC_INTERFACE
+export function csvCell(value) {
+  /**
+   * One CSV field, safe for Excel: numbers stay numbers, text that would start
+   * a formula is prefixed with an apostrophe, and fields containing quotes,
+   * commas or line breaks are quoted with doubled quotes.
+   */
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let s = String(value);
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// PUBLIC_INTERFACE
+export function toCSV(table) {
+  /** CSV text with a UTF-8 BOM (so Excel detects the encoding) and CRLF line endings. */
+  const lines = [table.columns.map(csvCell).join(',')];
+  table.rows.forEach((r) => lines.push(table.columns.map((c) => csvCell(r.values[c])).join(',')));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// ========= XLSX (Office Open XML in a stored zip) =========
+
+// Characters not allowed in XML 1.0 are dropped
+// eslint-disable-next-line no-control-regex
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const xmlEscape = (s) => String(s)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const colName = (i) => {
+  let n = i + 1;
+  let name = '';
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    name = String.fromCharCode(65 + m) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+const cellXml = (ref, value, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+const sheetXml = (header, rows) => {
+  const all = [{ cells: header, style: 1 }, ...rows];
+  const body = all.map((r, ri) => {
+    const cells = r.cells.map((v, ci) => cellXml(`${colName(ci)}${ri + 1}`, v, r.style)).join('');
+    return `<row r="${ri + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${body}</sheetData></worksheet>`;
+};
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// UTF-8 bytes of a string (TextEncoder is not available in every test environment)
+const utf8 = (str) => {
+  const out = [];
+  for (const ch of str) {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x80) out.push(cp);
+    else if (cp < 0x800) out.push(0xc0 | (cp >> 6), 0x80 | (cp & 63));
+    else if (cp < 0x10000) out.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+    else out.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 63), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+  }
+  return Uint8Array.from(out);
+};
+
+// Minimal zip writer (no compression) — enough for an .xlsx container
+const zip = (files) => {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBytes = utf8(name);
+    const data = utf8(content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 0x21, true); // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint16(12, 0, true);
+    dir.setUint16(14, 0x21, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(new Uint8Array(dir.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const centralSize = central.reduce((a, c) => a + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+  let pos = 0;
+  parts.forEach((p) => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+};
+
+// PUBLIC_INTERFACE
+export function toXLSX(table, { sheetName = 'Timesheet' } = {}) {
+  /**
+   * XLSX workbook bytes: the table on the first sheet (subtotal/total rows in
+   * bold) and, when grouped, a "Totals" sheet with one row per group.
+   */
+  const sheets = [{
+    name: sheetName,
+    xml: sheetXml(table.columns, table.rows.map((r) => ({
+      cells: table.columns.map((c) => r.values[c]),
+      style: r.kind === 'data' ? 0 : 1,
+    }))),
+  }];
+  if (table.groups.length > 0) {
+    sheets.push({
+      name: 'Totals',
+      xml: sheetXml(['group', 'hours'], [
+        ...table.groups.map((g) => ({ cells: [g.key, g.hours] })),
+        { cells: ['total', table.totalHours], style: 1 },
+      ]),
+    });
+  }
+  const safeName = (n) => xmlEscape(n.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${sheets.map((s, i) => `<sheet name="${safeName(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: s.xml })),
+  ];
+  return zip(files);
+}
+
+// PUBLIC_INTERFACE
+export function exportFileName(from, to, ext) {
+  /** e.g. timesheet_2024-05-06_2024-05-12.csv */
+  return `timesheet_${from}_${to}.${ext}`;
+}
@@ -0,0 +1,67 @@
+import { buildExportTable, csvCell, exportRange, toCSV, toXLSX } from './timesheetExport';
+
+const entries = [
+  { id: 'e1', date: '2024-05-07', project: 'chronose', task: 'testing', hours: 2, status: 'draft' },
+  { id: 'e2', date: '2024-05-06', project: 'chronose', task: 'planning', hours: 6.5, status: 'approved' },
+  { id: 'e3', date: '2024-05-06', project: 'billing', task: 'meetings', hours: 1, status: 'rejected' },
+  { id: 'e4', date: '2024-05-20', project: 'chronose', task: 'planning', hours: 8, status: 'draft' },
+];
+const leaves = [{ id: 'l1', date: '2024-05-08', type: 'sick', duration: 'full', hours: 8, reason: 'Flu', status: 'approved' }];
+
+test('computes week and month ranges', () => {
+  expect(exportRange('week', '2024-05-08')).toEqual({ from: '2024-05-06', to: '2024-05-12' });
+  expect(exportRange('week', '2024-05-08', 0)).toEqual({ from: '2024-05-05', to: '2024-05-11' });
+  expect(exportRange('month', '2024-02-10')).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+});
+
+test('escapes cells for Excel', () => {
+  expect(csvCell(7.5)).toBe('7.5');
+  expect(csvCell(null)).toBe('');
+  expect(csvCell('plain')).toBe('plain');
+  expect(csvCell('a, b')).toBe('"a, b"');
+  expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(csvCell('two\nlines')).toBe('"two\nlines"');
+  expect(csvCell('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+  expect(csvCell('-1+1')).toBe("'-1+1");
+  expect(csvCell('@cmd, x')).toBe('"\'@cmd, x"');
+});
+
+test('groups rows per project with subtotals and leaves rejected rows out of totals', () => {
+  const table = buildExportTable({ entries, leaves, from: '2024-05-06', to: '2024-05-12', groupBy: 'project' });
+  expect(table.rows.map((r) => [r.kind, r.values.id || r.values.project || r.values.record_type, r.values.hours])).toEqual([
+    ['data', 'l1', 8],
+    ['subtotal', 'Leave (sick)', 8],
+    ['data', 'e3', 1],
+    ['subtotal', 'billing', 0],
+    ['data', 'e2', 6.5],
+    ['data', 'e1', 2],
+    ['subtotal', 'chronose', 8.5],
+    ['total', 'total', 16.5],
+  ]);
+  expect(table.groups).toEqual([
+    { key: 'Leave (sick)', hours: 8 },
+    { key: 'billing', hours: 0 },
+    { key: 'chronose', hours: 8.5 },
+  ]);
+});
+
+test('writes CSV with a BOM, the header row and CRLF line endings', () => {
+  const csv = toCSV(buildExportTable({ entries: entries.slice(0, 1), from: '2024-05-06', to: '2024-05-12' }));
+  const lines = csv.slice(1).split('\r\n');
+  expect(csv.charCodeAt(0)).toBe(0xfeff);
+  expect(lines[0].startsWith('record_type,id,user_id,date,project_id,task_id,project,task,hours')).toBe(true);
+  expect(lines[1].startsWith('time_entry,e1,,2024-05-07,,,chronose,testing,2,')).toBe(true);
+  expect(lines[2].startsWith('total,,,,,,,,2,')).toBe(true);
+});
+
+test('writes an XLSX zip with escaped inline strings', () => {
+  const bytes = toXLSX(
+    buildExportTable({ entries: [{ ...entries[0], notes: 'a < b & "c"' }], groupBy: 'day' })
+  );
+  const text = String.fromCharCode(...bytes);
+  expect(text.slice(0, 4)).toBe('PK\u0003\u0004');
+  expect(text).toContain('xl/worksheets/sheet1.xml');
+  expect(text).toContain('xl/worksheets/sheet2.xml');
+  expect(text).toContain('a &lt; b &amp; &quot;c&quot;');
+  expect(text).toContain('<sheet name="Totals"');
+});
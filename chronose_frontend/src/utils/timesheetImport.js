@@ -0,0 +1,182 @@
+/**
+ * Timesheet import: turn a CSV from another tool into time entry drafts.
+ * Pure module: parse the text, map columns to entry fields, then check every
+ * row (validation is injected, so this stays free of the service layer) and
+ * flag duplicates of existing entries or of earlier rows in the same file.
+ */
+
+// PUBLIC_INTERFACE
+export const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'work date', 'entry date'] },
+  { key: 'project', label: 'Project', required: false, aliases: ['project', 'project code', 'project name', 'client'] },
+  { key: 'task', label: 'Task', required: false, aliases: ['task', 'task code', 'task name', 'activity'] },
+  { key: 'hours', label: 'Hours', required: true, aliases: ['hours', 'duration', 'time', 'hours worked'] },
+  { key: 'notes', label: 'Notes', required: false, aliases: ['notes', 'note', 'description', 'comment'] },
+];
+
+// PUBLIC_INTERFACE
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// PUBLIC_INTERFACE
+export function parseCSV(text) {
+  /**
+   * Parse CSV text into rows of strings. Handles a UTF-8 BOM, quoted fields
+   * with doubled quotes and line breaks, CRLF/LF endings, and picks the
+   * delimiter (comma, semicolon or tab) from the first line. Blank lines are dropped.
+   */
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map((d) => ({ d, n: firstLine.split(d).length }))
+    .reduce((a, b) => (b.n > a.n ? b : a)).d;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+// PUBLIC_INTERFACE
+export function guessMapping(headers) {
+  /** { [field]: column index or -1 } matched on common header names (case-insensitive). */
+  const normalized = headers.map((h) => String(h).trim().toLowerCase().replace(/[_-]+/g, ' '));
+  return Object.fromEntries(IMPORT_FIELDS.map((f) => [f.key, normalized.findIndex((h) => f.aliases.includes(h))]));
+}
+
+// PUBLIC_INTERFACE
+export function parseDateValue(raw, format = 'YYYY-MM-DD') {
+  /** yyyy-mm-dd for a date in the given format, or '' when it is not a real date. */
+  const s = String(raw || '').trim();
+  let y;
+  let m;
+  let d;
+  if (format === 'YYYY-MM-DD') {
+    const hit = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+    if (!hit) return '';
+    [, y, m, d] = hit.map(Number);
+  } else {
+    const hit = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(s);
+    if (!hit) return '';
+    const [, a, b, year] = hit.map(Number);
+    y = year;
+    [d, m] = format === 'DD/MM/YYYY' ? [a, b] : [b, a];
+  }
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return '';
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseHoursValue(raw) {
+  /** Hours from "7.5", "7,5" or "7:30"; '' when empty, NaN when unreadable. */
+  const s = String(raw ?? '').trim();
+  if (s === '') return '';
+  const hm = /^(\d+):([0-5]\d)$/.exec(s);
+  if (hm) return Number(hm[1]) + Number(hm[2]) / 60;
+  return /^-?\d+([.,]\d+)?$/.test(s) ? Number(s.replace(',', '.')) : NaN;
+}
+
+const norm = (s) => String(s || '').trim().toLowerCase();
+
+// PUBLIC_INTERFACE
+export function resolveProjectTask(projects, projectText, taskText) {
+  /**
+   * Match project/task text (code or name, case-insensitive) against the
+   * catalog. Returns { project_id, task_id, errors } — ids are '' when blank.
+   */
+  const errors = {};
+  let projectId = '';
+  let taskId = '';
+  if (norm(projectText)) {
+    const p = projects.find((x) => norm(x.code) === norm(projectText) || norm(x.name) === norm(projectText));
+    if (!p) errors.project = `Unknown project "${String(projectText).trim()}".`;
+    else projectId = p.id;
+    if (p && norm(taskText)) {
+      const t = p.tasks.find((x) => norm(x.code) === norm(taskText) || norm(x.name) === norm(taskText));
+      if (!t) errors.task = `Unknown task "${String(taskText).trim()}" for this project.`;
+      else taskId = t.id;
+    }
+  } else if (norm(taskText)) {
+    errors.task = 'A task needs a project.';
+  }
+  return { project_id: projectId, task_id: taskId, errors };
+}
+
+const dupKey = (v) => [v.date, v.project_id || '', v.task_id || ''].join('|');
+
+// PUBLIC_INTERFACE
+export function prepareImportRows({
+  rows,
+  mapping,
+  dateFormat = 'YYYY-MM-DD',
+  projects = [],
+  existing = [],
+  validate,
+}) {
+  /**
+   * Check data rows (header excluded). Returns one item per row:
+   * { line, raw, values: { date, project_id, task_id, hours, notes }, errors, duplicate, valid }.
+   * `line` is the 1-based row number in the file (header = 1, blank lines skipped). `validate(values, projects)`
+   * is the entry validator ({ errors }); duplicates are rows matching an existing
+   * (non-rejected) entry or an earlier row on the same date/project/task.
+   */
+  const seen = new Set(existing.filter((e) => e.status !== 'rejected').map(dupKey));
+  const cell = (r, key) => (mapping[key] >= 0 ? r[mapping[key]] ?? '' : '');
+  return rows.map((r, i) => {
+    const rawDate = cell(r, 'date');
+    const rawHours = cell(r, 'hours');
+    const resolved = resolveProjectTask(projects, cell(r, 'project'), cell(r, 'task'));
+    const values = {
+      date: parseDateValue(rawDate, dateFormat),
+      project_id: resolved.project_id,
+      task_id: resolved.task_id,
+      hours: parseHoursValue(rawHours),
+      notes: String(cell(r, 'notes')).trim(),
+    };
+    const errors = { ...(validate ? validate(values, projects).errors : {}), ...resolved.errors };
+    if (!values.date && String(rawDate).trim()) errors.date = `"${String(rawDate).trim()}" is not a ${dateFormat} date.`;
+    const valid = Object.keys(errors).length === 0;
+    const key = dupKey(values);
+    const duplicate = valid && seen.has(key);
+    if (valid) seen.add(key);
+    return {
+      line: i + 2,
+      raw: { date: rawDate, project: cell(r, 'project'), task: cell(r, 'task'), hours: rawHours, notes: cell(r, 'notes') },
+      values,
+      errors,
+      duplicate,
+      valid,
+    };
+  });
+}
@@ -0,0 +1,66 @@
+import { guessMapping, parseCSV, parseDateValue, parseHoursValue, prepareImportRows } from './timesheetImport';
+
+const projects = [
+  {
+    id: 'p1',
+    code: 'chronose',
+    name: 'Chronose',
+    archived: false,
+    tasks: [{ id: 't1', code: 'planning', name: 'Planning', archived: false }],
+  },
+];
+
+test('parses quoted fields, BOM, CRLF and semicolon-delimited files', () => {
+  expect(parseCSV('\uFEFFdate,notes\r\n2024-05-06,"a, ""b""\nc"\r\n\r\n')).toEqual([
+    ['date', 'notes'],
+    ['2024-05-06', 'a, "b"\nc'],
+  ]);
+  expect(parseCSV('Date;Hours\n06/05/2024;7,5')).toEqual([['Date', 'Hours'], ['06/05/2024', '7,5']]);
+});
+
+test('guesses the column mapping from header names', () => {
+  expect(guessMapping(['Work_Date', 'Project', 'Activity', 'Duration', 'x'])).toEqual({
+    date: 0,
+    project: 1,
+    task: 2,
+    hours: 3,
+    notes: -1,
+  });
+});
+
+test('parses dates in the chosen format and hours as decimals or h:mm', () => {
+  expect(parseDateValue('2024-05-06')).toBe('2024-05-06');
+  expect(parseDateValue('06/05/2024', 'DD/MM/YYYY')).toBe('2024-05-06');
+  expect(parseDateValue('05/06/2024', 'MM/DD/YYYY')).toBe('2024-05-06');
+  expect(parseDateValue('2024-02-30')).toBe('');
+  expect(parseHoursValue('7,5')).toBe(7.5);
+  expect(parseHoursValue('7:45')).toBe(7.75);
+  expect(parseHoursValue('')).toBe('');
+  expect(parseHoursValue('abc')).toBeNaN();
+});
+
+test('reports per-row errors and flags duplicates of existing entries and earlier rows', () => {
+  const validate = (v) => ({ errors: v.hours === '' || Number.isNaN(v.hours) ? { hours: 'bad hours' } : {} });
+  const rows = [
+    ['2024-05-06', 'chronose', 'planning', '8', ''],
+    ['2024-05-07', 'Chronose', 'Planning', '4', 'x'],
+    ['2024-05-07', 'chronose', 'planning', '2', 'again'],
+    ['2024-05-08', 'unknown', '', '1', ''],
+    ['not a date', '', '', 'abc', ''],
+  ];
+  const result = prepareImportRows({
+    rows,
+    mapping: { date: 0, project: 1, task: 2, hours: 3, notes: 4 },
+    projects,
+    existing: [{ date: '2024-05-06', project_id: 'p1', task_id: 't1', status: 'approved' }],
+    validate,
+  });
+  expect(result.map((r) => [r.line, r.valid, r.duplicate, Object.keys(r.errors)])).toEqual([
+    [2, true, true, []],
+    [3, true, false, []],
+    [4, true, true, []],
+    [5, false, false, ['project']],
+    [6, false, false, ['hours', 'date']],
+  ]);
+  expect(result[1].values).toEqual({ date: '2024-05-07', project_id: 'p1', task_id: 't1', hours: 4, notes: 'x' });
+});
@@ -0,0 +1,241 @@
+/**
+ * Pure aggregation of timesheet data into the summary numbers shown on the
+ * dashboards. No React, storage or network access: callers pass plain rows.
+ *
+ * Worked hours per day come from logged time entries; days without entries
+ * fall back to checked-in timer time, so the same work is never counted twice.
+ */
+
+import { leaveDaysOf, leaveSpanDays } from './leaveRange';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_WORK_STANDARD = {
+  dailyHours: 8,
+  weeklyHours: 40,
+};
+
+// PUBLIC_INTERFACE
+export function readWorkStandard(env = process.env) {
+  /**
+   * Work standard from REACT_APP_STANDARD_DAILY_HOURS / REACT_APP_STANDARD_WEEKLY_HOURS.
+   * Empty or invalid values fall back to the defaults; "0" disables that limit.
+   */
+  const read = (raw, fallback) => {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    dailyHours: read(env.REACT_APP_STANDARD_DAILY_HOURS, DEFAULT_WORK_STANDARD.dailyHours),
+    weeklyHours: read(env.REACT_APP_STANDARD_WEEKLY_HOURS, DEFAULT_WORK_STANDARD.weeklyHours),
+  };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const monthPrefix = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}-`;
+
+// Key of the week holding an ISO day (yyyy-mm-dd): its first day, weeks starting on
+// weekStart (0=Sun .. 6=Sat). Computed in UTC to avoid DST drift
+const weekKey = (iso, weekStart = 1) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  const t = Date.UTC(y, m - 1, d);
+  const offset = (new Date(t).getUTCDay() - weekStart + 7) % 7;
+  return new Date(t - offset * 86400000).toISOString().slice(0, 10);
+};
+
+// PUBLIC_INTERFACE
+export function sessionSeconds(sessions = []) {
+  /** Sum of completed {start, end} (ms) sessions in whole seconds. */
+  return sessions.reduce((acc, s) => acc + Math.max(0, Math.floor((s.end - s.start) / 1000)), 0);
+}
+
+// PUBLIC_INTERFACE
+export function workedHoursByDate({ entries = [], sessionSecondsByDate = {} } = {}) {
+  /**
+   * Map of yyyy-mm-dd -> worked hours. Rejected entries are ignored.
+   * A day with any logged entry uses the entries; otherwise its timer seconds.
+   */
+  const byDate = {};
+  entries.forEach((e) => {
+    if (!e?.date || e.status === 'rejected') return;
+    const h = Number(e.hours) || 0;
+    byDate[e.date] = (byDate[e.date] || 0) + h;
+  });
+  Object.entries(sessionSecondsByDate).forEach(([iso, secs]) => {
+    if (byDate[iso] === undefined && secs > 0) byDate[iso] = secs / 3600;
+  });
+  return byDate;
+}
+
+// PUBLIC_INTERFACE
+export function computeOvertime(hoursByDate, standard = DEFAULT_WORK_STANDARD, weekStart = 1) {
+  /**
+   * Overtime for a set of days: the larger of the daily method (hours above
+   * dailyHours on each day) and the weekly method (hours above weeklyHours in
+   * each week, weeks starting on weekStart: 0=Sun .. 6=Sat, default Monday).
+   * A limit of 0 disables that method.
+   */
+  const { dailyHours, weeklyHours } = standard;
+  let daily = 0;
+  const weeks = {};
+  Object.entries(hoursByDate).forEach(([iso, h]) => {
+    if (dailyHours > 0) daily += Math.max(0, h - dailyHours);
+    const k = weekKey(iso, weekStart);
+    weeks[k] = (weeks[k] || 0) + h;
+  });
+  const weekly = weeklyHours > 0
+    ? Object.values(weeks).reduce((acc, h) => acc + Math.max(0, h - weeklyHours), 0)
+    : 0;
+  return round2(Math.max(daily, weekly));
+}
+
+// PUBLIC_INTERFACE
+export function computeMonthStats({
+  year,
+  month,
+  entries = [],
+  leaves = [],
+  sessionSecondsByDate = {},
+  standard = DEFAULT_WORK_STANDARD,
+  leaveStatuses = ['pending', 'approved'],
+  weekStart = 1,
+}) {
+  /**
+   * Summary for a calendar month (month is 0-based, like Date#getMonth).
+   * Returns { totalHours, workingDays, avgHoursPerDay, overtimeHours,
+   *           leaveCount, leaveHours, leaveDays, hoursByDate }.
+   * Weekly overtime uses weeks starting on weekStart (0=Sun .. 6=Sat, default Monday);
+   * weeks straddling the month boundary only count their in-month days.
+   */
+  const prefix = monthPrefix(year, month);
+  const all = workedHoursByDate({ entries, sessionSecondsByDate });
+  const hoursByDate = Object.fromEntries(
+    Object.entries(all).filter(([iso, h]) => iso.startsWith(prefix) && h > 0)
+  );
+
+  const totalHours = Object.values(hoursByDate).reduce((a, h) => a + h, 0);
+  const workingDays = Object.keys(hoursByDate).length;
+
+  // Multi-day requests only count the days they take inside the month
+  const monthLeaveDays = leaves
+    .filter((l) => leaveStatuses.includes(l?.status || 'draft'))
+    .map((l) => leaveDaysOf(l).filter((d) => d.date.startsWith(prefix)))
+    .filter((days) => days.length > 0);
+  const leaveHours = monthLeaveDays.flat().reduce((a, d) => a + d.hours, 0);
+
+  return {
+    totalHours: round2(totalHours),
+    workingDays,
+    avgHoursPerDay: workingDays ? round2(totalHours / workingDays) : 0,
+    overtimeHours: computeOvertime(hoursByDate, standard, weekStart),
+    leaveCount: monthLeaveDays.length,
+    leaveHours: round2(leaveHours),
+    leaveDays: standard.dailyHours > 0 ? round2(leaveHours / standard.dailyHours) : 0,
+    hoursByDate,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatHoursMinutes(hours) {
+  /** "7h 30m", "8h" or "0h": minutes are rounded, never truncated to whole hours. */
+  const totalMinutes = Math.round(Math.abs(Number(hours) || 0) * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  const sign = Number(hours) < 0 && totalMinutes > 0 ? '-' : '';
+  return m ? `${sign}${h}h ${m}m` : `${sign}${h}h`;
+}
+
+// Status that needs the user's attention first when a day mixes several
+const STATUS_PRIORITY = ['rejected', 'draft', 'pending', 'approved'];
+
+// PUBLIC_INTERFACE
+export function summarizeDays({ entries = [], leaves = [], sessionSecondsByDate = {} } = {}) {
+  /**
+   * Calendar cell summary per day, only for days with entries, leave or timer time:
+   * { [iso]: { loggedHours, entryCount, status, statusCounts, leaves: [{ id, type, duration, hours, status }],
+   *            timerHours, timerDelta } }
+   * loggedHours leaves rejected entries out; status is the entries' status that needs
+   * attention first (rejected > draft > pending > approved), null without entries.
+   * timerDelta = loggedHours - timerHours, null when the day has no timer time.
+   * A multi-day leave request appears on every day of its range with that day's hours,
+   * `span` ('start' | 'middle' | 'end') and `skipped` for weekends and holidays it does not take.
+   */
+  const days = {};
+  const day = (iso) => {
+    if (!days[iso]) {
+      days[iso] = { loggedHours: 0, entryCount: 0, status: null, statusCounts: {}, leaves: [], timerHours: 0, timerDelta: null };
+    }
+    return days[iso];
+  };
+  entries.forEach((e) => {
+    if (!e?.date) return;
+    const d = day(e.date);
+    const status = e.status || 'draft';
+    d.entryCount += 1;
+    d.statusCounts[status] = (d.statusCounts[status] || 0) + 1;
+    if (status !== 'rejected') d.loggedHours = round2(d.loggedHours + (Number(e.hours) || 0));
+  });
+  leaves.forEach((l) => {
+    if (!l?.date) return;
+    const base = { id: l.id, type: l.type, duration: l.duration, hours: l.hours, status: l.status || 'draft' };
+    const span = leaveSpanDays(l);
+    if (span.length === 0) {
+      day(l.date).leaves.push(base);
+      return;
+    }
+    span.forEach((d) => {
+      day(d.date).leaves.push({ ...base, hours: d.hours, span: d.span, skipped: d.skipped });
+    });
+  });
+  Object.entries(sessionSecondsByDate).forEach(([iso, secs]) => {
+    if (secs > 0) day(iso).timerHours = round2(secs / 3600);
+  });
+  Object.values(days).forEach((d) => {
+    d.status = STATUS_PRIORITY.find((s) => d.statusCounts[s]) || null;
+    d.timerDelta = d.timerHours > 0 ? round2(d.loggedHours - d.timerHours) : null;
+  });
+  return days;
+}
+
+// PUBLIC_INTERFACE
+export const MAX_HOURS_PER_DAY = 24;
+
+const countsTowardDay = (item) => item.status !== 'rejected';
+
+// PUBLIC_INTERFACE
+export function loggedHoursOn(entries, iso, { excludeId = null, addHours = 0 } = {}) {
+  /**
+   * Work hours logged on one day, rejected entries left out. `excludeId` drops the
+   * entry being edited and `addHours` adds hours not saved yet, which gives the
+   * day's total as it would be after saving the form.
+   */
+  const saved = entries
+    .filter((e) => e?.date === iso && e.id !== excludeId && countsTowardDay(e))
+    .reduce((acc, e) => acc + (Number(e.hours) || 0), 0);
+  return round2(saved + (Number(addHours) || 0));
+}
+
+// PUBLIC_INTERFACE
+export function dayBreakdown({ entries = [], leaves = [], iso } = {}) {
+  /**
+   * The entry panel's day summary: every entry and leave request on `iso` with
+   * a running total, work first then leave (a multi-day request with the hours it takes that day).
+   * Returns { rows: [{ kind: 'entry' | 'leave', item, hours, counted, running }],
+   *           workHours, leaveHours, totalHours }.
+   * Rejected items are listed but not counted.
+   */
+  let running = 0;
+  const toRow = (kind, item, hours) => {
+    const counted = countsTowardDay(item);
+    if (counted) running = round2(running + hours);
+    return { kind, item, hours, counted, running };
+  };
+  const work = entries.filter((e) => e?.date === iso).map((e) => toRow('entry', e, Number(e.hours) || 0));
+  const workHours = running;
+  const leave = leaves
+    .map((l) => ({ l, taken: leaveDaysOf(l).find((d) => d.date === iso) }))
+    .filter(({ taken }) => taken)
+    .map(({ l, taken }) => toRow('leave', l, taken.hours));
+  return { rows: [...work, ...leave], workHours, leaveHours: round2(running - workHours), totalHours: running };
+}
@@ -0,0 +1,171 @@
+import {
+  DEFAULT_WORK_STANDARD,
+  MAX_HOURS_PER_DAY,
+  computeMonthStats,
+  computeOvertime,
+  dayBreakdown,
+  formatHoursMinutes,
+  loggedHoursOn,
+  readWorkStandard,
+  sessionSeconds,
+  summarizeDays,
+  workedHoursByDate,
+} from './timesheetStats';
+
+const entry = (date, hours, status = 'draft') => ({ date, hours, status });
+
+test('sums completed timer sessions in whole seconds', () => {
+  expect(sessionSeconds([{ start: 0, end: 90500 }, { start: 1000, end: 500 }])).toBe(90);
+});
+
+test('prefers logged entries over timer time for the same day and skips rejected rows', () => {
+  const byDate = workedHoursByDate({
+    entries: [entry('2024-05-06', 3), entry('2024-05-06', 2.5), entry('2024-05-07', 8, 'rejected')],
+    sessionSecondsByDate: { '2024-05-06': 36000, '2024-05-07': 7200 },
+  });
+  expect(byDate).toEqual({ '2024-05-06': 5.5, '2024-05-07': 2 });
+});
+
+test('computes month totals, averages and leave for the requested month only', () => {
+  const stats = computeMonthStats({
+    year: 2024,
+    month: 4, // May
+    entries: [entry('2024-05-06', 8), entry('2024-05-07', 6), entry('2024-04-30', 8)],
+    leaves: [
+      { date: '2024-05-10', hours: 8, status: 'approved' },
+      { date: '2024-05-13', hours: 4, status: 'pending' },
+      { date: '2024-05-14', hours: 8, status: 'rejected' },
+      { date: '2024-06-03', hours: 8, status: 'approved' },
+    ],
+    sessionSecondsByDate: { '2024-05-08': 5400 },
+  });
+  expect(stats.totalHours).toBe(15.5);
+  expect(stats.workingDays).toBe(3);
+  expect(stats.avgHoursPerDay).toBe(5.17);
+  expect(stats.overtimeHours).toBe(0);
+  expect(stats.leaveCount).toBe(2);
+  expect(stats.leaveHours).toBe(12);
+  expect(stats.leaveDays).toBe(1.5);
+});
+
+test('returns zeros for an empty month', () => {
+  expect(computeMonthStats({ year: 2024, month: 1 })).toMatchObject({
+    totalHours: 0,
+    workingDays: 0,
+    avgHoursPerDay: 0,
+    overtimeHours: 0,
+    leaveCount: 0,
+  });
+});
+
+test('overtime takes the larger of the daily and weekly methods', () => {
+  // Mon–Fri 9h each: daily method 5h, weekly method 5h
+  const week = { '2024-05-06': 9, '2024-05-07': 9, '2024-05-08': 9, '2024-05-09': 9, '2024-05-10': 9 };
+  expect(computeOvertime(week)).toBe(5);
+  // 12h + 10h days inside a 30h week: daily 6h beats weekly 0h
+  expect(computeOvertime({ '2024-05-06': 12, '2024-05-07': 10, '2024-05-08': 8 })).toBe(6);
+  // Six 8h days: weekly 8h beats daily 0h
+  const sixDays = { '2024-05-06': 8, '2024-05-07': 8, '2024-05-08': 8, '2024-05-09': 8, '2024-05-10': 8, '2024-05-11': 8 };
+  expect(computeOvertime(sixDays)).toBe(8);
+  // Weekly limit disabled
+  expect(computeOvertime(sixDays, { dailyHours: 8, weeklyHours: 0 })).toBe(0);
+});
+
+test('weekly overtime follows the first day of the week', () => {
+  // Sun 10h then Mon–Fri 8h: one 50h week from Sunday, but 10h + 40h split at Monday
+  const days = { '2024-05-05': 10, '2024-05-06': 8, '2024-05-07': 8, '2024-05-08': 8, '2024-05-09': 8, '2024-05-10': 8 };
+  expect(computeOvertime(days)).toBe(2);
+  expect(computeOvertime(days, DEFAULT_WORK_STANDARD, 0)).toBe(10);
+  expect(computeMonthStats({ year: 2024, month: 4, entries: Object.entries(days).map(([d, h]) => entry(d, h)), weekStart: 0 }).overtimeHours).toBe(10);
+});
+
+test('reads the work standard from env with safe fallbacks', () => {
+  expect(readWorkStandard({})).toEqual(DEFAULT_WORK_STANDARD);
+  expect(readWorkStandard({ REACT_APP_STANDARD_DAILY_HOURS: '7.5', REACT_APP_STANDARD_WEEKLY_HOURS: '37.5' })).toEqual({
+    dailyHours: 7.5,
+    weeklyHours: 37.5,
+  });
+  expect(readWorkStandard({ REACT_APP_STANDARD_DAILY_HOURS: 'abc', REACT_APP_STANDARD_WEEKLY_HOURS: '-1' })).toEqual(
+    DEFAULT_WORK_STANDARD
+  );
+});
+
+test('formats hours with minutes instead of truncating', () => {
+  expect(formatHoursMinutes(7.5)).toBe('7h 30m');
+  expect(formatHoursMinutes(8)).toBe('8h');
+  expect(formatHoursMinutes(0.999)).toBe('1h');
+  expect(formatHoursMinutes(0)).toBe('0h');
+  expect(formatHoursMinutes(-1.25)).toBe('-1h 15m');
+});
+
+test('summarizes each calendar day: logged hours, status, leave and timer comparison', () => {
+  const days = summarizeDays({
+    entries: [entry('2024-05-06', 3, 'approved'), entry('2024-05-06', 2.5, 'draft'), entry('2024-05-07', 8, 'rejected')],
+    leaves: [{ id: 'l1', date: '2024-05-08', type: 'sick', duration: 'full', hours: 8, status: 'pending' }],
+    sessionSecondsByDate: { '2024-05-06': 6 * 3600, '2024-05-09': 1800, '2024-05-10': 0 },
+  });
+  expect(days['2024-05-06']).toMatchObject({ loggedHours: 5.5, entryCount: 2, status: 'draft', timerHours: 6, timerDelta: -0.5 });
+  expect(days['2024-05-07']).toMatchObject({ loggedHours: 0, status: 'rejected', timerDelta: null });
+  expect(days['2024-05-08'].leaves).toEqual([{ id: 'l1', type: 'sick', duration: 'full', hours: 8, status: 'pending' }]);
+  expect(days['2024-05-09']).toMatchObject({ loggedHours: 0, status: null, timerHours: 0.5, timerDelta: -0.5 });
+  expect(days['2024-05-10']).toBeUndefined();
+});
+
+test('totals a day as it would be after saving the form', () => {
+  const entries = [
+    { id: 'a', date: '2024-05-06', hours: 8, status: 'approved' },
+    { id: 'b', date: '2024-05-06', hours: 6, status: 'draft' },
+    { id: 'c', date: '2024-05-06', hours: 5, status: 'rejected' },
+    { id: 'd', date: '2024-05-07', hours: 9, status: 'draft' },
+  ];
+  expect(loggedHoursOn(entries, '2024-05-06')).toBe(14);
+  expect(loggedHoursOn(entries, '2024-05-06', { addHours: '10.5' })).toBe(24.5);
+  expect(loggedHoursOn(entries, '2024-05-06', { excludeId: 'b', addHours: 2 })).toBe(10);
+  expect(loggedHoursOn(entries, '2024-05-08', { addHours: 3 })).toBe(3);
+  expect(MAX_HOURS_PER_DAY).toBe(24);
+});
+
+test('breaks a day down into entries and leave with running totals', () => {
+  const { rows, workHours, leaveHours, totalHours } = dayBreakdown({
+    iso: '2024-05-06',
+    entries: [
+      { id: 'a', date: '2024-05-06', hours: 2.5, status: 'draft' },
+      { id: 'x', date: '2024-05-06', hours: 3, status: 'rejected' },
+      { id: 'b', date: '2024-05-06', hours: 1.5, status: 'pending' },
+      { id: 'c', date: '2024-05-07', hours: 8, status: 'draft' },
+    ],
+    leaves: [{ id: 'l1', date: '2024-05-06', hours: 4, status: 'approved' }],
+  });
+  expect(rows.map((r) => [r.kind, r.item.id, r.counted, r.running])).toEqual([
+    ['entry', 'a', true, 2.5],
+    ['entry', 'x', false, 2.5],
+    ['entry', 'b', true, 4],
+    ['leave', 'l1', true, 8],
+  ]);
+  expect({ workHours, leaveHours, totalHours }).toEqual({ workHours: 4, leaveHours: 4, totalHours: 8 });
+});
+
+test('spreads a multi-day leave request over the days it takes', () => {
+  const range = {
+    id: 'v1',
+    date: '2024-05-30',
+    end_date: '2024-06-03',
+    type: 'vacation',
+    duration: 'full',
+    hours: 20,
+    status: 'approved',
+    days: [{ date: '2024-05-30', hours: 8 }, { date: '2024-05-31', hours: 8 }, { date: '2024-06-03', hours: 4 }],
+  };
+  const may = computeMonthStats({ year: 2024, month: 4, leaves: [range] });
+  expect([may.leaveCount, may.leaveHours]).toEqual([1, 16]);
+  expect(computeMonthStats({ year: 2024, month: 5, leaves: [range] }).leaveHours).toBe(4);
+
+  const days = summarizeDays({ leaves: [range] });
+  expect(Object.keys(days)).toEqual(['2024-05-30', '2024-05-31', '2024-06-01', '2024-06-02', '2024-06-03']);
+  expect(days['2024-05-30'].leaves[0]).toMatchObject({ id: 'v1', hours: 8, span: 'start', skipped: false });
+  expect(days['2024-06-01'].leaves[0]).toMatchObject({ hours: 0, span: 'middle', skipped: true });
+  expect(days['2024-06-03'].leaves[0]).toMatchObject({ hours: 4, span: 'end' });
+
+  expect(dayBreakdown({ leaves: [range], iso: '2024-06-03' }).leaveHours).toBe(4);
+  expect(dayBreakdown({ leaves: [range], iso: '2024-06-01' }).rows).toEqual([]);
+});
@@ -0,0 +1,188 @@
+/**
+ * Weekly grid editor model: rows are project/task pairs, columns the seven
+ * days of a week, cells the hours logged. Pure helpers to build the grid from
+ * entries, total and validate it, copy another week into it, and diff the
+ * edited grid back into the minimal create/update/delete calls.
+ *
+ * Grid: [{ key, project_id, task_id, cells: { [iso]: string }, locked: { [iso]: true } }]
+ * Cells hold the text being edited ('' = empty; "7.5", "7,5" and "7:30" are read).
+ * A cell is locked when one of its entries can no longer be edited
+ * (`isEditable(status)` is injected; see services/workflow.isEditableStatus).
+ */
+import { checkEntryRules } from './entryRules';
+import { parseHoursValue } from './timesheetImport';
+import { MAX_HOURS_PER_DAY } from './timesheetStats';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// PUBLIC_INTERFACE
+export const gridRowKey = (projectId, taskId) => `${projectId || ''}|${taskId || ''}`;
+
+const cellKey = (rowKey, iso) => `${rowKey}@${iso}`;
+
+// Hours of a cell; '' counts as 0, unreadable text as NaN
+const cellHours = (text) => {
+  const v = parseHoursValue(text);
+  return v === '' ? 0 : v;
+};
+
+// Week entries grouped per cell: { [key@iso]: [entry] }
+function entriesByCell(entries, weekISOs) {
+  const acc = {};
+  entries
+    .filter((e) => weekISOs.includes(e.date))
+    .forEach((e) => {
+      const k = cellKey(gridRowKey(e.project_id, e.task_id), e.date);
+      (acc[k] = acc[k] || []).push(e);
+    });
+  return acc;
+}
+
+// PUBLIC_INTERFACE
+export function buildWeekGrid(entries, weekISOs, isEditable = () => true) {
+  /** Grid of the week's entries, one row per project/task pair in order of first appearance. */
+  const rows = new Map();
+  entries
+    .filter((e) => weekISOs.includes(e.date))
+    .forEach((e) => {
+      const key = gridRowKey(e.project_id, e.task_id);
+      if (!rows.has(key)) {
+        rows.set(key, { key, project_id: e.project_id || null, task_id: e.task_id || null, cells: {}, locked: {}, sums: {} });
+      }
+      const row = rows.get(key);
+      row.sums[e.date] = (row.sums[e.date] || 0) + Number(e.hours || 0);
+      if (!isEditable(e.status)) row.locked[e.date] = true;
+    });
+  return [...rows.values()].map(({ sums, ...row }) => ({
+    ...row,
+    cells: Object.fromEntries(Object.entries(sums).map(([iso, h]) => [iso, String(round2(h))])),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function gridTotals(grid, weekISOs) {
+  /** { rows: { [key]: hours }, days: { [iso]: hours }, week } — unreadable cells count as 0. */
+  const rows = {};
+  const days = Object.fromEntries(weekISOs.map((iso) => [iso, 0]));
+  grid.forEach((row) => {
+    rows[row.key] = 0;
+    weekISOs.forEach((iso) => {
+      const h = cellHours(row.cells[iso]);
+      if (Number.isNaN(h)) return;
+      rows[row.key] = round2(rows[row.key] + h);
+      days[iso] = round2(days[iso] + h);
+    });
+  });
+  return { rows, days, week: round2(Object.values(days).reduce((a, h) => a + h, 0)) };
+}
+
+// PUBLIC_INTERFACE
+export function validateWeekGrid(grid, weekISOs, { maxHoursPerDay = MAX_HOURS_PER_DAY } = {}) {
+  /**
+   * Cell errors keyed "<row key>@<iso>" and day errors keyed by iso; a day may
+   * hold at most maxHoursPerDay (see utils/entryRules). Returns { cells, days, valid }.
+   */
+  const cells = {};
+  grid.forEach((row) => {
+    weekISOs.forEach((iso) => {
+      const h = cellHours(row.cells[iso]);
+      if (Number.isNaN(h)) cells[cellKey(row.key, iso)] = 'Hours must be a number.';
+      else if (h < 0) cells[cellKey(row.key, iso)] = 'Hours cannot be negative.';
+      else if (h > 24) cells[cellKey(row.key, iso)] = 'Hours cannot exceed 24.';
+    });
+  });
+  const { days: totals } = gridTotals(grid, weekISOs);
+  const days = {};
+  weekISOs.forEach((iso) => {
+    if (totals[iso] > maxHoursPerDay) days[iso] = `More than ${maxHoursPerDay}h on this day.`;
+  });
+  return { cells, days, valid: Object.keys(cells).length === 0 && Object.keys(days).length === 0 };
+}
+
+// PUBLIC_INTERFACE
+export function checkWeekGridChanges({ creates, updates }, entries, { rules, lockedPeriods, today } = {}) {
+  /**
+   * Entry rule errors (utils/entryRules.checkEntryRules: future window, required
+   * project/task) for the cells a save would create or change, keyed like
+   * validateWeekGrid's cells. The day totals are validateWeekGrid's job.
+   */
+  const context = { rules, lockedPeriods, today };
+  const cells = {};
+  const check = (values) => {
+    const errors = checkEntryRules(values, context);
+    const message = errors.date || errors.project || errors.task || errors.hours;
+    if (message) cells[cellKey(gridRowKey(values.project_id, values.task_id), values.date)] = message;
+  };
+  creates.forEach(check);
+  updates.forEach((u) => {
+    const entry = entries.find((e) => e.id === u.id);
+    if (entry) check({ ...entry, hours: u.hours });
+  });
+  return cells;
+}
+
+// PUBLIC_INTERFACE
+export function copyWeekIntoGrid(grid, entries, fromISOs, toISOs, isEditable = () => true) {
+  /**
+   * Fill the grid with another week's hours, day by day (fromISOs[i] -> toISOs[i]).
+   * Rejected entries are not copied, and only empty, unlocked cells are filled,
+   * so nothing already in the grid is overwritten. Returns a new grid.
+   */
+  const source = buildWeekGrid(entries.filter((e) => e.status !== 'rejected'), fromISOs, isEditable);
+  const next = grid.map((r) => ({ ...r, cells: { ...r.cells } }));
+  source.forEach((src) => {
+    let row = next.find((r) => r.key === src.key);
+    if (!row) {
+      row = { key: src.key, project_id: src.project_id, task_id: src.task_id, cells: {}, locked: {} };
+      next.push(row);
+    }
+    fromISOs.forEach((iso, i) => {
+      const target = toISOs[i];
+      if (src.cells[iso] && !row.locked[target] && !String(row.cells[target] || '').trim()) {
+        row.cells[target] = src.cells[iso];
+      }
+    });
+  });
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function diffWeekGrid(grid, entries, weekISOs, isEditable = () => true) {
+  /**
+   * The minimal changes that turn the week's entries into the grid. Per cell:
+   *   - locked cells are skipped
+   *   - unchanged total: nothing
+   *   - empty or 0: delete its entries
+   *   - no entry yet: create one
+   *   - otherwise: set the first entry to the cell's hours and delete the others
+   * Rows removed from the grid count as empty. Call validateWeekGrid first.
+   * Returns { creates: [{ date, project_id, task_id, hours }], updates: [{ id, hours }], deletes: [id] }.
+   */
+  const byCell = entriesByCell(entries, weekISOs);
+  const rows = new Map(grid.map((r) => [r.key, r]));
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+  const keys = new Set([...grid.map((r) => r.key), ...Object.keys(byCell).map((k) => k.split('@')[0])]);
+  keys.forEach((key) => {
+    const row = rows.get(key);
+    const [projectId, taskId] = key.split('|');
+    weekISOs.forEach((iso) => {
+      const existing = byCell[cellKey(key, iso)] || [];
+      if (existing.some((e) => !isEditable(e.status))) return;
+      const hours = round2(row ? cellHours(row.cells[iso]) || 0 : 0);
+      const current = round2(existing.reduce((a, e) => a + Number(e.hours || 0), 0));
+      if (hours === current) return;
+      if (hours === 0) {
+        deletes.push(...existing.map((e) => e.id));
+      } else if (existing.length === 0) {
+        creates.push({ date: iso, project_id: projectId || null, task_id: taskId || null, hours });
+      } else {
+        const [first, ...rest] = existing;
+        if (round2(Number(first.hours)) !== hours) updates.push({ id: first.id, hours });
+        deletes.push(...rest.map((e) => e.id));
+      }
+    });
+  });
+  return { creates, updates, deletes };
+}
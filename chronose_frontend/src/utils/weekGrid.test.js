@@ -0,0 +1,105 @@
+import {
+  buildWeekGrid,
+  checkWeekGridChanges,
+  copyWeekIntoGrid,
+  diffWeekGrid,
+  gridRowKey,
+  gridTotals,
+  validateWeekGrid,
+} from './weekGrid';
+
+const week = ['2024-05-06', '2024-05-07', '2024-05-08', '2024-05-09', '2024-05-10', '2024-05-11', '2024-05-12'];
+const lastWeek = ['2024-04-29', '2024-04-30', '2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04', '2024-05-05'];
+const editable = (s) => s === 'draft' || s === 'rejected';
+const e = (id, date, hours, extra = {}) => ({ id, date, hours, project_id: 'p1', task_id: 't1', status: 'draft', ...extra });
+const K = gridRowKey('p1', 't1');
+
+test('builds rows per project/task with summed, locked cells and totals', () => {
+  const entries = [
+    e('a', '2024-05-06', 3),
+    e('b', '2024-05-06', 1.5),
+    e('c', '2024-05-07', 8, { status: 'approved' }),
+    e('d', '2024-05-07', 2, { project_id: 'p2', task_id: null }),
+    e('x', '2024-04-29', 6),
+  ];
+  const grid = buildWeekGrid(entries, week, editable);
+  expect(grid).toEqual([
+    { key: K, project_id: 'p1', task_id: 't1', cells: { '2024-05-06': '4.5', '2024-05-07': '8' }, locked: { '2024-05-07': true } },
+    { key: 'p2|', project_id: 'p2', task_id: null, cells: { '2024-05-07': '2' }, locked: {} },
+  ]);
+  expect(gridTotals(grid, week)).toMatchObject({ rows: { [K]: 12.5, 'p2|': 2 }, week: 14.5 });
+  expect(gridTotals(grid, week).days['2024-05-07']).toBe(10);
+});
+
+test('validates cells and day totals', () => {
+  const grid = [
+    { key: K, cells: { '2024-05-06': 'abc', '2024-05-07': '20' }, locked: {} },
+    { key: 'p2|', cells: { '2024-05-07': '5:30', '2024-05-08': '-1' }, locked: {} },
+  ];
+  const { cells, days, valid } = validateWeekGrid(grid, week);
+  expect(valid).toBe(false);
+  expect(cells).toEqual({ [`${K}@2024-05-06`]: 'Hours must be a number.', 'p2|@2024-05-08': 'Hours cannot be negative.' });
+  expect(days).toEqual({ '2024-05-07': 'More than 24h on this day.' });
+  expect(validateWeekGrid([{ key: K, cells: { '2024-05-06': '9' }, locked: {} }], week, { maxHoursPerDay: 8 }).days).toEqual({
+    '2024-05-06': 'More than 8h on this day.',
+  });
+});
+
+test('diffs the grid into the minimal create/update/delete calls', () => {
+  const entries = [
+    e('a', '2024-05-06', 3),
+    e('b', '2024-05-07', 2),
+    e('c', '2024-05-07', 2),
+    e('d', '2024-05-08', 4),
+    e('f', '2024-05-09', 8, { status: 'pending' }),
+    e('g', '2024-05-10', 1, { project_id: 'p2', task_id: null }),
+  ];
+  const grid = buildWeekGrid(entries, week, editable)
+    .filter((r) => r.key === K) // row p2 removed
+    .map((r) => ({
+      ...r,
+      cells: { ...r.cells, '2024-05-06': '3', '2024-05-07': '5', '2024-05-08': '', '2024-05-09': '1', '2024-05-11': '7:30' },
+    }));
+  expect(diffWeekGrid(grid, entries, week, editable)).toEqual({
+    creates: [{ date: '2024-05-11', project_id: 'p1', task_id: 't1', hours: 7.5 }],
+    updates: [{ id: 'b', hours: 5 }],
+    deletes: ['c', 'd', 'g'],
+  });
+});
+
+test('checks the entry rules on the cells a save would create or change', () => {
+  const entries = [e('a', '2024-05-06', 2, { task_id: null }), e('b', '2024-05-07', 3)];
+  const changes = {
+    creates: [
+      { date: '2024-05-08', project_id: 'p1', task_id: 't1', hours: 4 },
+      { date: '2024-05-12', project_id: 'p1', task_id: 't1', hours: 1 },
+      { date: '2024-05-08', project_id: 'p2', task_id: null, hours: 2 },
+    ],
+    updates: [{ id: 'a', hours: 3 }, { id: 'b', hours: 5 }],
+    deletes: [],
+  };
+  const rules = { maxHoursPerDay: 24, futureDays: 2, requireProject: false, requireTask: true };
+  expect(checkWeekGridChanges(changes, entries, { rules, today: '2024-05-08' })).toEqual({
+    [`${K}@2024-05-12`]: 'Entries can be at most 2 days ahead.',
+    'p2|@2024-05-08': 'Please select a task.',
+    'p1|@2024-05-06': 'Please select a task.',
+  });
+  expect(checkWeekGridChanges(changes, entries, { rules: { ...rules, futureDays: 7, requireTask: false }, today: '2024-05-08' }))
+    .toEqual({});
+});
+
+test('copies last week into empty, unlocked cells only', () => {
+  const entries = [
+    e('a', '2024-04-29', 8),
+    e('b', '2024-04-30', 6),
+    e('c', '2024-05-01', 2, { status: 'rejected' }),
+    e('d', '2024-05-02', 4, { project_id: 'p3', task_id: null }),
+    e('n', '2024-05-07', 1),
+    e('l', '2024-05-06', 5, { status: 'approved', project_id: 'p3', task_id: null }),
+  ];
+  const grid = copyWeekIntoGrid(buildWeekGrid(entries, week, editable), entries, lastWeek, week, editable);
+  expect(grid.map((r) => [r.key, r.cells])).toEqual([
+    [K, { '2024-05-07': '1', '2024-05-06': '8' }],
+    ['p3|', { '2024-05-06': '5', '2024-05-09': '4' }],
+  ]);
+});
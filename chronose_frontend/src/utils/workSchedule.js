@@ -0,0 +1,88 @@
+import { DEFAULT_WORK_STANDARD } from './timesheetStats';
+
+/**
+ * Work schedules: the hours a person is expected to work on each weekday, and
+ * with the holidays of their region, the expected hours of any day.
+ * A schedule is { region, hours } with hours a Monday-first array of 7 numbers
+ * (e.g. Mon–Thu 10h = [10, 10, 10, 10, 0, 0, 0]). People without a saved
+ * schedule work the env standard Monday to Friday in the default region.
+ * Days are ISO strings (yyyy-mm-dd), computed in UTC to avoid DST drift.
+ */
+
+// PUBLIC_INTERFACE
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_REGION = 'default';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// PUBLIC_INTERFACE
+export function weekdayIndex(iso) {
+  /** 0 for Monday .. 6 for Sunday. */
+  const [y, m, d] = iso.split('-').map(Number);
+  return (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7;
+}
+
+// PUBLIC_INTERFACE
+export function defaultSchedule(standard = DEFAULT_WORK_STANDARD) {
+  /** Monday to Friday at the standard's weekly hours / 5 (its daily hours when weekly is disabled). */
+  const day = standard.weeklyHours > 0 ? round2(standard.weeklyHours / 5) : standard.dailyHours;
+  return { region: DEFAULT_REGION, hours: [day, day, day, day, day, 0, 0] };
+}
+
+// PUBLIC_INTERFACE
+export function expectedHoursOn(iso, { schedule, holidays = [] } = {}) {
+  /** Hours expected on a day: 0 on holidays (ISO days, array or Set), else the schedule's hours for its weekday. */
+  const off = holidays instanceof Set ? holidays : new Set(holidays);
+  if (off.has(iso)) return 0;
+  return Number((schedule || defaultSchedule()).hours[weekdayIndex(iso)]) || 0;
+}
+
+// PUBLIC_INTERFACE
+export function dayDelta(summary, expected) {
+  /**
+   * Hours done on a day against the hours expected: worked hours (logged, else timer time)
+   * plus leave that is not rejected, minus expected. summary is a summarizeDays day (or undefined).
+   */
+  const worked = summary?.loggedHours || summary?.timerHours || 0;
+  const leave = (summary?.leaves || [])
+    .filter((l) => l.status !== 'rejected')
+    .reduce((a, l) => a + (Number(l.hours) || 0), 0);
+  return round2(worked + leave - (Number(expected) || 0));
+}
+
+// PUBLIC_INTERFACE
+export function scheduleStandard(schedule) {
+  /** Overtime limits that follow a schedule: its longest day and its weekly total. */
+  const hours = (schedule || defaultSchedule()).hours.map((h) => Number(h) || 0);
+  return { dailyHours: Math.max(...hours), weeklyHours: round2(hours.reduce((a, h) => a + h, 0)) };
+}
+
+// PUBLIC_INTERFACE
+export function describeSchedule(hours) {
+  /** Short summary such as "Mon–Thu 10h" or "Mon–Thu 8h, Fri 4h"; "No working days" when all are 0. */
+  const runs = [];
+  (hours || []).forEach((h, i) => {
+    const n = Number(h) || 0;
+    const last = runs[runs.length - 1];
+    if (n > 0 && last && last.hours === n && last.to === i - 1) last.to = i;
+    else if (n > 0) runs.push({ from: i, to: i, hours: n });
+  });
+  if (runs.length === 0) return 'No working days';
+  return runs
+    .map((r) => {
+      const days = r.from === r.to ? WEEKDAY_LABELS[r.from] : `${WEEKDAY_LABELS[r.from]}–${WEEKDAY_LABELS[r.to]}`;
+      return `${days} ${r.hours}h`;
+    })
+    .join(', ');
+}
+
+// PUBLIC_INTERFACE
+export function scheduleErrors(hours) {
+  /** Validation message for a schedule's hours, or '' when it is 7 numbers between 0 and 24. */
+  if (!Array.isArray(hours) || hours.length !== 7) return 'A schedule needs hours for each day of the week.';
+  const bad = hours.findIndex((h) => h === '' || h === null || !Number.isFinite(Number(h)) || Number(h) < 0 || Number(h) > 24);
+  if (bad >= 0) return `${WEEKDAY_LABELS[bad]}: hours must be between 0 and 24.`;
+  return '';
+}
@@ -0,0 +1,28 @@
+import { dayDelta, defaultSchedule, describeSchedule, expectedHoursOn, scheduleErrors, scheduleStandard } from './workSchedule';
+
+const fourTens = { region: 'de', hours: [10, 10, 10, 10, 0, 0, 0] };
+
+test('expects the schedule hours of the weekday, and nothing on holidays', () => {
+  expect(defaultSchedule({ dailyHours: 8, weeklyHours: 40 }).hours).toEqual([8, 8, 8, 8, 8, 0, 0]);
+  expect(defaultSchedule({ dailyHours: 7, weeklyHours: 0 }).hours).toEqual([7, 7, 7, 7, 7, 0, 0]);
+  // Thu 16 May, Fri 17 May 2024
+  expect(expectedHoursOn('2024-05-16', { schedule: fourTens })).toBe(10);
+  expect(expectedHoursOn('2024-05-17', { schedule: fourTens })).toBe(0);
+  expect(expectedHoursOn('2024-05-16', { schedule: fourTens, holidays: ['2024-05-16'] })).toBe(0);
+  expect(expectedHoursOn('2024-05-17', {})).toBe(8);
+  expect(scheduleStandard(fourTens)).toEqual({ dailyHours: 10, weeklyHours: 40 });
+  const day = { loggedHours: 6, timerHours: 7, leaves: [{ hours: 2, status: 'pending' }, { hours: 8, status: 'rejected' }] };
+  expect(dayDelta(day, 10)).toBe(-2);
+  expect(dayDelta({ loggedHours: 0, timerHours: 3.5, leaves: [] }, 0)).toBe(3.5);
+  expect(dayDelta(undefined, 8)).toBe(-8);
+});
+
+test('describes and validates schedules', () => {
+  expect(describeSchedule(fourTens.hours)).toBe('Mon–Thu 10h');
+  expect(describeSchedule([8, 8, 8, 8, 4, 0, 0])).toBe('Mon–Thu 8h, Fri 4h');
+  expect(describeSchedule([8, 0, 8, 0, 0, 0, 0])).toBe('Mon 8h, Wed 8h');
+  expect(describeSchedule([0, 0, 0, 0, 0, 0, 0])).toBe('No working days');
+  expect(scheduleErrors(fourTens.hours)).toBe('');
+  expect(scheduleErrors([8, 8, 8, 8, 25, 0, 0])).toBe('Fri: hours must be between 0 and 24.');
+  expect(scheduleErrors([8, 8])).toBe('A schedule needs hours for each day of the week.');
+});